@@ -3,12 +3,42 @@
  * React Native CLI OCR App with Geolocation, Save & Share Features
  *
  * This component allows users to:
- * - Take a photo or select an image from the gallery
- * - Perform OCR on the image using react-native-mlkit
- * - Geolocate each scan using react-native-geolocation-service
+ * - Take a photo or select one or more images from the gallery
+ * - Scan images shared from other apps, or start a scan from a basicocr://scan link
+ *   (camera or gallery, optionally exporting the stored scan)
+ * - OCR many gallery images at once through a processing queue
+ * - Collect several captures as pages of one document (reorder, remove, re-capture)
+ * - Perform OCR on the image using react-native-mlkit (configurable recognition script),
+ *   or a self-hosted OCR server, with an optional fallback to the other engine
+ * - Clean up the recognized text through configurable post-processing steps
+ * - Edit the extracted text with undo/redo, keeping every saved version with a line diff
+ * - Geolocate each scan using react-native-geolocation-service, concurrently with OCR
+ *   (gallery images prefer the GPS position and capture time from their EXIF)
+ * - Follow each scan through its phases (image, location, OCR); a newer scan or Cancel
+ *   discards the late results of the previous one
+ * - Check each photo for blur, exposure and sideways text before OCR, suggesting a retake
+ *   (a quick check of the top of large photos; the whole photo on request);
+ *   crop, rotate, enhance or straighten it and recognize it again, keeping the photo as taken
  * - Display the image, extracted text, and location
+ * - Overlay recognized words/lines on the image and act on a selection of them
+ * - Transliterate Serbian text between Cyrillic and Latin
+ * - Extract receipt/invoice fields (merchant, PIB, date, items, total, VAT, bank accounts)
+ * - Turn business cards into editable contacts exported as vCard
+ * - Rebuild tables (price lists, timesheets) from the word positions into an editable
+ *   grid with merged cells, exported as CSV or .xlsx
+ * - Read barcodes and QR codes next to the text, decoding fiscal receipt verification
+ *   links and NBS IPS payment slips (recipient, account, amount, purpose)
  * - Share, copy, or save the extracted text
+ * - Detect sensitive values (JMBG, card numbers, IBANs, bank accounts, phones, emails): highlight them,
+ *   mask them in one tap, and warn or mask before anything leaves the app
+ * - Export scans as CSV, JSON, GeoJSON, KML or searchable PDF
  * - Save camera photos to the device gallery
+ * - Ask for runtime permissions per Android version, remembering denials, with a status screen
+ * - Keep a persistent, searchable history of scans
+ * - Optionally keep the history in an encrypted vault (passcode, auto-lock, explicit exports)
+ * - Upload stored scans to a REST endpoint through a persistent retry queue
+ * - Browse scans near the current position or a chosen point, grouped by place
+ * - Use the app in English, Serbian Latin or Serbian Cyrillic (device language or chosen in Settings)
  *
  * SETUP NOTES:
  * 1. Install required libraries:
@@ -22,10 +52,11 @@
  *    <uses-permission android:name="android.permission.CAMERA" />
  *    <uses-permission android:name="android.permission.ACCESS_FINE_LOCATION" />
  *    <uses-permission android:name="android.permission.WRITE_EXTERNAL_STORAGE" android:maxSdkVersion="28"/>
- *    <uses-permission android:name="android.permission.READ_EXTERNAL_STORAGE" />
+ *    <uses-permission android:name="android.permission.READ_EXTERNAL_STORAGE" android:maxSdkVersion="32" />
  *    <!-- For Android 13+ -->
  *    <uses-permission android:name="android.permission.READ_MEDIA_IMAGES" />
- *    <uses-permission android:name="android.permission.READ_MEDIA_VIDEO" />
+ *    <!-- Android 10+: unredacted GPS in the EXIF of gallery images -->
+ *    <uses-permission android:name="android.permission.ACCESS_MEDIA_LOCATION" />
  *
  *    - For react-native-fs and CameraRoll, check their docs for storage permission requirements and Android SDK version notes (Scoped Storage).
  *
@@ -44,7 +75,7 @@
  * 5. Consult the documentation for all external libraries for full native setup and troubleshooting.
  */
 
-import React, { useState } from 'react';
+import React, { useMemo, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -54,101 +85,414 @@ import {
   Alert,
   ScrollView,
   TouchableOpacity,
-  PermissionsAndroid,
-  Platform,
   Share,
+  AppState,
+  Linking,
+  Platform,
 } from 'react-native';
 
 // Image Picker for camera/gallery
 import { launchCamera, launchImageLibrary } from 'react-native-image-picker';
 
 // ML Kit for OCR
-import TextRecognition from '@react-native-ml-kit/text-recognition';
+import { enginesFromSettings, recognizeImage, usesServer } from './src/ocr/recognize';
+import { engineSummary } from './src/ocr/ocrEngine';
 
 // Geolocation
-import Geolocation from 'react-native-geolocation-service';
+import { getCurrentLocation } from './src/location/currentLocation';
+import { resolveScanLocation } from './src/location/scanLocation';
 
 // Save photo to gallery
 import CameraRoll from '@react-native-camera-roll/camera-roll';
 
-// Save text to file
-import RNFS from 'react-native-fs';
+// Save text to file (Downloads -> external app folder -> documents fallback)
+import { writeExportFile } from './src/export/exportDirectory';
 
 // Copy to clipboard
 import Clipboard from '@react-native-clipboard/clipboard';
 
-// Helper: Request Android permissions at runtime
-async function requestAndroidPermission(permission, rationale) {
-  try {
-    const granted = await PermissionsAndroid.request(permission, rationale);
-    return granted === PermissionsAndroid.RESULTS.GRANTED;
-  } catch (err) {
-    return false;
-  }
-}
+// Export of scans (CSV, JSON, GeoJSON, KML, PDF)
+import { exportAndShareScans, exportedText, shareExportedFile } from './src/export/exportScans';
+import ExportFormatPicker from './src/components/ExportFormatPicker';
+
+// Runtime permissions (Android), with a status screen
+import { ensurePermission } from './src/permissions/permissionManager';
+import PermissionsScreen from './src/screens/PermissionsScreen';
+
+// Persistent scan history
+import {
+  loadHistory,
+  addScan,
+  updateScan,
+  deleteScans,
+  openScanImages,
+  replaceScanImage,
+  replaceScanPages,
+  runHistoryExclusive,
+} from './src/history/historyStore';
+import HistoryScreen from './src/screens/HistoryScreen';
+import NearbyScreen from './src/screens/NearbyScreen';
+
+// Recognized text geometry (blocks/lines/words) and its overlay
+import { selectableItems, selectionText } from './src/ocr/geometry';
+import OcrOverlay from './src/components/OcrOverlay';
+
+// Settings (recognition script) and Serbian transliteration
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from './src/settings/settingsStore';
+import SettingsScreen from './src/screens/SettingsScreen';
+import { transliterate } from './src/text/transliterate';
+import { pipelineFromSettings } from './src/text/postProcess';
+
+// Batch OCR of several gallery images
+import { createBatchQueue } from './src/batch/batchQueue';
+import BatchProgress from './src/components/BatchProgress';
+
+// Multi-page document sessions
+import { addPages, combinedText, createPageId, movePage, removePage, replacePage } from './src/document/documentSession';
+import DocumentPages from './src/components/DocumentPages';
+
+// Receipt and invoice fields
+import { extractReceiptFields, hasReceiptFields, receiptFieldsToText } from './src/extract/receipt';
+import ReceiptFieldsForm from './src/components/ReceiptFieldsForm';
+
+// Business card contacts
+import { extractContact, looksLikeBusinessCard } from './src/extract/businessCard';
+import { exportContactAsVCard } from './src/export/exportContact';
+import ContactForm from './src/components/ContactForm';
+
+// Tables rebuilt from OCR geometry
+import { detectTable } from './src/extract/table';
+import { exportTable } from './src/export/exportTable';
+import TableGrid from './src/components/TableGrid';
+
+// Barcodes and QR codes (fiscal receipt verification, IPS payment slips)
+import { scanBarcodes } from './src/ocr/barcodeScanner';
+import BarcodeResults from './src/components/BarcodeResults';
+
+// Photo quality check and adjustments before OCR
+import { checkImageQuality, discardAdjustedImage, writeAdjustedImage } from './src/image/preprocess';
+import QualityWarning from './src/components/QualityWarning';
+import ImageAdjustPanel from './src/components/ImageAdjustPanel';
+
+// Editing the extracted text, with revisions
+import { addRevision, scanRevisions } from './src/text/revisions';
+import TextEditor from './src/components/TextEditor';
+import RevisionHistory from './src/components/RevisionHistory';
+
+// Sensitive data
+import { describeSensitive, findSensitive, redactText, sensitiveFrames } from './src/privacy/sensitiveData';
+import { exportRedactedImage } from './src/export/exportImage';
+import HighlightedText from './src/components/HighlightedText';
+
+// Offline-first upload of scans to the team's REST endpoint
+import { enqueueScans, loadOutbox, nextSyncDelay, removeFromOutbox, runSync } from './src/sync/outbox';
+import { syncConfigFromSettings } from './src/sync/uploadScan';
+
+// Encrypted vault for the history, with passcode lock
+import {
+  changeVaultPasscode,
+  disableVault,
+  enableVault,
+  loadVault,
+  lockIfIdle,
+  lockVault,
+  subscribeVault,
+  touchVault,
+  unlockVault,
+} from './src/vault/vault';
+import VaultScreen from './src/screens/VaultScreen';
+import LockScreen from './src/screens/LockScreen';
+
+// Scan lifecycle: phases, cancellation, outdated results
+import { IDLE_SCAN, ScanError, createScanSession, isScanActive, isScanDiscarded } from './src/scan/scanSession';
+
+// Scans requested by other apps: shared images and basicocr:// links
+import { parseIncomingLink } from './src/scan/incomingLinks';
+import { importSharedImage } from './src/scan/sharedImages';
+
+// Localization: messages, device locale and the language setting
+import { resolveLocale, setLocale, t } from './src/i18n/i18n';
+import { formatCoordinates, formatDateTime, formatNumber } from './src/i18n/format';
+
+// Images OCR'd at the same time during a batch run
+const BATCH_CONCURRENCY = 2;
+
+// Sync passes wait this long after a change, so typing the endpoint does not fire uploads
+const SYNC_DEBOUNCE = 1500;
+
+// How often an unlocked vault checks for inactivity
+const VAULT_IDLE_CHECK = 15 * 1000;
 
 const App = () => {
   // State variables
   const [imageUri, setImageUri] = useState(null); // URI of selected/captured image
   const [imageSource, setImageSource] = useState(null); // 'camera' or 'gallery'
-  const [extractedText, setExtractedText] = useState(''); // OCR result
-  const [location, setLocation] = useState(null); // { latitude, longitude }
-  const [loading, setLoading] = useState(false); // Loading indicator
-  const [saveStatus, setSaveStatus] = useState(null); // Success/error for saving photo/text
-  const [copyStatus, setCopyStatus] = useState(null); // Feedback for copy action
-  // Scan history: array of { imageUri, extractedText, location, timestamp }
-  const [, setHistory] = useState([]);
-  // Check and request geolocation permission on app start
+  const [extractedText, setExtractedText] = useState(''); // OCR result (post-processed)
+  const [rawText, setRawText] = useState(''); // OCR result as recognized
+  const [showRawText, setShowRawText] = useState(false); // Show the raw text instead of the processed one
+  const [ocrResult, setOcrResult] = useState(null); // Structured OCR result { text, blocks }
+  const [imageSize, setImageSize] = useState(null); // { width, height } in pixels, if the picker reported it
+  const [selectionLevel, setSelectionLevel] = useState('word'); // 'word' or 'line'
+  const [selectedKeys, setSelectedKeys] = useState([]); // Selected overlay boxes
+  const [location, setLocation] = useState(null); // { latitude, longitude, accuracy, altitude, heading, fixTime }
+  const [locationSource, setLocationSource] = useState(null); // 'exif', 'live', 'cached' or 'none'
+  const [loading, setLoading] = useState(false); // Loading indicator (re-OCR, document pages, masked image)
+  const [scanState, setScanState] = useState(IDLE_SCAN); // { id, phase, error } of the single-image scan
+  const scanSession = useMemo(() => createScanSession(setScanState), []);
+  const busy = loading || isScanActive(scanState);
+  const [saveStatus, setSaveStatus] = useState(null); // { key, params } of the message after saving photo/text
+  const [copyStatus, setCopyStatus] = useState(null); // Message key of the copy feedback
+  // Scan history: stored scan records, newest first (see src/history/historyStore.js)
+  const [history, setHistory] = useState([]);
+  const [screen, setScreen] = useState('scan'); // 'scan', 'history', 'nearby', 'settings', 'permissions' or 'vault'
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [textScript, setTextScript] = useState('original'); // 'original', 'latin' or 'cyrillic'
+  const [batchItems, setBatchItems] = useState(null); // Items of the current batch run, if any
+  const batchQueue = useRef(null);
+  const [documentMode, setDocumentMode] = useState(false); // Captures append pages to one document
+  const [documentPages, setDocumentPages] = useState([]);
+  const [documentScanId, setDocumentScanId] = useState(null); // History id once the document was saved
+  const [currentScan, setCurrentScan] = useState(null); // Stored record of the scan on screen, if any
+  const [exportPickerVisible, setExportPickerVisible] = useState(false);
+  const [receiptFields, setReceiptFields] = useState(null); // Extracted receipt/invoice fields, if the text looks like one
+  const [contact, setContact] = useState(null); // Contact read from a business card, if any
+  const [barcodes, setBarcodes] = useState([]); // Barcodes and QR codes found on the image
+  const [table, setTable] = useState(null); // Table rebuilt from the OCR geometry, once asked for
+  const [quality, setQuality] = useState(null); // Photo check before OCR (see src/image/imageQuality.js)
+  const [qualityDismissed, setQualityDismissed] = useState(false);
+  const [adjusting, setAdjusting] = useState(false); // The image adjustment panel is open
+  const [originalImageUri, setOriginalImageUri] = useState(null); // Photo as taken, once the shown image is adjusted
+  const [editingText, setEditingText] = useState(false); // The extracted text is open in the editor
+  const [revisionsVisible, setRevisionsVisible] = useState(false);
+  const [syncStatus, setSyncStatus] = useState({}); // Outbox entries by scan id (see src/sync/outbox.js)
+  const [syncTick, setSyncTick] = useState(0); // Bumped to request a sync pass
+  const manualSync = useRef(false); // With the vault on, only a pass the user asked for runs
+  const [vault, setVault] = useState('off'); // 'off', 'locked' or 'unlocked' (see src/vault/vault.js)
+  const [started, setStarted] = useState(false); // Settings and the vault state are loaded
+  const [incomingJob, setIncomingJob] = useState(null); // Scan asked for by another app, until it can start
+  const runIncomingJobRef = useRef(null); // Latest runIncomingJob, for the effect below
+
+  // Load settings, the vault and, unless it is locked, stored scans on app start
   React.useEffect(() => {
-    async function checkAndRequestLocationPermission() {
-      if (Platform.OS === 'android') {
-        const hasPermission = await PermissionsAndroid.check(PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION);
-        if (!hasPermission) {
-          const granted = await requestAndroidPermission(
-            PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-            {
-              title: 'Dozvola za lokaciju',
-              message: 'Aplikacija zahteva pristup vašoj lokaciji radi označavanja OCR skeniranja.',
-              buttonPositive: 'U redu',
-            }
-          );
-          if (!granted) {
-            Alert.alert(
-              'Permission Required',
-              'Dozvola za lokaciju je potrebna za geooznačavanje skeniranja. Omogućite je u podešavanjima.',
-              [{ text: 'U redu' }]
-            );
-          }
-        }
+    const settingsLoading = loadSettings().then((loaded) => {
+      setLocale(resolveLocale(loaded.language));
+      setSettings(loaded);
+    });
+    loadOutbox().then(setSyncStatus);
+    const unsubscribe = subscribeVault((state) => {
+      setVault(state);
+      // Locking drops the records read from the vault; unlocking reads them again
+      if (state === 'locked') {
+        setHistory([]);
+        setScreen('scan');
       }
-      // On iOS, permissions are handled by the OS prompt when using Geolocation
-    }
-    checkAndRequestLocationPermission();
+    });
+    const vaultLoading = loadVault()
+      .then((state) => (state === 'locked' ? null : loadHistory().then(setHistory)))
+      .catch((err) => {
+        Alert.alert(t('common.error'), t('main.errors.openVault', { reason: err.message || t('common.unknownError') }));
+      });
+    Promise.allSettled([settingsLoading, vaultLoading]).then(() => setStarted(true));
+    return unsubscribe;
+  }, []);
+
+  // Links that opened the app or arrive while it runs (shared images come as links too, see src/scan/incomingLinks.js)
+  React.useEffect(() => {
+    const receive = (url) => {
+      const job = parseIncomingLink(url, Platform.OS);
+      if (job) {setIncomingJob(job);}
+    };
+    Linking.getInitialURL()
+      .then((url) => url && receive(url))
+      .catch(() => {});
+    const subscription = Linking.addEventListener('url', ({ url }) => receive(url));
+    return () => subscription.remove();
+  }, []);
+
+  // Start a requested scan once the settings are loaded and the vault is open
+  React.useEffect(() => {
+    if (!incomingJob || !started || vault === 'locked') {return;}
+    setIncomingJob(null);
+    runIncomingJobRef.current(incomingJob);
+  }, [incomingJob, started, vault]);
+
+  // Lock the vault after the configured inactivity, checked on a timer and on return to the foreground
+  React.useEffect(() => {
+    if (vault !== 'unlocked') {return undefined;}
+    const check = () => {
+      // Never while a scan is being stored
+      if (!busy) {lockIfIdle(settings.vaultLockMinutes).catch(() => {});}
+    };
+    const timer = setInterval(check, VAULT_IDLE_CHECK);
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {check();}
+    });
+    return () => {
+      clearInterval(timer);
+      subscription.remove();
+    };
+  }, [vault, busy, settings.vaultLockMinutes]);
+
+  const syncConfig = useMemo(() => syncConfigFromSettings(settings), [settings]);
+
+  // Upload due scans whenever sync is requested, and wake up again when the next retry is due
+  React.useEffect(() => {
+    // Scans only leave the vault when the user sends them
+    if (!syncConfig || (vault !== 'off' && !manualSync.current)) {return undefined;}
+    manualSync.current = false;
+    let active = true;
+    let retryTimer = null;
+    const debounceTimer = setTimeout(() => {
+      runSync(syncConfig, { loadScans: loadHistory, onChange: setSyncStatus })
+        .then((outbox) => {
+          setSyncStatus(outbox);
+          const delay = nextSyncDelay(outbox);
+          if (active && delay !== null && vault === 'off') {
+            retryTimer = setTimeout(() => setSyncTick((tick) => tick + 1), delay);
+          }
+        })
+        .catch(() => {
+          // Upload failures are recorded per scan; only the outbox file itself failed here
+        });
+    }, SYNC_DEBOUNCE);
+    return () => {
+      active = false;
+      clearTimeout(debounceTimer);
+      clearTimeout(retryTimer);
+    };
+  }, [syncConfig, syncTick, vault]);
+
+  // Coming back to the foreground is a good moment to retry (the network may be back)
+  React.useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {setSyncTick((tick) => tick + 1);}
+    });
+    return () => subscription.remove();
   }, []);
 
-  // Handle taking a photo with the camera
-  const handleTakePhoto = async () => {
+  // Queue stored scans for upload while sync is on
+  const queueSync = async (ids) => {
+    if (!syncConfigFromSettings(settings) || ids.length === 0) {return;}
+    try {
+      setSyncStatus(await enqueueScans(ids));
+      setSyncTick((tick) => tick + 1);
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.queueSync', { reason: err.message || t('common.unknownError') }));
+    }
+  };
+
+  // Send every scan the server does not have yet, retrying failed and waiting ones now
+  const handleSyncAll = async () => {
+    if (!(await confirmVaultExport(t('main.vaultExport.upload')))) {return;}
+    manualSync.current = true;
+    queueSync(history.filter((entry) => !syncStatus[entry.id] || syncStatus[entry.id].status !== 'synced').map((entry) => entry.id));
+  };
+
+  // Resolves true when data may leave the app as plain files or uploads: always outside the
+  // vault, inside it only after an explicit yes
+  const confirmVaultExport = (message = t('main.vaultExport.file')) => {
+    if (vault === 'off') {return Promise.resolve(true);}
+    return new Promise((resolve) => {
+      Alert.alert(
+        t('main.vaultExport.title'),
+        message,
+        [
+          { text: t('common.cancel'), style: 'cancel', onPress: () => resolve(false) },
+          { text: t('main.vaultExport.confirm'), onPress: () => resolve(true) },
+        ],
+        { cancelable: true, onDismiss: () => resolve(false) },
+      );
+    });
+  };
+
+  // OCR engines from the settings; with the vault on, the server gets the decrypted image only
+  // after a yes, otherwise ML Kit reads it on the device
+  const ocrEngines = async () => {
+    const engines = enginesFromSettings(settings);
+    if (!usesServer(engines) || (await confirmVaultExport(t('main.vaultExport.ocr')))) {return engines;}
+    return enginesFromSettings(settings, { server: false });
+  };
+
+  // Vault actions rewrite every history file, so they wait for pending history updates
+  const handleUnlockVault = async (passcode) => {
+    await runHistoryExclusive(() => unlockVault(passcode));
+    touchVault();
+    resetScan();
+    clearDocument();
+    setDocumentMode(false);
+    setHistory(await loadHistory());
+  };
+
+  const handleEnableVault = async (passcode) => {
+    await runHistoryExclusive(() => enableVault(passcode));
+    // The scan on screen may show a history copy that is sealed now
+    resetScan();
+    clearDocument();
+  };
+
+  const handleChangeVaultPasscode = (current, next) => runHistoryExclusive(() => changeVaultPasscode(current, next));
+
+  const handleDisableVault = async (passcode) => {
+    await runHistoryExclusive(() => disableVault(passcode));
+    // Decrypted view copies are gone with the vault
+    resetScan();
+    clearDocument();
+  };
+
+  // Deleted scans leave the outbox; the server keeps what it already received
+  const forgetSync = (ids) => {
+    removeFromOutbox(ids).then(setSyncStatus).catch(() => {});
+  };
+
+  // Apply and persist a settings change; a new language shows with the next render
+  const handleSettingsChange = (patch) => {
+    if ('language' in patch) {setLocale(resolveLocale(patch.language));}
+    setSettings((prev) => {
+      const next = { ...prev, ...patch };
+      saveSettings(next).catch((err) => {
+        Alert.alert(t('common.error'), t('main.errors.saveSettings', { reason: err.message || t('common.unknownError') }));
+      });
+      return next;
+    });
+  };
+
+  // Clear the current single-image scan; one still running is cancelled
+  const resetScan = () => {
+    scanSession.reset();
     setSaveStatus(null);
     setCopyStatus(null);
     setExtractedText('');
+    setRawText('');
+    setShowRawText(false);
+    setOcrResult(null);
+    setSelectedKeys([]);
+    setTextScript('original');
     setLocation(null);
+    setLocationSource(null);
     setImageUri(null);
     setImageSource(null);
+    setImageSize(null);
+    setCurrentScan(null);
+    setReceiptFields(null);
+    setContact(null);
+    setBarcodes([]);
+    setTable(null);
+    setQuality(null);
+    setQualityDismissed(false);
+    setAdjusting(false);
+    setOriginalImageUri(null);
+    setEditingText(false);
+    setRevisionsVisible(false);
+  };
 
-    // Request camera permission (Android)
-    if (Platform.OS === 'android') {
-      const cameraGranted = await requestAndroidPermission(
-        PermissionsAndroid.PERMISSIONS.CAMERA,
-        {
-          title: 'Camera Permission',
-          message: 'Aplikacija zahteva pristup kameri za fotografisanje.',
-          buttonPositive: 'U redu',
-        }
-      );
-      if (!cameraGranted) {
-        Alert.alert('Dozvola odbijena', 'Potrebna je dozvola za kameru.');
-        return;
-      }
+  // Helper: Pixel size reported by the picker, if any
+  const assetSize = (asset) => (asset.width && asset.height ? { width: asset.width, height: asset.height } : null);
+
+  // Launch the camera and hand the captured asset to onAssets; onNone runs when no image comes back
+  const launchCameraCapture = async (onAssets, onNone = () => {}) => {
+    if (!(await ensurePermission('camera'))) {
+      onNone();
+      return;
     }
 
     // Launch camera (saveToPhotos: false initially)
@@ -158,315 +502,1244 @@ const App = () => {
         saveToPhotos: false,
       },
       async (response) => {
-        if (response.didCancel) {return;}
+        if (response.didCancel) {
+          onNone();
+          return;
+        }
         if (response.errorCode) {
-          Alert.alert('Greška kamere', response.errorMessage || 'Nepoznata greška');
+          onNone();
+          Alert.alert(t('main.cameraError'), response.errorMessage || t('common.unknownError'));
           return;
         }
         if (response.assets && response.assets.length > 0) {
-          const asset = response.assets[0];
-          setImageUri(asset.uri);
-          setImageSource('camera');
-          await processImageAndLocation(asset.uri);
+          await onAssets(response.assets);
+        } else {
+          onNone();
         }
       }
     );
   };
 
-  // Handle selecting an image from the gallery
-  const handleSelectFromGallery = async () => {
-    setSaveStatus(null);
-    setCopyStatus(null);
-    setExtractedText('');
-    setLocation(null);
-    setImageUri(null);
-    setImageSource(null);
-
-    // Request storage permission (Android, for gallery access)
-    if (Platform.OS === 'android') {
-      const storageGranted = await requestAndroidPermission(
-        PermissionsAndroid.PERMISSIONS.READ_EXTERNAL_STORAGE,
-        {
-          title: 'Dozvola za skladištenje',
-          message: 'Aplikacija zahteva pristup vašoj galeriji.',
-          buttonPositive: 'U redu',
-        }
-      );
-      if (!storageGranted) {
-        Alert.alert('Dozvola odbijena', 'Potrebna je dozvola za skladištenje.');
-        return;
-      }
-    }
+  // Launch the image library and hand the picked assets to onAssets (selectionLimit 0 = no limit).
+  // It is the system photo picker, which needs no media permission of its own
+  const launchGalleryPicker = async (onAssets, selectionLimit, onNone = () => {}) => {
+    // Android 10+ strips GPS from picked images without media read + media location (Android 14's
+    // "selected photos only" counts as a no); scans then fall back to the device position
+    await ensurePermission('mediaLocation', { quiet: true });
 
-    // Launch image library
+    // Launch image library; includeExtra adds the capture timestamp to each asset
     launchImageLibrary(
       {
         mediaType: 'photo',
+        selectionLimit,
+        includeExtra: true,
       },
       async (response) => {
-        if (response.didCancel) {return;}
+        if (response.didCancel) {
+          onNone();
+          return;
+        }
         if (response.errorCode) {
-          Alert.alert('Greška galerije', response.errorMessage || 'Nepoznata greška');
+          onNone();
+          Alert.alert(t('main.galleryError'), response.errorMessage || t('common.unknownError'));
           return;
         }
         if (response.assets && response.assets.length > 0) {
-          const asset = response.assets[0];
-          setImageUri(asset.uri);
-          setImageSource('gallery');
-          await processImageAndLocation(asset.uri);
+          await onAssets(response.assets);
+        } else {
+          onNone();
         }
       }
     );
   };
 
-  // Process image: get location, then OCR
-  const processImageAndLocation = async (uri) => {
-    setLoading(true);
-    setExtractedText('');
-    setLocation(null);
+  // Show a single captured/picked image and process it as `scan`; resolves with the stored record, if any
+  const scanSingleAsset = async (asset, source, scan) => {
+    if (!scan.isCurrent()) {return null;}
+    setImageUri(asset.uri);
+    setImageSource(source);
+    const size = assetSize(asset);
+    setImageSize(size);
+    return processImageAndLocation(asset.uri, source, size, asset.timestamp, scan);
+  };
+
+  // Scan gallery images as `scan`: one directly, several through the batch queue
+  // (onStored receives the stored record of a single image)
+  const scanGalleryAssets = (assets, scan, onStored = () => {}) => {
+    if (assets.length === 1) {return scanSingleAsset(assets[0], 'gallery', scan).then(onStored);}
+    // The batch queue tracks its own progress
+    scan.cancel();
+    return startBatch(assets);
+  };
+
+  // Take a photo with the camera and scan it; onStored receives the stored record
+  const takePhoto = async (onStored = () => {}) => {
+    if (documentMode) {
+      await launchCameraCapture((assets) => addDocumentPages(assets, 'camera'));
+      return;
+    }
+    resetScan();
+    const scan = scanSession.begin('acquiring');
+    await launchCameraCapture((assets) => scanSingleAsset(assets[0], 'camera', scan).then(onStored), scan.cancel);
+  };
 
-    // 1. Get geolocation
-    let loc = null;
+  // Pick images from the gallery and scan them; with onStored only one image can be picked
+  const pickFromGallery = async (onStored) => {
+    if (documentMode) {
+      await launchGalleryPicker((assets) => addDocumentPages(assets, 'gallery'), 0);
+      return;
+    }
+    resetScan();
+    const scan = scanSession.begin('acquiring');
+    await launchGalleryPicker((assets) => scanGalleryAssets(assets, scan, onStored), onStored ? 1 : 0, scan.cancel);
+  };
+
+  const handleTakePhoto = () => takePhoto();
+
+  const handleSelectFromGallery = () => pickFromGallery();
+
+  // Run a scan asked for by another app (see src/scan/incomingLinks.js). Shared images count as
+  // gallery images; with exportFormat (scan links only) a single stored scan is exported and shared when done
+  const runIncomingJob = async (job) => {
+    setScreen('scan');
+    const onStored = job.exportFormat ? (entry) => entry && handleExportScans([entry], job.exportFormat) : undefined;
+    if (job.kind === 'scan') {
+      await (job.source === 'camera' ? takePhoto(onStored) : pickFromGallery(onStored));
+      return;
+    }
+    let assets;
     try {
-      // Request location permission
-      if (Platform.OS === 'android') {
-        const locGranted = await requestAndroidPermission(
-          PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-          {
-            title: 'Dozvola za lokaciju',
-            message: 'Aplikacija zahteva vašu lokaciju za označavanje skeniranja.',
-            buttonPositive: 'U redu',
-          }
-        );
-        if (!locGranted) {throw new Error('Dozvola za lokaciju je odbijena');}
-      }
-      if (Platform.OS === 'ios') {
-        // iOS: Geolocation permission is handled by Info.plist
+      assets = await Promise.all(job.uris.map(async (uri, index) => ({ uri: await importSharedImage(uri, index) })));
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.sharedImage', { reason: err.message || t('common.unknownError') }));
+      return;
+    }
+    if (documentMode) {
+      await addDocumentPages(assets, 'gallery');
+      return;
+    }
+    resetScan();
+    await scanGalleryAssets(assets, scanSession.begin('acquiring'), onStored);
+  };
+  runIncomingJobRef.current = runIncomingJob;
+
+  // Get the current position as { location, source }, or null if permission is denied or no fix is available.
+  // Scans ask quietly (a declined permission is not asked for on every scan); Nearby asks out loud
+  const requestLocation = async ({ quiet = true } = {}) => {
+    if (!(await ensurePermission('location', { quiet }))) {return null;}
+    return getCurrentLocation();
+  };
+
+  // Helper: requestLocation that asks for permission and a fix only once, for several images
+  const sharedLocationRequest = () => {
+    let pending = null;
+    return () => {
+      pending = pending || requestLocation();
+      return pending;
+    };
+  };
+
+  // Helper: Receipt/invoice fields of recognized text, or null when it does not look like one
+  const receiptFieldsOf = (text, stored) => {
+    const fields = extractReceiptFields(text, stored);
+    return hasReceiptFields(fields) ? fields : null;
+  };
+
+  // Helper: Contact of a business card, or null when the text does not look like one
+  const contactOf = (text) => {
+    const found = extractContact(text);
+    return looksLikeBusinessCard(found, text) ? found : null;
+  };
+
+  // Helper: Fields extracted after OCR, for single and batch scans alike. They are read from the
+  // raw lines (post-processing may have reflowed them), and a receipt is never a business card
+  const extractedFieldsOf = (raw, stored) => {
+    const receipt = receiptFieldsOf(raw, stored);
+    return { receiptFields: receipt, contact: receipt ? null : contactOf(raw) };
+  };
+
+  // Helper: Merge `patch` into the stored scan on screen; resolves false if saving failed
+  // (errorKey: the message shown then, with the reason as {reason})
+  const updateCurrentScan = async (patch, errorKey) => {
+    if (!currentScan) {return true;}
+    try {
+      const updated = await updateScan(currentScan.id, patch);
+      if (updated) {
+        setCurrentScan(updated);
+        setHistory((prev) => prev.map((entry) => (entry.id === updated.id ? updated : entry)));
+        // The server replaces its copy by the scan id
+        queueSync([updated.id]);
       }
-      await new Promise((resolve, reject) => {
-        Geolocation.getCurrentPosition(
-          (position) => {
-            loc = {
-              latitude: position.coords.latitude,
-              longitude: position.coords.longitude,
-            };
-            setLocation(loc);
-            resolve();
-          },
-          (error) => {
-            setLocation(null);
-            resolve(); // Continue even if location fails
-          },
-          { enableHighAccuracy: true, timeout: 10000, maximumAge: 10000 }
-        );
+      return true;
+    } catch (err) {
+      Alert.alert(t('common.error'), t(errorKey, { reason: err.message || t('common.unknownError') }));
+      return false;
+    }
+  };
+
+  // Make `text` the current revision of the scan on screen; Copy, Share and Save then use it
+  const saveTextRevision = (text, kind, patch = {}) => {
+    const revisions = addRevision(scanRevisions(currentScan), text, kind);
+    setExtractedText(text);
+    setShowRawText(false);
+    setSelectedKeys([]);
+    return updateCurrentScan({ ...patch, extractedText: text, revisions }, 'main.errors.saveText');
+  };
+
+  const handleSaveEdit = async (text) => {
+    const saved = await saveTextRevision(text, 'edit');
+    if (saved) {setEditingText(false);}
+    return saved;
+  };
+
+  // The current text stays in the revision list, so reverting can be undone
+  const handleRevertToRaw = () => {
+    Alert.alert(t('main.rawText'), t('main.revertToRawQuestion'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('main.revert'), onPress: () => saveTextRevision(rawText, 'raw') },
+    ]);
+  };
+
+  const handleRestoreRevision = (revision) => saveTextRevision(revision.text, 'restore');
+
+  // Mask the sensitive values in the current text; the unmasked text stays among the revisions
+  const handleMaskText = () => saveTextRevision(redactText(extractedText), 'redact');
+
+  // Recognize the image again (e.g. after changing the script or engine); edits stay among the revisions
+  const handleRecognizeAgain = async () => {
+    const script = settings.recognitionScript;
+    const engines = await ocrEngines();
+    setLoading(true);
+    try {
+      const recognized = await recognizeImage(imageUri, script, pipelineFromSettings(settings), engines);
+      setRawText(recognized.rawText);
+      setOcrResult(recognized.ocrResult);
+      await saveTextRevision(recognized.text, 'ocr', {
+        rawText: recognized.rawText,
+        ocrResult: recognized.ocrResult,
+        recognitionScript: script,
       });
     } catch (err) {
-      setLocation(null);
+      Alert.alert(t('common.error'), new ScanError('ocrFailed', err).message);
+    } finally {
+      setLoading(false);
     }
+  };
 
-    // 2. Perform OCR
+  // Recognize an adjusted copy of the image on screen; it becomes the scan's image, the photo as taken is kept
+  const handleApplyAdjustments = async (options) => {
+    const script = settings.recognitionScript;
+    const engines = await ocrEngines();
+    setLoading(true);
     try {
-      const result = await TextRecognition.recognize(uri);
-      if (result && result.text) {
-        setExtractedText(result.text.trim() ? result.text : 'Nije pronađen tekst.');
-      } else {
-        setExtractedText('Nije pronađen tekst.');
+      const adjusted = await writeAdjustedImage(imageUri, options);
+      const checked = await checkImageQuality(adjusted.uri, { quick: true });
+      const recognized = await recognizeImage(adjusted.uri, script, pipelineFromSettings(settings), engines);
+      let shown = { imageUri: adjusted.uri, originalImageUri: originalImageUri || imageUri };
+      if (currentScan) {
+        const updated = await replaceScanImage(currentScan.id, adjusted.uri, {
+          extractedText: recognized.text,
+          rawText: recognized.rawText,
+          ocrResult: recognized.ocrResult,
+          recognitionScript: script,
+          revisions: addRevision(scanRevisions(currentScan), recognized.text, 'ocr'),
+          imageSize: adjusted.size,
+          quality: checked,
+          adjustments: options,
+        });
+        shown = await openScanImages(updated);
+        discardAdjustedImage(adjusted.uri);
+        setCurrentScan(updated);
+        setHistory((prev) => prev.map((entry) => (entry.id === updated.id ? updated : entry)));
+        queueSync([updated.id]);
       }
+      setImageUri(shown.imageUri);
+      setOriginalImageUri(shown.originalImageUri);
+      setImageSize(adjusted.size);
+      setOcrResult(recognized.ocrResult);
+      setRawText(recognized.rawText);
+      setExtractedText(recognized.text);
+      setShowRawText(false);
+      setSelectedKeys([]);
+      setQuality(checked);
+      setQualityDismissed(false);
+      setAdjusting(false);
     } catch (err) {
-      setExtractedText('OCR nije uspeo: ' + (err.message || 'Nepoznata greška'));
+      Alert.alert(t('common.error'), t('main.errors.adjustImage', { reason: err.message || t('common.unknownError') }));
+    } finally {
+      setLoading(false);
     }
+  };
+
+  // Check the whole image on screen for blur, exposure and orientation and keep the result with the scan.
+  // This decodes the whole JPEG in JavaScript, seconds for a phone photo, so it only runs when asked for
+  const handleCheckQuality = async () => {
+    setLoading(true);
+    try {
+      const checked = await checkImageQuality(imageUri);
+      if (!checked) {
+        Alert.alert(t('quality.title'), t('quality.unavailable'));
+        return;
+      }
+      setQuality(checked);
+      setQualityDismissed(false);
+      await updateCurrentScan({ quality: checked }, 'main.errors.saveQuality');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Store edited receipt fields on the scan on screen
+  const handleSaveReceiptFields = (fields) => {
+    setReceiptFields(fields);
+    return updateCurrentScan({ receiptFields: fields }, 'main.errors.saveReceiptFields');
+  };
+
+  // Store the reviewed contact on the scan on screen
+  const handleSaveContact = (edited) => {
+    setContact(edited);
+    return updateCurrentScan({ contact: edited }, 'main.errors.saveContact');
+  };
+
+  // Write the contact as a .vcf file and offer it through Share
+  const handleExportContact = async (edited) => {
+    if (!(await confirmVaultExport())) {return;}
+    try {
+      const filePath = await exportContactAsVCard(edited);
+      setSaveStatus({ key: 'main.savedContact', params: { path: filePath } });
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.exportContact', { reason: err.message || t('common.unknownError') }));
+    }
+  };
+
+  // Look for a table in the OCR result and open it in the grid editor
+  const handleDetectTable = () => {
+    const detected = detectTable(ocrResult);
+    if (!detected) {
+      Alert.alert(t('table.title'), t('table.notFound'));
+      return;
+    }
+    setTable(detected);
+  };
+
+  // Keep the corrected table with the scan
+  const handleSaveTable = (edited) => {
+    setTable(edited);
+    return updateCurrentScan({ table: edited }, 'main.errors.saveTable');
+  };
+
+  // Write the table as CSV or .xlsx and offer it through Share
+  const handleExportTable = async (edited, format) => {
+    if (!(await confirmVaultExport())) {return;}
+    try {
+      const filePath = await exportTable(edited, format, t('table.sheetName'));
+      setSaveStatus({ key: 'main.savedTable', params: { path: filePath } });
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.exportTable', { reason: err.message || t('common.unknownError') }));
+    }
+  };
+
+  // Stop waiting for the scan in progress and clear the screen; its late results are discarded
+  const handleCancelScan = () => {
+    scanSession.cancel();
+    resetScan();
+  };
+
+  // Process image as `scan`: locate it while OCR runs, then store the scan in history.
+  // Once the scan is outdated (a newer scan started, or the user cancelled) its results are dropped.
+  // Resolves with the stored record of a scan still on screen, else null
+  const processImageAndLocation = async (uri, source, size, pickerTimestamp = null, scan = scanSession.begin('locating')) => {
+    setExtractedText('');
+    setRawText('');
+    setShowRawText(false);
+    setLocation(null);
+    setLocationSource(null);
+    setReceiptFields(null);
+    setContact(null);
+    setBarcodes([]);
+    setTable(null);
+    setQuality(null);
+    setQualityDismissed(false);
+    setAdjusting(false);
+    setOriginalImageUri(null);
+
+    // 1. Start geolocation (EXIF for gallery images, else the device position); it never rejects
+    scan.setPhase('locating');
+    const locating = resolveScanLocation({ uri, source, pickerTimestamp }, requestLocation);
+    // Barcodes are read alongside; an image without readable codes just has none
+    const barcodeScan = scanBarcodes(uri).catch(() => []);
+
+    // 2. Check the photo first (the quick check, see src/image/preprocess.js), so the warning is
+    // up while OCR runs and a bad photo can be retaken at once; the check itself never rejects
+    let checked = null;
+    try {
+      checked = await scan.track(checkImageQuality(uri, { quick: true }));
+    } catch (err) {
+      // Only an outdated scan ends up here
+      return null;
+    }
+    setQuality(checked);
+
+    // 3. Perform OCR with the configured script
+    scan.setPhase('recognizing');
+    const script = settings.recognitionScript;
+    let text = '';
+    let raw = '';
+    let stored = null;
+    let receipt = null;
+    let card = null;
+    let found = [];
+    let ocrError = null;
+    try {
+      const engines = await scan.track(ocrEngines());
+      const recognized = await scan.track(recognizeImage(uri, script, pipelineFromSettings(settings), engines));
+      text = recognized.text;
+      raw = recognized.rawText;
+      stored = recognized.ocrResult;
+      ({ receiptFields: receipt, contact: card } = extractedFieldsOf(raw, stored));
+      found = await scan.track(barcodeScan);
+      setOcrResult(stored);
+      setExtractedText(text);
+      setRawText(raw);
+      setReceiptFields(receipt);
+      setContact(card);
+      setBarcodes(found);
+    } catch (err) {
+      if (isScanDiscarded(err)) {return null;}
+      ocrError = new ScanError('ocrFailed', err);
+    }
+
+    // 4. The position usually arrived during OCR
+    scan.setPhase('locating');
+    let located;
+    try {
+      located = await scan.track(locating);
+    } catch (err) {
+      // Only an outdated scan ends up here
+      return null;
+    }
+    const { location: loc, locationSource: locSource, capturedAt } = located;
+    setLocation(loc);
+    setLocationSource(locSource);
+    if (ocrError) {
+      scan.fail(ocrError);
+      return null;
+    }
+
+    // 5. Add scan to history (uses the local values, not the not-yet-updated state).
+    // A scan cancelled while being stored is kept in history, just not shown
+    let entry = null;
+    try {
+      entry = await addScan({
+        imageUri: uri,
+        source,
+        extractedText: text,
+        rawText: raw,
+        ocrResult: stored,
+        recognitionScript: script,
+        imageSize: size,
+        location: loc,
+        locationSource: locSource,
+        capturedAt,
+        receiptFields: receipt,
+        contact: card,
+        barcodes: found,
+        quality: checked,
+      });
+      setHistory((prev) => [entry, ...prev]);
+      queueSync([entry.id]);
+      if (scan.isCurrent()) {setCurrentScan(entry);}
+    } catch (err) {
+      if (scan.isCurrent()) {Alert.alert(t('common.error'), new ScanError('saveFailed', err).message);}
+    }
+    scan.finish();
+    return scan.isCurrent() ? entry : null;
+  };
+
+  // OCR several gallery images through the batch queue; each result becomes a scan record
+  const startBatch = async (assets) => {
+    const script = settings.recognitionScript;
+    const textOptions = pipelineFromSettings(settings);
+    // Asked once for the whole batch
+    const engines = await ocrEngines();
+    // At most one device fix for the whole batch, taken only for images without EXIF GPS
+    const liveLocation = sharedLocationRequest();
+    const queue = createBatchQueue(
+      assets.map((asset) => ({
+        uri: asset.uri,
+        size: asset.width && asset.height ? { width: asset.width, height: asset.height } : null,
+        pickerTimestamp: asset.timestamp || null,
+      })),
+      {
+        concurrency: BATCH_CONCURRENCY,
+        onChange: setBatchItems,
+        worker: async (item) => {
+          const locating = resolveScanLocation({ uri: item.uri, source: 'gallery', pickerTimestamp: item.pickerTimestamp }, liveLocation);
+          const barcodeScan = scanBarcodes(item.uri).catch(() => []);
+          const { text, rawText: raw, ocrResult: stored } = await recognizeImage(item.uri, script, textOptions, engines);
+          const { location: loc, locationSource: locSource, capturedAt } = await locating;
+          const entry = await addScan({
+            imageUri: item.uri,
+            source: 'gallery',
+            extractedText: text,
+            rawText: raw,
+            ocrResult: stored,
+            recognitionScript: script,
+            imageSize: item.size,
+            location: loc,
+            locationSource: locSource,
+            capturedAt,
+            ...extractedFieldsOf(raw, stored),
+            barcodes: await barcodeScan,
+          });
+          setHistory((prev) => [entry, ...prev]);
+          queueSync([entry.id]);
+          return { scanId: entry.id, text, entry };
+        },
+      },
+    );
+    batchQueue.current = queue;
+    queue.start();
+  };
+
+  const handleDismissBatch = () => {
+    batchQueue.current = null;
+    setBatchItems(null);
+  };
+
+  // OCR captured images into document pages; with replacePageId the first image re-captures that page
+  const addDocumentPages = async (assets, source, replacePageId = null) => {
+    const script = settings.recognitionScript;
+    const engines = await ocrEngines();
+    setLoading(true);
+    const liveLocation = sharedLocationRequest();
+    const pages = [];
+    for (const asset of assets) {
+      const locating = resolveScanLocation({ uri: asset.uri, source, pickerTimestamp: asset.timestamp }, liveLocation);
+      let page = {
+        id: createPageId(),
+        imageUri: asset.uri,
+        imageSize: assetSize(asset),
+        source,
+        extractedText: '',
+        rawText: '',
+        ocrResult: null,
+      };
+      try {
+        const { text, rawText: raw, ocrResult: stored } = await recognizeImage(asset.uri, script, pipelineFromSettings(settings), engines);
+        page = { ...page, extractedText: text, rawText: raw, ocrResult: stored };
+      } catch (err) {
+        Alert.alert(t('common.error'), new ScanError('ocrFailed', err).message);
+      }
+      const { location: loc, locationSource: locSource, capturedAt } = await locating;
+      pages.push({ ...page, location: loc, locationSource: locSource, capturedAt });
+    }
+    setDocumentPages((prev) => (replacePageId ? replacePage(prev, replacePageId, pages[0]) : addPages(prev, pages)));
     setLoading(false);
+  };
 
-    // Add scan to history
-    setHistory((prev) => [
+  // Replace one page with a new camera or gallery image
+  const handleRecapturePage = (pageId) => {
+    Alert.alert(t('main.recaptureTitle'), t('main.recaptureMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
       {
-        imageUri: uri,
-        extractedText,
-        location,
-        timestamp: new Date().toISOString(),
+        text: t('main.camera'),
+        onPress: () => launchCameraCapture((assets) => addDocumentPages(assets, 'camera', pageId)),
+      },
+      {
+        text: t('main.gallery'),
+        onPress: () => launchGalleryPicker((assets) => addDocumentPages(assets, 'gallery', pageId), 1),
       },
-      ...prev,
     ]);
-};
+  };
+
+  // Store the document as one history entry; re-saving replaces the earlier entry
+  const handleSaveDocument = async () => {
+    try {
+      const located = documentPages.find((page) => page.location);
+      const fields = {
+        source: documentPages[0].source,
+        extractedText: combinedText(documentPages),
+        recognitionScript: settings.recognitionScript,
+        location: located ? located.location : null,
+        locationSource: located ? located.locationSource : 'none',
+      };
+      const saved = documentScanId && history.find((item) => item.id === documentScanId);
+      let entry;
+      if (saved) {
+        // Saving again updates the record in place: same id, its revisions go on, and it is sent again
+        entry = await replaceScanPages(documentScanId, documentPages, {
+          ...fields,
+          rawText: fields.extractedText,
+          revisions: addRevision(scanRevisions(saved), fields.extractedText, 'edit'),
+        });
+        setHistory((prev) => prev.map((item) => (item.id === entry.id ? entry : item)));
+      } else {
+        entry = await addScan({ ...fields, imageUri: documentPages[0].imageUri, pages: documentPages });
+        setHistory((prev) => [entry, ...prev]);
+      }
+      queueSync([entry.id]);
+      setDocumentScanId(entry.id);
+      setDocumentPages((await openScanImages(entry)).pages);
+      setCurrentScan(entry);
+      Alert.alert(t('common.success'), t('main.documentSaved'));
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.saveDocument', { reason: err.message || t('common.unknownError') }));
+    }
+  };
+
+  const clearDocument = () => {
+    setDocumentPages([]);
+    setDocumentScanId(null);
+  };
+
+  const handleNewDocument = () => {
+    if (documentPages.length === 0) {return;}
+    Alert.alert(t('main.newDocumentTitle'), t('main.newDocumentMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('main.continue'), onPress: clearDocument },
+    ]);
+  };
+
+  const handleToggleDocumentMode = () => {
+    resetScan();
+    clearDocument();
+    setDocumentMode((prev) => !prev);
+  };
+
+  // Reopen a scan from history; vault images are shown through decrypted copies
+  const handleOpenScan = async (stored) => {
+    let entry = stored;
+    try {
+      entry = await openScanImages(stored);
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.openImage', { reason: err.message || t('common.unknownError') }));
+    }
+    setSaveStatus(null);
+    setCopyStatus(null);
+    // Documents reopen as an editable document session
+    if (entry.pages) {
+      resetScan();
+      setDocumentMode(true);
+      setDocumentPages(entry.pages);
+      setDocumentScanId(entry.id);
+      setCurrentScan(stored);
+      setScreen('scan');
+      return;
+    }
+    // A scan still running would overwrite the opened one
+    scanSession.reset();
+    setDocumentMode(false);
+    clearDocument();
+    setImageUri(entry.imageUri);
+    setImageSource(entry.source);
+    setExtractedText(entry.extractedText || '');
+    setRawText(entry.rawText || '');
+    setShowRawText(false);
+    setOcrResult(entry.ocrResult || null);
+    setImageSize(entry.imageSize || null);
+    setSelectedKeys([]);
+    setTextScript('original');
+    setLocation(entry.location);
+    // Scans stored before sources were recorded had live fixes only
+    setLocationSource(entry.locationSource || (entry.location ? 'live' : 'none'));
+    setCurrentScan(stored);
+    setReceiptFields(entry.receiptFields || null);
+    setContact(entry.contact || null);
+    setBarcodes(entry.barcodes || []);
+    setTable(entry.table || null);
+    setQuality(entry.quality || null);
+    setQualityDismissed(false);
+    setAdjusting(false);
+    setOriginalImageUri(entry.originalImageUri || null);
+    setEditingText(false);
+    setRevisionsVisible(false);
+    setScreen('scan');
+  };
+
+  // Delete one or more scans from history
+  const handleDeleteScans = async (ids) => {
+    try {
+      setHistory(await deleteScans(ids));
+      forgetSync(ids);
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.delete', { reason: err.message || t('common.unknownError') }));
+    }
+  };
+
+  // Overlay boxes at the current selection level, in reading order
+  const overlayItems = useMemo(() => selectableItems(ocrResult, selectionLevel), [ocrResult, selectionLevel]);
+
+  // Text the share/copy/save actions work on: the whole document in document mode,
+  // otherwise the overlay selection or everything, in the chosen transliteration
+  const scanText = showRawText && rawText ? rawText : extractedText;
+  const displayText = transliterate(documentMode ? combinedText(documentPages) : scanText, textScript);
+  let actionText = displayText;
+  if (documentMode && documentPages.length === 0) {
+    actionText = '';
+  } else if (!documentMode && selectedKeys.length > 0) {
+    actionText = transliterate(selectionText(overlayItems, selectedKeys), textScript);
+  }
+
+  const textMatches = useMemo(() => findSensitive(extractedText), [extractedText]);
+  // The scan's text section: recognized text, "no text" once a scan found none, or why it failed
+  const scanFailed = scanState.phase === 'failed';
+  const textSectionVisible = extractedText !== '' || scanFailed || Boolean(currentScan && !documentMode);
+  const imageFrames = useMemo(() => sensitiveFrames(ocrResult), [ocrResult]);
+
+  const handleSelectionLevel = (level) => {
+    setSelectionLevel(level);
+    setSelectedKeys([]);
+  };
 
   // Save photo to gallery (only for camera images)
   const handleSavePhoto = async () => {
     if (!imageUri || imageSource !== 'camera') {return;}
+    if (!(await confirmVaultExport(t('main.vaultExport.photo')))) {return;}
     setSaveStatus(null);
 
     try {
-      // Request permission (Android)
-      if (Platform.OS === 'android') {
-        const writeGranted = await requestAndroidPermission(
-          PermissionsAndroid.PERMISSIONS.WRITE_EXTERNAL_STORAGE,
-          {
-            title: 'Storage Permission',
-            message: 'Aplikacija zahteva pristup skladištu za čuvanje fotografija.',
-            buttonPositive: 'U redu',
-          }
-        );
-        if (!writeGranted) {
-          Alert.alert('Dozvola odbijena', 'Potrebna je dozvola za skladištenje.');
-          return;
-        }
-      }
+      if (!(await ensurePermission('saveToGallery'))) {return;}
       await CameraRoll.save(imageUri, { type: 'photo' });
-      setSaveStatus('Photo saved to gallery.');
-      Alert.alert('Uspeh', 'Fotografija je sačuvana u galeriji.');
+      setSaveStatus({ key: 'main.photoSaved' });
+      Alert.alert(t('common.success'), t('main.photoSaved'));
     } catch (err) {
-      setSaveStatus('Failed to save photo.');
-      Alert.alert('Greška', 'Neuspešno čuvanje fotografije: ' + (err.message || 'Nepoznata greška'));
+      setSaveStatus({ key: 'main.photoNotSaved' });
+      Alert.alert(t('common.error'), t('main.errors.savePhoto', { reason: err.message || t('common.unknownError') }));
     }
   };
 
+  // What to do with sensitive values about to leave the app, per the policy in settings:
+  // resolves with 'redact', 'send' (unchanged) or null when the user cancels
+  const sensitiveDecision = (matches) => {
+    if (matches.length === 0 || settings.sensitivePolicy === 'allow') {return Promise.resolve('send');}
+    if (settings.sensitivePolicy === 'redact') {return Promise.resolve('redact');}
+    return new Promise((resolve) => {
+      Alert.alert(
+        t('privacy.title'),
+        t('privacy.contains', { types: describeSensitive(matches) }),
+        [
+          { text: t('common.cancel'), style: 'cancel', onPress: () => resolve(null) },
+          { text: t('privacy.sendMasked'), onPress: () => resolve('redact') },
+          { text: t('privacy.sendUnchanged'), onPress: () => resolve('send') },
+        ],
+        { cancelable: true, onDismiss: () => resolve(null) },
+      );
+    });
+  };
+
+  // `text` as it may leave the app, or null when the user cancels
+  const outboundText = async (text) => {
+    const matches = findSensitive(text);
+    const decision = await sensitiveDecision(matches);
+    if (decision === null) {return null;}
+    return decision === 'redact' ? redactText(text, matches) : text;
+  };
+
   // Share extracted text
   const handleShareText = async () => {
-    if (!extractedText || extractedText.startsWith('No text') || extractedText.startsWith('OCR failed')) {return;}
+    if (!actionText) {return;}
     try {
-      await Share.share({ message: extractedText });
+      const text = await outboundText(actionText);
+      if (text === null) {return;}
+      await Share.share({ message: text });
     } catch (err) {
-      Alert.alert('Greška', 'Neuspešno deljenje teksta: ' + (err.message || 'Nepoznata greška'));
+      Alert.alert(t('common.error'), t('main.errors.shareText', { reason: err.message || t('common.unknownError') }));
     }
   };
 
   // Copy extracted text to clipboard
-  const handleCopyText = () => {
-    if (!extractedText || extractedText.startsWith('No text') || extractedText.startsWith('OCR failed')) {return;}
-    Clipboard.setString(extractedText);
-    setCopyStatus('Kopirano!');
+  const handleCopyText = async () => {
+    if (!actionText) {return;}
+    const text = await outboundText(actionText);
+    if (text === null) {return;}
+    Clipboard.setString(text);
+    setCopyStatus('main.copied');
     setTimeout(() => setCopyStatus(null), 1500);
   };
 
   // Save extracted text to file
   const handleSaveTextToFile = async () => {
-    if (!extractedText || extractedText.startsWith('No text') || extractedText.startsWith('OCR failed')) {return;}
+    if (!actionText) {return;}
     setSaveStatus(null);
 
     try {
-      let dir = RNFS.DocumentDirectoryPath;
-      let filePath = '';
-      if (Platform.OS === 'android') {
-        const apiLevel = Platform.Version;
-        if (RNFS.DownloadDirectoryPath) {
-          // Try to use Downloads if available and permission is granted
-          let writeGranted = true;
-          if (apiLevel < 30) {
-            writeGranted = await requestAndroidPermission(
-              PermissionsAndroid.PERMISSIONS.WRITE_EXTERNAL_STORAGE,
-              {
-                title: 'Dozvola za skladištenje',
-                message: 'Aplikacija zahteva pristup skladištu za čuvanje fajlova u Preuzimanja.',
-                buttonPositive: 'U redu',
-              }
-            );
-          }
-          if (writeGranted) {
-            dir = RNFS.DownloadDirectoryPath;
-          } else if (RNFS.ExternalDirectoryPath) {
-            // Use external app folder if permission denied
-            dir = RNFS.ExternalDirectoryPath;
-          } else {
-            // Fallback to app-private directory
-            dir = RNFS.DocumentDirectoryPath;
-          }
-        } else if (RNFS.ExternalDirectoryPath) {
-          // Use external app folder if Downloads is not available
-          dir = RNFS.ExternalDirectoryPath;
-        } else {
-          // Fallback to app-private directory
-          dir = RNFS.DocumentDirectoryPath;
-        }
-      }
-      filePath = `${dir}/ocr_result_${Date.now()}.txt`;
-      await RNFS.writeFile(filePath, extractedText, 'utf8');
-      setSaveStatus(`Tekst je sačuvan u fajl:\n${filePath}`);
-      Alert.alert('Uspeh', `Tekst je sačuvan u fajl:\n${filePath}`);
+      const withFields = receiptFields && !documentMode && selectedKeys.length === 0;
+      const content = await outboundText(
+        withFields ? `${actionText}\n\n${receiptFieldsToText(receiptFields)}\n` : actionText,
+      );
+      if (content === null || !(await confirmVaultExport())) {return;}
+      const filePath = await writeExportFile(`ocr_result_${Date.now()}.txt`, content);
+      setSaveStatus({ key: 'main.savedText', params: { path: filePath } });
+      Alert.alert(t('common.success'), t('main.savedText', { path: filePath }));
     } catch (err) {
-      setSaveStatus('Neuspešno čuvanje teksta.');
-      Alert.alert('Greška', 'Neuspešno čuvanje teksta: ' + (err.message || 'Nepoznata greška'));
+      setSaveStatus({ key: 'main.textNotSaved' });
+      Alert.alert(t('common.error'), t('main.errors.saveText', { reason: err.message || t('common.unknownError') }));
+    }
+  };
+
+  // Export scans in the chosen format and offer the file through Share
+  const handleExportScans = async (scans, format) => {
+    try {
+      const decision = await sensitiveDecision(findSensitive(exportedText(scans, format)));
+      if (decision === null || !(await confirmVaultExport())) {return;}
+      const redact = decision === 'redact';
+      const filePath = await exportAndShareScans(scans, format, {
+        pdfFooter: settings.pdfFooter,
+        redact,
+        redactImages: redact && settings.redactImages,
+      });
+      setSaveStatus({ key: 'main.savedExport', params: { path: filePath } });
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.export', { reason: err.message || t('common.unknownError') }));
+    }
+  };
+
+  // Share a copy of the photo with the sensitive values blacked out
+  const handleShareMaskedImage = async () => {
+    if (!(await confirmVaultExport())) {return;}
+    setLoading(true);
+    try {
+      const filePath = await exportRedactedImage(imageUri, ocrResult);
+      setSaveStatus({ key: 'main.savedMaskedImage', params: { path: filePath } });
+      await shareExportedFile(filePath, null);
+    } catch (err) {
+      Alert.alert(t('common.error'), t('main.errors.maskImage', { reason: err.message || t('common.unknownError') }));
+    } finally {
+      setLoading(false);
     }
   };
 
   // UI rendering
-  return (
+  if (vault === 'locked') {
+    return <LockScreen onUnlock={handleUnlockVault} />;
+  }
+
+  // Touches anywhere count as activity for the vault's auto-lock
+  const trackActivity = (content) => (
+    <View style={styles.activityRoot} onTouchStart={() => touchVault()}>
+      {content}
+    </View>
+  );
+
+  if (screen === 'settings') {
+    return trackActivity(
+      <SettingsScreen
+        settings={settings}
+        onChange={handleSettingsChange}
+        vaultState={vault}
+        onOpenVault={() => setScreen('vault')}
+        onOpenPermissions={() => setScreen('permissions')}
+        onBack={() => setScreen('scan')}
+      />
+    );
+  }
+
+  if (screen === 'permissions') {
+    return trackActivity(<PermissionsScreen onBack={() => setScreen('settings')} />);
+  }
+
+  if (screen === 'vault') {
+    return trackActivity(
+      <VaultScreen
+        vaultState={vault}
+        onEnable={handleEnableVault}
+        onChangePasscode={handleChangeVaultPasscode}
+        onDisable={handleDisableVault}
+        onLock={() => lockVault()}
+        onBack={() => setScreen('settings')}
+      />
+    );
+  }
+
+  if (screen === 'history') {
+    return trackActivity(
+      <HistoryScreen
+        entries={history}
+        onOpen={handleOpenScan}
+        onDelete={handleDeleteScans}
+        onExport={handleExportScans}
+        syncStatus={syncConfig ? syncStatus : null}
+        onSyncAll={syncConfig ? handleSyncAll : null}
+        sealedImages={vault !== 'off'}
+        onBack={() => setScreen('scan')}
+      />
+    );
+  }
+
+  if (screen === 'nearby') {
+    return trackActivity(
+      <NearbyScreen
+        entries={history}
+        onOpen={handleOpenScan}
+        requestLocation={() => requestLocation({ quiet: false })}
+        sealedImages={vault !== 'off'}
+        onBack={() => setScreen('scan')}
+      />
+    );
+  }
+
+  // Transliteration choice shown under the extracted text
+  const scriptChips = (
+    <View style={styles.selectionRow}>
+      {['original', 'latin', 'cyrillic'].map((mode) => (
+        <TouchableOpacity
+          key={mode}
+          style={[styles.selectionChip, textScript === mode && styles.selectionChipActive]}
+          onPress={() => setTextScript(mode)}>
+          <Text style={textScript === mode ? styles.selectionChipTextActive : styles.selectionChipText}>
+            {t(`main.scripts.${mode}`)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return trackActivity(
     <ScrollView contentContainerStyle={styles.container}>
-      <Text style={styles.title}>OCR aplikacija sa geolokacijom, čuvanjem i deljenjem</Text>
+      <Text style={styles.title}>{t('main.title')}</Text>
       <View style={styles.buttonRow}>
         <TouchableOpacity style={styles.actionButtonFixed} onPress={handleTakePhoto}>
-          <Text style={styles.actionButtonTextFixed}>Fotografiši</Text>
+          <Text style={styles.actionButtonTextFixed}>{t('main.takePhoto')}</Text>
         </TouchableOpacity>
         <View style={styles.buttonSpacer} />
         <TouchableOpacity style={styles.actionButtonFixed} onPress={handleSelectFromGallery}>
-          <Text style={styles.actionButtonTextFixed}>Izaberi iz galerije</Text>
+          <Text style={styles.actionButtonTextFixed}>{t('main.pickFromGallery')}</Text>
         </TouchableOpacity>
       </View>
+      <View style={styles.linkRow}>
+        <TouchableOpacity style={styles.historyLink} onPress={() => setScreen('history')}>
+          <Text style={styles.historyLinkText}>{t('main.history', { count: history.length })}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.historyLink} onPress={() => setScreen('nearby')}>
+          <Text style={styles.historyLinkText}>{t('main.nearby')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.historyLink} onPress={() => setScreen('settings')}>
+          <Text style={styles.historyLinkText}>{t('settings.title')}</Text>
+        </TouchableOpacity>
+      </View>
+      <TouchableOpacity
+        style={[styles.selectionChip, styles.modeChip, documentMode && styles.selectionChipActive]}
+        onPress={handleToggleDocumentMode}>
+        <Text style={documentMode ? styles.selectionChipTextActive : styles.selectionChipText}>
+          {t(documentMode ? 'main.documentModeOn' : 'main.documentModeOff')}
+        </Text>
+      </TouchableOpacity>
+
+      {batchItems && (
+        <BatchProgress
+          items={batchItems}
+          onCancel={() => batchQueue.current && batchQueue.current.cancel()}
+          onRetry={(id) => batchQueue.current && batchQueue.current.retry(id)}
+          onRetryFailed={() => batchQueue.current && batchQueue.current.retryFailed()}
+          onOpen={(item) => handleOpenScan(item.result.entry)}
+          onDismiss={handleDismissBatch}
+        />
+      )}
 
-      {loading && (
+      {busy && (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#007AFF" />
-          <Text style={styles.loadingText}>Obrada u toku...</Text>
+          <Text style={styles.loadingText}>
+            {isScanActive(scanState) ? t(`scan.phases.${scanState.phase}`) : t('main.working')}
+          </Text>
+          {isScanActive(scanState) && (
+            <TouchableOpacity style={styles.selectionChip} onPress={handleCancelScan}>
+              <Text style={styles.selectionChipText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+          )}
         </View>
       )}
 
       {imageUri && (
         <View style={styles.resultSection}>
-          <Text style={styles.sectionTitle}>Slika:</Text>
-          <Image source={{ uri: imageUri }} style={styles.image} resizeMode="contain" />
+          <Text style={styles.sectionTitle}>{t('main.image')}</Text>
+          {ocrResult && ocrResult.blocks.length > 0 ? (
+            <>
+              <OcrOverlay
+                imageUri={imageUri}
+                imageSize={imageSize}
+                result={ocrResult}
+                level={selectionLevel}
+                selectedKeys={selectedKeys}
+                onSelectionChange={setSelectedKeys}
+              />
+              <View style={styles.selectionRow}>
+                {['word', 'line'].map((level) => (
+                  <TouchableOpacity
+                    key={level}
+                    style={[styles.selectionChip, selectionLevel === level && styles.selectionChipActive]}
+                    onPress={() => handleSelectionLevel(level)}>
+                    <Text style={selectionLevel === level ? styles.selectionChipTextActive : styles.selectionChipText}>
+                      {t(level === 'word' ? 'main.words' : 'main.lines')}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+                {selectedKeys.length > 0 && (
+                  <TouchableOpacity style={styles.selectionChip} onPress={() => setSelectedKeys([])}>
+                    <Text style={styles.selectionChipText}>{t('main.clearSelection', { count: selectedKeys.length })}</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              <Text style={styles.hint}>{t('main.selectionHint')}</Text>
+            </>
+          ) : (
+            <Image source={{ uri: imageUri }} style={styles.image} resizeMode="contain" />
+          )}
+          {originalImageUri && <Text style={styles.hint}>{t('adjust.adjusted')}</Text>}
+          {quality && quality.issues.length === 0 && (
+            <Text style={styles.hint}>{t(quality.partial ? 'quality.partialFine' : 'quality.fine')}</Text>
+          )}
+          {!busy && !adjusting && !documentMode && (!quality || quality.partial) && (
+            <TouchableOpacity style={styles.historyLink} onPress={handleCheckQuality}>
+              <Text style={styles.historyLinkText}>{t(quality ? 'main.checkWholePhoto' : 'main.checkQuality')}</Text>
+            </TouchableOpacity>
+          )}
+          {!busy && !adjusting && !documentMode && (
+            <TouchableOpacity style={styles.historyLink} onPress={() => setAdjusting(true)}>
+              <Text style={styles.historyLinkText}>{t('main.adjustImage')}</Text>
+            </TouchableOpacity>
+          )}
         </View>
       )}
 
-      {extractedText !== '' && (
+      {/* Shown as soon as the check is done, while OCR still runs */}
+      {imageUri && !documentMode && !adjusting && !qualityDismissed && quality && quality.issues.length > 0 && (
+        <QualityWarning
+          issues={quality.issues}
+          source={imageSource}
+          onRetake={imageSource === 'camera' ? handleTakePhoto : handleSelectFromGallery}
+          onAdjust={busy ? null : () => setAdjusting(true)}
+          onClose={() => setQualityDismissed(true)}
+        />
+      )}
+      {adjusting && imageUri && !documentMode && (
+        <ImageAdjustPanel
+          key={imageUri}
+          imageSize={imageSize}
+          ocrResult={ocrResult}
+          quality={quality}
+          onApply={handleApplyAdjustments}
+          onClose={() => setAdjusting(false)}
+        />
+      )}
+
+      {textSectionVisible && (
         <View style={styles.resultSection}>
-          <Text style={styles.sectionTitle}>Ekstrahovani tekst:</Text>
-          <Text style={styles.textBlock}>
-            {extractedText}
-          </Text>
+          <Text style={styles.sectionTitle}>{t('main.extractedText')}</Text>
+          {editingText ? (
+            <TextEditor
+              initialText={extractedText}
+              onSave={handleSaveEdit}
+              onCancel={() => setEditingText(false)}
+            />
+          ) : scanFailed ? (
+            <Text style={[styles.textBlock, styles.scanError]}>{scanState.error.message}</Text>
+          ) : displayText ? (
+            <HighlightedText text={displayText} style={styles.textBlock} />
+          ) : (
+            <Text style={styles.textBlock}>{t('scan.noText')}</Text>
+          )}
+          {currentScan && !documentMode && !editingText && !busy && (
+            <View style={styles.selectionRow}>
+              <TouchableOpacity style={styles.selectionChip} onPress={() => setEditingText(true)}>
+                <Text style={styles.selectionChipText}>{t('main.edit')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.selectionChip, revisionsVisible && styles.selectionChipActive]}
+                onPress={() => setRevisionsVisible(!revisionsVisible)}>
+                <Text style={revisionsVisible ? styles.selectionChipTextActive : styles.selectionChipText}>
+                  {t('main.revisions', { count: scanRevisions(currentScan).length })}
+                </Text>
+              </TouchableOpacity>
+              {rawText !== extractedText && (
+                <TouchableOpacity style={styles.selectionChip} onPress={handleRevertToRaw}>
+                  <Text style={styles.selectionChipText}>{t('main.revertToRaw')}</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={styles.selectionChip} onPress={handleRecognizeAgain}>
+                <Text style={styles.selectionChipText}>{t('main.recognizeAgain')}</Text>
+              </TouchableOpacity>
+              {textMatches.length > 0 && (
+                <TouchableOpacity style={styles.selectionChip} onPress={handleMaskText}>
+                  <Text style={styles.selectionChipText}>{t('main.mask', { count: textMatches.length })}</Text>
+                </TouchableOpacity>
+              )}
+              {imageFrames.length > 0 && (
+                <TouchableOpacity style={styles.selectionChip} onPress={handleShareMaskedImage}>
+                  <Text style={styles.selectionChipText}>{t('main.maskedImage')}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+          {engineSummary(ocrResult) && <Text style={styles.hint}>OCR: {engineSummary(ocrResult)}</Text>}
+          {syncConfig && currentScan && syncStatus[currentScan.id] && (
+            <Text style={styles.hint}>
+              {t('main.syncStatus', { status: t(`sync.status.${syncStatus[currentScan.id].status}`) })}
+            </Text>
+          )}
+          {extractedText !== '' && scriptChips}
+          {/* Post-processing changed the text: let the user compare with what ML Kit read */}
+          {rawText !== '' && rawText !== extractedText && (
+            <View style={styles.selectionRow}>
+              {[
+                { value: false, label: t('main.processedText') },
+                { value: true, label: t('main.rawText') },
+              ].map((mode) => (
+                <TouchableOpacity
+                  key={String(mode.value)}
+                  style={[styles.selectionChip, showRawText === mode.value && styles.selectionChipActive]}
+                  onPress={() => setShowRawText(mode.value)}>
+                  <Text style={showRawText === mode.value ? styles.selectionChipTextActive : styles.selectionChipText}>
+                    {mode.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+      )}
+
+      {revisionsVisible && currentScan && !documentMode && (
+        <RevisionHistory
+          key={currentScan.id}
+          revisions={scanRevisions(currentScan)}
+          onRestore={handleRestoreRevision}
+          onClose={() => setRevisionsVisible(false)}
+        />
+      )}
+
+      {barcodes.length > 0 && !documentMode && <BarcodeResults barcodes={barcodes} />}
+
+      {contact && !documentMode && (
+        <ContactForm
+          key={currentScan ? currentScan.id : 'unsaved'}
+          contact={contact}
+          onSave={handleSaveContact}
+          onExport={handleExportContact}
+          onClose={() => setContact(null)}
+        />
+      )}
+      {!contact && !documentMode && !busy && extractedText !== '' && (
+        <TouchableOpacity style={styles.historyLink} onPress={() => setContact(extractContact(rawText || extractedText))}>
+          <Text style={styles.historyLinkText}>{t('main.businessCard')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {table && !documentMode && (
+        <TableGrid
+          key={currentScan ? currentScan.id : 'unsaved'}
+          table={table}
+          onSave={handleSaveTable}
+          onExport={handleExportTable}
+          onClose={() => setTable(null)}
+        />
+      )}
+      {!table && !documentMode && !busy && ocrResult && extractedText !== '' && (
+        <TouchableOpacity style={styles.historyLink} onPress={handleDetectTable}>
+          <Text style={styles.historyLinkText}>{t('main.detectTable')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {receiptFields && !documentMode && (
+        <ReceiptFieldsForm
+          key={currentScan ? currentScan.id : 'unsaved'}
+          fields={receiptFields}
+          onSave={handleSaveReceiptFields}
+        />
+      )}
+
+      {documentMode && (
+        <DocumentPages
+          pages={documentPages}
+          busy={busy}
+          onMove={(pageId, delta) => setDocumentPages((prev) => movePage(prev, pageId, delta))}
+          onRemove={(pageId) => setDocumentPages((prev) => removePage(prev, pageId))}
+          onRecapture={handleRecapturePage}
+          onSave={handleSaveDocument}
+          onNew={handleNewDocument}
+        />
+      )}
+
+      {documentMode && documentPages.length > 0 && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>{t('main.documentText')}</Text>
+          <HighlightedText text={displayText} style={styles.textBlock} />
+          {scriptChips}
+        </View>
+      )}
+
+      {selectedKeys.length > 0 && (
+        <View style={styles.resultSection}>
+          <Text style={styles.sectionTitle}>{t('main.selectedText')}</Text>
+          <HighlightedText text={actionText} style={styles.textBlock} />
         </View>
       )}
 
       {location && (
         <View style={styles.resultSection}>
-          <Text style={styles.sectionTitle}>Lokacija:</Text>
+          <Text style={styles.sectionTitle}>{t('main.location')}</Text>
           <Text style={styles.textBlock}>
-            Geografska širina: {location.latitude}{'\n'}Geografska dužina: {location.longitude}
+            {formatCoordinates(location, 6)}
+            {location.accuracy != null ? `\n${t('main.accuracy', { meters: formatNumber(Math.round(location.accuracy)) })}` : ''}
+            {location.altitude != null ? `\n${t('main.altitude', { meters: formatNumber(Math.round(location.altitude)) })}` : ''}
+            {location.heading != null ? `\n${t('main.heading', { degrees: Math.round(location.heading) })}` : ''}
+            {location.fixTime ? `\n${t('main.fixTime', { time: formatDateTime(location.fixTime) })}` : ''}
+            {locationSource ? `\n${t('main.locationSource', { source: t(`location.sources.${locationSource}`) })}` : ''}
           </Text>
         </View>
       )}
-      {(!location && imageUri && !loading) && (
+      {(!location && imageUri && !busy) && (
         <View style={styles.resultSection}>
-          <Text style={styles.sectionTitle}>Lokacija:</Text>
-          <Text style={styles.textBlock}>Lokacija nije dostupna.</Text>
+          <Text style={styles.sectionTitle}>{t('main.location')}</Text>
+          <Text style={styles.textBlock}>{t('main.noLocation')}</Text>
         </View>
       )}
 
       {/* Save photo button (only for camera images) */}
       {imageUri && imageSource === 'camera' && (
         <TouchableOpacity style={styles.actionButton} onPress={handleSavePhoto}>
-          <Text style={styles.actionButtonText}>Sačuvaj fotografiju u galeriju</Text>
+          <Text style={styles.actionButtonText}>{t('main.savePhoto')}</Text>
         </TouchableOpacity>
       )}
 
       {/* Text actions: only if valid text */}
-      {extractedText && !extractedText.startsWith('No text') && !extractedText.startsWith('OCR failed') && (
+      {actionText !== '' && (
         <View style={styles.textActionsRow}>
           <TouchableOpacity style={styles.actionButtonFixed} onPress={handleShareText}>
-            <Text style={styles.actionButtonTextFixed}>Podeli tekst</Text>
+            <Text style={styles.actionButtonTextFixed}>{t('main.shareText')}</Text>
           </TouchableOpacity>
           <TouchableOpacity style={styles.actionButtonFixed} onPress={handleCopyText}>
-            <Text style={styles.actionButtonTextFixed}>Kopiraj tekst</Text>
+            <Text style={styles.actionButtonTextFixed}>{t('main.copyText')}</Text>
           </TouchableOpacity>
           <TouchableOpacity style={styles.actionButtonFixed} onPress={handleSaveTextToFile}>
-            <Text style={styles.actionButtonTextFixed}>Sačuvaj tekst u fajl</Text>
+            <Text style={styles.actionButtonTextFixed}>{t('main.saveText')}</Text>
           </TouchableOpacity>
         </View>
       )}
 
+      {/* Export of the scan on screen */}
+      {currentScan && (
+        <TouchableOpacity style={styles.historyLink} onPress={() => setExportPickerVisible(true)}>
+          <Text style={styles.historyLinkText}>{t('main.exportScan')}</Text>
+        </TouchableOpacity>
+      )}
+      <ExportFormatPicker
+        visible={exportPickerVisible}
+        title={t('export.formatTitle')}
+        onSelect={(format) => {
+          setExportPickerVisible(false);
+          handleExportScans([currentScan], format);
+        }}
+        onClose={() => setExportPickerVisible(false)}
+      />
+
       {/* Feedback messages */}
       {saveStatus && (
-        <Text style={styles.statusMessage}>{saveStatus && saveStatus.replace('Photo saved to gallery.', 'Fotografija je sačuvana u galeriji.').replace('Failed to save photo.', 'Neuspešno čuvanje fotografije.').replace('Text saved to file:', 'Tekst je sačuvan u fajl:').replace('Failed to save text.', 'Neuspešno čuvanje teksta.').replace('Permission Denied', 'Dozvola odbijena').replace('Saving to app-private storage instead.', 'Čuvanje u privatnu memoriju aplikacije.').replace('Storage permission is required.', 'Potrebna je dozvola za skladištenje.').replace('OCR failed', 'OCR nije uspeo')}</Text>
+        <Text style={styles.statusMessage}>{t(saveStatus.key, saveStatus.params)}</Text>
       )}
       {copyStatus && (
-        <Text style={styles.statusMessage}>{copyStatus && copyStatus.replace('Copied!', 'Kopirano!')}</Text>
+        <Text style={styles.statusMessage}>{t(copyStatus)}</Text>
       )}
 
       <View style={{ height: 32 }} />
@@ -479,6 +1752,9 @@ const App = () => {
 
 // Basic styling
 const styles = StyleSheet.create({
+  activityRoot: {
+    flex: 1,
+  },
   container: {
     flexGrow: 1,
     padding: 20,
@@ -500,6 +1776,21 @@ const styles = StyleSheet.create({
   buttonSpacer: {
     width: 16,
   },
+  linkRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 8,
+  },
+  historyLink: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  historyLinkText: {
+    color: '#007AFF',
+    fontSize: 16,
+    textDecorationLine: 'underline',
+  },
   loadingContainer: {
     alignItems: 'center',
     marginVertical: 16,
@@ -509,6 +1800,9 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#555',
   },
+  scanError: {
+    color: '#D9534F',
+  },
   resultSection: {
     marginVertical: 10,
     backgroundColor: '#FFF',
@@ -528,6 +1822,36 @@ const styles = StyleSheet.create({
     backgroundColor: '#EEE',
     marginBottom: 6,
   },
+  selectionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  selectionChip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  modeChip: {
+    alignSelf: 'center',
+  },
+  selectionChipActive: {
+    backgroundColor: '#007AFF',
+  },
+  selectionChipText: {
+    color: '#007AFF',
+  },
+  selectionChipTextActive: {
+    color: '#FFF',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+  },
   textBlock: {
     fontSize: 16,
     color: '#333',
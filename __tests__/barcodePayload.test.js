@@ -0,0 +1,83 @@
+import { decodeFiscalVerification, findPayment, parseBarcodePayload, parseIpsPayment } from '../src/extract/barcodePayload';
+import { bytesToBase64 } from '../src/utils/base64';
+
+const IPS =
+  'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|P:MRĐO MAČKATOVIĆ\r\nŽUPSKA 13\r\nBEOGRAD 6|SF:189|S:UPLATA PO RAČUNU ZA EL. ENERGIJU|RO:97163220000111111111000';
+
+// Helper: Little or big endian bytes of an integer
+function uintBytes(value, length, littleEndian) {
+  const bytes = [];
+  let rest = value;
+  for (let i = 0; i < length; i += 1) {
+    bytes.push(rest % 256);
+    rest = Math.floor(rest / 256);
+  }
+  return littleEndian ? bytes : bytes.reverse();
+}
+
+// Helper: vl parameter of a verification URL with the given fields
+function verificationParameter({ counter, amount, time, invoiceType, transactionType }) {
+  const ascii = text => Array.from(text, char => char.charCodeAt(0));
+  const bytes = [
+    3,
+    ...ascii('AB12CD34'),
+    ...ascii('EF56GH78'),
+    ...uintBytes(counter, 4, true),
+    ...uintBytes(counter - 2, 4, true),
+    ...uintBytes(amount * 10000, 8, true),
+    ...uintBytes(time, 8, false),
+    invoiceType,
+    transactionType,
+    0,
+    ...new Array(16).fill(7),
+  ];
+  return encodeURIComponent(bytesToBase64(Uint8Array.from(bytes)));
+}
+
+test('decodes fiscal receipt verification links', () => {
+  const time = Date.UTC(2025, 3, 14, 8, 30);
+  const vl = verificationParameter({ counter: 25471, amount: 1234.56, time, invoiceType: 0, transactionType: 1 });
+  expect(decodeFiscalVerification(vl)).toEqual({
+    invoiceNumber: 'AB12CD34-EF56GH78-25471',
+    total: 1234.56,
+    issuedAt: '2025-04-14T08:30:00.000Z',
+    invoiceType: 'normal',
+    transactionType: 'refund',
+  });
+  const url = `https://suf.purs.gov.rs/v/?vl=${vl}`;
+  expect(parseBarcodePayload(url)).toMatchObject({ type: 'fiscalReceipt', url, total: 1234.56 });
+  // A link to the service that cannot be decoded still counts as a receipt
+  expect(parseBarcodePayload('https://suf.purs.gov.rs/v/?vl=AAAA')).toEqual({
+    type: 'fiscalReceipt',
+    url: 'https://suf.purs.gov.rs/v/?vl=AAAA',
+  });
+});
+
+test('reads NBS IPS payment codes', () => {
+  expect(parseIpsPayment(IPS)).toEqual({
+    type: 'ipsPayment',
+    kind: 'PR',
+    recipient: 'JP EPS BEOGRAD',
+    recipientAddress: 'BALKANSKA 13',
+    account: '845-0000000404849-87',
+    accountValid: true,
+    currency: 'RSD',
+    amount: 3596.13,
+    payer: 'MRĐO MAČKATOVIĆ, ŽUPSKA 13, BEOGRAD 6',
+    paymentCode: '189',
+    purpose: 'UPLATA PO RAČUNU ZA EL. ENERGIJU',
+    reference: '97163220000111111111000',
+  });
+  expect(parseIpsPayment('K:PR|V:01|C:1|R:845000000040484988|N:X').accountValid).toBe(false);
+  expect(parseIpsPayment('K:PR|V:01|C:1|R:84500|N:X')).toBeNull();
+  expect(parseIpsPayment('K:XX|V:01|C:1|R:845000000040484987|N:X')).toBeNull();
+});
+
+test('falls back to links and plain text', () => {
+  expect(parseBarcodePayload('https://example.com/a?b=1')).toEqual({ type: 'url', url: 'https://example.com/a?b=1' });
+  expect(parseBarcodePayload('K:nije uplatnica')).toEqual({ type: 'text' });
+  expect(parseBarcodePayload('8600000123456')).toEqual({ type: 'text' });
+  const barcodes = ['8600000123456', IPS].map(value => ({ format: 'qr', value, payload: parseBarcodePayload(value) }));
+  expect(findPayment(barcodes).recipient).toBe('JP EPS BEOGRAD');
+  expect(findPayment([])).toBeNull();
+});
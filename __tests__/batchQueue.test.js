@@ -0,0 +1,51 @@
+import { createBatchQueue, summarizeBatch } from '../src/batch/batchQueue';
+
+const inputs = ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg'].map(uri => ({ uri }));
+
+test('processes every item without exceeding the concurrency limit', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const queue = createBatchQueue(inputs, {
+    concurrency: 2,
+    worker: async item => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight -= 1;
+      return item.uri.toUpperCase();
+    },
+  });
+  const items = await queue.start();
+  expect(maxInFlight).toBe(2);
+  expect(items.map(item => item.result)).toEqual(['A.JPG', 'B.JPG', 'C.JPG', 'D.JPG']);
+  expect(summarizeBatch(items)).toMatchObject({ total: 4, done: 4, finished: 4 });
+});
+
+test('records failures and retries them', async () => {
+  let attempts = 0;
+  const changes = [];
+  const queue = createBatchQueue(inputs.slice(0, 2), {
+    onChange: items => changes.push(items),
+    worker: async item => {
+      if (item.uri === 'b.jpg' && attempts++ === 0) {throw new Error('OCR greška');}
+      return 'ok';
+    },
+  });
+  let items = await queue.start();
+  expect(items[1]).toMatchObject({ status: 'failed', error: 'OCR greška' });
+  items = await queue.retryFailed();
+  expect(summarizeBatch(items).done).toBe(2);
+  expect(changes.length).toBeGreaterThan(0);
+});
+
+test('cancel stops pending items and retry resumes them', async () => {
+  const queue = createBatchQueue(inputs, { worker: async () => 'ok' });
+  const done = queue.start();
+  queue.cancel();
+  let items = await done;
+  // The item already running finishes; the rest never start
+  expect(summarizeBatch(items)).toMatchObject({ done: 1, cancelled: 3, finished: 4 });
+  items = await queue.retry('3');
+  expect(items[3].status).toBe('done');
+  expect(items[2].status).toBe('cancelled');
+});
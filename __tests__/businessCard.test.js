@@ -0,0 +1,82 @@
+import { extractContact, looksLikeBusinessCard, normalizePhone } from '../src/extract/businessCard';
+import { foldLine, toVCard } from '../src/export/vcard';
+
+const card = [
+  'TEHNO SOFT d.o.o.',
+  'Marko Petrović',
+  'Direktor prodaje',
+  'Knez Mihailova 6/II',
+  '11000 Beograd, Srbija',
+  'Tel: 011 123 4567',
+  'Mob: 064/123-45-67',
+  'Fax: +381 11 765 4321',
+  'marko.petrovic@tehnosoft.rs',
+  'www.tehnosoft.rs',
+].join('\n');
+
+test('normalizes phone numbers to E.164 with +381 as the default', () => {
+  expect(normalizePhone('011 123 4567')).toBe('+381111234567');
+  expect(normalizePhone('064/123-45-67')).toBe('+381641234567');
+  expect(normalizePhone('00381 64 1234567')).toBe('+381641234567');
+  expect(normalizePhone('+1 (212) 555-0100')).toBe('+12125550100');
+  expect(normalizePhone('381641234567')).toBe('+381641234567');
+  expect(normalizePhone('+381 (0)11 123 4567')).toBe('+381111234567');
+  expect(normalizePhone('12 34')).toBeNull();
+  // Too short, or no Serbian area or mobile prefix
+  expect(normalizePhone('08.00-16.00')).toBeNull();
+  expect(normalizePhone('0912 3456')).toBeNull();
+});
+
+test('extracts the contact from business card text', () => {
+  const contact = extractContact(card);
+  expect(contact.name).toBe('Marko Petrović');
+  expect(contact.organization).toBe('TEHNO SOFT d.o.o.');
+  expect(contact.title).toBe('Direktor prodaje');
+  expect(contact.phones).toEqual([
+    { value: '+381111234567', type: 'work' },
+    { value: '+381641234567', type: 'cell' },
+    { value: '+381117654321', type: 'fax' },
+  ]);
+  expect(contact.emails).toEqual(['marko.petrovic@tehnosoft.rs']);
+  expect(contact.urls).toEqual(['www.tehnosoft.rs']);
+  expect(contact.address).toEqual({
+    street: 'Knez Mihailova 6/II',
+    postalCode: '11000',
+    locality: 'Beograd',
+    country: 'Srbija',
+  });
+  expect(looksLikeBusinessCard(contact, card)).toBe(true);
+  expect(looksLikeBusinessCard(extractContact('Ukupno 1.234,56'), 'Ukupno 1.234,56')).toBe(false);
+});
+
+test('writes a vCard 4.0 with escaped values and tel URIs', () => {
+  const vcard = toVCard({ ...extractContact(card), organization: 'Tehno; Soft, d.o.o.' });
+  const lines = vcard.split('\r\n');
+  expect(lines.slice(0, 3)).toEqual(['BEGIN:VCARD', 'VERSION:4.0', 'FN:Marko Petrović']);
+  expect(lines).toContain('N:Petrović;Marko;;;');
+  expect(lines).toContain('ORG:Tehno\\; Soft\\, d.o.o.');
+  expect(lines).toContain('TEL;VALUE=uri;TYPE="cell,voice":tel:+381641234567');
+  expect(lines).toContain('EMAIL;TYPE=work:marko.petrovic@tehnosoft.rs');
+  expect(lines).toContain('URL:https://www.tehnosoft.rs');
+  expect(lines).toContain('ADR;TYPE=work:;;Knez Mihailova 6/II;Beograd;;11000;Srbija');
+  expect(vcard.endsWith('END:VCARD\r\n')).toBe(true);
+});
+
+test('folds long lines at 75 octets without splitting characters', () => {
+  const folded = foldLine(`NOTE:${'š'.repeat(60)}`);
+  const [first, second] = folded.split('\r\n');
+  expect(first).toBe(`NOTE:${'š'.repeat(35)}`);
+  expect(second).toBe(` ${'š'.repeat(25)}`);
+});
+
+test('does not take dates and opening hours for phone numbers', () => {
+  const bestBefore = 'Rok trajanja\n12.03.2025.';
+  const hours = 'Radno vreme\nPon-Pet 08.00-16.00';
+  expect(extractContact(bestBefore).phones).toEqual([]);
+  expect(extractContact(hours).phones).toEqual([]);
+  expect(looksLikeBusinessCard(extractContact(bestBefore), bestBefore)).toBe(false);
+  expect(looksLikeBusinessCard(extractContact(hours), hours)).toBe(false);
+  // Any word line is no organization
+  expect(extractContact('Račun 123\nHvala na poseti\nTel: 011 123 4567').organization).toBeNull();
+  expect(extractContact('Tel: 064.123.45.67').phones).toEqual([{ value: '+381641234567', type: 'cell' }]);
+});
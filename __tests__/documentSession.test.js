@@ -0,0 +1,27 @@
+import { addPages, combinedText, movePage, removePage, replacePage } from '../src/document/documentSession';
+import { setLocale } from '../src/i18n/i18n';
+
+const page = (id, extractedText) => ({ id, imageUri: `file:///${id}.jpg`, extractedText });
+
+test('reorders, removes and replaces pages without mutating the input', () => {
+  const pages = addPages([page('a', 'Prva')], [page('b', 'Druga'), page('c', 'Treća')]);
+  expect(movePage(pages, 'c', -1).map(p => p.id)).toEqual(['a', 'c', 'b']);
+  expect(movePage(pages, 'a', -1)).toBe(pages);
+  expect(removePage(pages, 'b').map(p => p.id)).toEqual(['a', 'c']);
+  const replaced = replacePage(pages, 'b', page('new', 'Nova druga'));
+  expect(replaced[1]).toMatchObject({ id: 'b', extractedText: 'Nova druga', imageUri: 'file:///new.jpg' });
+  expect(pages.map(p => p.id)).toEqual(['a', 'b', 'c']);
+});
+
+test('joins page texts under page separators', () => {
+  expect(combinedText([page('a', 'Ugovor'), page('b', ''), page('c', 'Potpis')])).toBe(
+    '--- Strana 1/3 ---\nUgovor\n\n--- Strana 2/3 ---\n\n--- Strana 3/3 ---\nPotpis',
+  );
+  // In the app's language
+  setLocale('en');
+  try {
+    expect(combinedText([page('a', 'Contract')])).toBe('--- Page 1/1 ---\nContract');
+  } finally {
+    setLocale('sr-Latn');
+  }
+});
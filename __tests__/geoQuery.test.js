@@ -0,0 +1,57 @@
+import {
+  clusterScans,
+  formatDistance,
+  haversineDistance,
+  projectPoints,
+  scansWithin,
+  sortByDistance,
+} from '../src/location/geoQuery';
+
+const origin = { latitude: 44.8125, longitude: 20.4612 };
+
+// Helper: scan `meters` north of the origin (one degree of latitude is ~111195 m)
+function scanNorth(id, meters) {
+  return { id, location: { latitude: origin.latitude + meters / 111195.08, longitude: origin.longitude } };
+}
+
+const scans = [scanNorth('far', 5000), scanNorth('near', 40), { id: 'none', location: null }, scanNorth('mid', 900)];
+
+test('measures great-circle distances', () => {
+  expect(haversineDistance({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(111195.08, 0);
+  expect(haversineDistance(origin, origin)).toBe(0);
+  // Belgrade - Novi Sad, about 70 km
+  expect(haversineDistance(origin, { latitude: 45.2671, longitude: 19.8335 }) / 1000).toBeCloseTo(70.3, 0);
+});
+
+test('sorts by distance and filters by radius, skipping unlocated scans', () => {
+  expect(sortByDistance(scans, origin).map(({ scan }) => scan.id)).toEqual(['near', 'mid', 'far']);
+  const within = scansWithin(scans, origin, 1000);
+  expect(within.map(({ scan }) => scan.id)).toEqual(['near', 'mid']);
+  expect(within[1].distance).toBeCloseTo(900, 0);
+});
+
+test('clusters nearby scans into places', () => {
+  const clusters = clusterScans([...scans, scanNorth('near2', 80), scanNorth('mid2', 950)], 150);
+  expect(clusters.map(cluster => cluster.scans.map(scan => scan.id))).toEqual([['near', 'near2'], ['mid', 'mid2'], ['far']]);
+  expect(clusters[0].center.latitude).toBeCloseTo(origin.latitude + 60 / 111195.08, 7);
+  expect(clusters[0].extent).toBeCloseTo(20, 0);
+});
+
+test('formats distance labels', () => {
+  expect(formatDistance(35.4)).toBe('35 m');
+  expect(formatDistance(1234)).toBe('1,2 km');
+  expect(formatDistance(15600)).toBe('16 km');
+});
+
+test('projects points into a box with north up', () => {
+  const { points, metersPerPixel } = projectPoints(
+    [origin, { latitude: origin.latitude + 1000 / 111195.08, longitude: origin.longitude }],
+    200,
+    200,
+    0,
+  );
+  expect(metersPerPixel).toBeCloseTo(5, 3);
+  expect(points[1].y).toBeLessThan(points[0].y);
+  expect(points[0].x).toBeCloseTo(100, 3);
+  expect(points[0].y - points[1].y).toBeCloseTo(200, 3);
+});
@@ -0,0 +1,89 @@
+import {
+  containLayout,
+  hitTest,
+  itemsInRect,
+  selectableItems,
+  selectionText,
+  textAngle,
+  textFrame,
+  toImagePoint,
+  toStoredResult,
+} from '../src/ocr/geometry';
+
+const frame = (left, top, width, height) => ({ left, top, width, height });
+
+const result = toStoredResult({
+  text: 'Knez Mihailova 5\nBeograd',
+  blocks: [
+    {
+      text: 'Knez Mihailova 5\nBeograd',
+      frame: frame(10, 10, 300, 80),
+      lines: [
+        {
+          text: 'Knez Mihailova 5',
+          frame: frame(10, 10, 300, 30),
+          elements: [
+            { text: 'Knez', frame: frame(10, 10, 80, 30) },
+            { text: 'Mihailova', frame: frame(100, 10, 170, 30) },
+            {
+              text: '5',
+              cornerPoints: [
+                { x: 280, y: 10 },
+                { x: 310, y: 10 },
+                { x: 310, y: 40 },
+                { x: 280, y: 40 },
+              ],
+            },
+          ],
+        },
+        { text: 'Beograd', frame: frame(10, 60, 150, 30), elements: [{ text: 'Beograd', frame: frame(10, 60, 150, 30) }] },
+      ],
+    },
+  ],
+});
+
+test('flattens words and lines, deriving frames from corner points', () => {
+  const words = selectableItems(result, 'word');
+  expect(words.map(w => w.text)).toEqual(['Knez', 'Mihailova', '5', 'Beograd']);
+  expect(words[2].frame).toEqual(frame(280, 10, 30, 30));
+  expect(selectableItems(result, 'line').map(l => l.key)).toEqual(['0.0', '0.1']);
+});
+
+test('maps view points into image space for contained images', () => {
+  const layout = containLayout(1000, 500, 200, 200);
+  expect(layout).toEqual({ scale: 0.2, offsetX: 0, offsetY: 50 });
+  expect(toImagePoint(layout, 20, 52)).toEqual({ x: 100, y: 10 });
+});
+
+test('hit-tests and rectangle-selects words, joining them by line', () => {
+  const words = selectableItems(result, 'word');
+  expect(hitTest(words, { x: 150, y: 20 }).text).toBe('Mihailova');
+  expect(hitTest(words, { x: 500, y: 500 })).toBeNull();
+  const dragged = itemsInRect(words, { x: 120, y: 20 }, { x: 20, y: 70 }).map(w => w.key);
+  expect(dragged).toEqual(['0.0.0', '0.0.1', '0.1.0']);
+  expect(selectionText(words, dragged)).toBe('Knez Mihailova\nBeograd');
+});
+
+test('measures the text direction and the frame around the text', () => {
+  // Two lines rising slightly to the right, turned a quarter clockwise
+  const turned = {
+    blocks: [
+      {
+        lines: [
+          { text: 'a', cornerPoints: [{ x: 100, y: 10 }, { x: 90, y: 210 }, { x: 60, y: 208 }, { x: 70, y: 8 }] },
+          { text: 'b', cornerPoints: [{ x: 50, y: 20 }, { x: 45, y: 120 }, { x: 15, y: 118 }, { x: 20, y: 18 }] },
+        ],
+      },
+    ],
+  };
+  const angle = textAngle(turned);
+  expect(angle.rotation).toBe(90);
+  expect(angle.skew).toBeCloseTo((Math.atan2(300, -15) * 180) / Math.PI - 90, 6);
+  const upright = { blocks: [{ lines: [{ text: 'c', cornerPoints: [{ x: 0, y: 0 }, { x: 100, y: 0 }] }] }] };
+  expect(textAngle(upright)).toEqual({ rotation: 0, skew: 0 });
+  // Frames alone do not tell the direction
+  expect(textAngle(result)).toBeNull();
+
+  expect(textFrame(result)).toEqual(frame(10, 10, 300, 80));
+  expect(textFrame({ blocks: [] })).toBeNull();
+});
@@ -0,0 +1,30 @@
+import { filterHistory, normalizeForSearch, parseDateInput } from '../src/history/historyFilter';
+
+const entries = [
+  { id: '1', source: 'camera', extractedText: 'Račun br. 15\nUkupno 1.200,00', timestamp: '2025-04-10T09:00:00' },
+  { id: '2', source: 'gallery', extractedText: 'Đački dom', timestamp: '2025-04-12T18:30:00' },
+  { id: '3', source: 'camera', extractedText: '', timestamp: '2025-04-14T07:15:00' },
+];
+
+test('normalizes diacritics for search', () => {
+  expect(normalizeForSearch('Sačuvaj ĐAK')).toBe('sacuvaj djak');
+});
+
+test('parses date inputs and rejects invalid dates', () => {
+  expect(parseDateInput('2025-04-12').getDate()).toBe(12);
+  expect(parseDateInput('2025-04-12', true).getHours()).toBe(23);
+  expect(parseDateInput('2025-02-31')).toBeNull();
+  expect(parseDateInput('12.04.2025')).toBeNull();
+});
+
+test('filters by text, source and inclusive date range', () => {
+  expect(filterHistory(entries, { query: 'racun ukupno' }).map(e => e.id)).toEqual(['1']);
+  expect(filterHistory(entries, { query: 'djacki' }).map(e => e.id)).toEqual(['2']);
+  expect(filterHistory(entries, { source: 'camera' }).map(e => e.id)).toEqual(['1', '3']);
+  expect(
+    filterHistory(entries, {
+      from: parseDateInput('2025-04-10'),
+      to: parseDateInput('2025-04-12', true),
+    }).map(e => e.id),
+  ).toEqual(['1', '2']);
+});
@@ -0,0 +1,113 @@
+jest.mock('react-native-fs', () => {
+  const files = {};
+  return {
+    DocumentDirectoryPath: '/docs',
+    __files: files,
+    exists: jest.fn(async path => path in files || path === '/docs/history'),
+    mkdir: jest.fn(async () => {}),
+    readFile: jest.fn(async path => files[path]),
+    writeFile: jest.fn(async (path, content) => {
+      files[path] = content;
+    }),
+    copyFile: jest.fn(async (from, to) => {
+      files[to] = `copy of ${from}`;
+    }),
+    unlink: jest.fn(async path => {
+      delete files[path];
+    }),
+    moveFile: jest.fn(async (from, to) => {
+      files[to] = files[from];
+      delete files[from];
+    }),
+  };
+});
+
+import RNFS from 'react-native-fs';
+import { addScan, deleteScans, loadHistory, replaceScanImage, replaceScanPages, updateScan } from '../src/history/historyStore';
+
+test('stores scans with a copied image, newest first', async () => {
+  const first = await addScan({
+    imageUri: 'file:///cache/a.jpg',
+    source: 'camera',
+    extractedText: 'Prvi',
+    location: { latitude: 44.8, longitude: 20.46 },
+  });
+  const second = await addScan({ imageUri: 'file:///cache/b.png', source: 'gallery', extractedText: 'Drugi' });
+
+  expect(first.imageUri).toBe(`file:///docs/history/${first.id}.jpg`);
+  expect(RNFS.copyFile).toHaveBeenCalledWith('/cache/a.jpg', `/docs/history/${first.id}.jpg`);
+
+  const history = await loadHistory();
+  expect(history.map(e => e.extractedText)).toEqual(['Drugi', 'Prvi']);
+  expect(history[1].location).toEqual({ latitude: 44.8, longitude: 20.46 });
+
+  await updateScan(second.id, { extractedText: 'Drugi (izmenjen)' });
+  const remaining = await deleteScans([first.id]);
+  expect(remaining.map(e => e.extractedText)).toEqual(['Drugi (izmenjen)']);
+  expect(RNFS.__files[`/docs/history/${first.id}.jpg`]).toBeUndefined();
+});
+
+test('stores multi-page documents with a copy per page', async () => {
+  const doc = await addScan({
+    source: 'camera',
+    extractedText: '--- Strana 1/2 ---\nA\n\n--- Strana 2/2 ---\nB',
+    pages: [
+      { id: 'p1', imageUri: 'file:///cache/p1.jpg', extractedText: 'A' },
+      { id: 'p2', imageUri: 'file:///cache/p2.jpg', extractedText: 'B' },
+    ],
+  });
+  expect(doc.pages.map(p => p.imageFileName)).toEqual([`${doc.id}_p1.jpg`, `${doc.id}_p2.jpg`]);
+  expect(doc.imageUri).toBe(doc.pages[0].imageUri);
+
+  await deleteScans([doc.id]);
+  expect(RNFS.__files[`/docs/history/${doc.id}_p2.jpg`]).toBeUndefined();
+});
+
+test('saves a document again in place, with new page copies', async () => {
+  const revisions = [{ kind: 'ocr', text: 'A', savedAt: '2026-01-01T00:00:00.000Z' }];
+  const doc = await addScan({ source: 'camera', extractedText: 'A', pages: [{ id: 'p1', imageUri: 'file:///cache/p1.jpg' }] });
+  await updateScan(doc.id, { revisions });
+  const other = await addScan({ imageUri: 'file:///cache/o.jpg', source: 'camera', extractedText: 'Drugi' });
+
+  // The first page kept (its history copy), a second one added
+  const saved = await replaceScanPages(doc.id, [doc.pages[0], { id: 'p2', imageUri: 'file:///cache/p2.jpg' }], { extractedText: 'A B' });
+  expect(saved).toMatchObject({ id: doc.id, extractedText: 'A B', timestamp: doc.timestamp, revisions });
+  expect(saved.pages.map(p => p.id)).toEqual(['p1', 'p2']);
+  expect(saved.imageUri).toBe(saved.pages[0].imageUri);
+  expect(RNFS.__files[`/docs/history/${saved.pages[0].imageFileName}`]).toBe(`copy of /docs/history/${doc.id}_p1.jpg`);
+  expect(RNFS.__files[`/docs/history/${doc.id}_p1.jpg`]).toBeUndefined();
+  // Same place in the history, nothing else touched
+  expect((await loadHistory()).map(e => e.id).slice(0, 2)).toEqual([other.id, doc.id]);
+
+  await deleteScans([doc.id, other.id]);
+});
+
+test('keeps the photo as taken when the scan gets an adjusted image', async () => {
+  const scan = await addScan({ imageUri: 'file:///cache/c.jpg', source: 'camera', extractedText: 'Mutno' });
+  const first = await replaceScanImage(scan.id, 'file:///cache/adjusted_1.jpg', { extractedText: 'Jasno' });
+  expect(first).toMatchObject({ extractedText: 'Jasno', originalImageUri: scan.imageUri, originalImageFileName: `${scan.id}.jpg` });
+  expect(first.imageFileName).toMatch(new RegExp(`^${scan.id}_adjusted_\\d+\\.jpg$`));
+
+  const second = await replaceScanImage(scan.id, 'file:///cache/adjusted_2.jpg', {});
+  expect(second.originalImageUri).toBe(scan.imageUri);
+  expect(RNFS.__files[`/docs/history/${first.imageFileName}`]).toBeUndefined();
+
+  await deleteScans([scan.id]);
+  expect(RNFS.__files[`/docs/history/${scan.id}.jpg`]).toBeUndefined();
+  expect(RNFS.__files[`/docs/history/${second.imageFileName}`]).toBeUndefined();
+});
+
+test('never overwrites an index it cannot read', async () => {
+  const index = '/docs/history/index.json';
+  const stored = RNFS.__files[index];
+  RNFS.readFile.mockRejectedValueOnce(new Error('EIO'));
+  await expect(addScan({ imageUri: 'file:///cache/d.jpg', extractedText: 'Izgubljen?' })).rejects.toThrow('EIO');
+  expect(RNFS.__files[index]).toBe(stored);
+
+  // A malformed index is kept aside, and scanning goes on
+  RNFS.__files[index] = '[{"id": "polovina';
+  const scan = await addScan({ imageUri: 'file:///cache/e.jpg', extractedText: 'Nov' });
+  expect((await loadHistory()).map(e => e.id)).toEqual([scan.id]);
+  const aside = Object.keys(RNFS.__files).filter(path => /^\/docs\/history\/index\.corrupt-\d+\.json$/.test(path));
+  expect(aside.map(path => RNFS.__files[path])).toEqual(['[{"id": "polovina']);
+});
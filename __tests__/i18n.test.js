@@ -0,0 +1,64 @@
+import { matchLocale, pluralCategory, setLocale, t } from '../src/i18n/i18n';
+import { formatCoordinates, formatDate, formatDateTime, formatNumber } from '../src/i18n/format';
+import en from '../src/i18n/messages/en';
+import srLatn from '../src/i18n/messages/srLatn';
+
+// Helper: Dotted keys of a catalog, plural messages counted as one key
+function catalogKeys(node, prefix = '') {
+  return Object.entries(node).flatMap(([key, value]) =>
+    typeof value === 'object' && !('other' in value) ? catalogKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`],
+  );
+}
+
+afterEach(() => setLocale('sr-Latn'));
+
+test('matches device locale tags to catalogs', () => {
+  expect(matchLocale('sr-Latn-RS')).toBe('sr-Latn');
+  expect(matchLocale('sr_RS_#Latn')).toBe('sr-Latn');
+  expect(matchLocale('sr-RS')).toBe('sr-Cyrl');
+  expect(matchLocale('sr-ME')).toBe('sr-Latn');
+  expect(matchLocale('hr_HR')).toBe('sr-Latn');
+  expect(matchLocale('en_US')).toBe('en');
+  expect(matchLocale('de-DE')).toBe('en');
+  expect(matchLocale(null)).toBe('sr-Latn');
+});
+
+test('picks plural forms per language', () => {
+  expect([1, 2, 5, 11, 12, 21, 22, 25, 1.5].map(count => pluralCategory('sr-Latn', count))).toEqual([
+    'one', 'few', 'other', 'other', 'other', 'one', 'few', 'other', 'other',
+  ]);
+  expect(t('vault.errors.passcodeTooShort', { count: 4 })).toBe('Šifra mora imati najmanje 4 znaka.');
+  expect(t('vault.errors.passcodeTooShort', { count: 5 })).toBe('Šifra mora imati najmanje 5 znakova.');
+  expect(t('vault.errors.passcodeTooShort', { count: 21 })).toBe('Šifra mora imati najmanje 21 znak.');
+  setLocale('en');
+  expect(t('vault.errors.passcodeTooShort', { count: 1 })).toBe('The passcode must have at least 1 character.');
+  expect(t('vault.errors.passcodeTooShort', { count: 4 })).toBe('The passcode must have at least 4 characters.');
+});
+
+test('looks messages up by key in every catalog', () => {
+  expect(t('scan.noText')).toBe('Nije pronađen tekst.');
+  expect(t('main.errors.export', { reason: 'disk je pun' })).toBe('Neuspešan izvoz: disk je pun');
+  setLocale('en');
+  expect(t('scan.noText')).toBe('No text found.');
+  expect(t('no.such.key')).toBe('no.such.key');
+  setLocale('sr-Cyrl');
+  // Placeholders, acronyms and file names stay Latin; Serbian acronyms do not
+  expect(t('main.errors.export', { reason: 'x' })).toBe('Неуспешан извоз: x');
+  expect(t('main.exportScan')).toBe('Извези скен (CSV, JSON, GeoJSON, KML, PDF)');
+  expect(t('privacy.types.jmbg')).toBe('ЈМБГ');
+  expect(catalogKeys(en).sort()).toEqual(catalogKeys(srLatn).sort());
+});
+
+test('formats numbers, dates and coordinates for the locale', () => {
+  const date = new Date(2026, 9, 19, 14, 5);
+  const point = { latitude: 44.812341, longitude: -20.456789 };
+  expect(formatNumber(1234567.891, 2)).toBe('1.234.567,89');
+  expect(formatDate(date)).toBe('19. 10. 2026.');
+  expect(formatDateTime(date)).toBe('19. 10. 2026. 14:05');
+  expect(formatCoordinates(point)).toBe('44,81234° S, 20,45679° Z');
+  setLocale('en');
+  expect(formatNumber(1234567.891, 2)).toBe('1,234,567.89');
+  expect(formatNumber(-0.001, 2)).toBe('0.00');
+  expect(formatDateTime(date)).toBe('Oct 19, 2026, 2:05 PM');
+  expect(formatCoordinates(point)).toBe('44.81234° N, 20.45679° W');
+});
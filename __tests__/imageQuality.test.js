@@ -0,0 +1,108 @@
+import { decodeJpegCoefficients, encodeJpegCoefficients } from '../src/image/jpegCoefficients';
+import { assessJpeg } from '../src/image/imageQuality';
+import { enhanceJpeg } from '../src/image/enhanceJpeg';
+import { orientationExif } from '../src/image/redactJpeg';
+import { readJpegInfo } from '../src/image/jpeg';
+
+// 64x64 YCbCr page: block rows 1, 3, 5 and 7 are lines of text (`ink` luma, `detail` on every
+// AC coefficient), the others paper (`paper` luma); the chroma is flat
+function page({ ink = 100, paper = 240, detail = 30, orientation = 1 } = {}) {
+  const component = (id, fill) => {
+    const coefficients = new Int16Array(8 * 8 * 64);
+    coefficients.forEach((_, i) => {
+      coefficients[i] = fill(Math.floor(i / 64 / 8), i % 64);
+    });
+    return { id, h: 1, v: 1, tq: 0, blocksPerLine: 8, blocksPerColumn: 8, coefficients };
+  };
+  // DC = 8 * (mean - 128) / 4
+  const luma = (row, k) => {
+    const text = row % 2 === 1;
+    if (k === 0) {return ((text ? ink : paper) - 128) * 2;}
+    return text ? (k % 2 === 0 ? detail : -detail) : 0;
+  };
+  return encodeJpegCoefficients({
+    width: 64,
+    height: 64,
+    mcusPerLine: 8,
+    mcusPerColumn: 8,
+    components: [component(1, luma), component(2, () => 0), component(3, () => 0)],
+    quantTables: [new Uint16Array(64).fill(4)],
+    segments: orientation === 1 ? [] : [{ marker: 0xe1, data: orientationExif(orientation) }],
+  });
+}
+
+const block = (component, row, col) => {
+  const offset = (row * component.blocksPerLine + col) * 64;
+  return Array.from(component.coefficients.slice(offset, offset + 64));
+};
+
+test('flags blurry, dark, flat and sideways photos', () => {
+  const sharp = assessJpeg(page());
+  expect(sharp.issues).toEqual([]);
+  expect(sharp.exposure).toMatchObject({ mean: 170, dark: 0, bright: 0, range: 140 });
+
+  expect(assessJpeg(page({ detail: 0 })).issues).toEqual(['blurry']);
+  expect(assessJpeg(page({ ink: 20, paper: 60 })).issues).toEqual(['dark', 'lowContrast']);
+  expect(assessJpeg(page({ ink: 255, paper: 255, detail: 0 })).issues).toEqual(['blurry', 'bright', 'lowContrast']);
+  // Stored upright, but shown turned a quarter: the lines of text run top to bottom
+  expect(assessJpeg(page({ orientation: 6 })).issues).toEqual(['sideways']);
+});
+
+test('judges only the top band of the photo within a block budget', () => {
+  // Four of the eight MCU rows (8 MCUs of 3 blocks each)
+  const quick = assessJpeg(page(), { maxBlocks: 4 * 8 * 3 });
+  expect(quick).toMatchObject({ partial: true, issues: [] });
+  expect(quick.exposure).toMatchObject({ mean: 170, range: 140 });
+  expect(assessJpeg(page()).partial).toBe(false);
+  expect(assessJpeg(page({ detail: 0 }), { maxBlocks: 4 * 8 * 3 }).issues).toEqual(['blurry']);
+
+  const top = decodeJpegCoefficients(page(), { maxBlocks: 1 });
+  expect(top.decodedMcuRows).toBe(1);
+  expect(top.components[0].coefficients).toHaveLength(8 * 64);
+});
+
+test('crops on the block grid, drops color and turns through the orientation', () => {
+  const original = decodeJpegCoefficients(page());
+  const bytes = enhanceJpeg(page({ orientation: 6 }), {
+    // Upright frame; the stored image is turned, so this covers raw x 12..41, y 14..43
+    crop: { left: 20, top: 12, width: 30, height: 30 },
+    rotation: 90,
+    grayscale: true,
+  });
+  expect(readJpegInfo(bytes)).toMatchObject({ width: 34, height: 36, components: 1, exif: { orientation: 3 } });
+  const cropped = decodeJpegCoefficients(bytes);
+  expect(block(cropped.components[0], 0, 0)).toEqual(block(original.components[0], 1, 1));
+  expect(block(cropped.components[0], 3, 2)).toEqual(block(original.components[0], 4, 3));
+
+  // A full turn drops the orientation tag
+  expect(readJpegInfo(enhanceJpeg(page({ orientation: 8 }), { rotation: 90 })).exif).toEqual({});
+});
+
+test('stretches the contrast of flat photos', () => {
+  const flat = page({ ink: 120, paper: 160, detail: 4 });
+  expect(assessJpeg(flat).issues).toContain('lowContrast');
+  const stretched = assessJpeg(enhanceJpeg(flat, { contrast: true }));
+  expect(stretched.exposure.range).toBeGreaterThan(90);
+  expect(stretched.issues).not.toContain('lowContrast');
+  expect(stretched.sharpness).toBeGreaterThan(assessJpeg(flat).sharpness);
+});
+
+test('deskews through decoded pixels', () => {
+  // A negligible turn must give back the same blocks, up to rounding
+  const gentle = page({ detail: 3 });
+  const original = decodeJpegCoefficients(gentle).components[0];
+  const same = decodeJpegCoefficients(enhanceJpeg(gentle, { deskew: 1e-9 })).components[0];
+  expect(same.coefficients).toHaveLength(original.coefficients.length);
+  same.coefficients.forEach((value, i) => {
+    expect(Math.abs(value - original.coefficients[i])).toBeLessThanOrEqual(1);
+  });
+
+  // Straightening text skewed clockwise turns the page back: the lines now rise to the right
+  // and the uncovered corner is filled with paper
+  const turned = decodeJpegCoefficients(enhanceJpeg(page(), { deskew: 10 }));
+  expect(turned).toMatchObject({ width: 64, height: 64 });
+  expect(turned.components).toHaveLength(1);
+  const luma = turned.components[0];
+  expect(block(luma, 0, 0)[0]).toBeGreaterThan(220);
+  expect(block(luma, 0, 6)[0]).toBeLessThan(block(luma, 0, 0)[0] - 80);
+});
@@ -0,0 +1,47 @@
+import { parseIncomingLink } from '../src/scan/incomingLinks';
+
+test('reads scan links with their source and export format', () => {
+  expect(parseIncomingLink('basicocr://scan?source=camera')).toEqual({ kind: 'scan', source: 'camera', exportFormat: null });
+  expect(parseIncomingLink('basicocr://scan/?source=gallery&export=JSON')).toEqual({
+    kind: 'scan',
+    source: 'gallery',
+    exportFormat: 'json',
+  });
+  // Unknown formats are left out; a scan without a known source is no job
+  expect(parseIncomingLink('basicocr://scan?source=camera&export=docx').exportFormat).toBeNull();
+  expect(parseIncomingLink('basicocr://scan?source=scanner')).toBeNull();
+  expect(parseIncomingLink('basicocr://scan')).toBeNull();
+});
+
+test('reads images shared from other apps and ignores foreign links', () => {
+  const link =
+    'basicocr://share?uri=content%3A%2F%2Fcom.whatsapp.provider.media%2Fitem%2F42&uri=content%3A%2F%2Fmedia%2Fexternal%2Fimages%2F7';
+  expect(parseIncomingLink(link, 'android')).toEqual({
+    kind: 'share',
+    uris: ['content://com.whatsapp.provider.media/item/42', 'content://media/external/images/7'],
+    exportFormat: null,
+  });
+  expect(parseIncomingLink('basicocr://share', 'android')).toBeNull();
+  // Only content:// URIs from the sharing app, and never an export of what was shared
+  expect(parseIncomingLink('basicocr://share?uri=file%3A%2F%2F%2Fdata%2Fuser%2F0%2Fcom.basicocr%2Ffiles%2Fhistory%2Findex.json', 'android')).toBeNull();
+  expect(parseIncomingLink('basicocr://share?uri=%2Fdata%2Fuser%2F0%2Fcom.basicocr%2Fcache%2Fvault_view%2Fa.jpg', 'android')).toBeNull();
+  expect(parseIncomingLink('basicocr://share?uri=content%3A%2F%2Fmedia%2Fexternal%2Fimages%2F7&export=json', 'android')).toEqual({
+    kind: 'share',
+    uris: ['content://media/external/images/7'],
+    exportFormat: null,
+  });
+  expect(parseIncomingLink('basicocr://share?uri=%E0%A4%A', 'android')).toBeNull();
+  expect(parseIncomingLink('https://example.com/scan?source=camera')).toBeNull();
+  expect(parseIncomingLink('basicocr://settings')).toBeNull();
+  expect(parseIncomingLink(null)).toBeNull();
+});
+
+test('takes share links on Android only, scan links everywhere', () => {
+  const share = 'basicocr://share?uri=content%3A%2F%2Fmedia%2Fexternal%2Fimages%2F7';
+  expect(parseIncomingLink(share, 'android')).toMatchObject({ kind: 'share' });
+  // No share extension on iOS: any page could open the link there
+  expect(parseIncomingLink(share, 'ios')).toBeNull();
+  expect(parseIncomingLink(share)).toBeNull();
+  expect(parseIncomingLink('basicocr://scan?source=camera', 'ios')).toEqual({ kind: 'scan', source: 'camera', exportFormat: null });
+  expect(parseIncomingLink('basicocr://scan?source=gallery&export=csv', 'android')).toMatchObject({ kind: 'scan', exportFormat: 'csv' });
+});
@@ -0,0 +1,145 @@
+jest.mock('react-native-fs', () => ({
+  DocumentDirectoryPath: '/docs',
+  readFile: jest.fn(async () => 'aW1hZ2U='),
+}));
+jest.mock('@react-native-ml-kit/text-recognition', () => ({ recognize: jest.fn() }));
+
+import http from 'http';
+import RNFS from 'react-native-fs';
+import { createHttpEngine, mapServerResponse } from '../src/ocr/httpEngine';
+import { engineSummary, recognizeWithFallback, toEngineResult } from '../src/ocr/ocrEngine';
+import { enginesFromSettings, usesServer } from '../src/ocr/recognize';
+
+// Local stand-in for the self-hosted OCR server; `reply` decides each response
+let server;
+let baseUrl;
+let requests = [];
+let reply = (req, res) => res.end('{}');
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      reply(req, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+const SERVER_RESPONSE = {
+  confidence: 87,
+  blocks: [
+    {
+      text: 'Račun 42',
+      bbox: [10, 20, 110, 40],
+      lines: [{ text: 'Račun 42', bbox: [10, 20, 110, 40], words: [{ text: 'Račun', bbox: [10, 20, 60, 40] }, { text: '42', frame: { left: 70, top: 20, width: 40, height: 20 } }] }],
+    },
+  ],
+};
+
+// Helper: engine stub resolving with `text`, or rejecting when text is an Error
+function stubEngine(id, text) {
+  return {
+    id,
+    recognize: jest.fn(async () => {
+      if (text instanceof Error) {throw text;}
+      return toEngineResult(id, { text, blocks: [] });
+    }),
+  };
+}
+
+test('posts the image to the server and maps its response', async () => {
+  reply = (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(SERVER_RESPONSE));
+  };
+  const engine = createHttpEngine({ url: `${baseUrl}/ocr`, token: 'secret' });
+  const result = await engine.recognize('file:///cache/scan.png', { script: 'Latin' });
+
+  expect(RNFS.readFile).toHaveBeenCalledWith('/cache/scan.png', 'base64');
+  expect(requests).toHaveLength(1);
+  expect(requests[0]).toMatchObject({ method: 'POST', url: '/ocr', body: { image: 'aW1hZ2U=', mimeType: 'image/png', script: 'Latin' } });
+  expect(requests[0].headers.authorization).toBe('Bearer secret');
+
+  expect(result.engine).toBe('http');
+  expect(result.text).toBe('Račun 42');
+  expect(result.confidence).toBeCloseTo(0.87, 5);
+  expect(result.blocks[0].lines[0].elements.map(word => word.frame)).toEqual([
+    { left: 10, top: 20, width: 50, height: 20 },
+    { left: 70, top: 20, width: 40, height: 20 },
+  ]);
+});
+
+test('averages line confidences when the server gives no page confidence', () => {
+  const mapped = mapServerResponse({ text: 'a\nb', blocks: [{ lines: [{ text: 'a', confidence: 0.5 }, { text: 'b', confidence: 1 }] }] });
+  expect(mapped.confidence).toBe(0.75);
+  expect(mapServerResponse({ text: 'x' }).confidence).toBeNull();
+});
+
+test('reports server errors, bad responses and timeouts', async () => {
+  reply = (req, res) => {
+    res.statusCode = 503;
+    res.end('busy');
+  };
+  await expect(createHttpEngine({ url: baseUrl }).recognize('/a.jpg')).rejects.toThrow('OCR server je vratio grešku 503.');
+
+  reply = (req, res) => res.end('<html>');
+  await expect(createHttpEngine({ url: baseUrl }).recognize('/a.jpg')).rejects.toThrow('Neispravan odgovor OCR servera.');
+
+  reply = (req, res) => setTimeout(() => res.end('{}'), 300);
+  await expect(createHttpEngine({ url: baseUrl, timeout: 50 }).recognize('/a.jpg')).rejects.toThrow(
+    'OCR server nije odgovorio na vreme.',
+  );
+
+  await expect(createHttpEngine({ url: '' }).recognize('/a.jpg')).rejects.toThrow('Adresa OCR servera nije podešena.');
+});
+
+test('falls back to the server when ML Kit finds no text', async () => {
+  reply = (req, res) => res.end(JSON.stringify({ text: 'sa servera', confidence: 0.9 }));
+  const engines = { primary: stubEngine('mlkit', ''), fallback: createHttpEngine({ url: baseUrl }), policy: 'empty' };
+
+  const result = await recognizeWithFallback('/a.jpg', engines, { script: 'Latin' });
+  expect(result).toMatchObject({ engine: 'http', text: 'sa servera', fallbackReason: 'empty' });
+  expect(engineSummary(result)).toBe('OCR server · pouzdanost 90% · rezervni pokušaj (nema teksta)');
+
+  const none = await recognizeWithFallback('/a.jpg', { ...engines, policy: 'none' });
+  expect(none).toMatchObject({ engine: 'mlkit', text: '', fallbackReason: null });
+  expect(requests).toHaveLength(1);
+});
+
+test('applies the fallback policy to errors', async () => {
+  const failing = stubEngine('http', new Error('offline'));
+  const mlkit = stubEngine('mlkit', 'lokalno');
+
+  await expect(recognizeWithFallback('/a.jpg', { primary: failing, fallback: mlkit, policy: 'empty' })).rejects.toThrow('offline');
+  const result = await recognizeWithFallback('/a.jpg', { primary: failing, fallback: mlkit, policy: 'error' });
+  expect(result).toMatchObject({ engine: 'mlkit', text: 'lokalno', fallbackReason: 'error' });
+
+  // A failing fallback keeps the empty primary result
+  const empty = await recognizeWithFallback('/a.jpg', { primary: stubEngine('mlkit', ''), fallback: failing, policy: 'error' });
+  expect(empty).toMatchObject({ engine: 'mlkit', fallbackReason: null });
+});
+
+test('tells when the engines may send the image to the server, and can keep it on the device', () => {
+  const settings = { ocrEngine: 'mlkit', ocrServerUrl: baseUrl, ocrFallback: 'empty' };
+  expect(usesServer(enginesFromSettings(settings))).toBe(true);
+  expect(usesServer(enginesFromSettings({ ...settings, ocrFallback: 'none' }))).toBe(false);
+  expect(usesServer(enginesFromSettings({ ...settings, ocrServerUrl: '' }))).toBe(false);
+  expect(usesServer(enginesFromSettings({ ...settings, ocrEngine: 'http' }))).toBe(true);
+
+  // What a vault scan gets when the user keeps it off the server
+  const onDevice = enginesFromSettings({ ...settings, ocrEngine: 'http' }, { server: false });
+  expect(onDevice.primary.id).toBe('mlkit');
+  expect(usesServer(onDevice)).toBe(false);
+});
@@ -0,0 +1,100 @@
+import { buildSearchablePdf, buildTextEncoding, imageMatrix } from '../src/export/pdfWriter';
+import { readJpegInfo } from '../src/image/jpeg';
+import { base64ToBytes, bytesToBase64 } from '../src/utils/base64';
+
+// Smallest header the writer needs: SOI, optional EXIF orientation, SOF0 and EOI
+function fakeJpeg(width, height, orientation) {
+  const exif = orientation
+    ? [
+        0xff, 0xe1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // APP1 "Exif\0\0"
+        0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF, IFD0 at 8
+        0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00,
+      ]
+    : [];
+  return new Uint8Array([
+    0xff, 0xd8,
+    ...exif,
+    0xff, 0xc0, 0x00, 0x11, 0x08, Math.floor(height / 256), height % 256, Math.floor(width / 256), width % 256, 0x03,
+    0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01,
+    0xff, 0xd9,
+  ]);
+}
+
+const latin1 = bytes => Array.from(bytes, b => String.fromCharCode(b)).join('');
+
+test('reads JPEG size and EXIF orientation', () => {
+  expect(readJpegInfo(fakeJpeg(640, 480, 6))).toMatchObject({ width: 640, height: 480, components: 3, exif: { orientation: 6 } });
+  expect(() => readJpegInfo(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toThrow();
+});
+
+test('round-trips base64', () => {
+  const bytes = new Uint8Array([0, 1, 2, 250, 255, 128, 64]);
+  expect(bytesToBase64(bytes)).toBe('AAEC+v+AQA==');
+  expect(Array.from(base64ToBytes(bytesToBase64(bytes)))).toEqual(Array.from(bytes));
+  expect(Array.from(base64ToBytes('TWE='))).toEqual([77, 97]);
+});
+
+test('encodes non-ASCII characters into the upper code range', () => {
+  const { codes, encode } = buildTextEncoding(['Čačak', 'Ниш']);
+  expect(encode('Čak Н')).toEqual([codes.get('Č'), 97, 107, 32, codes.get('Н')]);
+  expect(codes.get('Č')).toBe(128);
+});
+
+test('maps rotated images upright', () => {
+  expect(imageMatrix(1, 0, 10, 100, 50)).toEqual([100, 0, 0, 50, 0, 10]);
+  expect(imageMatrix(6, 0, 0, 100, 50)).toEqual([0, -50, 100, 0, 0, 50]);
+});
+
+test('writes a PDF with one page per image, invisible text and a valid xref', () => {
+  const pdf = latin1(
+    buildSearchablePdf(
+      [
+        {
+          jpeg: fakeJpeg(400, 800, 6),
+          lines: [{ text: 'Ukupno 1.234,56 Đ', frame: { left: 10, top: 10, width: 300, height: 30 } }],
+          footer: '2025-04-14T08:30:00.000Z | 44.812500, 20.461200',
+        },
+        { jpeg: fakeJpeg(400, 200), lines: [] },
+      ],
+      { title: 'OCR', createdAt: new Date('2025-04-14T08:30:00Z') },
+    ),
+  );
+
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(pdf).toContain('/Count 2');
+  // Orientation 6 swaps the page to portrait 800 x 400 -> 595 x 297.5 plus footer
+  expect(pdf).toContain('/MediaBox [0 0 595 315.5]');
+  expect(pdf).toContain('3 Tr');
+  expect(pdf).toContain('<80> <0110>');
+  expect(pdf).toContain('/CreationDate (D:20250414083000Z)');
+
+  const startxref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  expect(pdf.slice(startxref, startxref + 4)).toBe('xref');
+  const offsets = pdf.slice(startxref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  offsets.forEach((offset, index) => {
+    expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+  });
+});
+
+test('writes the text of a page whose image is not a JPEG, with a note instead of the photo', () => {
+  const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const pdf = latin1(
+    buildSearchablePdf([
+      {
+        jpeg: png,
+        size: { width: 400, height: 200 },
+        lines: [{ text: 'Ukupno 1.234,56', frame: { left: 10, top: 10, width: 300, height: 30 } }],
+        note: 'Slika nije u JPEG formatu.',
+      },
+      { jpeg: fakeJpeg(400, 200), lines: [] },
+    ]),
+  );
+  expect(pdf).toContain('/Count 2');
+  // 400 x 200 -> 595 x 297.5, plus the note on top
+  expect(pdf).toContain('/MediaBox [0 0 595 315.5]');
+  expect(pdf.match(/\/Subtype \/Image/g)).toHaveLength(1);
+  expect(pdf).toContain('0 Tr');
+  expect(pdf).not.toContain('3 Tr');
+  expect(pdf).toContain(`<${Array.from('Slika nije u JPEG formatu.', char => char.charCodeAt(0).toString(16).toUpperCase()).join('')}> Tj`);
+});
@@ -0,0 +1,95 @@
+jest.mock('react-native-fs', () => {
+  const files = {};
+  return {
+    DocumentDirectoryPath: '/docs',
+    __files: files,
+    exists: jest.fn(async path => path in files),
+    readFile: jest.fn(async path => files[path]),
+    writeFile: jest.fn(async (path, content) => {
+      files[path] = content;
+    }),
+  };
+});
+
+import { Alert, PermissionsAndroid, Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+
+import { androidPermissionsFor, ensurePermission, permissionStatuses } from '../src/permissions/permissionManager';
+
+const { PERMISSIONS, RESULTS } = PermissionsAndroid;
+
+test('picks the Android permissions of the API level', () => {
+  expect(androidPermissionsFor('mediaLocation', 28)).toEqual([]);
+  // Media location is only granted along with the media read permission
+  expect(androidPermissionsFor('mediaLocation', 29)).toEqual([PERMISSIONS.READ_EXTERNAL_STORAGE, PERMISSIONS.ACCESS_MEDIA_LOCATION]);
+  expect(androidPermissionsFor('mediaLocation', 33)).toEqual([PERMISSIONS.READ_MEDIA_IMAGES, PERMISSIONS.ACCESS_MEDIA_LOCATION]);
+  expect(androidPermissionsFor('saveToGallery', 28)).toEqual([PERMISSIONS.WRITE_EXTERNAL_STORAGE]);
+  expect(androidPermissionsFor('saveToGallery', 29)).toEqual([]);
+  expect(androidPermissionsFor('exportFiles', 29)).toEqual([PERMISSIONS.WRITE_EXTERNAL_STORAGE]);
+  expect(androidPermissionsFor('exportFiles', 30)).toEqual([]);
+});
+
+test('remembers denials and sends never-ask-again to the settings', async () => {
+  jest.replaceProperty(Platform, 'OS', 'android');
+  jest.spyOn(Platform, 'Version', 'get').mockReturnValue(34);
+  const granted = new Set();
+  jest.spyOn(PermissionsAndroid, 'check').mockImplementation(async permission => granted.has(permission));
+  const request = jest.spyOn(PermissionsAndroid, 'requestMultiple');
+  const alert = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+
+  // Quiet requests ask once, then respect the "no"
+  request.mockResolvedValueOnce({ [PERMISSIONS.ACCESS_FINE_LOCATION]: RESULTS.DENIED });
+  expect(await ensurePermission('location', { quiet: true })).toBe(false);
+  expect(await ensurePermission('location', { quiet: true })).toBe(false);
+  expect(request).toHaveBeenCalledTimes(1);
+  expect(alert).not.toHaveBeenCalled();
+
+  // Blocked permissions are not requested again; the alert offers the settings
+  request.mockResolvedValueOnce({ [PERMISSIONS.CAMERA]: RESULTS.NEVER_ASK_AGAIN });
+  expect(await ensurePermission('camera')).toBe(false);
+  expect(await ensurePermission('camera')).toBe(false);
+  expect(request).toHaveBeenCalledTimes(2);
+  expect(alert).toHaveBeenCalledTimes(2);
+  expect(alert.mock.calls[1][2].map(button => button.text)).toEqual(['Otkaži', 'Otvori podešavanja']);
+  expect(JSON.parse(RNFS.__files['/docs/permissions.json']).camera.status).toBe('blocked');
+
+  // Granted in the system settings: no more questions
+  granted.add(PERMISSIONS.CAMERA);
+  expect(await ensurePermission('camera')).toBe(true);
+  expect(await ensurePermission('exportFiles')).toBe(true);
+  expect(request).toHaveBeenCalledTimes(2);
+
+  const statuses = Object.fromEntries((await permissionStatuses()).map(item => [item.kind, item.status]));
+  expect(statuses).toMatchObject({ camera: 'granted', location: 'denied', exportFiles: 'notNeeded', mediaLocation: 'denied' });
+});
+
+test('asks for media location together with media read, and asks again from the permissions screen', async () => {
+  jest.replaceProperty(Platform, 'OS', 'android');
+  jest.spyOn(Platform, 'Version', 'get').mockReturnValue(34);
+  const granted = new Set();
+  jest.spyOn(PermissionsAndroid, 'check').mockImplementation(async permission => granted.has(permission));
+  const request = jest.spyOn(PermissionsAndroid, 'requestMultiple').mockReset();
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+
+  // "Selected photos only" leaves media read, and so media location, denied
+  request.mockResolvedValueOnce({
+    [PERMISSIONS.READ_MEDIA_IMAGES]: RESULTS.DENIED,
+    [PERMISSIONS.ACCESS_MEDIA_LOCATION]: RESULTS.DENIED,
+  });
+  expect(await ensurePermission('mediaLocation', { quiet: true })).toBe(false);
+  expect(request).toHaveBeenLastCalledWith([PERMISSIONS.READ_MEDIA_IMAGES, PERMISSIONS.ACCESS_MEDIA_LOCATION]);
+  // The gallery picker does not ask again once the user said no
+  expect(await ensurePermission('mediaLocation', { quiet: true })).toBe(false);
+  expect(request).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(RNFS.__files['/docs/permissions.json']).mediaLocation.status).toBe('denied');
+
+  // The permissions screen still can, and a yes reaches the picker
+  request.mockImplementationOnce(async permissions => {
+    permissions.forEach(permission => granted.add(permission));
+    return Object.fromEntries(permissions.map(permission => [permission, RESULTS.GRANTED]));
+  });
+  expect(await ensurePermission('mediaLocation')).toBe(true);
+  expect(await ensurePermission('mediaLocation', { quiet: true })).toBe(true);
+  expect(request).toHaveBeenCalledTimes(2);
+  expect(JSON.parse(RNFS.__files['/docs/permissions.json']).mediaLocation.status).toBe('granted');
+});
@@ -0,0 +1,68 @@
+import {
+  DEFAULT_TEXT_STEPS,
+  fixDigitConfusions,
+  normalizeQuotes,
+  normalizeWhitespace,
+  pipelineFromSettings,
+  processText,
+} from '../src/text/postProcess';
+
+const ALL_STEPS = {
+  removeLines: true,
+  dehyphenate: true,
+  reflow: true,
+  digits: true,
+  quotes: true,
+  whitespace: true,
+  removeLinePatterns: [],
+};
+
+// Helper: OCR result with one block per array of lines
+function resultOf(blocks) {
+  return {
+    text: blocks.map(lines => lines.join('\n')).join('\n'),
+    blocks: blocks.map(lines => ({ text: lines.join('\n'), lines: lines.map(text => ({ text })) })),
+  };
+}
+
+test('joins hyphenated words and reflows each block into a paragraph', () => {
+  const result = resultOf([
+    ['Ovo je primer teksta koji je ana-', 'liziran na telefonu i pre-', 'lomljen u redove.'],
+    ['Drugi pasus.'],
+  ]);
+  expect(processText(result.text, result, ALL_STEPS)).toBe(
+    'Ovo je primer teksta koji je analiziran na telefonu i prelomljen u redove.\n\nDrugi pasus.',
+  );
+});
+
+test('keeps line breaks without reflow and leaves dashes before capitals alone', () => {
+  const text = 'Beograd -\nNovi Sad\nana-\nliza je gotova';
+  expect(processText(text, null, { ...ALL_STEPS, reflow: false })).toBe('Beograd -\nNovi Sad\nanaliza\nje gotova');
+});
+
+test('drops noise lines and lines matching user patterns', () => {
+  const text = 'Račun\n|||\nHVALA NA POSETI\nStr. 2\nUkupno 10';
+  const options = { ...ALL_STEPS, reflow: false, removeLinePatterns: ['hvala na poseti', '/^str\\. \\d+$/', ''] };
+  expect(processText(text, null, options)).toBe('Račun\nUkupno 10');
+});
+
+test('fixes O/l confusions only inside numbers', () => {
+  expect(fixDigitConfusions('Ukupno: 1O5,5O din, datum l5.O3.2024, Olovka I sto')).toBe(
+    'Ukupno: 105,50 din, datum 15.03.2024, Olovka I sto',
+  );
+});
+
+test('normalizes quotes and whitespace', () => {
+  expect(normalizeQuotes('„Navodnici“ i ‘apostrof’ i «guillemets»')).toBe('"Navodnici" i \'apostrof\' i "guillemets"');
+  expect(normalizeWhitespace('  reč\u00a0 reč ,  kraj .\n\n\n\nnovi   red ')).toBe('reč reč, kraj.\n\nnovi red');
+});
+
+test('returns the raw text when post-processing is off', () => {
+  expect(pipelineFromSettings({ textProcessing: false })).toBeNull();
+  expect(processText('a-\nb  c', null, null)).toBe('a-\nb  c');
+  expect(pipelineFromSettings({ textProcessing: true, textSteps: { reflow: true } })).toEqual({
+    ...DEFAULT_TEXT_STEPS,
+    reflow: true,
+    removeLinePatterns: [],
+  });
+});
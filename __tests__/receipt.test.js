@@ -0,0 +1,99 @@
+import {
+  formatSerbianAmount,
+  isValidBankAccount,
+  isValidIban,
+  isValidPib,
+  normalizeBankAccount,
+  parseSerbianAmount,
+} from '../src/extract/serbianNumbers';
+import { extractReceiptFields, hasReceiptFields, receiptFieldsToText } from '../src/extract/receipt';
+
+// Helper: OCR result with one line per block, frames given as [left, top]
+function resultOf(lines) {
+  return {
+    text: lines.map(([text]) => text).join('\n'),
+    blocks: lines.map(([text, left, top]) => ({
+      text,
+      frame: { left, top, width: 100, height: 20 },
+      lines: [{ text, frame: { left, top, width: 100, height: 20 }, elements: [] }],
+    })),
+  };
+}
+
+test('parses and formats Serbian amounts', () => {
+  expect(parseSerbianAmount('1.234,56')).toBe(1234.56);
+  expect(parseSerbianAmount('1234,5')).toBe(1234.5);
+  expect(parseSerbianAmount('99.90')).toBe(99.9);
+  expect(parseSerbianAmount('-12,00')).toBe(-12);
+  expect(parseSerbianAmount('abc')).toBeNull();
+  expect(formatSerbianAmount(1234567.5)).toBe('1.234.567,50');
+  expect(formatSerbianAmount(null)).toBe('');
+});
+
+test('validates PIB, IBAN and bank account checksums', () => {
+  expect(isValidPib('101111114')).toBe(true);
+  expect(isValidPib('101111115')).toBe(false);
+  expect(isValidPib('12345')).toBe(false);
+  expect(isValidIban('RS15 1600 0000 0001 2345 67')).toBe(true);
+  expect(isValidIban('RS16160000000001234567')).toBe(false);
+  expect(normalizeBankAccount('160-12345-95')).toBe('160-0000000012345-95');
+  expect(isValidBankAccount('160-12345-95')).toBe(true);
+  expect(isValidBankAccount('160-12345-94')).toBe(false);
+});
+
+test('extracts fiscal receipt fields from plain text', () => {
+  const text = [
+    '============ ФИСКАЛНИ РАЧУН ============',
+    'ПИБ: 101111114',
+    'PRODAVNICA MARKET DOO',
+    'Knez Mihailova 1, Beograd',
+    'Артикли',
+    'Naziv   Cena   Kol.   Ukupno',
+    'Hleb beli (KOM)',
+    '75,00  2  150,00',
+    'Mleko 1L  2 x 139,99  279,98',
+    'Ukupan iznos:   1.429,98',
+    'Gotovina:   1.500,00',
+    'Ukupan iznos poreza:   238,33',
+    'ПФР време:   15.03.2024. 14:05:09',
+    'Račun: 160-12345-95',
+  ].join('\n');
+  const fields = extractReceiptFields(text, null);
+
+  expect(fields.pib).toBe('101111114');
+  expect(fields.pibValid).toBe(true);
+  expect(fields.merchant).toBe('PRODAVNICA MARKET DOO');
+  expect(fields.date).toBe('2024-03-15');
+  expect(fields.time).toBe('14:05:09');
+  expect(fields.total).toBe(1429.98);
+  expect(fields.vat).toBe(238.33);
+  expect(fields.items).toEqual([
+    { name: 'Hleb beli (KOM)', unitPrice: 75, quantity: 2, total: 150 },
+    { name: 'Mleko 1L', quantity: 2, unitPrice: 139.99, total: 279.98 },
+  ]);
+  expect(fields.accounts).toEqual([{ value: '160-0000000012345-95', valid: true }]);
+  expect(hasReceiptFields(fields)).toBe(true);
+});
+
+test('joins label and amount columns that OCR put into separate blocks', () => {
+  const result = resultOf([
+    ['Faktura br. 12/2024', 10, 10],
+    ['Za uplatu', 10, 200],
+    ['PDV 20%', 10, 240],
+    ['12.000,00', 300, 202],
+    ['2.000,00', 300, 241],
+    ['IBAN RS15 1600 0000 0001 2345 67', 10, 300],
+  ]);
+  const fields = extractReceiptFields(result.text, result);
+
+  expect(fields.total).toBe(12000);
+  expect(fields.vat).toBe(2000);
+  expect(fields.ibans).toEqual([{ value: 'RS15160000000001234567', valid: true }]);
+  expect(fields.pib).toBeNull();
+  expect(receiptFieldsToText(fields)).toContain('Ukupno: 12.000,00');
+});
+
+test('reports nothing for ordinary text', () => {
+  const fields = extractReceiptFields('Dragi Marko,\nvidimo se sutra u 10.', null);
+  expect(hasReceiptFields(fields)).toBe(false);
+});
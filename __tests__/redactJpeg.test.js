@@ -0,0 +1,82 @@
+import { decodeJpegCoefficients, encodeJpegCoefficients } from '../src/image/jpegCoefficients';
+import { redactJpeg, toRawFrame } from '../src/image/redactJpeg';
+import { readJpegInfo } from '../src/image/jpeg';
+
+// EXIF APP1 payload with only the orientation tag (big-endian TIFF)
+const orientationExif = orientation =>
+  new Uint8Array([
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00, 0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,
+  ]);
+
+// 32x16 YCbCr 4:2:0 image with deterministic, busy coefficients
+function sampleImage(orientation) {
+  const component = (id, h, v, tq, blocksPerLine, blocksPerColumn) => {
+    const coefficients = new Int16Array(blocksPerLine * blocksPerColumn * 64);
+    coefficients.forEach((_, i) => {
+      coefficients[i] = i % 64 === 0 ? ((i / 64) * 37) % 200 - 100 : ((i * 7919) % 23) - 11;
+    });
+    return { id, h, v, tq, blocksPerLine, blocksPerColumn, coefficients };
+  };
+  return {
+    width: 32,
+    height: 16,
+    mcusPerLine: 2,
+    mcusPerColumn: 1,
+    components: [component(1, 2, 2, 0, 4, 2), component(2, 1, 1, 1, 2, 1), component(3, 1, 1, 1, 2, 1)],
+    quantTables: [new Uint16Array(64).fill(4), new Uint16Array(64).fill(8)],
+    segments: [
+      { marker: 0xe1, data: orientationExif(orientation) },
+      { marker: 0xfe, data: new Uint8Array([0x68, 0x69]) },
+    ],
+  };
+}
+
+const block = (component, row, col) => {
+  const offset = (row * component.blocksPerLine + col) * 64;
+  return Array.from(component.coefficients.slice(offset, offset + 64));
+};
+
+test('round-trips baseline JPEG coefficients', () => {
+  const image = sampleImage(1);
+  const bytes = encodeJpegCoefficients(image);
+  expect(readJpegInfo(bytes)).toMatchObject({ width: 32, height: 16, components: 3, exif: { orientation: 1 } });
+
+  const decoded = decodeJpegCoefficients(bytes);
+  expect(decoded).toMatchObject({ width: 32, height: 16, mcusPerLine: 2, mcusPerColumn: 1 });
+  decoded.components.forEach((component, i) => {
+    expect(component).toMatchObject({ id: i + 1, h: image.components[i].h, v: image.components[i].v });
+    expect(Array.from(component.coefficients)).toEqual(Array.from(image.components[i].coefficients));
+  });
+  expect(decoded.segments.map(segment => segment.marker)).toEqual([0xe1, 0xfe]);
+  expect(() => decodeJpegCoefficients(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toThrow('Slika nije u JPEG formatu.');
+});
+
+test('maps upright frames to raw image pixels', () => {
+  const frame = { left: 2, top: 3, width: 4, height: 5 };
+  expect(toRawFrame(frame, 1, 32, 16)).toEqual(frame);
+  expect(toRawFrame(frame, 3, 32, 16)).toEqual({ left: 26, top: 8, width: 4, height: 5 });
+  expect(toRawFrame(frame, 6, 32, 16)).toEqual({ left: 3, top: 10, width: 5, height: 4 });
+  expect(toRawFrame(frame, 8, 32, 16)).toEqual({ left: 24, top: 2, width: 5, height: 4 });
+});
+
+test('blacks out the blocks under a frame and leaves the rest untouched', () => {
+  const original = sampleImage(6);
+  // The upright image is 16x32; this frame covers raw pixels x 17..30, y 2..6
+  const frames = [{ left: 10, top: 17, width: 4, height: 13 }];
+  const redacted = decodeJpegCoefficients(redactJpeg(encodeJpegCoefficients(original), frames, 0));
+
+  const [luma, cb] = redacted.components;
+  const black = [-256, ...new Array(63).fill(0)];
+  expect(block(luma, 0, 2)).toEqual(black);
+  expect(block(luma, 0, 3)).toEqual(black);
+  expect(block(luma, 0, 1)).toEqual(block(original.components[0], 0, 1));
+  expect(block(luma, 1, 2)).toEqual(block(original.components[0], 1, 2));
+  expect(block(cb, 0, 1)).toEqual(new Array(64).fill(0));
+  expect(block(cb, 0, 0)).toEqual(block(original.components[1], 0, 0));
+
+  // Only the orientation survives from the metadata
+  expect(redacted.segments.map(segment => segment.marker)).toEqual([0xe1]);
+  expect(readJpegInfo(redactJpeg(encodeJpegCoefficients(original), [])).exif).toEqual({ orientation: 6 });
+});
@@ -0,0 +1,58 @@
+import {
+  addRevision,
+  applyEdit,
+  createEditHistory,
+  diffLines,
+  redoEdit,
+  scanRevisions,
+  undoEdit,
+} from '../src/text/revisions';
+
+test('starts older scans with their text as the OCR revision', () => {
+  expect(scanRevisions({ extractedText: 'Racun', timestamp: '2024-03-15T12:00:00.000Z' })).toEqual([
+    { kind: 'ocr', text: 'Racun', savedAt: '2024-03-15T12:00:00.000Z' },
+  ]);
+  const revisions = [{ kind: 'ocr', text: 'a', savedAt: null }];
+  expect(scanRevisions({ extractedText: 'b', revisions })).toBe(revisions);
+});
+
+test('appends revisions only when the text changes', () => {
+  const first = scanRevisions({ extractedText: 'Racun', timestamp: 't0' });
+  const edited = addRevision(first, 'Račun', 'edit', 't1');
+  expect(edited).toEqual([...first, { kind: 'edit', text: 'Račun', savedAt: 't1' }]);
+  expect(addRevision(edited, 'Račun', 'edit', 't2')).toBe(edited);
+  expect(first).toHaveLength(1);
+});
+
+test('diffs revisions line by line', () => {
+  expect(diffLines('Racun\nUkupno 10O\nHvala', 'Račun\nUkupno 100\nHvala\nPDV 20')).toEqual([
+    { type: 'removed', text: 'Racun' },
+    { type: 'removed', text: 'Ukupno 10O' },
+    { type: 'added', text: 'Račun' },
+    { type: 'added', text: 'Ukupno 100' },
+    { type: 'same', text: 'Hvala' },
+    { type: 'added', text: 'PDV 20' },
+  ]);
+  expect(diffLines('a\nb', 'a\nb').every(line => line.type === 'same')).toBe(true);
+});
+
+test('undoes and redoes edits, grouping quick keystrokes', () => {
+  let history = createEditHistory('Racun');
+  history = applyEdit(history, 'Racun 1', 1000);
+  history = applyEdit(history, 'Racun 12', 1200);
+  history = applyEdit(history, 'Racun 123', 5000);
+  expect(history.past).toEqual(['Racun', 'Racun 12']);
+
+  history = undoEdit(history);
+  expect(history.present).toBe('Racun 12');
+  history = undoEdit(history);
+  expect(history.present).toBe('Racun');
+  expect(undoEdit(history)).toBe(history);
+
+  history = redoEdit(history);
+  expect(history.present).toBe('Racun 12');
+  // Typing after an undo drops the redo steps
+  history = applyEdit(history, 'Račun 12', 9000);
+  expect(history.future).toEqual([]);
+  expect(redoEdit(history)).toBe(history);
+});
@@ -0,0 +1,99 @@
+import { scanToRow, serializeScans, toCsv, toGeoJson, toJson, toKml } from '../src/export/scanFormats';
+
+const scans = [
+  {
+    id: 'a',
+    imageUri: 'file:///docs/history/a.jpg',
+    imageFileName: 'a.jpg',
+    extractedText: 'Račun "MAXI"\nUkupno: 1.234,56',
+    location: { latitude: 44.8125, longitude: 20.4612, accuracy: 12 },
+    locationSource: 'exif',
+    timestamp: '2025-04-14T08:30:00.000Z',
+    receiptFields: {
+      merchant: 'MAXI',
+      pib: '101111114',
+      pibValid: true,
+      date: '2025-04-14',
+      time: '10:30',
+      items: [],
+      total: 1234.56,
+      vat: 205.76,
+      ibans: [],
+      accounts: [],
+    },
+  },
+  {
+    id: 'b',
+    imageUri: 'file:///cache/IMG%201.jpg',
+    extractedText: 'Bez lokacije',
+    location: null,
+    timestamp: '2025-04-15T10:00:00.000Z',
+    barcodes: [
+      {
+        format: 'qr',
+        value: 'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS|I:RSD3596,13|S:Struja',
+        payload: {
+          type: 'ipsPayment',
+          recipient: 'JP EPS',
+          account: '845-0000000404849-87',
+          accountValid: true,
+          currency: 'RSD',
+          amount: 3596.13,
+          purpose: 'Struja',
+        },
+      },
+    ],
+  },
+];
+
+test('flattens scans into export rows', () => {
+  expect(scanToRow(scans[1])).toEqual({
+    id: 'b',
+    imageFileName: 'IMG 1.jpg',
+    text: 'Bez lokacije',
+    latitude: null,
+    longitude: null,
+    accuracy: null,
+    locationSource: 'none',
+    timestamp: '2025-04-15T10:00:00.000Z',
+    receipt: null,
+    barcodes: scans[1].barcodes,
+  });
+  expect(scanToRow(scans[0]).barcodes).toEqual([]);
+});
+
+test('quotes multi-line CSV fields and escapes quotes', () => {
+  const csv = toCsv(scans);
+  expect(csv.startsWith('\uFEFF')).toBe(true);
+  const rows = csv.slice(1).split('\r\n');
+  expect(rows[0]).toBe('image_file,text,latitude,longitude,accuracy,location_source,timestamp,merchant,pib,receipt_date,total,vat,'
+    + 'barcodes,payment_recipient,payment_account,payment_amount,payment_purpose');
+  expect(rows[1]).toBe(
+    'a.jpg,"Račun ""MAXI""\nUkupno: 1.234,56",44.8125,20.4612,12,exif,2025-04-14T08:30:00.000Z,MAXI,101111114,2025-04-14 10:30,1234.56,205.76,,,,,',
+  );
+  expect(rows[2]).toBe(
+    'IMG 1.jpg,Bez lokacije,,,,none,2025-04-15T10:00:00.000Z,,,,,,'
+      + '"K:PR|V:01|C:1|R:845000000040484987|N:JP EPS|I:RSD3596,13|S:Struja",JP EPS,845-0000000404849-87,3596.13,Struja',
+  );
+});
+
+test('writes JSON and a GeoJSON FeatureCollection with [lon, lat] points', () => {
+  expect(JSON.parse(toJson(scans))[0].accuracy).toBe(12);
+  expect(JSON.parse(toJson(scans))[0].receipt.pib).toBe('101111114');
+  const geo = JSON.parse(toGeoJson(scans));
+  expect(geo.type).toBe('FeatureCollection');
+  expect(geo.features[0].geometry).toEqual({ type: 'Point', coordinates: [20.4612, 44.8125] });
+  expect(geo.features[0].properties.text).toBe(scans[0].extractedText);
+  expect(geo.features[1].geometry).toBeNull();
+});
+
+test('writes escaped KML placemarks for located scans only', () => {
+  const kml = toKml(scans);
+  expect(kml.match(/<Placemark>/g)).toHaveLength(1);
+  expect(kml).toContain('<description>Račun &quot;MAXI&quot;\nUkupno: 1.234,56</description>');
+  expect(kml).toContain('<coordinates>20.4612,44.8125,0</coordinates>');
+  expect(kml).toContain('<when>2025-04-14T08:30:00.000Z</when>');
+  expect(kml).toContain('<Data name="total"><value>1234.56</value></Data>');
+  expect(kml).toContain('<Data name="location_source"><value>exif</value></Data>');
+  expect(() => serializeScans(scans, 'xls')).toThrow();
+});
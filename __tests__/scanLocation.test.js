@@ -0,0 +1,131 @@
+jest.mock('react-native-fs', () => ({
+  DocumentDirectoryPath: '/docs',
+  read: jest.fn(),
+}));
+jest.mock('react-native-geolocation-service', () => ({}));
+
+import RNFS from 'react-native-fs';
+import { exifCaptureTime } from '../src/image/exif';
+import { readJpegExif } from '../src/image/jpeg';
+import { toLocation } from '../src/location/currentLocation';
+import { resolveScanLocation } from '../src/location/scanLocation';
+import { bytesToBase64 } from '../src/utils/base64';
+
+// Helpers: little-endian TIFF values
+const u16 = value => [value % 256, Math.floor(value / 256)];
+const u32 = value => [...u16(value % 65536), ...u16(Math.floor(value / 65536))];
+const ascii = text => [...Array.from(text, char => char.charCodeAt(0)), 0];
+const rationals = (...pairs) => pairs.flatMap(([n, d]) => [...u32(n), ...u32(d)]);
+const TYPES = { byte: 1, ascii: 2, short: 3, long: 4, rational: 5 };
+const SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8 };
+
+function ifdSize(entries) {
+  return 6 + entries.length * 12 + entries.reduce((sum, e) => sum + (e.data.length > 4 ? e.data.length : 0), 0);
+}
+
+// One IFD at `offset`, its long values stored right after it
+function ifdBytes(entries, offset) {
+  const head = [...u16(entries.length)];
+  const data = [];
+  let dataOffset = offset + 6 + entries.length * 12;
+  entries.forEach(({ tag, type, data: value }) => {
+    const count = value.length / SIZES[type];
+    head.push(...u16(tag), ...u16(type), ...u32(count));
+    if (value.length <= 4) {
+      head.push(...value, ...new Array(4 - value.length).fill(0));
+    } else {
+      head.push(...u32(dataOffset));
+      data.push(...value);
+      dataOffset += value.length;
+    }
+  });
+  return [...head, ...u32(0), ...data];
+}
+
+function exifJpeg({ gps = true } = {}) {
+  const exifIfd = [
+    { tag: 0x9003, type: TYPES.ascii, data: ascii('2024:03:15 14:30:00') },
+    { tag: 0x9011, type: TYPES.ascii, data: ascii('+02:00') },
+  ];
+  const gpsIfd = [
+    { tag: 0x01, type: TYPES.ascii, data: ascii('N') },
+    { tag: 0x02, type: TYPES.rational, data: rationals([44, 1], [48, 1], [45, 1]) },
+    { tag: 0x03, type: TYPES.ascii, data: ascii('W') },
+    { tag: 0x04, type: TYPES.rational, data: rationals([20, 1], [27, 1], [4032, 100]) },
+    { tag: 0x05, type: TYPES.byte, data: [0] },
+    { tag: 0x06, type: TYPES.rational, data: rationals([235, 2]) },
+    { tag: 0x07, type: TYPES.rational, data: rationals([12, 1], [30, 1], [0, 1]) },
+    { tag: 0x11, type: TYPES.rational, data: rationals([90, 1]) },
+    { tag: 0x1d, type: TYPES.ascii, data: ascii('2024:03:15') },
+    { tag: 0x1f, type: TYPES.rational, data: rationals([5, 1]) },
+  ];
+  const ifd0 = [
+    { tag: 0x0112, type: TYPES.short, data: u16(6) },
+    { tag: 0x8769, type: TYPES.long, data: u32(0) },
+  ];
+  if (gps) {ifd0.push({ tag: 0x8825, type: TYPES.long, data: u32(0) });}
+  const exifOffset = 8 + ifdSize(ifd0);
+  const gpsOffset = exifOffset + ifdSize(exifIfd);
+  ifd0[1].data = u32(exifOffset);
+  if (gps) {ifd0[2].data = u32(gpsOffset);}
+
+  const tiff = [
+    0x49, 0x49, ...u16(42), ...u32(8),
+    ...ifdBytes(ifd0, 8),
+    ...ifdBytes(exifIfd, exifOffset),
+    ...(gps ? ifdBytes(gpsIfd, gpsOffset) : []),
+  ];
+  const length = 2 + 6 + tiff.length;
+  return new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe1, Math.floor(length / 256), length % 256, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00, ...tiff,
+    0xff, 0xd9,
+  ]);
+}
+
+test('reads orientation, capture time and GPS from EXIF', () => {
+  const exif = readJpegExif(exifJpeg());
+  expect(exif.orientation).toBe(6);
+  expect(exif.gps.latitude).toBeCloseTo(44.8125, 6);
+  expect(exif.gps.longitude).toBeCloseTo(-20.4612, 6);
+  expect(exif.gps).toMatchObject({ altitude: 117.5, heading: 90, accuracy: 5, timestamp: '2024-03-15T12:30:00.000Z' });
+  expect(exifCaptureTime(exif)).toBe('2024-03-15T12:30:00.000Z');
+  expect(readJpegExif(new Uint8Array([0x89, 0x50]))).toEqual({});
+});
+
+test('prefers EXIF GPS for gallery images and skips the device fix', async () => {
+  RNFS.read.mockResolvedValueOnce(bytesToBase64(exifJpeg()));
+  const live = jest.fn();
+  const result = await resolveScanLocation({ uri: 'file:///cache/a.jpg', source: 'gallery' }, live);
+
+  expect(RNFS.read).toHaveBeenCalledWith('/cache/a.jpg', expect.any(Number), 0, 'base64');
+  expect(result.locationSource).toBe('exif');
+  expect(result.location).toMatchObject({ altitude: 117.5, heading: 90, accuracy: 5, fixTime: '2024-03-15T12:30:00.000Z' });
+  expect(result.capturedAt).toBe('2024-03-15T12:30:00.000Z');
+  expect(live).not.toHaveBeenCalled();
+});
+
+test('falls back to the device position and records its source', async () => {
+  RNFS.read.mockResolvedValueOnce(bytesToBase64(exifJpeg({ gps: false })));
+  const fix = { location: { latitude: 45.25, longitude: 19.84, accuracy: 30 }, source: 'cached' };
+  const gallery = await resolveScanLocation(
+    { uri: '/cache/b.jpg', source: 'gallery', pickerTimestamp: '2024-01-01T10:00:00Z' },
+    async () => fix,
+  );
+  expect(gallery).toEqual({ location: fix.location, locationSource: 'cached', capturedAt: '2024-03-15T12:30:00.000Z' });
+
+  const camera = await resolveScanLocation({ uri: '/cache/c.jpg', source: 'camera' }, async () => null);
+  expect(camera).toEqual({ location: null, locationSource: 'none', capturedAt: null });
+
+  const failing = await resolveScanLocation({ uri: '/cache/d.jpg', source: 'camera' }, async () => {
+    throw new Error('timeout');
+  });
+  expect(failing.locationSource).toBe('none');
+});
+
+test('keeps a heading of due north and drops a missing one', () => {
+  const fix = heading => toLocation({ coords: { latitude: 44.8, longitude: 20.46, heading }, timestamp: 0 });
+  expect(fix(0).heading).toBe(0);
+  expect(fix(-1).heading).toBeNull();
+  expect(fix(271.5).heading).toBe(271.5);
+});
@@ -0,0 +1,54 @@
+import { ScanError, createScanSession, isScanActive, isScanDiscarded } from '../src/scan/scanSession';
+
+// Helper: A promise resolved from the outside
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+test('discards the late result of a scan overtaken by a newer one', async () => {
+  const phases = [];
+  const session = createScanSession(state => phases.push(state.phase));
+  const first = session.begin('recognizing');
+  const slowOcr = deferred();
+  const firstResult = first.track(slowOcr.promise);
+
+  const second = session.begin('recognizing');
+  await expect(second.track(Promise.resolve('drugi tekst'))).resolves.toBe('drugi tekst');
+  second.finish();
+
+  slowOcr.resolve('prvi tekst');
+  const err = await firstResult.catch(error => error);
+  expect(err).toBeInstanceOf(ScanError);
+  expect(err.code).toBe('stale');
+  expect(isScanDiscarded(err)).toBe(true);
+  // The outdated ticket cannot touch the state any more
+  first.fail(new ScanError('ocrFailed'));
+  expect(session.getState()).toEqual({ id: second.id, phase: 'done', error: null });
+  expect(phases).toEqual(['recognizing', 'recognizing', 'done']);
+});
+
+test('cancels a running scan and types its failures', async () => {
+  const session = createScanSession();
+  const scan = session.begin();
+  scan.setPhase('locating');
+  expect(isScanActive(session.getState())).toBe(true);
+  const locating = deferred();
+  const result = scan.track(locating.promise);
+  session.cancel();
+  locating.resolve({ location: null });
+  await expect(result).rejects.toMatchObject({ code: 'cancelled' });
+  expect(session.getState().phase).toBe('idle');
+
+  const next = session.begin('recognizing');
+  const ocrError = await next.track(Promise.reject(new Error('model nije učitan'))).catch(error => error);
+  // A current scan hands back the engine's own error
+  expect(isScanDiscarded(ocrError)).toBe(false);
+  next.fail(new ScanError('ocrFailed', ocrError));
+  expect(session.getState()).toMatchObject({ phase: 'failed', error: { code: 'ocrFailed' } });
+  expect(session.getState().error.message).toBe('OCR nije uspeo: model nije učitan');
+  expect(new ScanError('cancelled').message).toBe('Skeniranje je otkazano.');
+});
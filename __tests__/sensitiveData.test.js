@@ -0,0 +1,131 @@
+import {
+  describeSensitive,
+  findSensitive,
+  isLuhnValid,
+  isValidJmbg,
+  redactOcrResult,
+  redactScan,
+  redactText,
+  sensitiveFrames,
+} from '../src/privacy/sensitiveData';
+import { parseBarcodePayload } from '../src/extract/barcodePayload';
+import { extractReceiptFields } from '../src/extract/receipt';
+import { serializeScans } from '../src/export/scanFormats';
+
+test('validates JMBG and card checksums', () => {
+  expect(isValidJmbg('0101990710008')).toBe(true);
+  expect(isValidJmbg('0101990710007')).toBe(false);
+  // Day 32 cannot be a birth date
+  expect(isValidJmbg('3201990710004')).toBe(false);
+  expect(isLuhnValid('4111 1111 1111 1111')).toBe(true);
+  expect(isLuhnValid('4111 1111 1111 1112')).toBe(false);
+  expect(isLuhnValid('0000000000000')).toBe(false);
+});
+
+test('finds sensitive values and leaves amounts, dates and invoice numbers alone', () => {
+  const text = [
+    'JMBG: 1503985715128',
+    'Kartica 4111 1111 1111 1111 2024',
+    'Račun RS35 2600 0560 1001 6113 79',
+    'Tel. 064 123 4567, mejl pera.peric@example.rs',
+    'Datum 15/03/2024 Ukupno 1.234,56 Broj 1503985715127',
+  ].join('\n');
+  expect(findSensitive(text).map(({ type, value }) => ({ type, value }))).toEqual([
+    { type: 'jmbg', value: '1503985715128' },
+    { type: 'card', value: '4111 1111 1111 1111' },
+    { type: 'iban', value: 'RS35 2600 0560 1001 6113 79' },
+    { type: 'phone', value: '064 123 4567' },
+    { type: 'email', value: 'pera.peric@example.rs' },
+  ]);
+  expect(findSensitive('')).toEqual([]);
+});
+
+test('masks values, keeping the last digits of cards and IBANs', () => {
+  expect(redactText('Kartica 4111-1111-1111-1111, JMBG 0101990710008.')).toBe(
+    'Kartica ****-****-****-1111, JMBG *************.',
+  );
+  expect(redactText('IBAN RS35260005601001611379 tel +381 64 1234567')).toBe(
+    'IBAN ******************1379 tel +*** ** *******',
+  );
+  expect(redactText('pisati na pera@example.rs')).toBe('pisati na p***@example.rs');
+  expect(describeSensitive(findSensitive('064 123 4567 i 011/222-3333, pera@example.rs'))).toBe('Telefon (2), Email');
+});
+
+const frame = (left, width) => ({ left, top: 10, width, height: 20 });
+const result = {
+  text: 'Kartica 4111 1111 1111 1111',
+  blocks: [
+    {
+      text: 'Kartica 4111 1111 1111 1111',
+      frame: frame(0, 300),
+      lines: [
+        {
+          text: 'Kartica 4111 1111 1111 1111',
+          frame: frame(0, 300),
+          elements: [
+            { text: 'Kartica', frame: frame(0, 80) },
+            { text: '4111', frame: frame(90, 40) },
+            { text: '1111', frame: frame(140, 40) },
+            { text: '1111', frame: frame(190, 40) },
+            { text: '1111', frame: frame(240, 40) },
+          ],
+        },
+        { text: 'JMBG 0101990710008', frame: { left: 0, top: 40, width: 200, height: 20 }, elements: [] },
+      ],
+    },
+  ],
+};
+
+test('maps sensitive values to the frames of their words', () => {
+  expect(sensitiveFrames(result)).toEqual([
+    frame(90, 40),
+    frame(140, 40),
+    frame(190, 40),
+    frame(240, 40),
+    { left: 0, top: 40, width: 200, height: 20 },
+  ]);
+  expect(sensitiveFrames(null)).toEqual([]);
+});
+
+test('redacts recognition results and scans for export', () => {
+  const redacted = redactOcrResult(result);
+  expect(redacted.text).toBe('Kartica **** **** **** 1111');
+  expect(redacted.blocks[0].lines[0].elements.map(element => element.text)).toEqual(['Kartica', '****', '****', '****', '****']);
+  expect(redacted.blocks[0].lines[1].text).toBe('JMBG *************');
+
+  const scan = redactScan({
+    id: 'a',
+    extractedText: 'JMBG 0101990710008',
+    rawText: 'JMBG 0101990710008',
+    ocrResult: null,
+    revisions: [{ kind: 'ocr', text: 'JMBG 0101990710008', savedAt: null }],
+  });
+  expect(scan).toEqual({ id: 'a', extractedText: 'JMBG *************', rawText: 'JMBG *************', ocrResult: null });
+});
+
+test('leaves no sensitive values in redacted JSON and CSV exports', () => {
+  const text = 'Uplata na RS35 2600 0560 1001 6113 79\nRačun 845-0000000404849-87';
+  const ips = 'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS|I:RSD3596,13|P:MRĐO MAČKATOVIĆ\r\nBEOGRAD|S:Struja';
+  const scan = {
+    id: 'a',
+    imageUri: 'file:///a.jpg',
+    extractedText: text,
+    timestamp: '2024-03-15T10:00:00.000Z',
+    receiptFields: extractReceiptFields(text),
+    contact: { name: 'Pera Perić', phones: [{ value: '+381641234567', type: 'cell' }], emails: ['pera@example.rs'] },
+    barcodes: [{ format: 'qr', value: ips, payload: parseBarcodePayload(ips) }],
+  };
+  expect(findSensitive(serializeScans([scan], 'json')).length).toBeGreaterThan(0);
+
+  const redacted = redactScan(scan);
+  ['json', 'csv'].forEach(format => {
+    const content = serializeScans([redacted], format);
+    expect(findSensitive(content)).toEqual([]);
+    ['RS35260005601001611379', '845-0000000404849-87', '845000000040484987', 'MAČKATOVIĆ'].forEach(raw => {
+      expect(content).not.toContain(raw);
+    });
+  });
+  expect(redacted.receiptFields.ibans[0].value).toBe('******************1379');
+  expect(redacted.barcodes[0].payload.recipient).toBe('JP EPS');
+  expect(findSensitive(JSON.stringify(redacted.contact))).toEqual([]);
+});
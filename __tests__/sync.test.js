@@ -0,0 +1,170 @@
+jest.mock('react-native-fs', () => {
+  const files = {};
+  return {
+    DocumentDirectoryPath: '/docs',
+    files,
+    exists: jest.fn(async path => path in files || Object.keys(files).some(name => name.startsWith(`${path}/`))),
+    mkdir: jest.fn(async () => {}),
+    readFile: jest.fn(async path => {
+      if (!(path in files)) {throw new Error(`ENOENT: ${path}`);}
+      return files[path];
+    }),
+    writeFile: jest.fn(async (path, content) => {
+      files[path] = content;
+    }),
+  };
+});
+
+import http from 'http';
+import { Buffer } from 'buffer';
+import RNFS from 'react-native-fs';
+import { backoffDelay, enqueueScans, loadOutbox, nextSyncDelay, runSync } from '../src/sync/outbox';
+import { syncConfigFromSettings, uploadScan } from '../src/sync/uploadScan';
+import { bytesToBase64 } from '../src/utils/base64';
+
+const IMAGE = new Uint8Array([0xff, 0xd8, 0x00, 0x0d, 0x0a, 0xff, 0xd9]);
+RNFS.files['/docs/history/scan-1.jpg'] = bytesToBase64(IMAGE);
+
+const scan = {
+  id: 'scan-1',
+  imageUri: 'file:///docs/history/scan-1.jpg',
+  source: 'camera',
+  extractedText: 'Račun "A"\nukupno 1.234,56',
+  rawText: 'Račun "A"\nukupno 1.234,56',
+  location: { latitude: 44.8125, longitude: 20.4612, accuracy: 12 },
+  locationSource: 'live',
+  capturedAt: null,
+  timestamp: '2024-03-15T12:30:00.000Z',
+};
+
+// Helper: multipart body -> { fields, files } the way a server would read it
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(.+)$/.exec(contentType)[1];
+  const raw = body.toString('latin1');
+  const fields = {};
+  const files = [];
+  raw
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .forEach(part => {
+      const headerEnd = part.indexOf('\r\n\r\n');
+      const head = part.slice(2, headerEnd);
+      const value = Buffer.from(part.slice(headerEnd + 4, -2), 'latin1');
+      const name = /name="([^"]*)"/.exec(head)[1];
+      const fileName = /filename="([^"]*)"/.exec(head);
+      if (fileName) {
+        files.push({ name, fileName: fileName[1], contentType: /Content-Type: (.+)/.exec(head)[1], bytes: [...value] });
+      } else {
+        fields[name] = value.toString('utf8');
+      }
+    });
+  return { fields, files };
+}
+
+// Local stand-in for the team's REST endpoint; `statuses` are answered in turn, then 201
+let server;
+let endpoint;
+let received = [];
+let statuses = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, ...parseMultipart(Buffer.concat(chunks), req.headers['content-type']) });
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 201;
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/scans`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  statuses = [];
+});
+
+test('uploads a scan as multipart with its client id', async () => {
+  await uploadScan(scan, { endpoint, token: 'secret', deviceId: 'device-1' });
+
+  expect(received).toHaveLength(1);
+  const [request] = received;
+  expect(request.headers['idempotency-key']).toBe('scan-1');
+  expect(request.headers.authorization).toBe('Bearer secret');
+  expect(request.fields).toMatchObject({
+    scan_id: 'scan-1',
+    device_id: 'device-1',
+    timestamp: '2024-03-15T12:30:00.000Z',
+    text: 'Račun "A"\nukupno 1.234,56',
+    latitude: '44.8125',
+    longitude: '20.4612',
+    accuracy: '12',
+    location_source: 'live',
+  });
+  expect(JSON.parse(request.fields.location)).toEqual(scan.location);
+  expect(request.files).toEqual([{ name: 'image', fileName: 'scan-1.jpg', contentType: 'image/jpeg', bytes: [...IMAGE] }]);
+});
+
+test('classifies server answers for retrying', async () => {
+  statuses = [409];
+  await expect(uploadScan(scan, { endpoint, deviceId: 'd' })).resolves.toBe(409);
+  statuses = [503];
+  await expect(uploadScan(scan, { endpoint, deviceId: 'd' })).rejects.toMatchObject({ retryable: true });
+  statuses = [422];
+  await expect(uploadScan(scan, { endpoint, deviceId: 'd' })).rejects.toMatchObject({ retryable: false });
+});
+
+test('grows the retry delay exponentially up to an hour', () => {
+  const fixed = () => 0.5;
+  expect([1, 2, 3].map(attempts => backoffDelay(attempts, fixed))).toEqual([30000, 60000, 120000]);
+  expect(backoffDelay(20, fixed)).toBe(3600000);
+  expect(backoffDelay(1, () => 0)).toBe(24000);
+});
+
+test('keeps failed uploads in the outbox and retries them with backoff', async () => {
+  const config = syncConfigFromSettings({ syncEnabled: true, syncEndpoint: ` ${endpoint} ` });
+  let clock = Date.parse('2024-03-15T13:00:00Z');
+  const options = { loadScans: async () => [scan], now: () => clock, random: () => 0.5 };
+
+  await enqueueScans(['scan-1', 'deleted-scan'], clock);
+  statuses = [503];
+  let outbox = await runSync(config, options);
+  expect(outbox['deleted-scan']).toBeUndefined();
+  expect(outbox['scan-1']).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Server je odbio skeniranje (503).' });
+  expect(nextSyncDelay(outbox, clock)).toBe(30000);
+
+  // Not due yet: nothing is sent
+  await runSync(config, options);
+  expect(received).toHaveLength(1);
+
+  // The outbox is read back from disk, as after a restart
+  expect((await loadOutbox())['scan-1'].status).toBe('pending');
+  clock += 30000;
+  outbox = await runSync(config, options);
+  expect(outbox['scan-1']).toMatchObject({ status: 'synced', attempts: 2, syncedAt: '2024-03-15T13:00:30.000Z' });
+  expect(received.map(request => request.fields.scan_id)).toEqual(['scan-1', 'scan-1']);
+  expect(received[0].fields.device_id).toBe(received[1].fields.device_id);
+  expect(nextSyncDelay(outbox, clock)).toBeNull();
+});
+
+test('stops retrying rejected scans until they are queued again', async () => {
+  const config = { endpoint };
+  const clock = Date.parse('2024-03-16T08:00:00Z');
+  const options = { loadScans: async () => [scan], now: () => clock };
+
+  await enqueueScans(['scan-1'], clock);
+  statuses = [400];
+  const outbox = await runSync(config, options);
+  expect(outbox['scan-1']).toMatchObject({ status: 'failed', attempts: 1 });
+  // syncedAt of the earlier successful upload is kept
+  expect(outbox['scan-1'].syncedAt).toBe('2024-03-15T13:00:30.000Z');
+  expect(nextSyncDelay(outbox, clock)).toBeNull();
+
+  await enqueueScans(['scan-1'], clock);
+  expect((await runSync(config, options))['scan-1'].status).toBe('synced');
+  expect(syncConfigFromSettings({ syncEnabled: false, syncEndpoint: endpoint })).toBeNull();
+});
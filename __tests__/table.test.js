@@ -0,0 +1,90 @@
+import { columnCount, detectTable, mergeWithNext, removeColumn, removeRow, setCellText, splitCell, tableGrid } from '../src/extract/table';
+import { columnName, tableToCsv, tableToXlsx } from '../src/export/tableFormats';
+import { crc32 } from '../src/export/zipWriter';
+import { utf8Bytes, utf8String } from '../src/utils/utf8';
+
+// Price list: name, unit and price columns under a title over the whole width;
+// one row carries a note over the unit and price columns
+const ROWS = [
+  [[['Cenovnik', 0, 160], ['mart', 170, 160], ['2025', 340, 180]]],
+  [[['Artikal', 0, 90]], [['Jed.', 250, 50]], [['Cena', 460, 60]]],
+  [[['Hleb', 0, 60], ['beli', 70, 50]], [['kom', 250, 40]], [['89,99', 460, 60]]],
+  [[['Mleko', 0, 80], ['2,8%', 90, 60]], [['l', 250, 10]], [['129,99', 450, 70]]],
+  [[['Jaja', 0, 60]], [['Akcija', 250, 80], ['do', 340, 30], ['petka', 380, 140]]],
+  [[['Sir', 0, 50]], [['kg', 250, 30]], [['1.299,00', 440, 80]]],
+  [[['Kafa', 0, 60]], [['kom', 250, 40]], [['459,00', 450, 70]]],
+  [[['Šećer', 0, 70]], [['kg', 250, 30]], [['99,00', 460, 60]]],
+  [[['Ulje', 0, 50]], [['l', 250, 10]], [['249,00', 450, 70]]],
+  [[['Pavlaka', 0, 100]], [['119,00', 450, 70]]],
+];
+
+// Helper: OCR result with one ML Kit line per cell, as ML Kit splits table columns
+function priceListResult() {
+  const lines = ROWS.flatMap((cells, rowIndex) =>
+    cells.map(words => {
+      const elements = words.map(([text, left, width]) => ({ text, frame: { left, top: rowIndex * 40, width, height: 20 } }));
+      const last = elements[elements.length - 1].frame;
+      return {
+        text: words.map(([text]) => text).join(' '),
+        frame: { left: words[0][1], top: rowIndex * 40, width: last.left + last.width - words[0][1], height: 20 },
+        elements,
+      };
+    }),
+  );
+  return { text: '', blocks: [{ text: '', lines }] };
+}
+
+const texts = row => row.map(cell => (cell.span > 1 ? `${cell.text}|${cell.span}` : cell.text));
+
+test('rebuilds rows, columns and merged cells from word frames', () => {
+  const table = detectTable(priceListResult());
+  expect(columnCount(table)).toBe(3);
+  expect(table.rows.map(texts)).toEqual([
+    ['Cenovnik mart 2025|3'],
+    ['Artikal', 'Jed.', 'Cena'],
+    ['Hleb beli', 'kom', '89,99'],
+    ['Mleko 2,8%', 'l', '129,99'],
+    ['Jaja', 'Akcija do petka|2'],
+    ['Sir', 'kg', '1.299,00'],
+    ['Kafa', 'kom', '459,00'],
+    ['Šećer', 'kg', '99,00'],
+    ['Ulje', 'l', '249,00'],
+    ['Pavlaka', '', '119,00'],
+  ]);
+  expect(detectTable({ text: '', blocks: [] })).toBeNull();
+});
+
+test('edits cells, rows, columns and merges', () => {
+  const table = detectTable(priceListResult());
+  expect(texts(mergeWithNext(table, 1, 0).rows[1])).toEqual(['Artikal Jed.|2', 'Cena']);
+  expect(texts(splitCell(table, 4, 1).rows[4])).toEqual(['Jaja', 'Akcija do petka', '']);
+  expect(setCellText(table, 2, 2, '99,99').rows[2][2].text).toBe('99,99');
+  expect(removeRow(table, 0).rows).toHaveLength(9);
+  const narrower = removeColumn(table, 1);
+  expect(columnCount(narrower)).toBe(2);
+  expect(texts(narrower.rows[0])).toEqual(['Cenovnik mart 2025|2']);
+  expect(texts(narrower.rows[4])).toEqual(['Jaja', 'Akcija do petka']);
+  expect(texts(narrower.rows[2])).toEqual(['Hleb beli', '89,99']);
+});
+
+test('exports CSV and an .xlsx package with merged cells and numbers', () => {
+  const table = removeRow(removeRow(detectTable(priceListResult()), 9), 8);
+  expect(tableGrid(table).merges).toEqual([
+    { row: 0, column: 0, span: 3 },
+    { row: 4, column: 1, span: 2 },
+  ]);
+  const csv = tableToCsv(table).slice(1).split('\r\n');
+  expect(csv[0]).toBe('Cenovnik mart 2025,,');
+  expect(csv[2]).toBe('Hleb beli,kom,"89,99"');
+
+  expect(columnName(0)).toBe('A');
+  expect(columnName(27)).toBe('AB');
+  expect(crc32(utf8Bytes('123456789'))).toBe(0xcbf43926);
+  const xlsx = tableToXlsx(table, 'Tabela');
+  expect(utf8String(xlsx.subarray(0, 4))).toBe('PK\u0003\u0004');
+  const content = utf8String(xlsx);
+  expect(content).toContain('<mergeCell ref="A1:C1"/><mergeCell ref="B5:C5"/>');
+  expect(content).toContain('<c r="C6"><v>1299</v></c>');
+  expect(content).toContain('<c r="A8" t="inlineStr"><is><t xml:space="preserve">Šećer</t></is></c>');
+  expect(content).toContain('<sheet name="Tabela" sheetId="1" r:id="rId1"/>');
+});
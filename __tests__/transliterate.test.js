@@ -0,0 +1,21 @@
+import { cyrillicToLatin, latinToCyrillic, transliterate } from '../src/text/transliterate';
+
+test('transliterates Cyrillic to Latin, including digraphs and casing', () => {
+  expect(cyrillicToLatin('Љубав, њива и џеп')).toBe('Ljubav, njiva i džep');
+  expect(cyrillicToLatin('ЉУБАВ ЊЕГОШ ЏАК')).toBe('LJUBAV NJEGOŠ DŽAK');
+  expect(cyrillicToLatin('Ђорђе Ћосић, ул. Војводе Мишића 12')).toBe('Đorđe Ćosić, ul. Vojvode Mišića 12');
+  expect(cyrillicToLatin('КРАЉ')).toBe('KRALJ');
+});
+
+test('transliterates Latin to Cyrillic, reading lj/nj/dž as digraphs', () => {
+  expect(latinToCyrillic('Ljubav, njiva i džep')).toBe('Љубав, њива и џеп');
+  expect(latinToCyrillic('LJUBAV NJEGOŠ DŽAK')).toBe('ЉУБАВ ЊЕГОШ ЏАК');
+  expect(latinToCyrillic('Đorđe Ćosić 12')).toBe('Ђорђе Ћосић 12');
+});
+
+test('round-trips and leaves the original mode untouched', () => {
+  const text = 'Čačak, Šabac, Užice — Džaja i Ljilja';
+  expect(cyrillicToLatin(latinToCyrillic(text))).toBe(text);
+  expect(transliterate(text, 'original')).toBe(text);
+  expect(transliterate('Ниш', 'latin')).toBe('Niš');
+});
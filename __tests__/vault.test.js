@@ -0,0 +1,184 @@
+jest.mock('react-native-fs', () => {
+  const { Buffer: NodeBuffer } = require('buffer');
+  const files = {};
+  const within = (path, dir) => path.startsWith(`${dir}/`);
+  const encodingOf = encoding => (encoding === 'base64' ? 'base64' : 'utf8');
+  return {
+    DocumentDirectoryPath: '/docs',
+    CachesDirectoryPath: '/cache',
+    __files: files,
+    exists: jest.fn(async path => path in files || Object.keys(files).some(key => within(key, path))),
+    mkdir: jest.fn(async () => {}),
+    readDir: jest.fn(async dir =>
+      Object.keys(files)
+        .filter(key => within(key, dir) && !key.slice(dir.length + 1).includes('/'))
+        .map(key => ({ name: key.slice(dir.length + 1), path: key, isFile: () => true })),
+    ),
+    readFile: jest.fn(async (path, encoding) => {
+      if (!(path in files)) {throw new Error(`ENOENT: ${path}`);}
+      return files[path].toString(encodingOf(encoding));
+    }),
+    writeFile: jest.fn(async (path, content, encoding) => {
+      files[path] = NodeBuffer.from(content, encodingOf(encoding));
+    }),
+    copyFile: jest.fn(async (from, to) => {
+      files[to] = files[from];
+    }),
+    moveFile: jest.fn(async (from, to) => {
+      files[to] = files[from];
+      delete files[from];
+    }),
+    unlink: jest.fn(async path => {
+      Object.keys(files)
+        .filter(key => key === path || within(key, path))
+        .forEach(key => delete files[key]);
+    }),
+  };
+});
+
+import nodeCrypto from 'crypto';
+import { Buffer } from 'buffer';
+import RNFS from 'react-native-fs';
+
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  hmacSha256,
+  PBKDF2_CHUNK,
+  pbkdf2Sha256,
+  randomBytes,
+  sha256,
+} from '../src/vault/crypto';
+import {
+  changeVaultPasscode,
+  disableVault,
+  enableVault,
+  ITERATIONS,
+  lockIfIdle,
+  lockVault,
+  loadVault,
+  readImageBase64,
+  touchVault,
+  unlockVault,
+  vaultState,
+} from '../src/vault/vault';
+import { addScan, loadHistory, openScanImages } from '../src/history/historyStore';
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+test('matches the reference SHA-256, HMAC, PBKDF2 and AES-GCM', async () => {
+  [0, 55, 56, 64, 130].forEach(length => {
+    const data = Buffer.alloc(length, length % 251);
+    expect(hex(sha256(data))).toBe(nodeCrypto.createHash('sha256').update(data).digest('hex'));
+    // Keys longer than a block are hashed first
+    const key = Buffer.alloc(length + 1, 7);
+    expect(hex(hmacSha256(key, data))).toBe(nodeCrypto.createHmac('sha256', key).update(data).digest('hex'));
+  });
+  expect(hex(await pbkdf2Sha256(Buffer.from('šifra'), Buffer.from('so'), 100, 40))).toBe(
+    nodeCrypto.pbkdf2Sync('šifra', 'so', 100, 40, 'sha256').toString('hex'),
+  );
+
+  const key = Buffer.alloc(32, 1);
+  const iv = Buffer.alloc(12, 2);
+  const aad = Buffer.from('zaglavlje');
+  [0, 15, 16, 100].forEach(length => {
+    const plaintext = Buffer.alloc(length, 3);
+    const cipher = nodeCrypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(aad);
+    const expected = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    const sealed = aesGcmEncrypt(key, iv, plaintext, aad);
+    expect(hex(sealed)).toBe(expected.toString('hex'));
+    expect(hex(aesGcmDecrypt(key, iv, sealed, aad))).toBe(plaintext.toString('hex'));
+  });
+
+  const tampered = aesGcmEncrypt(key, iv, Buffer.from('tekst'), aad);
+  tampered[0] = (tampered[0] + 1) % 256;
+  expect(() => aesGcmDecrypt(key, iv, tampered, aad)).toThrow('Pogrešan ključ ili oštećeni podaci.');
+});
+
+test('derives keys in chunks that let the UI run in between', async () => {
+  const iterations = 3 * PBKDF2_CHUNK + 1;
+  let turns = 0;
+  let done = false;
+  const derivation = pbkdf2Sha256(Buffer.from('šifra'), Buffer.from('so'), iterations, 32);
+  // Runs every time the derivation hands the event loop back
+  const count = () => {
+    turns += 1;
+    if (!done) {setTimeout(count, 0);}
+  };
+  setTimeout(count, 0);
+  const key = await derivation;
+  done = true;
+  expect(turns).toBeGreaterThanOrEqual(2);
+  expect(hex(key)).toBe(nodeCrypto.pbkdf2Sync('šifra', 'so', iterations, 32, 'sha256').toString('hex'));
+});
+
+const stored = path => RNFS.__files[path];
+const isSealedFile = path => stored(path).subarray(0, 4).toString('latin1') === 'OCRV';
+
+test('encrypts the history at rest, locks, and re-encrypts on a passcode change', async () => {
+  const photo = Buffer.from('jpeg bajtovi fotografije').toString('base64');
+  await RNFS.writeFile('/picker/a.jpg', photo, 'base64');
+  expect(await loadVault()).toBe('off');
+  const scan = await addScan({ imageUri: 'file:///picker/a.jpg', source: 'camera', extractedText: 'JMBG klijenta' });
+  const imagePath = `/docs/history/${scan.id}.jpg`;
+  expect(stored('/docs/history/index.json').toString()).toContain('JMBG klijenta');
+
+  await expect(enableVault('1234')).rejects.toThrow('Šifra mora imati najmanje 6 znakova.');
+  await enableVault('123456');
+  expect(vaultState()).toBe('unlocked');
+  // Rounds are stored with the key, so raising ITERATIONS leaves older vaults readable
+  expect(JSON.parse(stored('/docs/vault.json').toString()).iterations).toBe(ITERATIONS);
+  expect(isSealedFile('/docs/history/index.json')).toBe(true);
+  expect(stored('/docs/history/index.json').toString('latin1')).not.toContain('JMBG');
+  expect(isSealedFile(imagePath)).toBe(true);
+  expect((await loadHistory())[0].extractedText).toBe('JMBG klijenta');
+  expect(await readImageBase64(scan.imageUri)).toBe(photo);
+
+  // New scans go straight into the vault; images are viewed through decrypted copies
+  const second = await addScan({ imageUri: 'file:///picker/a.jpg', source: 'gallery', extractedText: 'Drugi' });
+  expect(isSealedFile(`/docs/history/${second.id}.jpg`)).toBe(true);
+  const opened = await openScanImages(second);
+  expect(opened.imageUri).toBe(`file:///cache/vault_view/${second.id}.jpg`);
+  expect(await RNFS.readFile(`/cache/vault_view/${second.id}.jpg`, 'base64')).toBe(photo);
+
+  touchVault(0);
+  expect(await lockIfIdle(5, 4 * 60 * 1000)).toBe(false);
+  expect(await lockIfIdle(5, 5 * 60 * 1000)).toBe(true);
+  expect(vaultState()).toBe('locked');
+  expect(stored(`/cache/vault_view/${second.id}.jpg`)).toBeUndefined();
+  await expect(loadHistory()).rejects.toThrow('Trezor je zaključan.');
+  await expect(unlockVault('000000')).rejects.toThrow('Pogrešna šifra.');
+
+  // A plain file left by an interrupted enable is sealed on the next unlock
+  await RNFS.writeFile('/docs/history/stray.jpg', photo, 'base64');
+  await unlockVault('123456');
+  expect(isSealedFile('/docs/history/stray.jpg')).toBe(true);
+
+  await expect(changeVaultPasscode('000000', 'nova šifra')).rejects.toThrow('Pogrešna šifra.');
+  const before = stored('/docs/history/index.json');
+  await changeVaultPasscode('123456', 'nova šifra');
+  expect(stored('/docs/history/index.json').equals(before)).toBe(false);
+  expect(Object.keys(RNFS.__files).filter(path => path.endsWith('.vtmp'))).toEqual([]);
+  await lockVault();
+  await expect(unlockVault('123456')).rejects.toThrow('Pogrešna šifra.');
+  await unlockVault('nova šifra');
+  expect((await loadHistory()).map(entry => entry.extractedText)).toEqual(['Drugi', 'JMBG klijenta']);
+
+  await disableVault('nova šifra');
+  expect(vaultState()).toBe('off');
+  expect(stored('/docs/vault.json')).toBeUndefined();
+  expect(stored('/docs/history/index.json').toString()).toContain('JMBG klijenta');
+  expect(await RNFS.readFile(imagePath, 'base64')).toBe(photo);
+});
+
+test('refuses to make keys, salts and nonces without a secure random source', () => {
+  const { crypto } = global;
+  Object.defineProperty(global, 'crypto', { value: undefined, configurable: true, writable: true });
+  try {
+    expect(() => randomBytes(12)).toThrow('Uređaj nema siguran izvor slučajnih brojeva.');
+  } finally {
+    Object.defineProperty(global, 'crypto', { value: crypto, configurable: true, writable: true });
+  }
+  expect(randomBytes(12)).toHaveLength(12);
+});
@@ -1,5 +1,9 @@
 package com.basicocr
 
+import android.content.ContentResolver
+import android.content.Intent
+import android.net.Uri
+import androidx.core.content.IntentCompat
 import com.facebook.react.ReactActivity
 import com.facebook.react.ReactActivityDelegate
 import com.facebook.react.defaults.DefaultNewArchitectureEntryPoint.fabricEnabled
@@ -7,11 +11,60 @@ import com.facebook.react.defaults.DefaultReactActivityDelegate
 
 class MainActivity : ReactActivity() {
 
+  // The intent last turned into a share link; any other basicocr://share link came from outside
+  private var sharedIntent: Intent? = null
+
   override fun onCreate(savedInstanceState: android.os.Bundle?) {
     setTheme(R.style.AppTheme)
+    shareAsLink(intent)
     super.onCreate(savedInstanceState)
   }
 
+  override fun onNewIntent(intent: Intent) {
+    shareAsLink(intent)
+    super.onNewIntent(intent)
+  }
+
+  /**
+   * Images shared into the app (ACTION_SEND / ACTION_SEND_MULTIPLE) reach JavaScript through
+   * Linking, like the basicocr://scan links: the intent is turned into a VIEW of
+   * basicocr://share?uri=<content uri>[&uri=...] (see src/scan/incomingLinks.js).
+   * The read grant for the shared URIs stays with this activity.
+   *
+   * Share links that other apps send themselves are dropped, and so are URIs that are not
+   * content:// or belong to this app's own providers: they could name the app's private files.
+   */
+  private fun shareAsLink(intent: Intent?) {
+    if (intent == null) return
+    val data = intent.data
+    if (intent.action == Intent.ACTION_VIEW && data?.scheme == "basicocr" && data.host == "share" && intent !== sharedIntent) {
+      intent.data = null
+      return
+    }
+    val shared: List<Uri> =
+        when (intent.action) {
+          Intent.ACTION_SEND ->
+              listOfNotNull(IntentCompat.getParcelableExtra(intent, Intent.EXTRA_STREAM, Uri::class.java))
+          Intent.ACTION_SEND_MULTIPLE ->
+              IntentCompat.getParcelableArrayListExtra(intent, Intent.EXTRA_STREAM, Uri::class.java)
+                  ?: emptyList()
+          else -> return
+        }
+    val uris = shared.filter { it.scheme == ContentResolver.SCHEME_CONTENT && !isOwnProvider(it) }
+    if (uris.isEmpty()) return
+    val link = Uri.Builder().scheme("basicocr").authority("share")
+    uris.forEach { link.appendQueryParameter("uri", it.toString()) }
+    intent.action = Intent.ACTION_VIEW
+    intent.data = link.build()
+    sharedIntent = intent
+  }
+
+  private fun isOwnProvider(uri: Uri): Boolean {
+    val authority = uri.authority ?: return true
+    @Suppress("DEPRECATION")
+    return packageManager.resolveContentProvider(authority, 0)?.packageName == packageName
+  }
+
   /**
    * Returns the name of the main component registered from JavaScript. This is used to schedule
    * rendering of the component.
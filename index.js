@@ -2,6 +2,8 @@
  * @format
  */
 
+// crypto.getRandomValues backed by the platform's secure random source, for the vault
+import 'react-native-get-random-values';
 import {AppRegistry} from 'react-native';
 import App from './App';
 import {name as appName} from './app.json';
@@ -0,0 +1,109 @@
+/**
+ * Processing queue for batch OCR.
+ *
+ * Runs `worker(item)` for every item with at most `concurrency` items in flight.
+ * Item: { ...input, id, status, error, result } where status is one of
+ * 'pending' | 'running' | 'done' | 'failed' | 'cancelled'.
+ *
+ * Cancelling stops pending items; items already running finish normally,
+ * since the native OCR call cannot be interrupted.
+ * `onChange(items)` receives a fresh array after every status change.
+ */
+
+import { t } from '../i18n/i18n';
+
+export function createBatchQueue(inputs, { worker, concurrency = 1, onChange }) {
+  let items = inputs.map((input, index) => ({
+    ...input,
+    id: String(index),
+    status: 'pending',
+    error: null,
+    result: null,
+  }));
+  let cancelled = false;
+  let active = 0;
+  let idleWaiters = [];
+
+  const emit = () => {
+    if (onChange) {onChange(items);}
+  };
+
+  const update = (id, patch) => {
+    items = items.map(item => (item.id === id ? { ...item, ...patch } : item));
+    emit();
+  };
+
+  const settleIdle = () => {
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    waiters.forEach(resolve => resolve(items));
+  };
+
+  const pump = () => {
+    while (!cancelled && active < concurrency) {
+      const next = items.find(item => item.status === 'pending');
+      if (!next) {break;}
+      active += 1;
+      update(next.id, { status: 'running', error: null });
+      Promise.resolve()
+        .then(() => worker(next))
+        .then(
+          result => update(next.id, { status: 'done', result }),
+          err => update(next.id, { status: 'failed', error: (err && err.message) || t('common.unknownError') }),
+        )
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+    if (active === 0) {settleIdle();}
+  };
+
+  // Resolves with the items once nothing is running or waiting to run
+  const whenIdle = () =>
+    new Promise(resolve => {
+      idleWaiters.push(resolve);
+      if (active === 0 && (cancelled || !items.some(item => item.status === 'pending'))) {settleIdle();}
+    });
+
+  // Put items back in line and resume processing
+  const requeue = predicate => {
+    cancelled = false;
+    items = items.map(item => (predicate(item) ? { ...item, status: 'pending', error: null } : item));
+    emit();
+    pump();
+    return whenIdle();
+  };
+
+  return {
+    getItems: () => items,
+    whenIdle,
+    start() {
+      emit();
+      pump();
+      return whenIdle();
+    },
+    cancel() {
+      cancelled = true;
+      items = items.map(item => (item.status === 'pending' ? { ...item, status: 'cancelled' } : item));
+      emit();
+      if (active === 0) {settleIdle();}
+    },
+    retry(id) {
+      return requeue(item => item.id === id && (item.status === 'failed' || item.status === 'cancelled'));
+    },
+    retryFailed() {
+      return requeue(item => item.status === 'failed' || item.status === 'cancelled');
+    },
+  };
+}
+
+// Counts per status, plus how many items are finished either way
+export function summarizeBatch(items) {
+  const summary = { total: items.length, pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  items.forEach(item => {
+    summary[item.status] += 1;
+  });
+  summary.finished = summary.done + summary.failed + summary.cancelled;
+  return summary;
+}
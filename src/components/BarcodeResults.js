@@ -0,0 +1,145 @@
+/**
+ * Barcodes and QR codes found on a scan (see src/extract/barcodePayload.js).
+ *
+ * Fiscal receipt verifications and IPS payment slips are shown field by field;
+ * links open in the browser, anything else is shown as decoded text.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Linking, Alert } from 'react-native';
+
+import { t } from '../i18n/i18n';
+import { formatDateTime, formatNumber } from '../i18n/format';
+
+// Helper: Open a link from a code in the browser
+function openLink(url) {
+  Linking.openURL(url).catch(err => {
+    Alert.alert(t('common.error'), t('barcodes.openFailed', { reason: err.message || t('common.unknownError') }));
+  });
+}
+
+// Helper: "Label: value" rows of a payload, skipping empty values
+function fieldRows(rows) {
+  return rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value, style]) => (
+      <Text key={label} style={styles.field}>
+        <Text style={styles.label}>{label}: </Text>
+        <Text style={style} selectable>{value}</Text>
+      </Text>
+    ));
+}
+
+const BarcodeResults = ({ barcodes }) => {
+  const renderPayload = barcode => {
+    const { payload } = barcode;
+    if (payload.type === 'fiscalReceipt') {
+      return (
+        <>
+          <Text style={styles.kind}>{t('barcodes.fiscalReceipt')}</Text>
+          {fieldRows([
+            [t('barcodes.invoiceNumber'), payload.invoiceNumber],
+            [t('barcodes.amount'), typeof payload.total === 'number' ? formatNumber(payload.total, 2) : null],
+            [t('barcodes.issuedAt'), payload.issuedAt ? formatDateTime(payload.issuedAt) : null],
+            [t('barcodes.invoiceType'), payload.invoiceType ? t(`barcodes.invoiceTypes.${payload.invoiceType}`) : null],
+          ])}
+          <TouchableOpacity onPress={() => openLink(payload.url)}>
+            <Text style={styles.link}>{t('barcodes.verify')}</Text>
+          </TouchableOpacity>
+        </>
+      );
+    }
+    if (payload.type === 'ipsPayment') {
+      const amount = typeof payload.amount === 'number' ? `${formatNumber(payload.amount, 2)} ${payload.currency}` : null;
+      return (
+        <>
+          <Text style={styles.kind}>{t('barcodes.ipsPayment')}</Text>
+          {fieldRows([
+            [t('barcodes.recipient'), [payload.recipient, payload.recipientAddress].filter(Boolean).join(', ')],
+            [
+              t('barcodes.account'),
+              payload.accountValid ? payload.account : `${payload.account} (${t('receipt.invalid')})`,
+              payload.accountValid ? null : styles.invalid,
+            ],
+            [t('barcodes.amount'), amount],
+            [t('barcodes.purpose'), payload.purpose],
+            [t('barcodes.paymentCode'), payload.paymentCode],
+            [t('barcodes.reference'), payload.reference],
+            [t('barcodes.payer'), payload.payer],
+          ])}
+        </>
+      );
+    }
+    if (payload.type === 'url') {
+      return (
+        <TouchableOpacity onPress={() => openLink(payload.url)}>
+          <Text style={styles.link} numberOfLines={2}>{payload.url}</Text>
+        </TouchableOpacity>
+      );
+    }
+    return <Text style={styles.value} selectable>{barcode.value}</Text>;
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{t('barcodes.title', { count: barcodes.length })}</Text>
+      {barcodes.map(barcode => (
+        <View key={barcode.value} style={styles.barcode}>
+          <Text style={styles.format}>{t(`barcodes.formats.${barcode.format === 'qr' ? 'qr' : 'other'}`)}</Text>
+          {renderPayload(barcode)}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  title: {
+    fontWeight: 'bold',
+    marginBottom: 6,
+    color: '#007AFF',
+  },
+  barcode: {
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#DDD',
+  },
+  format: {
+    fontSize: 11,
+    color: '#999',
+  },
+  kind: {
+    fontWeight: 'bold',
+    color: '#222',
+    marginBottom: 2,
+  },
+  field: {
+    fontSize: 14,
+    color: '#222',
+    marginBottom: 2,
+  },
+  label: {
+    color: '#555',
+  },
+  value: {
+    fontSize: 14,
+    color: '#222',
+  },
+  invalid: {
+    color: '#D9534F',
+  },
+  link: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+    marginVertical: 4,
+  },
+});
+
+export default BarcodeResults;
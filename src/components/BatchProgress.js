@@ -0,0 +1,153 @@
+/**
+ * Progress of a batch OCR run: overall counter plus one row per image,
+ * with cancel, retry and open actions.
+ */
+
+import React from 'react';
+import { View, Text, Image, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+
+import { summarizeBatch } from '../batch/batchQueue';
+import { t } from '../i18n/i18n';
+
+const BatchProgress = ({ items, onCancel, onRetry, onRetryFailed, onOpen, onDismiss }) => {
+  const summary = summarizeBatch(items);
+  const busy = summary.pending + summary.running > 0;
+  const retryable = summary.failed + summary.cancelled;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>
+        {t('batch.title', { finished: summary.finished, total: summary.total })}
+        {summary.failed > 0 ? ` ${t('batch.failedCount', { count: summary.failed })}` : ''}
+      </Text>
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${(summary.finished / Math.max(summary.total, 1)) * 100}%` }]} />
+      </View>
+
+      {items.map(item => (
+        <View key={item.id} style={styles.item}>
+          <Image source={{ uri: item.uri }} style={styles.thumbnail} resizeMode="cover" />
+          <View style={styles.itemBody}>
+            <Text style={[styles.status, item.status === 'failed' && styles.statusFailed]}>
+              {t(`batch.status.${item.status}`)}
+            </Text>
+            {item.status === 'done' && (
+              <Text style={styles.preview} numberOfLines={1}>
+                {item.result && item.result.text ? item.result.text : t('scan.noText')}
+              </Text>
+            )}
+            {item.status === 'failed' && (
+              <Text style={styles.preview} numberOfLines={2}>
+                {item.error}
+              </Text>
+            )}
+          </View>
+          {item.status === 'running' && <ActivityIndicator size="small" color="#007AFF" />}
+          {(item.status === 'failed' || item.status === 'cancelled') && (
+            <TouchableOpacity onPress={() => onRetry(item.id)}>
+              <Text style={styles.link}>{t('batch.retry')}</Text>
+            </TouchableOpacity>
+          )}
+          {item.status === 'done' && (
+            <TouchableOpacity onPress={() => onOpen(item)}>
+              <Text style={styles.link}>{t('batch.open')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+
+      <View style={styles.actions}>
+        {busy && (
+          <TouchableOpacity style={styles.button} onPress={onCancel}>
+            <Text style={styles.buttonText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        )}
+        {!busy && retryable > 0 && (
+          <TouchableOpacity style={styles.button} onPress={onRetryFailed}>
+            <Text style={styles.buttonText}>{t('batch.retryFailed', { count: retryable })}</Text>
+          </TouchableOpacity>
+        )}
+        {!busy && (
+          <TouchableOpacity style={styles.button} onPress={onDismiss}>
+            <Text style={styles.buttonText}>{t('common.close')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  title: {
+    fontWeight: 'bold',
+    marginBottom: 6,
+    color: '#007AFF',
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#EEE',
+    marginBottom: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: '#007AFF',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 5,
+  },
+  thumbnail: {
+    width: 40,
+    height: 40,
+    borderRadius: 4,
+    backgroundColor: '#EEE',
+  },
+  itemBody: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  status: {
+    fontSize: 13,
+    color: '#555',
+  },
+  statusFailed: {
+    color: '#D9534F',
+  },
+  preview: {
+    fontSize: 13,
+    color: '#888',
+  },
+  link: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+    paddingHorizontal: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default BatchProgress;
@@ -0,0 +1,122 @@
+/**
+ * Offline schematic of scan clusters: dots placed by projected coordinates,
+ * no map tiles. Dot size grows with the number of scans; the origin is a cross.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { formatDistance, projectPoints } from '../location/geoQuery';
+import { t } from '../i18n/i18n';
+
+const HEIGHT = 220;
+
+const ClusterSchematic = ({ clusters, origin, selectedId, onSelect }) => {
+  const [width, setWidth] = useState(0);
+
+  const points = clusters.map(cluster => cluster.center);
+  if (origin) {points.push(origin);}
+  const { points: projected, metersPerPixel } = width > 0 ? projectPoints(points, width, HEIGHT, 24) : { points: [], metersPerPixel: 0 };
+  const originPoint = origin ? projected[projected.length - 1] : null;
+  const scaleWidth = width / 4;
+
+  return (
+    <View style={styles.container} onLayout={event => setWidth(event.nativeEvent.layout.width)}>
+      {width > 0 && clusters.length === 0 && <Text style={styles.empty}>{t('nearby.noLocatedScans')}</Text>}
+      {width > 0 &&
+        clusters.map((cluster, index) => {
+          const point = projected[index];
+          const size = Math.min(14 + cluster.scans.length * 4, 40);
+          const selected = cluster.id === selectedId;
+          return (
+            <TouchableOpacity
+              key={cluster.id}
+              onPress={() => onSelect(selected ? null : cluster.id)}
+              style={[
+                styles.dot,
+                selected && styles.dotSelected,
+                { left: point.x - size / 2, top: point.y - size / 2, width: size, height: size, borderRadius: size / 2 },
+              ]}>
+              <Text style={styles.dotText}>{cluster.scans.length}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      {originPoint && (
+        <View pointerEvents="none" style={[styles.origin, { left: originPoint.x - 8, top: originPoint.y - 8 }]}>
+          <Text style={styles.originText}>✕</Text>
+        </View>
+      )}
+      {metersPerPixel > 0 && (
+        <View pointerEvents="none" style={styles.scale}>
+          <View style={[styles.scaleBar, { width: scaleWidth }]} />
+          <Text style={styles.scaleText}>{formatDistance(scaleWidth * metersPerPixel)}</Text>
+        </View>
+      )}
+      <Text pointerEvents="none" style={styles.north}>{t('format.north')} ↑</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    height: HEIGHT,
+    backgroundColor: '#EEF3F8',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    marginVertical: 8,
+    overflow: 'hidden',
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#888',
+    marginTop: HEIGHT / 2 - 10,
+  },
+  dot: {
+    position: 'absolute',
+    backgroundColor: 'rgba(0, 122, 255, 0.7)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dotSelected: {
+    backgroundColor: '#D9534F',
+  },
+  dotText: {
+    color: '#FFF',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  origin: {
+    position: 'absolute',
+    width: 16,
+    height: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  originText: {
+    color: '#222',
+    fontWeight: 'bold',
+  },
+  scale: {
+    position: 'absolute',
+    left: 8,
+    bottom: 6,
+  },
+  scaleBar: {
+    height: 3,
+    backgroundColor: '#555',
+  },
+  scaleText: {
+    fontSize: 11,
+    color: '#555',
+  },
+  north: {
+    position: 'absolute',
+    right: 8,
+    top: 6,
+    fontSize: 12,
+    color: '#555',
+  },
+});
+
+export default ClusterSchematic;
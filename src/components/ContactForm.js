@@ -0,0 +1,237 @@
+/**
+ * Review and edit a contact read from a business card, then save it with
+ * the scan or export it as a vCard (.vcf).
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { normalizePhone } from '../extract/businessCard';
+import { t } from '../i18n/i18n';
+
+const PHONE_TYPES = ['cell', 'work', 'fax'];
+
+// Helper: Stored contact -> string drafts for the inputs
+function toDrafts(contact) {
+  const address = contact.address || {};
+  return {
+    name: contact.name || '',
+    organization: contact.organization || '',
+    title: contact.title || '',
+    phones: contact.phones.map(phone => ({ ...phone })),
+    emails: contact.emails.join('\n'),
+    urls: contact.urls.join('\n'),
+    street: address.street || '',
+    postalCode: address.postalCode || '',
+    locality: address.locality || '',
+    country: address.country || '',
+  };
+}
+
+// Helper: String drafts -> contact; phone numbers are normalized to E.164 again
+function fromDrafts(drafts) {
+  const list = text => text.split(/[\n,;\s]+/).map(value => value.trim()).filter(Boolean);
+  const address = {
+    street: drafts.street.trim(),
+    postalCode: drafts.postalCode.trim(),
+    locality: drafts.locality.trim(),
+    country: drafts.country.trim(),
+  };
+  return {
+    name: drafts.name.trim() || null,
+    organization: drafts.organization.trim() || null,
+    title: drafts.title.trim() || null,
+    phones: drafts.phones
+      .map(phone => ({ value: normalizePhone(phone.value) || phone.value.trim(), type: phone.type }))
+      .filter(phone => phone.value),
+    emails: list(drafts.emails),
+    urls: list(drafts.urls),
+    address: Object.values(address).some(Boolean) ? address : null,
+  };
+}
+
+const ContactForm = ({ contact, onSave, onExport, onClose }) => {
+  const [drafts, setDrafts] = useState(() => toDrafts(contact));
+  const [dirty, setDirty] = useState(false);
+
+  const update = patch => {
+    setDrafts(prev => ({ ...prev, ...patch }));
+    setDirty(true);
+  };
+  const updatePhone = (index, patch) => {
+    update({ phones: drafts.phones.map((phone, i) => (i === index ? { ...phone, ...patch } : phone)) });
+  };
+
+  const handleSave = async () => {
+    const saved = await onSave(fromDrafts(drafts));
+    if (saved !== false) {setDirty(false);}
+  };
+
+  const field = (label, key, props = {}) => (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput style={styles.input} value={drafts[key]} onChangeText={value => update({ [key]: value })} {...props} />
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t('contact.title')}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.remove}>✕</Text>
+        </TouchableOpacity>
+      </View>
+      {field(t('contact.name'), 'name')}
+      {field(t('contact.organization'), 'organization')}
+      {field(t('contact.jobTitle'), 'title')}
+
+      <Text style={styles.label}>{t('contact.phones')}</Text>
+      {drafts.phones.map((phone, index) => (
+        <View key={index} style={styles.row}>
+          <TextInput
+            style={[styles.input, styles.phoneInput]}
+            value={phone.value}
+            keyboardType="phone-pad"
+            onChangeText={value => updatePhone(index, { value })}
+          />
+          {PHONE_TYPES.map(type => (
+            <TouchableOpacity
+              key={type}
+              style={[styles.chip, phone.type === type && styles.chipActive]}
+              onPress={() => updatePhone(index, { type })}>
+              <Text style={[styles.chipText, phone.type === type && styles.chipTextActive]}>{t(`contact.phoneTypes.${type}`)}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity onPress={() => update({ phones: drafts.phones.filter((_, i) => i !== index) })}>
+            <Text style={styles.remove}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+      <TouchableOpacity onPress={() => update({ phones: [...drafts.phones, { value: '', type: 'cell' }] })}>
+        <Text style={styles.link}>+ {t('contact.addPhone')}</Text>
+      </TouchableOpacity>
+
+      {field(t('contact.emails'), 'emails', { multiline: true, autoCapitalize: 'none', keyboardType: 'email-address' })}
+      {field(t('contact.urls'), 'urls', { multiline: true, autoCapitalize: 'none' })}
+      {field(t('contact.street'), 'street')}
+      <View style={styles.row}>
+        <View style={styles.postalCode}>{field(t('contact.postalCode'), 'postalCode', { keyboardType: 'number-pad' })}</View>
+        <View style={styles.locality}>{field(t('contact.locality'), 'locality')}</View>
+      </View>
+      {field(t('contact.country'), 'country')}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={[styles.button, !dirty && styles.buttonDisabled]} disabled={!dirty} onPress={handleSave}>
+          <Text style={styles.buttonText}>{t('contact.save')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={() => onExport(fromDrafts(drafts))}>
+          <Text style={styles.buttonText}>{t('contact.exportVCard')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  field: {
+    marginBottom: 6,
+  },
+  label: {
+    fontSize: 13,
+    color: '#555',
+    marginBottom: 2,
+  },
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  phoneInput: {
+    flex: 1,
+    marginRight: 4,
+  },
+  postalCode: {
+    width: 120,
+    marginRight: 6,
+  },
+  locality: {
+    flex: 1,
+  },
+  chip: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 3,
+    paddingHorizontal: 6,
+    marginRight: 3,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 11,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontSize: 11,
+  },
+  remove: {
+    color: '#D9534F',
+    fontWeight: 'bold',
+    paddingHorizontal: 6,
+  },
+  link: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+    marginVertical: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default ContactForm;
@@ -0,0 +1,133 @@
+/**
+ * Page list of a multi-page document: reorder, remove or re-capture pages,
+ * and save the finished document to history.
+ */
+
+import React from 'react';
+import { View, Text, Image, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { t } from '../i18n/i18n';
+
+const DocumentPages = ({ pages, busy, onMove, onRemove, onRecapture, onSave, onNew }) => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{t('document.title', { count: pages.length })}</Text>
+      {pages.length === 0 && (
+        <Text style={styles.hint}>{t('document.empty')}</Text>
+      )}
+
+      {pages.map((page, index) => (
+        <View key={page.id} style={styles.page}>
+          <Image source={{ uri: page.imageUri }} style={styles.thumbnail} resizeMode="cover" />
+          <View style={styles.pageBody}>
+            <Text style={styles.pageTitle}>{t('document.page', { number: index + 1 })}</Text>
+            <Text style={styles.preview} numberOfLines={2}>
+              {page.extractedText ? page.extractedText : t('scan.noText')}
+            </Text>
+            <View style={styles.pageActions}>
+              <TouchableOpacity disabled={busy || index === 0} onPress={() => onMove(page.id, -1)}>
+                <Text style={[styles.link, (busy || index === 0) && styles.linkDisabled]}>▲</Text>
+              </TouchableOpacity>
+              <TouchableOpacity disabled={busy || index === pages.length - 1} onPress={() => onMove(page.id, 1)}>
+                <Text style={[styles.link, (busy || index === pages.length - 1) && styles.linkDisabled]}>▼</Text>
+              </TouchableOpacity>
+              <TouchableOpacity disabled={busy} onPress={() => onRecapture(page.id)}>
+                <Text style={[styles.link, busy && styles.linkDisabled]}>{t('document.recapture')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity disabled={busy} onPress={() => onRemove(page.id)}>
+                <Text style={[styles.link, styles.linkDanger, busy && styles.linkDisabled]}>{t('document.remove')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      ))}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.button} disabled={busy} onPress={onNew}>
+          <Text style={styles.buttonText}>{t('document.new')}</Text>
+        </TouchableOpacity>
+        {pages.length > 0 && (
+          <TouchableOpacity style={styles.button} disabled={busy} onPress={onSave}>
+            <Text style={styles.buttonText}>{t('document.save')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  title: {
+    fontWeight: 'bold',
+    marginBottom: 4,
+    color: '#007AFF',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#888',
+  },
+  page: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#DDD',
+  },
+  thumbnail: {
+    width: 56,
+    height: 72,
+    borderRadius: 4,
+    backgroundColor: '#EEE',
+  },
+  pageBody: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  pageTitle: {
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  preview: {
+    fontSize: 13,
+    color: '#666',
+  },
+  pageActions: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  link: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+    marginRight: 14,
+  },
+  linkDanger: {
+    color: '#D9534F',
+  },
+  linkDisabled: {
+    opacity: 0.3,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default DocumentPages;
@@ -0,0 +1,74 @@
+/**
+ * Modal for choosing an export format.
+ * (Android alerts hold at most three buttons, so this is a small sheet instead.)
+ */
+
+import React from 'react';
+import { Modal, View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { EXPORT_OPTIONS } from '../export/exportScans';
+import { t } from '../i18n/i18n';
+
+const ExportFormatPicker = ({ visible, title, formats = EXPORT_OPTIONS, onSelect, onClose }) => {
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+          {Object.keys(formats).map(format => (
+            <TouchableOpacity key={format} style={styles.option} onPress={() => onSelect(format)}>
+              <Text style={styles.optionText}>{t(`export.formats.${format}`)}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={styles.cancel} onPress={onClose}>
+            <Text style={styles.cancelText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  sheet: {
+    backgroundColor: '#FFF',
+    borderRadius: 10,
+    padding: 16,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#222',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  option: {
+    backgroundColor: '#007AFF',
+    borderRadius: 6,
+    paddingVertical: 10,
+    marginVertical: 4,
+    alignItems: 'center',
+  },
+  optionText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+    fontSize: 15,
+  },
+  cancel: {
+    paddingVertical: 10,
+    marginTop: 4,
+    alignItems: 'center',
+  },
+  cancelText: {
+    color: '#007AFF',
+    fontSize: 15,
+  },
+});
+
+export default ExportFormatPicker;
@@ -0,0 +1,45 @@
+/**
+ * Text with its sensitive values (see src/privacy/sensitiveData.js) highlighted.
+ */
+
+import React, { useMemo } from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+import { findSensitive } from '../privacy/sensitiveData';
+
+const HighlightedText = ({ text, style }) => {
+  const parts = useMemo(() => {
+    const result = [];
+    let position = 0;
+    findSensitive(text).forEach((match) => {
+      if (match.start > position) {result.push({ text: text.slice(position, match.start) });}
+      result.push({ text: match.value, sensitive: true });
+      position = match.end;
+    });
+    if (position < text.length) {result.push({ text: text.slice(position) });}
+    return result;
+  }, [text]);
+
+  return (
+    <Text style={style}>
+      {parts.map((part, i) =>
+        part.sensitive ? (
+          <Text key={i} style={styles.sensitive}>
+            {part.text}
+          </Text>
+        ) : (
+          part.text
+        ),
+      )}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  sensitive: {
+    backgroundColor: '#FFE0B2',
+    color: '#B23C17',
+  },
+});
+
+export default HighlightedText;
@@ -0,0 +1,199 @@
+/**
+ * Adjustments of the scan's image before recognizing it again (see src/image/enhanceJpeg.js):
+ * quarter turns, crop (around the recognized text or trimming the edges), grayscale,
+ * contrast and straightening of skewed text.
+ *
+ * The first values follow the photo check and the current OCR result: contrast for dark or
+ * flat photos, the turn that puts the text upright, straightening once the text leans.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { MAX_DESKEW_SIDE } from '../image/enhanceJpeg';
+import { textAngle, textFrame } from '../ocr/geometry';
+import { formatNumber } from '../i18n/format';
+import { t } from '../i18n/i18n';
+
+// Smallest lean, in degrees, worth straightening
+const MIN_SKEW = 0.5;
+// Margin kept around the text when cropping to it, as a share of the shorter image side
+const TEXT_MARGIN = 0.03;
+// Edge trims offered, in percent of each side
+const EDGE_TRIMS = [5, 10];
+
+// Helper: Crop frame for a crop mode ('none', 'text' or an edge trim in percent), or null
+function cropFrame(mode, imageSize, ocrResult) {
+  if (mode === 'none') {return null;}
+  if (mode === 'text') {
+    const frame = textFrame(ocrResult);
+    if (!frame) {return null;}
+    const margin = imageSize ? TEXT_MARGIN * Math.min(imageSize.width, imageSize.height) : 0;
+    const left = Math.max(0, frame.left - margin);
+    const top = Math.max(0, frame.top - margin);
+    const right = frame.left + frame.width + margin;
+    const bottom = frame.top + frame.height + margin;
+    return {
+      left,
+      top,
+      width: (imageSize ? Math.min(imageSize.width, right) : right) - left,
+      height: (imageSize ? Math.min(imageSize.height, bottom) : bottom) - top,
+    };
+  }
+  const share = mode / 100;
+  return {
+    left: imageSize.width * share,
+    top: imageSize.height * share,
+    width: imageSize.width * (1 - 2 * share),
+    height: imageSize.height * (1 - 2 * share),
+  };
+}
+
+const ImageAdjustPanel = ({ imageSize, ocrResult, quality, onApply, onClose }) => {
+  const angle = textAngle(ocrResult);
+  const skew = angle && Math.abs(angle.skew) >= MIN_SKEW ? angle.skew : 0;
+  const issues = quality ? quality.issues : [];
+  const [rotation, setRotation] = useState(angle ? (360 - angle.rotation) % 360 : 0);
+  const [crop, setCrop] = useState('none');
+  const [grayscale, setGrayscale] = useState(false);
+  const [contrast, setContrast] = useState(['dark', 'bright', 'lowContrast'].some(issue => issues.includes(issue)));
+  const [deskew, setDeskew] = useState(skew !== 0);
+
+  const cropModes = [
+    'none',
+    ...(textFrame(ocrResult) ? ['text'] : []),
+    ...(imageSize ? EDGE_TRIMS : []),
+  ];
+  const cropLabel = mode => {
+    if (mode === 'none') {return t('adjust.cropNone');}
+    if (mode === 'text') {return t('adjust.cropText');}
+    return t('adjust.cropEdges', { percent: mode });
+  };
+
+  const handleApply = () =>
+    onApply({
+      crop: cropFrame(crop, imageSize, ocrResult),
+      rotation,
+      grayscale,
+      contrast,
+      deskew: deskew ? skew : 0,
+    });
+
+  const chip = (label, active, onPress) => (
+    <TouchableOpacity key={label} style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <Text style={active ? styles.chipTextActive : styles.chipText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t('adjust.title')}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.remove}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.label}>{t('adjust.rotation', { degrees: rotation })}</Text>
+      <View style={styles.row}>
+        {chip('↺ 90°', false, () => setRotation((rotation + 270) % 360))}
+        {chip('↻ 90°', false, () => setRotation((rotation + 90) % 360))}
+      </View>
+
+      <Text style={styles.label}>{t('adjust.crop')}</Text>
+      <View style={styles.row}>{cropModes.map(mode => chip(cropLabel(mode), crop === mode, () => setCrop(mode)))}</View>
+
+      <View style={styles.row}>
+        {chip(t('adjust.grayscale'), grayscale, () => setGrayscale(!grayscale))}
+        {chip(t('adjust.contrast'), contrast, () => setContrast(!contrast))}
+        {skew !== 0 && chip(t('adjust.deskew', { degrees: formatNumber(skew, 1) }), deskew, () => setDeskew(!deskew))}
+      </View>
+      {skew !== 0 && deskew && <Text style={styles.hint}>{t('adjust.deskewHint', { side: MAX_DESKEW_SIDE })}</Text>}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.button} onPress={handleApply}>
+          <Text style={styles.buttonText}>{t('adjust.apply')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  label: {
+    color: '#666',
+    fontSize: 12,
+    marginTop: 4,
+    marginBottom: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  hint: {
+    color: '#666',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  chip: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 12,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontSize: 12,
+  },
+  remove: {
+    color: '#D9534F',
+    fontWeight: 'bold',
+    paddingHorizontal: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default ImageAdjustPanel;
@@ -0,0 +1,137 @@
+/**
+ * Image with the recognized words/lines drawn as tappable boxes.
+ *
+ * - Tap a box to toggle it in the selection
+ * - Drag across the image to add every box the drag rectangle touches
+ *
+ * Selection is controlled by the parent through `selectedKeys` / `onSelectionChange`,
+ * keys come from selectableItems() in src/ocr/geometry.js.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { View, Image, StyleSheet, PanResponder } from 'react-native';
+
+import { containLayout, hitTest, itemsInRect, selectableItems, toImagePoint } from '../ocr/geometry';
+
+// Movement (in view points) below which a touch counts as a tap
+const TAP_SLOP = 8;
+
+const OcrOverlay = ({ imageUri, imageSize, result, level, selectedKeys, onSelectionChange, style }) => {
+  const [viewSize, setViewSize] = useState(null);
+  const [measuredSize, setMeasuredSize] = useState(null);
+
+  // Fall back to measuring the image when the picker did not report its size
+  useEffect(() => {
+    setMeasuredSize(null);
+    if (imageSize && imageSize.width && imageSize.height) {return;}
+    Image.getSize(
+      imageUri,
+      (width, height) => setMeasuredSize({ width, height }),
+      () => setMeasuredSize(null),
+    );
+  }, [imageUri, imageSize]);
+
+  const size = imageSize && imageSize.width ? imageSize : measuredSize;
+  const items = useMemo(() => selectableItems(result, level), [result, level]);
+  const layout = useMemo(
+    () =>
+      size && viewSize
+        ? containLayout(size.width, size.height, viewSize.width, viewSize.height)
+        : null,
+    [size, viewSize],
+  );
+
+  // Latest values for the responder, which is created once
+  const latest = useRef({});
+  latest.current = { items, layout, selectedKeys, onSelectionChange };
+  const gesture = useRef({ start: null, base: [] });
+
+  const panResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => !!latest.current.layout,
+        onMoveShouldSetPanResponder: () => !!latest.current.layout,
+        // Keep the drag from turning into a ScrollView scroll
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: evt => {
+          gesture.current = {
+            start: { x: evt.nativeEvent.locationX, y: evt.nativeEvent.locationY },
+            base: latest.current.selectedKeys,
+          };
+        },
+        onPanResponderMove: (evt, { dx, dy }) => {
+          const { start, base } = gesture.current;
+          const current = latest.current;
+          if (!start || Math.abs(dx) + Math.abs(dy) < TAP_SLOP) {return;}
+          const a = toImagePoint(current.layout, start.x, start.y);
+          const b = toImagePoint(current.layout, start.x + dx, start.y + dy);
+          const dragged = itemsInRect(current.items, a, b).map(item => item.key);
+          current.onSelectionChange(Array.from(new Set([...base, ...dragged])));
+        },
+        onPanResponderRelease: (evt, { dx, dy }) => {
+          const { start } = gesture.current;
+          const current = latest.current;
+          gesture.current = { start: null, base: [] };
+          if (!start || Math.abs(dx) + Math.abs(dy) >= TAP_SLOP) {return;}
+          const hit = hitTest(current.items, toImagePoint(current.layout, start.x, start.y));
+          if (!hit) {return;}
+          const keys = current.selectedKeys;
+          current.onSelectionChange(
+            keys.includes(hit.key) ? keys.filter(key => key !== hit.key) : [...keys, hit.key],
+          );
+        },
+      }),
+    [],
+  );
+
+  const selected = new Set(selectedKeys);
+
+  return (
+    <View
+      style={[styles.container, style]}
+      onLayout={evt => setViewSize(evt.nativeEvent.layout)}
+      {...panResponder.panHandlers}>
+      <Image source={{ uri: imageUri }} style={StyleSheet.absoluteFill} resizeMode="contain" />
+      {layout &&
+        items.map(item => (
+          <View
+            key={item.key}
+            pointerEvents="none"
+            style={[
+              styles.box,
+              selected.has(item.key) && styles.boxSelected,
+              {
+                left: item.frame.left * layout.scale + layout.offsetX,
+                top: item.frame.top * layout.scale + layout.offsetY,
+                width: item.frame.width * layout.scale,
+                height: item.frame.height * layout.scale,
+              },
+            ]}
+          />
+        ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    height: 220,
+    borderRadius: 8,
+    backgroundColor: '#EEE',
+    marginBottom: 6,
+    overflow: 'hidden',
+  },
+  box: {
+    position: 'absolute',
+    borderWidth: 1,
+    borderColor: 'rgba(0, 122, 255, 0.7)',
+    backgroundColor: 'rgba(0, 122, 255, 0.08)',
+  },
+  boxSelected: {
+    borderColor: '#FF9500',
+    backgroundColor: 'rgba(255, 149, 0, 0.35)',
+  },
+});
+
+export default OcrOverlay;
@@ -0,0 +1,89 @@
+/**
+ * Warning shown when the photo check found problems (see src/image/imageQuality.js):
+ * what is wrong, and the way out — taking the photo again or adjusting it
+ * (not offered while a scan runs, without onAdjust).
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { t } from '../i18n/i18n';
+
+const QualityWarning = ({ issues, source, onRetake, onAdjust, onClose }) => (
+  <View style={styles.container}>
+    <View style={styles.header}>
+      <Text style={styles.title}>{t('quality.title')}</Text>
+      <TouchableOpacity onPress={onClose}>
+        <Text style={styles.remove}>✕</Text>
+      </TouchableOpacity>
+    </View>
+    {issues.map(issue => (
+      <Text key={issue} style={styles.issue}>• {t(`quality.issues.${issue}`)}</Text>
+    ))}
+    <Text style={styles.hint}>{t('quality.hint')}</Text>
+    <View style={styles.actions}>
+      <TouchableOpacity style={styles.button} onPress={onRetake}>
+        <Text style={styles.buttonText}>{t(source === 'camera' ? 'quality.retake' : 'quality.pickAgain')}</Text>
+      </TouchableOpacity>
+      {onAdjust && (
+        <TouchableOpacity style={styles.button} onPress={onAdjust}>
+          <Text style={styles.buttonText}>{t('main.adjustImage')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+    borderLeftWidth: 4,
+    borderLeftColor: '#F0AD4E',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  issue: {
+    color: '#222',
+    marginBottom: 2,
+  },
+  hint: {
+    color: '#666',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  remove: {
+    color: '#D9534F',
+    fontWeight: 'bold',
+    paddingHorizontal: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default QualityWarning;
@@ -0,0 +1,273 @@
+/**
+ * Editable form for the receipt/invoice fields extracted from a scan.
+ *
+ * Amounts are edited in Serbian notation ("1.234,56"); PIB, IBAN and account
+ * numbers show whether their check digits are valid while typing.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+
+import {
+  formatSerbianAmount,
+  isValidBankAccount,
+  isValidIban,
+  isValidPib,
+  normalizeBankAccount,
+  parseSerbianAmount,
+} from '../extract/serbianNumbers';
+import { t } from '../i18n/i18n';
+
+// Helper: Stored fields -> string drafts for the inputs
+function toDrafts(fields) {
+  return {
+    merchant: fields.merchant || '',
+    pib: fields.pib || '',
+    date: fields.date || '',
+    time: fields.time || '',
+    total: formatSerbianAmount(fields.total),
+    vat: formatSerbianAmount(fields.vat),
+    items: fields.items.map(item => ({
+      name: item.name || '',
+      quantity: item.quantity === null || item.quantity === undefined ? '' : String(item.quantity).replace('.', ','),
+      unitPrice: formatSerbianAmount(item.unitPrice),
+      total: formatSerbianAmount(item.total),
+    })),
+    ibans: fields.ibans.map(iban => iban.value).join('\n'),
+    accounts: fields.accounts.map(account => account.value).join('\n'),
+  };
+}
+
+// Helper: String drafts -> fields in the stored shape
+function fromDrafts(drafts) {
+  const list = text => text.split(/[\n,;]+/).map(value => value.trim()).filter(Boolean);
+  const pib = drafts.pib.replace(/\s/g, '') || null;
+  return {
+    merchant: drafts.merchant.trim() || null,
+    pib,
+    pibValid: pib ? isValidPib(pib) : false,
+    date: drafts.date.trim() || null,
+    time: drafts.time.trim() || null,
+    items: drafts.items
+      .filter(item => item.name.trim() || item.total.trim())
+      .map(item => ({
+        name: item.name.trim(),
+        quantity: parseSerbianAmount(item.quantity),
+        unitPrice: parseSerbianAmount(item.unitPrice),
+        total: parseSerbianAmount(item.total),
+      })),
+    total: parseSerbianAmount(drafts.total),
+    vat: parseSerbianAmount(drafts.vat),
+    ibans: list(drafts.ibans).map(value => {
+      const compact = value.replace(/\s/g, '').toUpperCase();
+      return { value: compact, valid: isValidIban(compact) };
+    }),
+    accounts: list(drafts.accounts).map(value => ({
+      value: normalizeBankAccount(value) || value,
+      valid: isValidBankAccount(value),
+    })),
+  };
+}
+
+const ReceiptFieldsForm = ({ fields, onSave }) => {
+  const [drafts, setDrafts] = useState(() => toDrafts(fields));
+  const [dirty, setDirty] = useState(false);
+
+  const update = patch => {
+    setDrafts(prev => ({ ...prev, ...patch }));
+    setDirty(true);
+  };
+  const updateItem = (index, patch) => {
+    update({ items: drafts.items.map((item, i) => (i === index ? { ...item, ...patch } : item)) });
+  };
+
+  const handleSave = async () => {
+    const saved = await onSave(fromDrafts(drafts));
+    if (saved !== false) {setDirty(false);}
+  };
+
+  const pib = drafts.pib.replace(/\s/g, '');
+  const preview = fromDrafts(drafts);
+
+  const field = (label, key, props = {}) => (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput style={styles.input} value={drafts[key]} onChangeText={value => update({ [key]: value })} {...props} />
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{t('receipt.title')}</Text>
+      {field(t('receipt.merchant'), 'merchant')}
+      {field(t('receipt.pib'), 'pib', { keyboardType: 'number-pad', maxLength: 9 })}
+      {pib !== '' && (
+        <Text style={isValidPib(pib) ? styles.valid : styles.invalid}>
+          {t(isValidPib(pib) ? 'receipt.pibValid' : 'receipt.pibInvalid')}
+        </Text>
+      )}
+      <View style={styles.row}>
+        <View style={styles.half}>{field(t('receipt.dateInput'), 'date', { keyboardType: 'numbers-and-punctuation' })}</View>
+        <View style={styles.half}>{field(t('receipt.time'), 'time', { keyboardType: 'numbers-and-punctuation' })}</View>
+      </View>
+
+      <Text style={styles.label}>{t('receipt.items')}</Text>
+      {drafts.items.map((item, index) => (
+        <View key={index} style={styles.item}>
+          <TextInput
+            style={[styles.input, styles.itemName]}
+            value={item.name}
+            placeholder={t('receipt.itemName')}
+            onChangeText={value => updateItem(index, { name: value })}
+          />
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.itemNumber]}
+              value={item.quantity}
+              placeholder={t('receipt.quantity')}
+              keyboardType="decimal-pad"
+              onChangeText={value => updateItem(index, { quantity: value })}
+            />
+            <TextInput
+              style={[styles.input, styles.itemNumber]}
+              value={item.unitPrice}
+              placeholder={t('receipt.unitPrice')}
+              keyboardType="decimal-pad"
+              onChangeText={value => updateItem(index, { unitPrice: value })}
+            />
+            <TextInput
+              style={[styles.input, styles.itemNumber]}
+              value={item.total}
+              placeholder={t('receipt.amount')}
+              keyboardType="decimal-pad"
+              onChangeText={value => updateItem(index, { total: value })}
+            />
+            <TouchableOpacity onPress={() => update({ items: drafts.items.filter((_, i) => i !== index) })}>
+              <Text style={styles.remove}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+      <TouchableOpacity
+        onPress={() => update({ items: [...drafts.items, { name: '', quantity: '', unitPrice: '', total: '' }] })}>
+        <Text style={styles.link}>+ {t('receipt.addItem')}</Text>
+      </TouchableOpacity>
+
+      <View style={styles.row}>
+        <View style={styles.half}>{field(t('receipt.total'), 'total', { keyboardType: 'decimal-pad' })}</View>
+        <View style={styles.half}>{field(t('receipt.vat'), 'vat', { keyboardType: 'decimal-pad' })}</View>
+      </View>
+
+      {field(t('receipt.ibans'), 'ibans', { multiline: true, autoCapitalize: 'characters' })}
+      {preview.ibans.map(iban => (
+        <Text key={iban.value} style={iban.valid ? styles.valid : styles.invalid}>
+          {iban.value}: {t(iban.valid ? 'receipt.valid' : 'receipt.invalidCheckDigit')}
+        </Text>
+      ))}
+      {field(t('receipt.accounts'), 'accounts', { multiline: true, keyboardType: 'numbers-and-punctuation' })}
+      {preview.accounts.map(account => (
+        <Text key={account.value} style={account.valid ? styles.valid : styles.invalid}>
+          {account.value}: {t(account.valid ? 'receipt.valid' : 'receipt.invalidCheckDigit')}
+        </Text>
+      ))}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={[styles.button, !dirty && styles.buttonDisabled]} disabled={!dirty} onPress={handleSave}>
+          <Text style={styles.buttonText}>{t('receipt.save')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  title: {
+    fontWeight: 'bold',
+    marginBottom: 6,
+    color: '#007AFF',
+  },
+  field: {
+    marginBottom: 6,
+  },
+  label: {
+    fontSize: 13,
+    color: '#555',
+    marginBottom: 2,
+  },
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  half: {
+    flex: 1,
+    marginRight: 6,
+  },
+  item: {
+    paddingVertical: 4,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#DDD',
+  },
+  itemName: {
+    marginBottom: 4,
+  },
+  itemNumber: {
+    flex: 1,
+    marginRight: 4,
+  },
+  remove: {
+    color: '#D9534F',
+    fontWeight: 'bold',
+    paddingHorizontal: 8,
+  },
+  link: {
+    color: '#007AFF',
+    fontWeight: 'bold',
+    marginVertical: 6,
+  },
+  valid: {
+    fontSize: 12,
+    color: '#2E7D32',
+    marginBottom: 4,
+  },
+  invalid: {
+    fontSize: 12,
+    color: '#D9534F',
+    marginBottom: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default ReceiptFieldsForm;
@@ -0,0 +1,194 @@
+/**
+ * Revision list of a scan's text with a line-level diff.
+ *
+ * Tapping a revision shows what it changed against the one before it (or,
+ * switched over, how it differs from the current text); it can then be made
+ * current again through `onRestore(revision)`.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { REVISION_KINDS, diffLines } from '../text/revisions';
+import { t } from '../i18n/i18n';
+import { formatDateTime } from '../i18n/format';
+
+const DIFF_PREFIX = { same: '  ', added: '+ ', removed: '- ' };
+
+const RevisionHistory = ({ revisions, onRestore, onClose }) => {
+  const latestIndex = revisions.length - 1;
+  const [index, setSelectedIndex] = useState(latestIndex);
+  const [againstCurrent, setAgainstCurrent] = useState(false);
+
+  const selected = revisions[index];
+  let base = null;
+  let target = selected;
+  if (againstCurrent) {
+    base = selected;
+    target = revisions[latestIndex];
+  } else if (index > 0) {
+    base = revisions[index - 1];
+  }
+  const diff = base ? diffLines(base.text, target.text) : [];
+  const changed = diff.some(line => line.type !== 'same');
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t('revisions.title', { count: revisions.length })}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.link}>{t('common.close')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {revisions
+        .map((revision, i) => ({ revision, i }))
+        .reverse()
+        .map(({ revision, i }) => (
+          <TouchableOpacity
+            key={i}
+            style={[styles.revision, i === index && styles.revisionSelected]}
+            onPress={() => setSelectedIndex(i)}>
+            <Text style={styles.revisionTitle}>
+              {i + 1}. {REVISION_KINDS.includes(revision.kind) ? t(`revisions.kinds.${revision.kind}`) : revision.kind}
+              {i === latestIndex ? ` ${t('revisions.current')}` : ''}
+            </Text>
+            <Text style={styles.meta}>
+              {formatDateTime(revision.savedAt)} · {t('revisions.lines', { count: revision.text ? revision.text.split('\n').length : 0 })}
+            </Text>
+          </TouchableOpacity>
+        ))}
+
+      <View style={styles.row}>
+        {[
+          { value: false, label: t('revisions.againstPrevious') },
+          { value: true, label: t('revisions.againstCurrent') },
+        ].map(mode => (
+          <TouchableOpacity
+            key={mode.label}
+            style={[styles.chip, againstCurrent === mode.value && styles.chipActive]}
+            onPress={() => setAgainstCurrent(mode.value)}>
+            <Text style={againstCurrent === mode.value ? styles.chipTextActive : styles.chipText}>{mode.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.diff}>
+        {!base && <Text style={styles.meta}>{t('revisions.first')}</Text>}
+        {base && !changed && <Text style={styles.meta}>{t('revisions.noChanges')}</Text>}
+        {base &&
+          changed &&
+          diff.map((line, i) => (
+            <Text key={i} style={[styles.diffLine, styles[line.type]]}>
+              {DIFF_PREFIX[line.type]}
+              {line.text}
+            </Text>
+          ))}
+      </View>
+
+      {index !== latestIndex && (
+        <TouchableOpacity style={styles.button} onPress={() => onRestore(selected)}>
+          <Text style={styles.buttonText}>{t('revisions.restore')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  link: {
+    color: '#007AFF',
+  },
+  revision: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+  },
+  revisionSelected: {
+    backgroundColor: '#E3F0FF',
+  },
+  revisionTitle: {
+    fontSize: 15,
+    color: '#333',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#888',
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  chip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  diff: {
+    backgroundColor: '#F8F8F8',
+    borderRadius: 6,
+    padding: 8,
+  },
+  diffLine: {
+    fontFamily: 'monospace',
+    fontSize: 13,
+  },
+  same: {
+    color: '#555',
+  },
+  added: {
+    color: '#2E7D32',
+    backgroundColor: '#E8F5E9',
+  },
+  removed: {
+    color: '#D9534F',
+    backgroundColor: '#FDECEA',
+  },
+  button: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginTop: 8,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default RevisionHistory;
@@ -0,0 +1,206 @@
+/**
+ * Editable preview of a table detected on the scan (see src/extract/table.js).
+ *
+ * Every cell is a text field; the selected cell can be merged with its right
+ * neighbour or split again, and its row or column removed. The corrected table is
+ * saved with the scan or exported as CSV / .xlsx.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+
+import { mergeWithNext, removeColumn, removeRow, setCellText, splitCell } from '../extract/table';
+import { t } from '../i18n/i18n';
+
+// Width of one grid column in points
+const CELL_WIDTH = 110;
+
+const TableGrid = ({ table, onSave, onExport, onClose }) => {
+  const [draft, setDraft] = useState(table);
+  const [dirty, setDirty] = useState(false);
+  const [selected, setSelected] = useState(null); // { row, cell } of the focused cell
+
+  const update = next => {
+    setDraft(next);
+    setDirty(true);
+  };
+
+  // Helper: Grid column where the selected cell starts
+  const selectedColumn = () =>
+    draft.rows[selected.row].slice(0, selected.cell).reduce((sum, cell) => sum + cell.span, 0);
+
+  const selectedCell = selected && draft.rows[selected.row] ? draft.rows[selected.row][selected.cell] : null;
+
+  const handleSave = async () => {
+    const saved = await onSave(draft);
+    if (saved !== false) {setDirty(false);}
+  };
+
+  const action = (label, onPress, enabled = true) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, !enabled && styles.buttonDisabled]}
+      disabled={!enabled}
+      onPress={onPress}>
+      <Text style={styles.chipText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t('table.title')}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.remove}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.toolbar}>
+        {action(
+          t('table.merge'),
+          () => update(mergeWithNext(draft, selected.row, selected.cell)),
+          Boolean(selectedCell) && selected.cell < draft.rows[selected.row].length - 1,
+        )}
+        {action(
+          t('table.split'),
+          () => update(splitCell(draft, selected.row, selected.cell)),
+          Boolean(selectedCell) && selectedCell.span > 1,
+        )}
+        {action(
+          t('table.removeRow'),
+          () => {
+            update(removeRow(draft, selected.row));
+            setSelected(null);
+          },
+          Boolean(selectedCell),
+        )}
+        {action(
+          t('table.removeColumn'),
+          () => {
+            update(removeColumn(draft, selectedColumn()));
+            setSelected(null);
+          },
+          Boolean(selectedCell),
+        )}
+      </View>
+
+      <ScrollView horizontal>
+        <View>
+          {draft.rows.map((row, rowIndex) => (
+            <View key={rowIndex} style={styles.row}>
+              {row.map((cell, cellIndex) => {
+                const isSelected = selected && selected.row === rowIndex && selected.cell === cellIndex;
+                return (
+                  <TextInput
+                    key={cellIndex}
+                    style={[styles.cell, { width: CELL_WIDTH * cell.span }, isSelected && styles.cellSelected]}
+                    value={cell.text}
+                    multiline
+                    onFocus={() => setSelected({ row: rowIndex, cell: cellIndex })}
+                    onChangeText={text => update(setCellText(draft, rowIndex, cellIndex, text))}
+                  />
+                );
+              })}
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+      {draft.rows.length === 0 && <Text style={styles.empty}>{t('table.empty')}</Text>}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={[styles.button, !dirty && styles.buttonDisabled]} disabled={!dirty} onPress={handleSave}>
+          <Text style={styles.buttonText}>{t('common.save')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={() => onExport(draft, 'csv')}>
+          <Text style={styles.buttonText}>CSV</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={() => onExport(draft, 'xlsx')}>
+          <Text style={styles.buttonText}>.xlsx</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  chip: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 12,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  cell: {
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: '#BBB',
+    paddingHorizontal: 4,
+    paddingVertical: 4,
+    fontSize: 13,
+    color: '#222',
+  },
+  cellSelected: {
+    borderColor: '#007AFF',
+    backgroundColor: '#EAF3FF',
+  },
+  empty: {
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  remove: {
+    color: '#D9534F',
+    fontWeight: 'bold',
+    paddingHorizontal: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default TableGrid;
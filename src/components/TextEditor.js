@@ -0,0 +1,90 @@
+/**
+ * In-place editor for a scan's text, with undo/redo (see src/text/revisions.js).
+ * `onSave(text)` may return false to keep the editor open.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+
+import { applyEdit, createEditHistory, redoEdit, undoEdit } from '../text/revisions';
+import { t } from '../i18n/i18n';
+
+const TextEditor = ({ initialText, onSave, onCancel }) => {
+  const [history, setHistory] = useState(() => createEditHistory(initialText));
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    const saved = await onSave(history.present);
+    if (saved === false) {setSaving(false);}
+  };
+
+  const button = (label, onPress, enabled, style) => (
+    <TouchableOpacity style={[styles.button, style, !enabled && styles.buttonDisabled]} disabled={!enabled} onPress={onPress}>
+      <Text style={styles.buttonText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <TextInput
+        style={styles.input}
+        value={history.present}
+        onChangeText={text => setHistory(prev => applyEdit(prev, text))}
+        multiline
+        autoCorrect={false}
+        autoFocus
+      />
+      <View style={styles.actions}>
+        {button(`↶ ${t('editor.undo')}`, () => setHistory(undoEdit), history.past.length > 0, styles.secondary)}
+        {button(`↷ ${t('editor.redo')}`, () => setHistory(redoEdit), history.future.length > 0, styles.secondary)}
+        <View style={styles.spacer} />
+        {button(t('common.cancel'), onCancel, !saving, styles.secondary)}
+        {button(t('common.save'), handleSave, !saving && history.present !== initialText)}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    minHeight: 120,
+    fontSize: 16,
+    color: '#222',
+    textAlignVertical: 'top',
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  spacer: {
+    flex: 1,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    marginLeft: 6,
+  },
+  secondary: {
+    backgroundColor: '#6C757D',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default TextEditor;
@@ -0,0 +1,52 @@
+/**
+ * Multi-page document session.
+ *
+ * A document is { pages: [page] } where each page is
+ * { id, imageUri, imageSize, source, extractedText, ocrResult, location }.
+ * All helpers return new arrays and never mutate their input.
+ */
+
+import { t } from '../i18n/i18n';
+
+let pageCounter = 0;
+
+// Helper: Unique id for a page within the running app
+export function createPageId() {
+  pageCounter += 1;
+  return `page_${Date.now()}_${pageCounter}`;
+}
+
+export function addPages(pages, newPages) {
+  return [...pages, ...newPages];
+}
+
+export function removePage(pages, pageId) {
+  return pages.filter(page => page.id !== pageId);
+}
+
+// Swap the page with its neighbour; delta is -1 (up) or +1 (down)
+export function movePage(pages, pageId, delta) {
+  const index = pages.findIndex(page => page.id === pageId);
+  const target = index + delta;
+  if (index < 0 || target < 0 || target >= pages.length) {return pages;}
+  const next = [...pages];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+// Swap in a re-captured page, keeping its position and id
+export function replacePage(pages, pageId, page) {
+  return pages.map(existing => (existing.id === pageId ? { ...page, id: pageId } : existing));
+}
+
+// Separator line placed above each page's text, in the app's language
+export function pageSeparator(pageNumber, pageCount) {
+  return t('document.pageSeparator', { number: pageNumber, count: pageCount });
+}
+
+// The whole document's text: every page's OCR text under its separator
+export function combinedText(pages) {
+  return pages
+    .map((page, index) => `${pageSeparator(index + 1, pages.length)}\n${page.extractedText || ''}`.trim())
+    .join('\n\n');
+}
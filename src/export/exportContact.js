@@ -0,0 +1,26 @@
+/**
+ * Export a business card contact as a .vcf file and offer it through the share sheet.
+ */
+
+import { writeExportFile } from './exportDirectory';
+import { shareExportedFile } from './exportScans';
+import { toVCard } from './vcard';
+
+// Helper: ASCII file name from the contact's name ("Đorđe Ilić" -> "Djordje_Ilic")
+function fileSlug(contact) {
+  return (contact.name || contact.organization || '')
+    .replace(/đ/g, 'dj')
+    .replace(/Đ/g, 'Dj')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+// Resolves with the path of the written file
+export async function exportContactAsVCard(contact) {
+  const content = toVCard(contact);
+  const filePath = await writeExportFile(`${fileSlug(contact) || 'kontakt'}_${Date.now()}.vcf`, content);
+  await shareExportedFile(filePath, content);
+  return filePath;
+}
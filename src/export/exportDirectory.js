@@ -0,0 +1,46 @@
+/**
+ * Where exported files go, and writing them there.
+ *
+ * Android: Downloads (asking for WRITE_EXTERNAL_STORAGE below API 30, see src/permissions/permissionManager.js)
+ *   -> ExternalDirectoryPath -> DocumentDirectoryPath
+ * iOS: DocumentDirectoryPath
+ */
+
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+
+import { ensurePermission } from '../permissions/permissionManager';
+
+export async function resolveExportDirectory() {
+  let dir = RNFS.DocumentDirectoryPath;
+  if (Platform.OS === 'android') {
+    if (RNFS.DownloadDirectoryPath) {
+      // Try to use Downloads if available and permission is granted (only asked for below API 30)
+      const writeGranted = await ensurePermission('exportFiles', { quiet: true });
+      if (writeGranted) {
+        dir = RNFS.DownloadDirectoryPath;
+      } else if (RNFS.ExternalDirectoryPath) {
+        // Use external app folder if permission denied
+        dir = RNFS.ExternalDirectoryPath;
+      } else {
+        // Fallback to app-private directory
+        dir = RNFS.DocumentDirectoryPath;
+      }
+    } else if (RNFS.ExternalDirectoryPath) {
+      // Use external app folder if Downloads is not available
+      dir = RNFS.ExternalDirectoryPath;
+    } else {
+      // Fallback to app-private directory
+      dir = RNFS.DocumentDirectoryPath;
+    }
+  }
+  return dir;
+}
+
+// Write `content` to `fileName` in the export directory and return the full path
+export async function writeExportFile(fileName, content, encoding = 'utf8') {
+  const dir = await resolveExportDirectory();
+  const filePath = `${dir}/${fileName}`;
+  await RNFS.writeFile(filePath, content, encoding);
+  return filePath;
+}
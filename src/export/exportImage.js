@@ -0,0 +1,17 @@
+/**
+ * Export of a scan's photo with its sensitive values blacked out
+ * (see src/privacy/sensitiveData.js and src/image/redactJpeg.js).
+ */
+
+import { writeExportFile } from './exportDirectory';
+import { redactJpeg } from '../image/redactJpeg';
+import { sensitiveFrames } from '../privacy/sensitiveData';
+import { base64ToBytes, bytesToBase64 } from '../utils/base64';
+import { readImageBase64 } from '../vault/vault';
+
+// Write the redacted copy of the JPEG at `imageUri` to the export folder; resolves with the file path
+export async function exportRedactedImage(imageUri, ocrResult) {
+  const bytes = base64ToBytes(await readImageBase64(imageUri));
+  const redacted = redactJpeg(bytes, sensitiveFrames(ocrResult));
+  return writeExportFile(`ocr_maskirano_${Date.now()}.jpg`, bytesToBase64(redacted), 'base64');
+}
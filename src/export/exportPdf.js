@@ -0,0 +1,65 @@
+/**
+ * Searchable PDF export of scans: the stored photo of every scan (or every
+ * document page) with an invisible OCR text layer, written through RNFS as base64.
+ * Sensitive values (see src/privacy/sensitiveData.js) can be masked in the text
+ * layer and blacked out in the photos.
+ */
+
+import { buildSearchablePdf } from './pdfWriter';
+import { writeExportFile } from './exportDirectory';
+import { selectableItems } from '../ocr/geometry';
+import { redactOcrResult, sensitiveFrames } from '../privacy/sensitiveData';
+import { redactJpeg } from '../image/redactJpeg';
+import { isJpeg } from '../image/jpeg';
+import { t } from '../i18n/i18n';
+import { base64ToBytes, bytesToBase64 } from '../utils/base64';
+import { readImageBase64 } from '../vault/vault';
+
+// Footer line with the scan's timestamp and coordinates (ASCII only)
+export function scanFooter(scan) {
+  const parts = [scan.timestamp];
+  if (scan.location) {
+    parts.push(`${scan.location.latitude.toFixed(6)}, ${scan.location.longitude.toFixed(6)}`);
+  }
+  return parts.filter(Boolean).join(' | ');
+}
+
+// Document info: a single scan gets its coordinates as keywords
+function documentInfo(scans) {
+  const single = scans.length === 1 ? scans[0] : null;
+  return {
+    title: t('export.documentTitle'),
+    subject: single ? scanFooter(single) : t('export.scanCount', { count: scans.length }),
+    keywords:
+      single && single.location ? `${single.location.latitude},${single.location.longitude}` : undefined,
+    createdAt: new Date(),
+  };
+}
+
+/**
+ * Write the scans as one PDF; resolves with the file path.
+ * @param {Object} options { footer, redact, redactImages } — print timestamp/coordinates
+ *   under each page; mask sensitive values in the text layer; black them out in the photos
+ */
+export async function exportScansAsPdf(scans, { footer = true, redact = false, redactImages = false } = {}) {
+  const pages = [];
+  for (const scan of scans) {
+    for (const page of scan.pages || [scan]) {
+      let jpeg = base64ToBytes(await readImageBase64(page.imageUri));
+      // PNG, WebP and HEIC images (gallery picks, shared images) leave their page with the text only
+      const photo = isJpeg(jpeg);
+      const frames = redactImages && photo ? sensitiveFrames(page.ocrResult) : [];
+      if (frames.length > 0) {jpeg = redactJpeg(jpeg, frames);}
+      const ocrResult = redact ? redactOcrResult(page.ocrResult) : page.ocrResult;
+      pages.push({
+        jpeg: photo ? jpeg : null,
+        lines: selectableItems(ocrResult, 'line').map(({ text, frame }) => ({ text, frame })),
+        footer: footer ? scanFooter(scan) : null,
+        size: page.imageSize || null,
+        note: photo ? null : t('export.pdfImageOmitted'),
+      });
+    }
+  }
+  const pdf = buildSearchablePdf(pages, documentInfo(scans));
+  return writeExportFile(`ocr_export_${Date.now()}.pdf`, bytesToBase64(pdf), 'base64');
+}
@@ -0,0 +1,63 @@
+/**
+ * Export one or more scans to a file and offer it through the share sheet.
+ */
+
+import { Platform, Share } from 'react-native';
+
+import { writeExportFile } from './exportDirectory';
+import { exportScansAsPdf } from './exportPdf';
+import { EXPORT_FORMATS, serializeScans } from './scanFormats';
+import { redactScan } from '../privacy/sensitiveData';
+
+// Everything the export pickers offer: the text formats plus searchable PDF
+export const EXPORT_OPTIONS = {
+  ...EXPORT_FORMATS,
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+};
+
+/**
+ * Write the scans in `format` ('csv', 'json', 'geojson', 'kml', 'pdf').
+ * Resolves with { filePath, content }; content is null for PDF.
+ * @param {Object} options { pdfFooter, redact, redactImages } — timestamp/coordinates footer
+ *   on PDF pages; mask sensitive values in the text; black them out in PDF photos
+ */
+export async function exportScans(scans, format, options = {}) {
+  if (format === 'pdf') {
+    const filePath = await exportScansAsPdf(scans, {
+      footer: options.pdfFooter !== false,
+      redact: !!options.redact,
+      redactImages: !!options.redactImages,
+    });
+    return { filePath, content: null };
+  }
+  const { extension } = EXPORT_FORMATS[format];
+  const content = serializeScans(options.redact ? scans.map(redactScan) : scans, format);
+  const filePath = await writeExportFile(`ocr_export_${Date.now()}.${extension}`, content);
+  return { filePath, content };
+}
+
+// The text an export carries (the serialized file, or the PDF's text layer), for the sensitive data check
+export function exportedText(scans, format) {
+  if (format !== 'pdf') {return serializeScans(scans, format);}
+  return scans
+    .flatMap(scan => scan.pages || [scan])
+    .map(page => (page.ocrResult && page.ocrResult.text) || page.extractedText || '')
+    .join('\n');
+}
+
+// Offer an exported file through Share. iOS shares the file itself;
+// Android's Share API only carries text, so it gets the content (or, for binary files, the path).
+export async function shareExportedFile(filePath, content) {
+  const title = filePath.split('/').pop();
+  if (Platform.OS === 'ios') {
+    return Share.share({ url: `file://${filePath}`, title });
+  }
+  return Share.share({ title, message: content === null ? filePath : content });
+}
+
+// Export and immediately offer the result for sharing
+export async function exportAndShareScans(scans, format, options) {
+  const { filePath, content } = await exportScans(scans, format, options);
+  await shareExportedFile(filePath, content);
+  return filePath;
+}
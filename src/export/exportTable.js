@@ -0,0 +1,25 @@
+/**
+ * Export a detected table as CSV or .xlsx and offer it through the share sheet.
+ */
+
+import { writeExportFile } from './exportDirectory';
+import { shareExportedFile } from './exportScans';
+import { TABLE_FORMATS, tableToCsv, tableToXlsx } from './tableFormats';
+import { bytesToBase64 } from '../utils/base64';
+
+/**
+ * Write the table in `format` ('csv' or 'xlsx') and share it.
+ * Resolves with the path of the written file.
+ */
+export async function exportTable(table, format, sheetName) {
+  const fileName = `ocr_tabela_${Date.now()}.${TABLE_FORMATS[format].extension}`;
+  if (format === 'xlsx') {
+    const filePath = await writeExportFile(fileName, bytesToBase64(tableToXlsx(table, sheetName)), 'base64');
+    await shareExportedFile(filePath, null);
+    return filePath;
+  }
+  const content = tableToCsv(table);
+  const filePath = await writeExportFile(fileName, content);
+  await shareExportedFile(filePath, content);
+  return filePath;
+}
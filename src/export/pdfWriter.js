@@ -0,0 +1,287 @@
+/**
+ * Pure JS writer for searchable PDFs: one JPEG photo per page with an
+ * invisible text layer (render mode 3) placed from the OCR line frames.
+ *
+ * - JPEGs are embedded as-is (DCTDecode), EXIF orientation is applied through
+ *   the image matrix so the page matches what ML Kit recognized
+ * - Other images (PNG, WebP, HEIC) cannot be embedded that way: their pages get
+ *   the text only, drawn visibly at the same places, under the page's note
+ * - The text font declares fixed glyph widths and every line is stretched (Tz)
+ *   to its frame, so selections line up with the photo
+ * - Non-ASCII characters get codes 128-255 through an /Differences encoding plus
+ *   a ToUnicode map, so Serbian Latin and Cyrillic text stay searchable
+ *
+ * Returns the file as a Uint8Array.
+ */
+
+import { isJpeg, readJpegInfo } from '../image/jpeg';
+
+// A4 width in points; pages keep the photo's aspect ratio
+const PAGE_WIDTH = 595;
+const FOOTER_HEIGHT = 18;
+const NOTE_HEIGHT = 18;
+// Declared advance width (1/1000 em) of every glyph in the invisible font
+const GLYPH_WIDTH = 500;
+
+// Helper: ASCII PDF syntax to bytes
+function asciiBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i += 1) {
+    bytes[i] = text.charCodeAt(i) % 256;
+  }
+  return bytes;
+}
+
+function hex(value, digits) {
+  return value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+// Numbers in content streams: short, no exponent notation
+function num(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+// PDF text string (document info) as UTF-16BE hex with BOM
+function textString(text) {
+  let out = '<FEFF';
+  for (let i = 0; i < text.length; i += 1) {
+    out += hex(text.charCodeAt(i), 4);
+  }
+  return `${out}>`;
+}
+
+// Visible footer text is drawn with WinAnsi Helvetica; keep it to printable ASCII
+function literalAscii(text) {
+  return `(${text.replace(/[^\x20-\x7e]/g, '?').replace(/([()\\])/g, '\\$1')})`;
+}
+
+function pdfDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return (
+    `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+/**
+ * Single-byte encoding for the invisible text: ASCII maps to itself,
+ * other characters get codes from 128 up (max 128 distinct ones; the rest become "?").
+ */
+export function buildTextEncoding(texts) {
+  const codes = new Map();
+  let next = 128;
+  texts.forEach(text => {
+    Array.from(text).forEach(char => {
+      const code = char.charCodeAt(0);
+      if (char.length > 1 || code < 128 || codes.has(char) || next > 255) {return;}
+      codes.set(char, next);
+      next += 1;
+    });
+  });
+  const encode = text =>
+    Array.from(text).map(char => {
+      const code = char.charCodeAt(0);
+      if (char.length === 1 && code >= 32 && code < 127) {return code;}
+      return codes.has(char) ? codes.get(char) : 63; // '?'
+    });
+  return { codes, encode };
+}
+
+// ToUnicode CMap for the invisible font
+function toUnicodeCMap(codes) {
+  const chars = Array.from(codes.entries());
+  const lines = [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<00> <FF>',
+    'endcodespacerange',
+    '1 beginbfrange',
+    '<20> <7E> <0020>',
+    'endbfrange',
+  ];
+  // bfchar blocks hold at most 100 entries
+  for (let i = 0; i < chars.length; i += 100) {
+    const block = chars.slice(i, i + 100);
+    lines.push(`${block.length} beginbfchar`);
+    block.forEach(([char, code]) => lines.push(`<${hex(code, 2)}> <${hex(char.charCodeAt(0), 4)}>`));
+    lines.push('endbfchar');
+  }
+  lines.push('endcmap', 'CMapName currentdict /CMap defineresource pop', 'end', 'end');
+  return lines.join('\n');
+}
+
+/**
+ * Matrix that draws the raw JPEG (unit square) upright into the box
+ * (x, y, width, height), for EXIF orientations 1, 3, 6 and 8.
+ */
+export function imageMatrix(orientation, x, y, width, height) {
+  switch (orientation) {
+    case 3:
+      return [-width, 0, 0, -height, x + width, y + height];
+    case 6:
+      return [0, -height, width, 0, x, y + height];
+    case 8:
+      return [0, height, -width, 0, x + width, y];
+    default:
+      return [width, 0, 0, height, x, y];
+  }
+}
+
+// Helper: Upright size of a page without a JPEG: the image size when known, else what the text spans (A4 at least)
+function textPageSize(page, lines) {
+  if (page.size && page.size.width > 0 && page.size.height > 0) {return page.size;}
+  const width = Math.max(PAGE_WIDTH, ...lines.map(({ frame }) => frame.left + frame.width));
+  const height = Math.max(width * Math.SQRT2, ...lines.map(({ frame }) => frame.top + frame.height));
+  return { width, height };
+}
+
+/**
+ * Build the PDF.
+ * @param {Array} pages [{ jpeg: Uint8Array, lines: [{ text, frame }], footer?: string, size?, note?: string }]
+ *   frames are in pixels of the upright image; a page whose image is not a JPEG gets its text
+ *   only, on a page of `size` (the upright image size, when known), with `note` printed on top
+ * @param {Object} info { title, subject, keywords, createdAt: Date }
+ * @returns {Uint8Array}
+ */
+export function buildSearchablePdf(pages, info = {}) {
+  const encoding = buildTextEncoding(
+    pages.flatMap(page => [...(page.lines || []).map(line => line.text), ...(page.note ? [page.note] : [])]),
+  );
+  const objects = []; // index + 1 = object number; each entry is an array of byte chunks
+  const addObject = chunks => {
+    objects.push(chunks);
+    return objects.length;
+  };
+  const dictObject = text => addObject([asciiBytes(text)]);
+  const streamObject = (dict, data) =>
+    addObject([asciiBytes(`<< ${dict} /Length ${data.length} >>\nstream\n`), data, asciiBytes('\nendstream')]);
+
+  // Reserve catalog (1) and page tree (2); filled in once the pages exist
+  addObject(null);
+  addObject(null);
+
+  const cmapText = toUnicodeCMap(encoding.codes);
+  const toUnicode = streamObject('', asciiBytes(cmapText));
+  const differences = Array.from(encoding.codes.entries())
+    .map(([char, code]) => `${code} /uni${hex(char.charCodeAt(0), 4)}`)
+    .join(' ');
+  const textFont = dictObject(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /FirstChar 32 /LastChar 255 ' +
+      `/Widths [${new Array(224).fill(GLYPH_WIDTH).join(' ')}] ` +
+      `/Encoding << /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [${differences}] >> ` +
+      `/ToUnicode ${toUnicode} 0 R >>`,
+  );
+  const footerFont = dictObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map(page => {
+    const lines = (page.lines || []).filter(line => line.frame && line.text);
+    const jpeg = page.jpeg && isJpeg(page.jpeg) ? readJpegInfo(page.jpeg) : null;
+    const orientation = jpeg ? jpeg.exif.orientation || 1 : 1;
+    const rotated = orientation >= 5 && orientation <= 8;
+    const textSize = jpeg ? null : textPageSize(page, lines);
+    const uprightWidth = jpeg ? (rotated ? jpeg.height : jpeg.width) : textSize.width;
+    const uprightHeight = jpeg ? (rotated ? jpeg.width : jpeg.height) : textSize.height;
+    const scale = PAGE_WIDTH / uprightWidth;
+    const footerHeight = page.footer ? FOOTER_HEIGHT : 0;
+    const noteHeight = page.note && !jpeg ? NOTE_HEIGHT : 0;
+    const imageHeight = uprightHeight * scale;
+    const imageTop = imageHeight + footerHeight;
+    const pageHeight = imageTop + noteHeight;
+
+    const ops = [];
+    let image = null;
+    if (jpeg) {
+      const colorSpace = { 1: '/DeviceGray', 4: '/DeviceCMYK' }[jpeg.components] || '/DeviceRGB';
+      image = streamObject(
+        `/Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} ` +
+          `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+        page.jpeg,
+      );
+      ops.push('q', `${imageMatrix(orientation, 0, footerHeight, PAGE_WIDTH, imageHeight).map(num).join(' ')} cm`, '/Im0 Do', 'Q');
+    }
+    if (lines.length > 0) {
+      // Without the photo the text is all there is to see
+      ops.push('BT', jpeg ? '3 Tr' : '0 Tr');
+      lines.forEach(({ text, frame }) => {
+        const fontSize = Math.max(frame.height * scale, 1);
+        const codes = encoding.encode(text);
+        const naturalWidth = (codes.length * GLYPH_WIDTH * fontSize) / 1000;
+        const stretch = naturalWidth > 0 ? (frame.width * scale * 100) / naturalWidth : 100;
+        const x = frame.left * scale;
+        const baseline = imageTop - (frame.top + frame.height) * scale + fontSize * 0.2;
+        ops.push(
+          `/F1 ${num(fontSize)} Tf`,
+          `${num(stretch)} Tz`,
+          `1 0 0 1 ${num(x)} ${num(baseline)} Tm`,
+          `<${codes.map(code => hex(code, 2)).join('')}> Tj`,
+        );
+      });
+      ops.push('ET');
+    }
+    if (page.footer) {
+      ops.push('BT', '0 Tr', '100 Tz', '0.3 g', '/F2 8 Tf', `6 ${num(footerHeight / 2 - 3)} Td`, `${literalAscii(page.footer)} Tj`, 'ET');
+    }
+    if (noteHeight > 0) {
+      const codes = encoding.encode(page.note);
+      ops.push('BT', '0 Tr', '100 Tz', '0.3 g', '/F1 8 Tf', `6 ${num(imageTop + noteHeight / 2 - 3)} Td`, `<${codes.map(code => hex(code, 2)).join('')}> Tj`, 'ET');
+    }
+    const contents = streamObject('', asciiBytes(ops.join('\n')));
+
+    const xObjects = image ? ` /XObject << /Im0 ${image} 0 R >>` : '';
+    return dictObject(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(PAGE_WIDTH)} ${num(pageHeight)}] ` +
+        `/Resources << /Font << /F1 ${textFont} 0 R /F2 ${footerFont} 0 R >>${xObjects} >> ` +
+        `/Contents ${contents} 0 R >>`,
+    );
+  });
+
+  objects[0] = [asciiBytes('<< /Type /Catalog /Pages 2 0 R >>')];
+  objects[1] = [asciiBytes(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`)];
+
+  const infoEntries = [`/Producer ${textString('basicOCR')}`, `/CreationDate (${pdfDate(info.createdAt || new Date())})`];
+  if (info.title) {infoEntries.push(`/Title ${textString(info.title)}`);}
+  if (info.subject) {infoEntries.push(`/Subject ${textString(info.subject)}`);}
+  if (info.keywords) {infoEntries.push(`/Keywords ${textString(info.keywords)}`);}
+  const infoId = dictObject(`<< ${infoEntries.join(' ')} >>`);
+
+  // Serialize: header, objects, cross-reference table, trailer
+  const chunks = [asciiBytes('%PDF-1.4\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+  let length = chunks[0].length + chunks[1].length;
+  const offsets = [];
+  objects.forEach((objectChunks, index) => {
+    offsets.push(length);
+    const parts = [asciiBytes(`${index + 1} 0 obj\n`), ...objectChunks, asciiBytes('\nendobj\n')];
+    parts.forEach(part => {
+      chunks.push(part);
+      length += part.length;
+    });
+  });
+  const xrefOffset = length;
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(xrefOffset),
+    '%%EOF',
+    '',
+  ].join('\n');
+  chunks.push(asciiBytes(xref));
+  length += xref.length;
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+}
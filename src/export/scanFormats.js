@@ -0,0 +1,164 @@
+/**
+ * Serializers for exporting scans: CSV, JSON, GeoJSON and KML.
+ *
+ * Every format carries the same fields per scan: image file name, text,
+ * latitude/longitude, accuracy (meters, when known), location source and ISO timestamp, plus
+ * the receipt fields and the barcodes found on the image when the scan has them (CSV and
+ * KML get the main ones: barcode values and the IPS payment's recipient, account, amount
+ * and purpose; JSON and GeoJSON the full records).
+ * Pure functions; writing and sharing live in exportScans.js.
+ */
+
+import { baseName } from '../utils/paths';
+import { findPayment } from '../extract/barcodePayload';
+import { t } from '../i18n/i18n';
+
+// Names shown in the pickers are under export.formats in the catalogs
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+};
+
+// Flatten a scan record into the exported fields
+export function scanToRow(scan) {
+  const location = scan.location || null;
+  const timestamp = new Date(scan.timestamp);
+  return {
+    id: scan.id || null,
+    imageFileName: scan.imageFileName || baseName(scan.imageUri),
+    text: scan.extractedText || '',
+    latitude: location ? location.latitude : null,
+    longitude: location ? location.longitude : null,
+    accuracy: location && location.accuracy != null ? location.accuracy : null,
+    locationSource: scan.locationSource || (location ? 'live' : 'none'),
+    timestamp: isNaN(timestamp.getTime()) ? null : timestamp.toISOString(),
+    receipt: scan.receiptFields || null,
+    barcodes: scan.barcodes || [],
+  };
+}
+
+// Helper: Main receipt fields as flat columns (empty for scans without them)
+function receiptColumns(receipt) {
+  return {
+    merchant: receipt ? receipt.merchant : null,
+    pib: receipt ? receipt.pib : null,
+    receiptDate: receipt && receipt.date ? [receipt.date, receipt.time].filter(Boolean).join(' ') : null,
+    total: receipt ? receipt.total : null,
+    vat: receipt ? receipt.vat : null,
+  };
+}
+
+// Helper: Barcode values (one per line) and the main payment fields as flat columns
+function barcodeColumns(barcodes) {
+  const payment = findPayment(barcodes);
+  return {
+    barcodes: barcodes.length > 0 ? barcodes.map(barcode => barcode.value).join('\n') : null,
+    paymentRecipient: payment ? payment.recipient : null,
+    paymentAccount: payment ? payment.account : null,
+    paymentAmount: payment ? payment.amount : null,
+    paymentPurpose: payment ? payment.purpose : null,
+  };
+}
+
+// RFC 4180 field: quoted when it holds a delimiter, quote or line break
+export function csvField(value) {
+  if (value === null || value === undefined) {return '';}
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  'imageFileName', 'text', 'latitude', 'longitude', 'accuracy', 'locationSource', 'timestamp',
+  'merchant', 'pib', 'receiptDate', 'total', 'vat',
+  'barcodes', 'paymentRecipient', 'paymentAccount', 'paymentAmount', 'paymentPurpose',
+];
+const CSV_HEADER = [
+  'image_file', 'text', 'latitude', 'longitude', 'accuracy', 'location_source', 'timestamp',
+  'merchant', 'pib', 'receipt_date', 'total', 'vat',
+  'barcodes', 'payment_recipient', 'payment_account', 'payment_amount', 'payment_purpose',
+];
+
+// CSV with CRLF row endings; the BOM makes spreadsheet apps read UTF-8 (š, ć, ž...)
+export function toCsv(scans) {
+  const rows = scans
+    .map(scanToRow)
+    .map(row => ({ ...row, ...receiptColumns(row.receipt), ...barcodeColumns(row.barcodes) }))
+    .map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+  return '\uFEFF' + [CSV_HEADER.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export function toJson(scans) {
+  return JSON.stringify(scans.map(scanToRow), null, 2);
+}
+
+// GeoJSON FeatureCollection; scans without a location get a null geometry
+export function toGeoJson(scans) {
+  return JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      features: scans.map(scanToRow).map(({ latitude, longitude, ...properties }) => ({
+        type: 'Feature',
+        geometry: latitude === null ? null : { type: 'Point', coordinates: [longitude, latitude] },
+        properties,
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+export function xmlEscape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// KML document with one placemark per located scan (KML has no use for unlocated ones)
+export function toKml(scans) {
+  const placemarks = scans
+    .map(scanToRow)
+    .filter(row => row.latitude !== null)
+    .map(row =>
+      [
+        '    <Placemark>',
+        `      <name>${xmlEscape(row.imageFileName || row.timestamp || '')}</name>`,
+        `      <description>${xmlEscape(row.text)}</description>`,
+        row.timestamp ? `      <TimeStamp><when>${row.timestamp}</when></TimeStamp>` : null,
+        '      <ExtendedData>',
+        `        <Data name="image_file"><value>${xmlEscape(row.imageFileName)}</value></Data>`,
+        `        <Data name="accuracy"><value>${row.accuracy === null ? '' : row.accuracy}</value></Data>`,
+        `        <Data name="location_source"><value>${row.locationSource}</value></Data>`,
+        ...Object.entries({ ...(row.receipt ? receiptColumns(row.receipt) : {}), ...barcodeColumns(row.barcodes) })
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([name, value]) => `        <Data name="${name}"><value>${xmlEscape(value)}</value></Data>`),
+        '      </ExtendedData>',
+        `      <Point><coordinates>${row.longitude},${row.latitude},0</coordinates></Point>`,
+        '    </Placemark>',
+      ]
+        .filter(line => line !== null)
+        .join('\n'),
+    );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${xmlEscape(t('export.documentTitle'))}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+const SERIALIZERS = { csv: toCsv, json: toJson, geojson: toGeoJson, kml: toKml };
+
+export function serializeScans(scans, format) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {throw new Error(t('export.errors.unknownFormat', { format }));}
+  return serialize(scans);
+}
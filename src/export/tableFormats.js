@@ -0,0 +1,111 @@
+/**
+ * Serialize a detected table (see src/extract/table.js) as CSV or as an .xlsx workbook.
+ *
+ * - CSV: UTF-8 with BOM and CRLF rows like the scan export; a merged cell's text is
+ *   in its first column
+ * - .xlsx: one sheet with inline strings and real merged cells. Cells holding a plain
+ *   amount ("1.234,56", "89,99") become numbers so spreadsheets can sum them; codes with
+ *   leading zeros and long digit strings (accounts, barcodes) stay text
+ * Pure functions; writing and sharing live in exportTable.js.
+ */
+
+import { csvField, xmlEscape } from './scanFormats';
+import { createZip } from './zipWriter';
+import { tableGrid } from '../extract/table';
+import { parseSerbianAmount } from '../extract/serbianNumbers';
+
+export const TABLE_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+export function tableToCsv(table) {
+  const { grid } = tableGrid(table);
+  return '\uFEFF' + grid.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Spreadsheet column name of a zero-based index: 0 -> A, 25 -> Z, 26 -> AA
+export function columnName(index) {
+  let name = '';
+  for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Helper: Number in a cell, or null when it should stay text
+function cellNumber(text) {
+  const value = text.trim();
+  if (!/^[-−]?\d/.test(value) || /^[-−]?0\d/.test(value) || value.replace(/\D/g, '').length > 15) {return null;}
+  return parseSerbianAmount(value);
+}
+
+// Helper: <c> element of one cell; XML cannot carry most control characters
+function cellXml(text, ref) {
+  if (text === '') {return '';}
+  const number = cellNumber(text);
+  if (number !== null) {return `<c r="${ref}"><v>${number}</v></c>`;}
+  const clean = Array.from(text).filter(char => char >= ' ' || '\t\n\r'.includes(char)).join('');
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(clean)}</t></is></c>`;
+}
+
+function sheetXml(table) {
+  const { grid, merges } = tableGrid(table);
+  const rows = grid.map((row, rowIndex) => {
+    const cells = row.map((text, column) => cellXml(text, `${columnName(column)}${rowIndex + 1}`)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+  const mergeCells = merges.map(
+    ({ row, column, span }) => `<mergeCell ref="${columnName(column)}${row + 1}:${columnName(column + span - 1)}${row + 1}"/>`,
+  );
+  return (
+    `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>${rows.join('')}</sheetData>` +
+    (mergeCells.length > 0 ? `<mergeCells count="${mergeCells.length}">${mergeCells.join('')}</mergeCells>` : '') +
+    '</worksheet>'
+  );
+}
+
+/**
+ * The table as an .xlsx workbook (Office Open XML, one sheet).
+ * @returns {Uint8Array}
+ */
+export function tableToXlsx(table, sheetName = 'Sheet1') {
+  // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+  const name = sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet1';
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data:
+        `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data:
+        `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      data:
+        `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+        `<sheets><sheet name="${xmlEscape(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data:
+        `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml(table) },
+  ]);
+}
@@ -0,0 +1,74 @@
+/**
+ * vCard 4.0 (RFC 6350) serializer for contacts from src/extract/businessCard.js.
+ * Pure functions; writing and sharing the .vcf file live in exportContact.js.
+ */
+
+// Helper: Escape a text value (or one structured component) per RFC 6350 3.4
+function escapeValue(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) {return 1;}
+  if (code < 0x800) {return 2;}
+  return code < 0x10000 ? 3 : 4;
+}
+
+// Fold content lines longer than 75 octets; continuation lines start with a space
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  Array.from(line).forEach(char => {
+    const size = utf8Length(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// "Marko Petrović" -> N:Petrović;Marko;;;
+function structuredName(name) {
+  const words = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {return ';;;;';}
+  const family = words.length > 1 ? words[words.length - 1] : '';
+  const given = words.length > 1 ? words.slice(0, -1).join(' ') : words[0];
+  return `${escapeValue(family)};${escapeValue(given)};;;`;
+}
+
+export function toVCard(contact) {
+  const formattedName = contact.name || contact.organization || contact.emails[0] || '';
+  const lines = ['BEGIN:VCARD', 'VERSION:4.0', `FN:${escapeValue(formattedName)}`];
+  if (contact.name) {lines.push(`N:${structuredName(contact.name)}`);}
+  if (contact.organization) {lines.push(`ORG:${escapeValue(contact.organization)}`);}
+  if (contact.title) {lines.push(`TITLE:${escapeValue(contact.title)}`);}
+  contact.phones.forEach(phone => {
+    const types = phone.type === 'cell' ? 'cell,voice' : phone.type === 'fax' ? 'fax' : 'work,voice';
+    lines.push(`TEL;VALUE=uri;TYPE="${types}":tel:${phone.value}`);
+  });
+  contact.emails.forEach(email => lines.push(`EMAIL;TYPE=work:${escapeValue(email)}`));
+  contact.urls.forEach(url => {
+    lines.push(`URL:${/^https?:\/\//i.test(url) ? url : `https://${url}`}`);
+  });
+  const address = contact.address;
+  if (address && (address.street || address.locality || address.postalCode || address.country)) {
+    // ADR: PO box; extended; street; locality; region; postal code; country
+    const parts = ['', '', address.street, address.locality, '', address.postalCode, address.country];
+    lines.push(`ADR;TYPE=work:${parts.map(escapeValue).join(';')}`);
+  }
+  lines.push('END:VCARD');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
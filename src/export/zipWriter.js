@@ -0,0 +1,87 @@
+/**
+ * Minimal ZIP writer for the .xlsx export (Office files are ZIP packages of XML parts).
+ *
+ * Entries are stored without compression: the parts are small, and this keeps the
+ * writer to the local headers, the central directory and CRC-32 (APPNOTE 6.3).
+ * Returns the archive as a Uint8Array.
+ */
+
+import { utf8Bytes } from '../utils/utf8';
+
+// MS-DOS date of every entry: 1980-01-01 00:00, the format's epoch (month * 32 + day)
+const DOS_DATE = 1 * 32 + 1;
+const DOS_TIME = 0;
+// Bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n += 1) {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    // eslint-disable-next-line no-bitwise -- CRC-32 divides by its polynomial with XOR
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+// CRC-32 (IEEE) of the bytes, as an unsigned number
+export function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i += 1) {
+    // eslint-disable-next-line no-bitwise -- table-driven CRC-32 step
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  // Final inversion, read as unsigned
+  return 0xffffffff - (crc < 0 ? crc + 0x100000000 : crc);
+}
+
+// Helper: Little-endian bytes of a 16- or 32-bit field
+function le(value, length) {
+  const bytes = [];
+  for (let i = 0; i < length; i += 1) {
+    bytes.push(Math.floor(value / 256 ** i) % 256);
+  }
+  return bytes;
+}
+
+/**
+ * ZIP archive of the files, in the given order.
+ * @param {Array<{ name: string, data: Uint8Array|string }>} files strings are written as UTF-8
+ */
+export function createZip(files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const bytes = typeof data === 'string' ? Uint8Array.from(utf8Bytes(data)) : data;
+    const nameBytes = utf8Bytes(name);
+    const crc = crc32(bytes);
+    // Version, flags, method (0 = stored), time, date, CRC, sizes, name length, extra length
+    const common = [
+      ...le(20, 2), ...le(UTF8_FLAG, 2), ...le(0, 2), ...le(DOS_TIME, 2), ...le(DOS_DATE, 2),
+      ...le(crc, 4), ...le(bytes.length, 4), ...le(bytes.length, 4), ...le(nameBytes.length, 2), ...le(0, 2),
+    ];
+    const local = Uint8Array.from([...le(0x04034b50, 4), ...common, ...nameBytes]);
+    central.push(
+      ...le(0x02014b50, 4), ...le(20, 2), ...common,
+      // Comment length, disk, internal and external attributes, offset of the local header
+      ...le(0, 2), ...le(0, 2), ...le(0, 2), ...le(0, 4), ...le(offset, 4),
+      ...nameBytes,
+    );
+    chunks.push(local, bytes);
+    offset += local.length + bytes.length;
+  });
+  const end = [
+    ...le(0x06054b50, 4), ...le(0, 2), ...le(0, 2),
+    ...le(files.length, 2), ...le(files.length, 2), ...le(central.length, 4), ...le(offset, 4), ...le(0, 2),
+  ];
+  chunks.push(Uint8Array.from(central), Uint8Array.from(end));
+
+  const zip = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  chunks.forEach(chunk => {
+    zip.set(chunk, position);
+    position += chunk.length;
+  });
+  return zip;
+}
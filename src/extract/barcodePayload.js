@@ -0,0 +1,131 @@
+/**
+ * Payloads of barcodes and QR codes found on a scan.
+ *
+ * Recognized formats:
+ * - fiscal receipt verification URLs (https://suf.purs.gov.rs/v/?vl=...): the `vl`
+ *   parameter is decoded into the receipt number, total, time and type
+ * - NBS IPS QR payment codes ("K:PR|V:01|C:1|R:...|N:...|I:RSD...|..."): recipient,
+ *   account, amount, payer, payment code, purpose and reference
+ * - any other URL, and plain text
+ *
+ * Barcode: { format, value, payload } where payload is one of
+ *   { type: 'fiscalReceipt', url, invoiceNumber, total, issuedAt (ISO), invoiceType, transactionType }
+ *     (only { type, url } when the vl parameter cannot be decoded)
+ *   { type: 'ipsPayment', kind, recipient, recipientAddress, account, accountValid, currency, amount,
+ *     payer, paymentCode, purpose, reference }
+ *   { type: 'url', url }
+ *   { type: 'text' }
+ */
+
+import { base64ToBytes } from '../utils/base64';
+import { isValidBankAccount, normalizeBankAccount, parseSerbianAmount } from './serbianNumbers';
+
+const FISCAL_URL_RE = /^https?:\/\/suf\.purs\.gov\.rs\/v\/?\?(?:[^#]*&)?vl=([^&#]+)/i;
+
+const INVOICE_TYPES = ['normal', 'proforma', 'copy', 'training', 'advance'];
+const TRANSACTION_TYPES = ['sale', 'refund'];
+
+// Fixed part of vl: version, requested by, signed by, two counters, total, time, types, buyer id length
+const VL_HEADER_LENGTH = 44;
+
+// Receipt times outside this range mean the vl was not understood
+const EARLIEST_RECEIPT = Date.UTC(2020, 0, 1);
+const LATEST_RECEIPT = Date.UTC(2100, 0, 1);
+
+// Helper: Unsigned integer of `length` bytes at `offset`
+function readUint(bytes, offset, length, littleEndian) {
+  let value = 0;
+  for (let i = 0; i < length; i += 1) {
+    const byte = bytes[offset + (littleEndian ? length - 1 - i : i)];
+    value = value * 256 + byte;
+  }
+  return value;
+}
+
+// Helper: ASCII text of `length` bytes at `offset`
+function readAscii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+/**
+ * Fields of a fiscal receipt verification parameter (vl, base64). Layout of the
+ * e-fiscalization verification URL: version (1 byte), requested by and signed by
+ * (8 ASCII characters each), total and per-type counters (uint32 LE), total amount
+ * (uint64 LE, in ten-thousandths), time (uint64 BE, ms since the epoch), invoice
+ * and transaction type (1 byte each), then the buyer id, internal data and signature.
+ * @returns the fields, or null when the parameter is not a verification record
+ */
+export function decodeFiscalVerification(vl) {
+  let bytes;
+  try {
+    bytes = base64ToBytes(decodeURIComponent(vl).replace(/-/g, '+').replace(/_/g, '/'));
+  } catch (err) {
+    return null;
+  }
+  if (bytes.length < VL_HEADER_LENGTH) {return null;}
+  const requestedBy = readAscii(bytes, 1, 8);
+  const signedBy = readAscii(bytes, 9, 8);
+  if (!/^[A-Z0-9]{8}$/.test(requestedBy) || !/^[A-Z0-9]{8}$/.test(signedBy)) {return null;}
+  const time = readUint(bytes, 33, 8, false);
+  return {
+    invoiceNumber: `${requestedBy}-${signedBy}-${readUint(bytes, 17, 4, true)}`,
+    total: readUint(bytes, 25, 8, true) / 10000,
+    issuedAt: time >= EARLIEST_RECEIPT && time < LATEST_RECEIPT ? new Date(time).toISOString() : null,
+    invoiceType: INVOICE_TYPES[bytes[41]] || null,
+    transactionType: TRANSACTION_TYPES[bytes[42]] || null,
+  };
+}
+
+/**
+ * Fields of an NBS IPS QR code: "TAG:value" pairs separated by "|". K (kind), V, C,
+ * R (account) and N (recipient) are required.
+ * @returns the payload, or null when the text is not an IPS code
+ */
+export function parseIpsPayment(value) {
+  const tags = {};
+  value.trim().split('|').forEach(part => {
+    const colon = part.indexOf(':');
+    if (colon > 0) {tags[part.slice(0, colon).trim().toUpperCase()] = part.slice(colon + 1).trim();}
+  });
+  if (!/^(PR|PT|PK|EK)$/.test(tags.K || '') || !tags.V || !tags.C || !/^\d{18}$/.test(tags.R || '') || !tags.N) {
+    return null;
+  }
+  const account = normalizeBankAccount(`${tags.R.slice(0, 3)}-${tags.R.slice(3, 16)}-${tags.R.slice(16)}`);
+  const [recipient, ...address] = tags.N.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const amount = /^([A-Z]{3})(\d+(?:,\d{0,2})?)$/.exec(tags.I || '');
+  return {
+    type: 'ipsPayment',
+    kind: tags.K,
+    recipient: recipient || '',
+    recipientAddress: address.join(', ') || null,
+    account,
+    accountValid: isValidBankAccount(account),
+    currency: amount ? amount[1] : null,
+    amount: amount ? parseSerbianAmount(amount[2]) : null,
+    payer: tags.P ? tags.P.split(/\r?\n/).map(line => line.trim()).filter(Boolean).join(', ') : null,
+    paymentCode: tags.SF || null,
+    purpose: tags.S || null,
+    reference: tags.RO || null,
+  };
+}
+
+// What a decoded barcode value holds
+export function parseBarcodePayload(value) {
+  const text = String(value || '').trim();
+  const fiscal = FISCAL_URL_RE.exec(text);
+  if (fiscal) {
+    return { type: 'fiscalReceipt', url: text, ...decodeFiscalVerification(fiscal[1]) };
+  }
+  if (/^K:/i.test(text)) {
+    const payment = parseIpsPayment(text);
+    if (payment) {return payment;}
+  }
+  if (/^https?:\/\/\S+$/i.test(text)) {return { type: 'url', url: text };}
+  return { type: 'text' };
+}
+
+// The scan's IPS payment, if one of its codes is a payment slip
+export function findPayment(barcodes) {
+  const found = (barcodes || []).find(barcode => barcode.payload && barcode.payload.type === 'ipsPayment');
+  return found ? found.payload : null;
+}
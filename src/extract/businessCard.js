@@ -0,0 +1,172 @@
+/**
+ * Contact details from business card text.
+ *
+ * Contact: { name, organization, title, phones: [{ value, type }], emails, urls,
+ *   address: { street, postalCode, locality, country } | null }
+ * Phone numbers are normalized to E.164 (national numbers default to +381),
+ * `type` is 'cell', 'fax' or 'work'.
+ */
+
+import { foldText } from '../text/normalize';
+
+export const DEFAULT_COUNTRY_CODE = '381';
+
+export const EMAIL_RE = /[\p{L}0-9._%+-]+@[\p{L}0-9.-]+\.[\p{L}]{2,}/gu;
+const URL_RE = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.(?:rs|срб|com|net|org|info|biz|io|co|eu|me|ba|hr|de|at|ch|uk)\b(?:\/[^\s,;]*)?/giu;
+const PHONE_RE = /(?:\+|00)?\d[\d\s()/.-]{5,}\d/g;
+// Dates ("12.03.2025.") and opening hours ("08.00-16.00") that PHONE_RE also matches
+const DATE_SHAPE = /^\d{1,2}\.\d{1,2}\.(?:\d{4}\b|\d{2}\.?$)/;
+const TIME_RANGE_SHAPE = /^\d{1,2}[.:]\d{2}\s*-\s*\d{1,2}[.:]\d{2}$/;
+// Serbian national numbers: area codes 1x-3x, mobile 6x, 7x and 800 services; 8 to 10 digits
+const SERBIAN_NUMBER = /^[1-36-8]\d{7,9}$/;
+const POSTAL_RE = /\b(\d{5})\s+(\p{L}[\p{L} .,-]*)/u;
+
+const LEGAL_FORMS = /\b(d\.?\s?o\.?\s?o|a\.?\s?d|doo|ltd|inc|gmbh|llc|plc|s\.?r\.?l|company|corp|agencija|studio|group|grupa)\b\.?/;
+const TITLE_WORDS = /\b(direktor|direktorka|menadzer|menadzerka|manager|director|inzenjer|engineer|developer|programer|ceo|cto|cfo|coo|head|sef|rukovodilac|konsultant|consultant|advokat|lawyer|referent|specijalista|specialist|vlasnik|owner|founder|osnivac|saradnik|associate|prodaja|sales|marketing|savetnik|advisor|partner|arhitekta|architect|dizajner|designer|lekar|doktor|profesor|professor)\b/;
+const ADDRESS_WORDS = /\b(ul\.?|ulica|bulevar|bul\.?|trg|put|naselje|street|st\.|road|rd\.|avenue|ave\.|square)\b/;
+const COUNTRIES = /\b(srbija|serbia|republika srbija)\b/;
+const LABEL_PREFIX = /^\s*(tel|telefon|phone|mob|mobile|cell|fax|faks|email|e-mail|web|www|adresa|address|t|m|f|e|w)\s*[.:]\s*/i;
+
+/**
+ * Normalize a phone number to E.164. "00" becomes "+", a leading trunk "0"
+ * is replaced by the default country code, and a trunk written as "(0)" after
+ * the country code ("+381 (0)11 ...") is dropped.
+ * @returns "+381641234567", or null when it is not a plausible number
+ */
+export function normalizePhone(raw, countryCode = DEFAULT_COUNTRY_CODE) {
+  const text = String(raw || '').trim().replace(/\(\s*0\s*\)/g, '');
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+')) {
+    // keep as is
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = countryCode + digits.slice(1);
+  } else if (!digits.startsWith(countryCode)) {
+    digits = countryCode + digits;
+  }
+  if (digits.length < 8 || digits.length > 15) {return null;}
+  if (digits.startsWith('381') && !SERBIAN_NUMBER.test(digits.slice(3))) {return null;}
+  return `+${digits}`;
+}
+
+// Helper: A PHONE_RE match that is really a date or a time range
+function isDateOrTime(candidate) {
+  const value = candidate.trim();
+  return DATE_SHAPE.test(value) || TIME_RANGE_SHAPE.test(value);
+}
+
+// Helper: 'cell', 'fax' or 'work' from the label on the line and the number itself
+function phoneType(foldedLine, e164) {
+  if (/\b(fax|faks)\b|^\s*f\s*[.:]/.test(foldedLine)) {return 'fax';}
+  if (/\b(mob|mobile|mobilni|cell)\b|^\s*m\s*[.:]/.test(foldedLine)) {return 'cell';}
+  // Serbian mobile networks use 06x
+  if (e164.startsWith('+3816')) {return 'cell';}
+  return 'work';
+}
+
+function isWordy(line) {
+  return /\p{L}{2,}/u.test(line) && !/\d/.test(line) && !line.includes('@');
+}
+
+// Capitalized first and last name (two or three words), e.g. "Marko Marković" or "MARKO MARKOVIĆ"
+function looksLikeName(line) {
+  const words = line.trim().split(/\s+/);
+  return words.length >= 2 && words.length <= 3 && words.every(word => /^\p{Lu}[\p{L}'’-]*\.?$/u.test(word));
+}
+
+export function extractContact(text) {
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const used = new Set();
+
+  const emails = [];
+  const urls = [];
+  const phones = [];
+  let address = null;
+  let postalIndex = -1;
+
+  lines.forEach((line, index) => {
+    const folded = foldText(line);
+    const lineEmails = line.match(EMAIL_RE) || [];
+    lineEmails.forEach(email => {
+      if (!emails.includes(email.toLowerCase())) {emails.push(email.toLowerCase());}
+    });
+    // URLs, without the domains of e-mail addresses on the same line
+    const withoutEmails = lineEmails.reduce((rest, email) => rest.replace(email, ' '), line);
+    const lineUrls = withoutEmails.match(URL_RE) || [];
+    lineUrls.forEach(url => {
+      const value = url.toLowerCase();
+      if (!urls.includes(value)) {urls.push(value);}
+    });
+    if (lineEmails.length > 0 || lineUrls.length > 0) {used.add(index);}
+
+    const postal = POSTAL_RE.exec(line);
+    if (postal) {
+      address = address || {};
+      address.postalCode = postal[1];
+      address.locality = postal[2].split(',')[0].replace(/\.\s*$/, '').trim();
+      // "11000 Beograd, Srbija"
+      if (COUNTRIES.test(foldText(postal[2]))) {address.country = 'Srbija';}
+      postalIndex = index;
+      used.add(index);
+      return;
+    }
+    if (ADDRESS_WORDS.test(folded) && /\d/.test(line)) {
+      address = address || {};
+      address.street = line.replace(LABEL_PREFIX, '').replace(/,\s*$/, '');
+      used.add(index);
+      return;
+    }
+    if (COUNTRIES.test(folded) && isWordy(line) && line.split(/\s+/).length <= 2) {
+      address = address || {};
+      address.country = line;
+      used.add(index);
+      return;
+    }
+
+    if (lineEmails.length > 0) {return;}
+    (withoutEmails.match(PHONE_RE) || []).forEach(candidate => {
+      if (isDateOrTime(candidate)) {return;}
+      const value = normalizePhone(candidate);
+      if (!value || phones.some(phone => phone.value === value)) {return;}
+      phones.push({ value, type: phoneType(folded, value) });
+      used.add(index);
+    });
+  });
+
+  // Street without a street word ("Knez Mihailova 6/II") on the line above the postal code
+  const above = postalIndex > 0 ? lines[postalIndex - 1] : null;
+  if (address && !address.street && above && !used.has(postalIndex - 1) && /^\p{L}[\p{L}. ]+\d+[\p{L}/\dIVX]*,?$/u.test(above)) {
+    address.street = above.replace(/,\s*$/, '');
+    used.add(postalIndex - 1);
+  }
+
+  // Remaining word lines: person name, job title and organization
+  const remaining = lines.map((line, index) => ({ line, index })).filter(({ line, index }) => !used.has(index) && isWordy(line));
+  const pick = predicate => {
+    const found = remaining.find(entry => !used.has(entry.index) && predicate(entry));
+    if (!found) {return null;}
+    used.add(found.index);
+    return found.line.replace(LABEL_PREFIX, '');
+  };
+  const organization = pick(({ line }) => LEGAL_FORMS.test(foldText(line)));
+  const title = pick(({ line }) => TITLE_WORDS.test(foldText(line)));
+  const name = pick(({ line }) => looksLikeName(line));
+
+  return {
+    name,
+    organization,
+    title,
+    phones,
+    emails,
+    urls,
+    address,
+  };
+}
+
+// Enough contact details to treat the text as a business card
+export function looksLikeBusinessCard(contact, text) {
+  const lineCount = (text || '').split(/\r?\n/).filter(line => line.trim()).length;
+  const channels = contact.phones.length + contact.emails.length;
+  return lineCount <= 15 && channels > 0 && (!!contact.name || !!contact.organization);
+}
@@ -0,0 +1,219 @@
+/**
+ * Structured fields from receipt and invoice text (Serbian formats).
+ *
+ * Works on OCR rows: rebuilt from the line geometry when the structured result
+ * is available (see layoutRows), otherwise the plain text lines. Keywords are
+ * matched on folded text, so Cyrillic and Latin receipts are read alike.
+ *
+ * Fields: { merchant, pib, pibValid, date ('YYYY-MM-DD'), time ('HH:MM[:SS]'),
+ *   items: [{ name, quantity, unitPrice, total }], total, vat,
+ *   ibans: [{ value, valid }], accounts: [{ value, valid }] }
+ */
+
+import { t } from '../i18n/i18n';
+import { formatNumber } from '../i18n/format';
+import { layoutRows } from '../ocr/geometry';
+import { foldText } from '../text/normalize';
+import {
+  isValidBankAccount,
+  isValidIban,
+  isValidPib,
+  normalizeBankAccount,
+  parseSerbianAmount,
+} from './serbianNumbers';
+
+// Amounts with two decimals: 1.234,56 | 1234,56 | 1234.56
+const AMOUNT = '-?\\d{1,3}(?:\\.\\d{3})+,\\d{2}|-?\\d+,\\d{2}|-?\\d+\\.\\d{2}';
+const QUANTITY = '\\d+(?:[.,]\\d{1,3})?';
+const AMOUNT_RE = new RegExp(`(?:^|[^\\d.,])(${AMOUNT})(?![\\d])`, 'g');
+
+// name  2 x 75,00  150,00
+const ITEM_QTY_X_PRICE = new RegExp(`^(.*?\\S)\\s+(${QUANTITY})\\s*[xX×*]\\s*(${AMOUNT})\\s+(${AMOUNT})$`);
+// name  75,00  2  150,00  (fiscal receipt column order: price, quantity, total)
+const ITEM_PRICE_QTY_TOTAL = new RegExp(`^(.*?\\S)\\s+(${AMOUNT})\\s+(${QUANTITY})\\s+(${AMOUNT})$`);
+// 75,00  2  150,00 on its own row, under the item name
+const NUMBERS_ONLY = new RegExp(`^(${AMOUNT})\\s+(${QUANTITY})\\s+(${AMOUNT})$`);
+
+const TOTAL_KEYWORDS = [/ukupan iznos(?! poreza)/, /za uplatu|za placanje/, /ukupno|\btotal\b|iznos racuna/];
+const VAT_KEYWORDS = [/ukupan iznos poreza/, /\bpdv\b|porez/];
+const HEADER_KEYWORDS = /fiskalni racun|^[=\-* ]+$|\bpib\b|promet|prodaja|racun broj|kasir|\bartikli\b|naziv\s+cena/;
+
+// Helper: Every amount on a row, in order
+function amountsIn(row) {
+  const amounts = [];
+  let match;
+  AMOUNT_RE.lastIndex = 0;
+  while ((match = AMOUNT_RE.exec(row)) !== null) {
+    amounts.push(parseSerbianAmount(match[1]));
+  }
+  return amounts.filter(amount => amount !== null);
+}
+
+function hasLetters(row) {
+  return /\p{L}{2,}/u.test(row);
+}
+
+// Amount on the first row matching one of the keyword patterns (by priority),
+// taken from the end of that row or else from the next row
+function findKeywordAmount(rows, folded, patterns, exclude) {
+  for (const pattern of patterns) {
+    for (let i = 0; i < rows.length; i += 1) {
+      if (!pattern.test(folded[i]) || (exclude && exclude.test(folded[i]))) {continue;}
+      const sameRow = amountsIn(rows[i]);
+      if (sameRow.length > 0) {return { value: sameRow[sameRow.length - 1], row: i };}
+      const nextRow = i + 1 < rows.length ? amountsIn(rows[i + 1]) : [];
+      if (nextRow.length > 0) {return { value: nextRow[0], row: i };}
+    }
+  }
+  return { value: null, row: -1 };
+}
+
+function findDate(rows, folded) {
+  const dateRe = /(\d{1,2})[./-](\d{1,2})[./-](\d{4})\.?(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/;
+  // Prefer the row the receipt labels as its time, then any row with a date
+  const order = rows
+    .map((row, index) => index)
+    .sort((a, b) => Number(/vreme|datum/.test(folded[b])) - Number(/vreme|datum/.test(folded[a])));
+  for (const index of order) {
+    const match = dateRe.exec(rows[index]);
+    if (!match) {continue;}
+    const [, day, month, year, hours, minutes, seconds] = match;
+    if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) {continue;}
+    const pad = value => String(value).padStart(2, '0');
+    return {
+      date: `${year}-${pad(month)}-${pad(day)}`,
+      time: hours ? [hours, minutes, seconds].filter(Boolean).map(pad).join(':') : null,
+    };
+  }
+  return { date: null, time: null };
+}
+
+function findPib(rows, folded) {
+  const labelled = folded.findIndex(row => /\bpib\b/.test(row));
+  if (labelled >= 0) {
+    const match = /\b(\d{9})\b/.exec(rows[labelled]) || /\b(\d{9})\b/.exec(rows[labelled + 1] || '');
+    if (match) {return { pib: match[1], row: labelled };}
+  }
+  // Unlabelled: the first 9-digit number with a valid check digit
+  for (let i = 0; i < rows.length; i += 1) {
+    const candidates = rows[i].match(/\b\d{9}\b/g) || [];
+    const valid = candidates.find(isValidPib);
+    if (valid) {return { pib: valid, row: i };}
+  }
+  return { pib: null, row: -1 };
+}
+
+function findMerchant(rows, folded, pibRow) {
+  const isNameRow = i => hasLetters(rows[i]) && !HEADER_KEYWORDS.test(folded[i]) && amountsIn(rows[i]).length === 0;
+  // Fiscal receipts print the PIB first, then the company name
+  if (pibRow >= 0) {
+    for (let i = pibRow + 1; i < Math.min(rows.length, pibRow + 3); i += 1) {
+      if (isNameRow(i)) {return rows[i].trim();}
+    }
+  }
+  for (let i = 0; i < rows.length; i += 1) {
+    if (isNameRow(i)) {return rows[i].trim();}
+  }
+  return null;
+}
+
+function findItems(rows, folded, endRow) {
+  const items = [];
+  const headerRow = folded.findIndex(row => /\bartikli\b|naziv\s+cena/.test(row));
+  const last = endRow >= 0 ? endRow : rows.length;
+  for (let i = headerRow + 1; i < last; i += 1) {
+    const row = rows[i].trim();
+    if (HEADER_KEYWORDS.test(folded[i])) {continue;}
+    let match = ITEM_QTY_X_PRICE.exec(row);
+    if (match) {
+      items.push({ name: match[1], quantity: parseSerbianAmount(match[2]), unitPrice: parseSerbianAmount(match[3]), total: parseSerbianAmount(match[4]) });
+      continue;
+    }
+    match = ITEM_PRICE_QTY_TOTAL.exec(row);
+    if (match && hasLetters(match[1])) {
+      items.push({ name: match[1], unitPrice: parseSerbianAmount(match[2]), quantity: parseSerbianAmount(match[3]), total: parseSerbianAmount(match[4]) });
+      continue;
+    }
+    match = NUMBERS_ONLY.exec(row);
+    const previous = i > 0 ? rows[i - 1].trim() : '';
+    if (match && hasLetters(previous) && amountsIn(previous).length === 0 && !HEADER_KEYWORDS.test(folded[i - 1])) {
+      items.push({ name: previous, unitPrice: parseSerbianAmount(match[1]), quantity: parseSerbianAmount(match[2]), total: parseSerbianAmount(match[3]) });
+    }
+  }
+  return items;
+}
+
+// IBANs and domestic account numbers, each flagged with its checksum result
+export function findBankDetails(text) {
+  const ibans = [];
+  const ibanRe = /\b([A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,4})?)\b/g;
+  let match;
+  while ((match = ibanRe.exec(text)) !== null) {
+    const value = match[1].replace(/\s/g, '');
+    const valid = isValidIban(value);
+    if ((valid || value.startsWith('RS')) && !ibans.some(iban => iban.value === value)) {
+      ibans.push({ value, valid });
+    }
+  }
+  const accounts = [];
+  const accountRe = /\b(\d{3}-\d{1,13}-\d{2})\b/g;
+  while ((match = accountRe.exec(text)) !== null) {
+    const value = normalizeBankAccount(match[1]);
+    if (value && !accounts.some(account => account.value === value)) {
+      accounts.push({ value, valid: isValidBankAccount(value) });
+    }
+  }
+  return { ibans, accounts };
+}
+
+// Extract receipt/invoice fields from OCR text, using the structured result when given
+export function extractReceiptFields(text, ocrResult) {
+  const geometryRows = layoutRows(ocrResult).map(row => row.map(line => line.text).join('  '));
+  const rows = (geometryRows.length > 0 ? geometryRows : (text || '').split(/\r?\n/)).filter(row => row.trim());
+  const folded = rows.map(foldText);
+
+  const total = findKeywordAmount(rows, folded, TOTAL_KEYWORDS);
+  const vat = findKeywordAmount(rows, folded, VAT_KEYWORDS, /ukupan iznos(?! poreza)/);
+  const { pib, row: pibRow } = findPib(rows, folded);
+  const { date, time } = findDate(rows, folded);
+  const bank = findBankDetails(rows.join('\n'));
+
+  return {
+    merchant: findMerchant(rows, folded, pibRow),
+    pib,
+    pibValid: pib ? isValidPib(pib) : false,
+    date,
+    time,
+    items: findItems(rows, folded, total.row),
+    total: total.value,
+    vat: vat.value,
+    ibans: bank.ibans,
+    accounts: bank.accounts,
+  };
+}
+
+// Did the extractor find anything worth showing?
+export function hasReceiptFields(fields) {
+  return (
+    !!fields &&
+    (fields.total !== null || !!fields.pib || fields.items.length > 0 || fields.ibans.length > 0 || fields.accounts.length > 0)
+  );
+}
+
+// Plain-text block appended to saved .txt files, in the app's language
+export function receiptFieldsToText(fields) {
+  const amount = value => formatNumber(value, 2);
+  const invalid = valid => (valid ? '' : ` (${t('receipt.invalid')})`);
+  const lines = [`--- ${t('receipt.title')} ---`];
+  if (fields.merchant) {lines.push(`${t('receipt.merchant')}: ${fields.merchant}`);}
+  if (fields.pib) {lines.push(`${t('receipt.pib')}: ${fields.pib}${fields.pibValid ? '' : ` (${t('receipt.invalidCheckDigit')})`}`);}
+  if (fields.date) {lines.push(`${t('receipt.date')}: ${fields.date}${fields.time ? ` ${fields.time}` : ''}`);}
+  fields.items.forEach(item => {
+    lines.push(`${item.name}: ${item.quantity ?? ''} x ${amount(item.unitPrice)} = ${amount(item.total)}`);
+  });
+  if (fields.total !== null) {lines.push(`${t('receipt.total')}: ${amount(fields.total)}`);}
+  if (fields.vat !== null) {lines.push(`${t('receipt.vat')}: ${amount(fields.vat)}`);}
+  fields.ibans.forEach(iban => lines.push(`IBAN: ${iban.value}${invalid(iban.valid)}`));
+  fields.accounts.forEach(account => lines.push(`${t('receipt.account')}: ${account.value}${invalid(account.valid)}`));
+  return lines.join('\n');
+}
@@ -0,0 +1,76 @@
+/**
+ * Serbian number formats and identifier checksums shared by the extractors.
+ */
+
+// "1.234,56", "1234,56", "1 234,56" and plain "1234.56" -> 1234.56; null if not a number
+export function parseSerbianAmount(text) {
+  if (text === null || text === undefined) {return null;}
+  let value = String(text).trim().replace(/\s+/g, '');
+  const negative = /^[-−]/.test(value);
+  value = value.replace(/^[-−]/, '');
+  if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(value) || /^\d+(,\d+)?$/.test(value)) {
+    value = value.replace(/\./g, '').replace(',', '.');
+  } else if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+    value = value.replace(/,/g, '');
+  } else if (!/^\d+\.\d{1,2}$/.test(value)) {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : negative ? -number : number;
+}
+
+// 1234.56 -> "1.234,56"
+export function formatSerbianAmount(value) {
+  if (value === null || value === undefined || isNaN(value)) {return '';}
+  const [whole, fraction] = Math.abs(value).toFixed(2).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+  return `${value < 0 ? '-' : ''}${grouped},${fraction}`;
+}
+
+// PIB (Serbian tax ID): 9 digits, last one is an ISO 7064 MOD 11,10 check digit
+export function isValidPib(pib) {
+  const digits = String(pib || '').replace(/\s/g, '');
+  if (!/^\d{9}$/.test(digits)) {return false;}
+  let sum = 10;
+  for (let i = 0; i < 8; i += 1) {
+    sum = (sum + Number(digits[i])) % 10;
+    if (sum === 0) {sum = 10;}
+    sum = (sum * 2) % 11;
+  }
+  return (11 - sum) % 10 === Number(digits[8]);
+}
+
+// Remainder of a long digit string modulo 97, computed piecewise
+export function mod97(digits) {
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = Number(`${remainder}${digits.slice(i, i + 7)}`) % 97;
+  }
+  return remainder;
+}
+
+// IBAN check (ISO 13616 mod-97); Serbian IBANs are RS + 20 digits
+export function isValidIban(iban) {
+  const compact = String(iban || '').replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(compact)) {return false;}
+  if (compact.startsWith('RS') && compact.length !== 22) {return false;}
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, char => String(char.charCodeAt(0) - 55));
+  return mod97(numeric) === 1;
+}
+
+/**
+ * Serbian bank account "bbb-nnnnnnnnnnnnn-kk": 3-digit bank, account number
+ * (zero-padded to 13 digits) and 2 control digits; the 18 digits are 1 mod 97.
+ * @returns the normalized 18-digit form with dashes, or null if malformed
+ */
+export function normalizeBankAccount(account) {
+  const match = /^(\d{3})-?(\d{1,13})-?(\d{2})$/.exec(String(account || '').replace(/\s/g, ''));
+  if (!match) {return null;}
+  return `${match[1]}-${match[2].padStart(13, '0')}-${match[3]}`;
+}
+
+export function isValidBankAccount(account) {
+  const normalized = normalizeBankAccount(account);
+  return !!normalized && mod97(normalized.replace(/-/g, '')) === 1;
+}
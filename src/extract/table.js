@@ -0,0 +1,191 @@
+/**
+ * Tables (price lists, timesheets) rebuilt from the OCR word frames, which the
+ * flattened text loses.
+ *
+ * - rows: words grouped by their vertical centers (see layoutRows)
+ * - cells: each row is cut where the gap between two words is wider than
+ *   GAP_FACTOR word heights
+ * - columns: x ranges covered by the cells of enough rows; a cell reaching over
+ *   several columns (a header over two columns, a title) becomes a merged cell
+ *
+ * Table: { rows: [[{ text, span }]] } where the spans of every row add up to the
+ * column count. Pure functions; the grid editor and exports work on this shape.
+ */
+
+import { layoutRows } from '../ocr/geometry';
+
+// Gap between words, in median word heights, that separates two cells
+const GAP_FACTOR = 1.5;
+// A cell takes part in a column when it covers this share of the column (or of itself)
+const COLUMN_OVERLAP = 0.5;
+// One in this many rows may bridge a gap between columns with a merged cell
+const SPANNING_ROWS = 5;
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Helper: Words of a row (left to right) -> cells { text, left, right }
+function splitCells(words, minGap) {
+  const cells = [];
+  words.forEach(({ text, frame }) => {
+    const right = frame.left + frame.width;
+    const last = cells[cells.length - 1];
+    if (last && frame.left - last.right <= minGap) {
+      last.text = `${last.text} ${text}`;
+      last.right = Math.max(last.right, right);
+    } else {
+      cells.push({ text, left: frame.left, right });
+    }
+  });
+  return cells;
+}
+
+// Helper: Column x ranges, where more than `spanning` cells overlap
+function findColumns(cells, spanning) {
+  const edges = cells
+    .flatMap(cell => [{ x: cell.left, delta: 1 }, { x: cell.right, delta: -1 }])
+    // Closing before opening at the same x keeps touching cells apart
+    .sort((a, b) => a.x - b.x || a.delta - b.delta);
+  const columns = [];
+  let depth = 0;
+  let start = null;
+  edges.forEach(({ x, delta }) => {
+    depth += delta;
+    if (depth > spanning && start === null) {
+      start = x;
+    } else if (depth <= spanning && start !== null) {
+      if (x > start) {columns.push({ left: start, right: x });}
+      start = null;
+    }
+  });
+  return columns;
+}
+
+// Helper: First and last column a cell belongs to
+function columnRange(cell, columns) {
+  const overlaps = columns.map(column => Math.min(cell.right, column.right) - Math.max(cell.left, column.left));
+  const covered = overlaps
+    .map((overlap, index) => ({ overlap, index }))
+    .filter(({ overlap, index }) => {
+      const column = columns[index];
+      return overlap > 0 && overlap >= COLUMN_OVERLAP * Math.min(column.right - column.left, cell.right - cell.left);
+    })
+    .map(({ index }) => index);
+  if (covered.length > 0) {return [covered[0], covered[covered.length - 1]];}
+  // Cells in a gap between columns go to the nearest one
+  const center = (cell.left + cell.right) / 2;
+  const distance = column => Math.abs((column.left + column.right) / 2 - center);
+  const nearest = columns.reduce((best, column, index) => (distance(column) < distance(columns[best]) ? index : best), 0);
+  return [nearest, nearest];
+}
+
+// Helper: Cells of one row placed into the columns; cells sharing a column are joined
+function placeRow(cells, columns) {
+  const placed = [];
+  cells.forEach(cell => {
+    let [first, last] = columnRange(cell, columns);
+    let text = cell.text;
+    // Merge with cells already covering part of the range (cells arrive left to right)
+    while (placed.length > 0 && placed[placed.length - 1].last >= first) {
+      const previous = placed.pop();
+      first = Math.min(first, previous.first);
+      last = Math.max(last, previous.last);
+      text = `${previous.text} ${text}`;
+    }
+    placed.push({ first, last, text });
+  });
+  const row = [];
+  let column = 0;
+  placed.forEach(({ first, last, text }) => {
+    for (; column < first; column += 1) {row.push({ text: '', span: 1 });}
+    row.push({ text, span: last - first + 1 });
+    column = last + 1;
+  });
+  for (; column < columns.length; column += 1) {row.push({ text: '', span: 1 });}
+  return row;
+}
+
+/**
+ * Table found in an OCR result.
+ * @returns {{ rows: Array }|null} null when the words do not form at least two rows and two columns
+ */
+export function detectTable(ocrResult) {
+  const wordRows = layoutRows(ocrResult, 'word');
+  if (wordRows.length < 2) {return null;}
+  const minGap = GAP_FACTOR * median(wordRows.flat().map(word => word.frame.height));
+  const cellRows = wordRows.map(words => splitCells(words, minGap));
+  const columns = findColumns(cellRows.flat(), Math.floor(cellRows.length / SPANNING_ROWS));
+  if (columns.length < 2) {return null;}
+  return { rows: cellRows.map(cells => placeRow(cells, columns)) };
+}
+
+// Number of columns of the table
+export function columnCount(table) {
+  return table.rows.length > 0 ? table.rows[0].reduce((sum, cell) => sum + cell.span, 0) : 0;
+}
+
+// Helper: Table with one row replaced
+function withRow(table, rowIndex, row) {
+  return { ...table, rows: table.rows.map((current, index) => (index === rowIndex ? row : current)) };
+}
+
+export function setCellText(table, rowIndex, cellIndex, text) {
+  const row = table.rows[rowIndex].map((cell, index) => (index === cellIndex ? { ...cell, text } : cell));
+  return withRow(table, rowIndex, row);
+}
+
+export function removeRow(table, rowIndex) {
+  return { ...table, rows: table.rows.filter((_, index) => index !== rowIndex) };
+}
+
+// Remove a grid column; merged cells over it get narrower, rows left without cells are dropped
+export function removeColumn(table, column) {
+  const rows = table.rows.map(row => {
+    let start = 0;
+    return row.flatMap(cell => {
+      const covers = column >= start && column < start + cell.span;
+      start += cell.span;
+      if (!covers) {return [cell];}
+      return cell.span > 1 ? [{ ...cell, span: cell.span - 1 }] : [];
+    });
+  });
+  return { ...table, rows: rows.filter(row => row.length > 0) };
+}
+
+// Merge a cell with the next one in its row
+export function mergeWithNext(table, rowIndex, cellIndex) {
+  const row = table.rows[rowIndex];
+  if (cellIndex >= row.length - 1) {return table;}
+  const [cell, next] = [row[cellIndex], row[cellIndex + 1]];
+  const merged = { text: [cell.text, next.text].filter(Boolean).join(' '), span: cell.span + next.span };
+  return withRow(table, rowIndex, [...row.slice(0, cellIndex), merged, ...row.slice(cellIndex + 2)]);
+}
+
+// Split a merged cell back into single columns; the text stays in the first one
+export function splitCell(table, rowIndex, cellIndex) {
+  const row = table.rows[rowIndex];
+  const cell = row[cellIndex];
+  if (cell.span < 2) {return table;}
+  const parts = [{ text: cell.text, span: 1 }, ...Array.from({ length: cell.span - 1 }, () => ({ text: '', span: 1 }))];
+  return withRow(table, rowIndex, [...row.slice(0, cellIndex), ...parts, ...row.slice(cellIndex + 1)]);
+}
+
+/**
+ * The table as a plain grid of strings: a merged cell's text is in its first column,
+ * the columns it covers are empty.
+ * @returns {{ grid: string[][], merges: Array<{ row, column, span }> }}
+ */
+export function tableGrid(table) {
+  const merges = [];
+  const grid = table.rows.map((row, rowIndex) => {
+    let column = 0;
+    return row.flatMap(cell => {
+      if (cell.span > 1) {merges.push({ row: rowIndex, column, span: cell.span });}
+      column += cell.span;
+      return [cell.text, ...new Array(cell.span - 1).fill('')];
+    });
+  });
+  return { grid, merges };
+}
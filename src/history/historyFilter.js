@@ -0,0 +1,44 @@
+/**
+ * Search and filter helpers for the scan history screen.
+ * Pure functions, so they can be tested without native modules.
+ */
+
+import { foldText } from '../text/normalize';
+
+// Helper: Lowercase and strip diacritics so "sacuvaj" matches "Sačuvaj" (and "Сачувај")
+export function normalizeForSearch(text) {
+  return foldText(text);
+}
+
+// Parse a "GGGG-MM-DD" field into a local Date; `endOfDay` makes the bound inclusive
+export function parseDateInput(value, endOfDay = false) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec((value || '').trim());
+  if (!match) {return null;}
+  const [, year, month, day] = match.map(Number);
+  const date = endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day, 0, 0, 0, 0);
+  // Reject overflowed dates such as 2025-02-31
+  return date.getMonth() === month - 1 ? date : null;
+}
+
+/**
+ * Filter history entries.
+ * @param {Array} entries scan records from the history store
+ * @param {Object} filters { query, from, to, source } — from/to are Dates or null,
+ *   source is 'camera', 'gallery' or null for all
+ */
+export function filterHistory(entries, { query = '', from = null, to = null, source = null } = {}) {
+  const terms = normalizeForSearch(query).split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    if (source && entry.source !== source) {return false;}
+    const time = new Date(entry.timestamp).getTime();
+    if (from && time < from.getTime()) {return false;}
+    if (to && time > to.getTime()) {return false;}
+    if (terms.length > 0) {
+      const haystack = normalizeForSearch(entry.extractedText);
+      return terms.every(term => haystack.includes(term));
+    }
+    return true;
+  });
+}
@@ -0,0 +1,284 @@
+/**
+ * Persistent scan history
+ *
+ * Every scan is stored under RNFS.DocumentDirectoryPath/history:
+ * - index.json holds the list of scan records (newest first)
+ * - each scan's image is copied next to it as <id>.<ext>, so history
+ *   entries keep working after the picker's cache files are cleaned up
+ *
+ * Scan record: { id, imageUri, imageFileName, imageSize, source, extractedText, rawText, ocrResult,
+ *   recognitionScript, location, locationSource, capturedAt, timestamp, receiptFields, contact, barcodes,
+ *   quality, revisions?, pages?, table?, originalImageUri?, originalImageFileName?, adjustments? }
+ * With the vault on, index.json and the image copies are stored encrypted (see src/vault/vault.js).
+ * Multi-page documents carry `pages` (each with its own imageUri/imageFileName copy);
+ * their extractedText is the combined text and imageUri points at the first page.
+ * (location is { latitude, longitude, accuracy, altitude, heading, fixTime }; locationSource is
+ * 'exif', 'live', 'cached' or 'none', see src/location/scanLocation.js)
+ * (ocrResult is the structured recognition result, see src/ocr/geometry.js, with the engine that
+ * produced it and its confidence, see src/ocr/ocrEngine.js;
+ * extractedText is the post-processed text, rawText the text as recognized; revisions lists the
+ * saved versions of extractedText once it has been edited, see src/text/revisions.js)
+ * (receiptFields holds extracted receipt/invoice data or null, see src/extract/receipt.js;
+ * contact the business card contact or null, see src/extract/businessCard.js; barcodes the
+ * barcodes and QR codes found on the image, see src/extract/barcodePayload.js; table the table
+ * corrected in the grid editor, once saved, see src/extract/table.js)
+ * (quality is the photo check before OCR, or null, see src/image/imageQuality.js. Once the photo
+ * was adjusted (see src/image/enhanceJpeg.js), imageUri is the adjusted copy, originalImageUri the
+ * photo as taken and adjustments the options used)
+ */
+
+import RNFS from 'react-native-fs';
+
+import {
+  assertVaultOpen,
+  copyIntoVault,
+  readProtectedText,
+  viewableImageUri,
+  writeProtectedText,
+} from '../vault/vault';
+
+export const HISTORY_DIR = `${RNFS.DocumentDirectoryPath}/history`;
+const INDEX_FILE = `${HISTORY_DIR}/index.json`;
+
+// Serializes read-modify-write cycles on index.json
+let indexQueue = Promise.resolve();
+
+// Helper: Guess an image extension from a URI, defaulting to jpg
+function imageExtension(uri) {
+  const match = /\.(jpe?g|png|heic|heif|webp|gif|bmp)(\?.*)?$/i.exec(uri);
+  return match ? match[1].toLowerCase() : 'jpg';
+}
+
+// Client-generated scan id (RFC 4122 version 4 layout)
+export function createScanId() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : 8 + (r % 4)).toString(16);
+  });
+}
+
+// Copy an image into the history folder; keeps the original URI if the copy fails
+async function copyImage(uri, baseName) {
+  const fileName = `${baseName}.${imageExtension(uri)}`;
+  try {
+    await copyIntoVault(uri, `${HISTORY_DIR}/${fileName}`);
+    return { imageUri: `file://${HISTORY_DIR}/${fileName}`, imageFileName: fileName };
+  } catch (err) {
+    // The entry is still useful without a copy
+    return { imageUri: uri, imageFileName: null };
+  }
+}
+
+// Every image file owned by a record
+function imageFilesOf(entry) {
+  const pageFiles = (entry.pages || []).map(page => page.imageFileName);
+  return [entry.imageFileName, entry.originalImageFileName, ...pageFiles].filter(Boolean);
+}
+
+async function ensureHistoryDir() {
+  if (!(await RNFS.exists(HISTORY_DIR))) {
+    await RNFS.mkdir(HISTORY_DIR);
+  }
+}
+
+// Only a missing index reads as an empty history: the next update overwrites whatever was read.
+// Read and decrypt errors are thrown; an index that is not a JSON list is moved aside as
+// index.corrupt-<timestamp>.json, so scanning goes on without destroying it
+async function readIndex() {
+  // A locked vault must not read as an empty history: the next update would overwrite it
+  assertVaultOpen();
+  if (!(await RNFS.exists(INDEX_FILE))) {return [];}
+  const text = await readProtectedText(INDEX_FILE);
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // Handled below with the other malformed content
+  }
+  if (Array.isArray(parsed)) {return parsed;}
+  await RNFS.moveFile(INDEX_FILE, `${HISTORY_DIR}/index.corrupt-${Date.now()}.json`);
+  return [];
+}
+
+// Run `mutate(entries)` against the stored index and persist its result
+function updateIndex(mutate) {
+  const run = indexQueue.then(async () => {
+    await ensureHistoryDir();
+    const entries = await mutate(await readIndex());
+    await writeProtectedText(INDEX_FILE, JSON.stringify(entries));
+    return entries;
+  });
+  // Keep the queue alive even if this update fails
+  indexQueue = run.catch(() => {});
+  return run;
+}
+
+// Run `task` while no index update is in flight (vault migrations rewrite every history file)
+export function runHistoryExclusive(task) {
+  const run = indexQueue.then(task);
+  indexQueue = run.catch(() => {});
+  return run;
+}
+
+// Load all stored scans, newest first
+export async function loadHistory() {
+  await indexQueue;
+  return readIndex();
+}
+
+// Store a finished scan: copies the image into the history folder and records it
+export async function addScan({
+  imageUri,
+  imageSize,
+  source,
+  extractedText,
+  rawText,
+  ocrResult,
+  recognitionScript,
+  location,
+  locationSource,
+  capturedAt,
+  timestamp,
+  pages,
+  receiptFields,
+  contact,
+  barcodes,
+  quality,
+}) {
+  const id = createScanId();
+  const entry = {
+    id,
+    imageUri,
+    imageFileName: null,
+    imageSize: imageSize || null,
+    source: source || null,
+    extractedText: extractedText || '',
+    rawText: rawText === undefined ? extractedText || '' : rawText || '',
+    ocrResult: ocrResult || null,
+    recognitionScript: recognitionScript || 'Latin',
+    location: location || null,
+    locationSource: locationSource || (location ? 'live' : 'none'),
+    capturedAt: capturedAt || null,
+    timestamp: timestamp || new Date().toISOString(),
+    receiptFields: receiptFields || null,
+    contact: contact || null,
+    barcodes: barcodes || [],
+    quality: quality || null,
+  };
+
+  await ensureHistoryDir();
+  if (pages) {
+    entry.pages = [];
+    for (const [index, page] of pages.entries()) {
+      entry.pages.push({ ...page, ...(await copyImage(page.imageUri, `${id}_p${index + 1}`)) });
+    }
+    entry.imageUri = entry.pages.length > 0 ? entry.pages[0].imageUri : null;
+  } else if (imageUri) {
+    Object.assign(entry, await copyImage(imageUri, id));
+  }
+
+  await updateIndex(entries => [entry, ...entries]);
+  return entry;
+}
+
+// Merge `patch` into a stored scan and return the updated record
+export async function updateScan(id, patch) {
+  let updated = null;
+  await updateIndex(entries =>
+    entries.map(entry => {
+      if (entry.id !== id) {return entry;}
+      updated = { ...entry, ...patch, id };
+      return updated;
+    }),
+  );
+  return updated;
+}
+
+/**
+ * Make the adjusted image at `uri` the scan's image and merge `patch` into the record.
+ * The first adjustment keeps the photo as taken in originalImageUri; later ones replace
+ * the previous adjusted copy.
+ */
+export async function replaceScanImage(id, uri, patch) {
+  await ensureHistoryDir();
+  const copy = await copyImage(uri, `${id}_adjusted_${Date.now()}`);
+  let updated = null;
+  let replaced = null;
+  await updateIndex(entries =>
+    entries.map(entry => {
+      if (entry.id !== id) {return entry;}
+      const original = entry.originalImageUri
+        ? {}
+        : { originalImageUri: entry.imageUri, originalImageFileName: entry.imageFileName };
+      replaced = entry.originalImageUri ? entry.imageFileName : null;
+      updated = { ...entry, ...patch, ...original, ...copy, id };
+      return updated;
+    }),
+  );
+  if (replaced) {await RNFS.unlink(`${HISTORY_DIR}/${replaced}`).catch(() => {});}
+  return updated;
+}
+
+/**
+ * Store a multi-page document again under its id: copies the page images into the history
+ * folder, swaps them in, merges `patch` into the record and removes the page copies it replaced.
+ */
+export async function replaceScanPages(id, pages, patch) {
+  await ensureHistoryDir();
+  const stamp = Date.now();
+  const copies = [];
+  for (const [index, page] of pages.entries()) {
+    copies.push({ ...page, ...(await copyImage(page.imageUri, `${id}_p${index + 1}_${stamp}`)) });
+  }
+  let updated = null;
+  let replaced = [];
+  await updateIndex(entries =>
+    entries.map(entry => {
+      if (entry.id !== id) {return entry;}
+      replaced = imageFilesOf(entry);
+      updated = { ...entry, ...patch, pages: copies, imageUri: copies.length > 0 ? copies[0].imageUri : null, id };
+      return updated;
+    }),
+  );
+  // A page whose copy failed still points at its old file
+  const kept = new Set(copies.map(page => page.imageUri));
+  await Promise.all(
+    replaced
+      .filter(fileName => !kept.has(`file://${HISTORY_DIR}/${fileName}`))
+      .map(fileName => RNFS.unlink(`${HISTORY_DIR}/${fileName}`).catch(() => {})),
+  );
+  return updated;
+}
+
+// Remove scans and their image copies
+export async function deleteScans(ids) {
+  const doomed = new Set(ids);
+  let removed = [];
+  const remaining = await updateIndex(entries => {
+    removed = entries.filter(entry => doomed.has(entry.id));
+    return entries.filter(entry => !doomed.has(entry.id));
+  });
+  await Promise.all(
+    removed
+      .flatMap(imageFilesOf)
+      .map(fileName => RNFS.unlink(`${HISTORY_DIR}/${fileName}`).catch(() => {})),
+  );
+  return remaining;
+}
+
+// The record with its image URIs readable by <Image> and the OCR engines (decrypted copies in the vault)
+export async function openScanImages(entry) {
+  const opened = { ...entry, imageUri: await viewableImageUri(entry.imageUri) };
+  if (entry.originalImageUri) {opened.originalImageUri = await viewableImageUri(entry.originalImageUri);}
+  if (entry.pages) {
+    opened.pages = [];
+    for (const page of entry.pages) {
+      opened.pages.push({ ...page, imageUri: await viewableImageUri(page.imageUri) });
+    }
+  }
+  return opened;
+}
+
+export function deleteScan(id) {
+  return deleteScans([id]);
+}
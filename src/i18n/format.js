@@ -0,0 +1,72 @@
+/**
+ * Locale-aware formatting of numbers, dates and coordinates.
+ *
+ * Written out by hand instead of through Intl, whose locale data differs between
+ * the Hermes builds of Android and iOS:
+ * - en: 1,234.5 · Oct 19, 2026, 2:05 PM · 44.81234° N, 20.45678° E
+ * - sr: 1.234,5 · 19. 10. 2026. 14:05 · 44,81234° S, 20,45678° I (С/И in Cyrillic)
+ * Machine formats (exports, sync, file names) keep ISO dates and decimal points.
+ */
+
+import { getLocale, t } from './i18n';
+
+const EN_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = value => String(value).padStart(2, '0');
+
+// Helper: Decimal and grouping separators of the active locale
+function separators() {
+  return getLocale() === 'en' ? { decimal: '.', group: ',' } : { decimal: ',', group: '.' };
+}
+
+/**
+ * `value` with `fractionDigits` decimals and grouped thousands; '' for non-numbers.
+ */
+export function formatNumber(value, fractionDigits = 0) {
+  if (typeof value !== 'number' || !isFinite(value)) {return '';}
+  const { decimal, group } = separators();
+  const [whole, fraction] = Math.abs(value).toFixed(fractionDigits).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+  const sign = value < 0 && Number(Math.abs(value).toFixed(fractionDigits)) !== 0 ? '-' : '';
+  return `${sign}${grouped}${fraction ? decimal + fraction : ''}`;
+}
+
+// Helper: Date from an ISO string, timestamp or Date; null when invalid
+function toDate(value) {
+  if (value === null || value === undefined || value === '') {return null;}
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export function formatDate(value) {
+  const date = toDate(value);
+  if (!date) {return '';}
+  if (getLocale() === 'en') {return `${EN_MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;}
+  return `${date.getDate()}. ${date.getMonth() + 1}. ${date.getFullYear()}.`;
+}
+
+export function formatTime(value) {
+  const date = toDate(value);
+  if (!date) {return '';}
+  if (getLocale() === 'en') {
+    const hours = date.getHours() % 12 || 12;
+    return `${hours}:${pad(date.getMinutes())} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+  }
+  return `${date.getHours()}:${pad(date.getMinutes())}`;
+}
+
+export function formatDateTime(value) {
+  const date = toDate(value);
+  if (!date) {return '';}
+  return getLocale() === 'en' ? `${formatDate(date)}, ${formatTime(date)}` : `${formatDate(date)} ${formatTime(date)}`;
+}
+
+/**
+ * Latitude/longitude as unsigned degrees with hemisphere letters,
+ * e.g. "44.81234° N, 20.45678° E".
+ */
+export function formatCoordinates({ latitude, longitude }, fractionDigits = 5) {
+  const lat = `${formatNumber(Math.abs(latitude), fractionDigits)}° ${t(latitude < 0 ? 'format.south' : 'format.north')}`;
+  const lng = `${formatNumber(Math.abs(longitude), fractionDigits)}° ${t(longitude < 0 ? 'format.west' : 'format.east')}`;
+  return `${lat}, ${lng}`;
+}
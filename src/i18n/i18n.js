@@ -0,0 +1,119 @@
+/**
+ * Localization: message catalogs, plural rules and the active locale.
+ *
+ * Locales are 'en', 'sr-Latn' and 'sr-Cyrl' (catalogs in src/i18n/messages/).
+ * Messages are looked up by key ('history.title') and `{name}` placeholders are
+ * filled from params. A message that depends on a number is an object of plural
+ * forms chosen by params.count: { one, other } in English, { one, few, other } in
+ * Serbian. Keys missing from a catalog fall back to English, then to the key itself.
+ *
+ * The locale follows the device unless the user picked one under Settings
+ * (settings.language: 'system' or one of LOCALES). Screens read messages while
+ * rendering, so changing the locale takes effect with the next render.
+ */
+
+import { I18nManager, Platform, Settings } from 'react-native';
+
+import en from './messages/en';
+import srLatn from './messages/srLatn';
+import srCyrl from './messages/srCyrl';
+
+const CATALOGS = { en, 'sr-Latn': srLatn, 'sr-Cyrl': srCyrl };
+
+export const LOCALES = ['en', 'sr-Latn', 'sr-Cyrl'];
+
+// Locale names in their own language, for the language picker
+export const LOCALE_NAMES = {
+  en: 'English',
+  'sr-Latn': 'Srpski (latinica)',
+  'sr-Cyrl': 'Српски (ћирилица)',
+};
+
+// The app's original language, used when the device locale cannot be read
+const DEFAULT_LOCALE = 'sr-Latn';
+
+// Languages close enough to Serbian that its Latin catalog beats the English one
+const LATIN_NEIGHBOURS = ['bs', 'hr', 'sh', 'cnr'];
+
+/**
+ * Best catalog for a BCP 47 / POSIX locale tag ('sr-Latn-RS', 'sr_RS_#Latn', 'en_US').
+ * Serbian without a script is Cyrillic (its CLDR default), except in Montenegro.
+ */
+export function matchLocale(tag) {
+  if (!tag) {return DEFAULT_LOCALE;}
+  const parts = String(tag).replace(/_/g, '-').split('-').map(part => part.replace('#', '').toLowerCase());
+  const language = parts[0];
+  if (language === 'sr') {
+    if (parts.includes('latn') || parts.includes('me')) {return 'sr-Latn';}
+    return 'sr-Cyrl';
+  }
+  if (LATIN_NEIGHBOURS.includes(language)) {return 'sr-Latn';}
+  return 'en';
+}
+
+// Helper: The device's locale tag, or null where it cannot be read
+function systemLocaleTag() {
+  try {
+    if (Platform.OS === 'ios') {
+      const languages = Settings.get('AppleLanguages');
+      return (languages && languages[0]) || Settings.get('AppleLocale') || null;
+    }
+    return I18nManager.getConstants().localeIdentifier || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function deviceLocale() {
+  return matchLocale(systemLocaleTag());
+}
+
+// Locale for a settings.language value
+export function resolveLocale(preference) {
+  return CATALOGS[preference] ? preference : deviceLocale();
+}
+
+let activeLocale = deviceLocale();
+
+export function getLocale() {
+  return activeLocale;
+}
+
+export function setLocale(locale) {
+  activeLocale = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * CLDR plural category of `count` in `locale`. Serbian: 1, 21, 101 → 'one';
+ * 2–4, 22–24 → 'few' (but 12–14 → 'other'); fractions are treated as 'other'.
+ */
+export function pluralCategory(locale, count) {
+  const n = Math.abs(Number(count));
+  if (locale === 'en') {return n === 1 ? 'one' : 'other';}
+  if (!Number.isInteger(n)) {return 'other';}
+  const mod10 = n % 10;
+  const mod100 = n % 100;
+  if (mod10 === 1 && mod100 !== 11) {return 'one';}
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) {return 'few';}
+  return 'other';
+}
+
+// Helper: Message at a dotted key, or undefined
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/**
+ * Message `key` in the active locale with `{name}` placeholders filled from params;
+ * plural messages pick their form by params.count.
+ */
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[activeLocale], key);
+  if (message === undefined) {message = lookup(CATALOGS.en, key);}
+  if (message === undefined) {return key;}
+  if (typeof message === 'object') {
+    const form = message[pluralCategory(activeLocale, params.count)];
+    message = form === undefined ? message.other : form;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
@@ -0,0 +1,579 @@
+/**
+ * English messages, with the same keys as srLatn.js. Also the fallback for
+ * keys a catalog lacks (see src/i18n/i18n.js).
+ */
+
+export default {
+  common: {
+    error: 'Error',
+    unknownError: 'Unknown error',
+    cancel: 'Cancel',
+    back: '‹ Back',
+    close: 'Close',
+    save: 'Save',
+    delete: 'Delete',
+    success: 'Success',
+  },
+  format: {
+    north: 'N',
+    south: 'S',
+    east: 'E',
+    west: 'W',
+  },
+  scan: {
+    phases: {
+      idle: '',
+      acquiring: 'Waiting for the image...',
+      locating: 'Finding the location...',
+      recognizing: 'Recognizing text...',
+      done: 'Done',
+      failed: 'Failed',
+    },
+    errors: {
+      cancelled: 'The scan was cancelled',
+      stale: 'A newer scan replaced this one',
+      ocrFailed: 'OCR failed',
+      saveFailed: 'Could not save to history',
+      unknown: 'The scan failed',
+    },
+    noText: 'No text found.',
+  },
+  location: {
+    sources: {
+      exif: 'Photo EXIF data',
+      live: 'Current device location',
+      cached: 'Last known location',
+      none: 'No location',
+    },
+  },
+  sync: {
+    status: {
+      pending: 'Waiting to upload',
+      uploading: 'Uploading...',
+      synced: 'Synced',
+      failed: 'Upload failed',
+      notSent: 'Not sent',
+    },
+    errors: {
+      timeout: 'The server did not answer in time.',
+      unreachable: 'The server is unreachable: {reason}',
+      rejected: 'The server rejected the scan ({status}).',
+    },
+    now: 'Sync now',
+  },
+  permissions: {
+    kinds: {
+      camera: {
+        label: 'Camera',
+        reason: 'Taking photos of documents for text recognition.',
+        denied: 'Camera permission is required.',
+      },
+      mediaLocation: {
+        label: 'Photo locations',
+        reason: 'Reading GPS data from photos to know where they were taken. Android only grants it along with photo access.',
+        denied: 'Without it, gallery scans get the current device location.',
+      },
+      location: {
+        label: 'Location',
+        reason: 'Tagging scans with where they were made and finding nearby scans.',
+        denied: 'Location permission is required to geotag scans.',
+      },
+      saveToGallery: {
+        label: 'Saving to the gallery',
+        reason: 'Saving camera photos to the device gallery.',
+        denied: 'Storage permission is required.',
+      },
+      exportFiles: {
+        label: 'Downloads',
+        reason: 'Saving text and exports to the Downloads folder (otherwise to the app folder).',
+        denied: 'Files will be saved to the app folder.',
+      },
+    },
+    status: {
+      granted: 'Granted',
+      denied: 'Not granted',
+      blocked: 'Permanently denied',
+      notNeeded: 'Not needed on this device',
+    },
+    settingsUnavailable: 'The app settings cannot be opened.',
+    blockedTitle: 'Permission permanently denied',
+    blockedMessage: '{reason} Turn it on in the app settings.',
+    errors: {
+      unknownKind: 'Unknown permission: {kind}',
+    },
+    openSettings: 'Open settings',
+    deniedTitle: 'Permission denied',
+    title: 'Permissions',
+    request: 'Ask for permission',
+  },
+  privacy: {
+    types: {
+      jmbg: 'Personal ID (JMBG)',
+      card: 'Card number',
+      iban: 'IBAN',
+      account: 'Bank account',
+      phone: 'Phone',
+      email: 'Email',
+    },
+    policies: {
+      warn: 'Warn',
+      redact: 'Always mask',
+      allow: 'Allow',
+    },
+    title: 'Sensitive data',
+    contains: 'Contains: {types}.',
+    sendMasked: 'Send masked',
+    sendUnchanged: 'Send unchanged',
+  },
+  ocr: {
+    engines: {
+      mlkit: 'ML Kit (on device)',
+      http: 'OCR server',
+    },
+    engineNames: {
+      mlkit: 'ML Kit',
+      http: 'OCR server',
+    },
+    fallback: {
+      none: 'Never',
+      empty: 'When no text is found',
+      error: 'When it fails or finds no text',
+    },
+    confidence: 'confidence {percent}%',
+    fallbackAfterError: 'fallback attempt (error)',
+    fallbackAfterEmpty: 'fallback attempt (no text)',
+    errors: {
+      invalidResponse: 'Invalid response from the OCR server.',
+      noServer: 'The OCR server address is not set.',
+      serverStatus: 'The OCR server returned error {status}.',
+      timeout: 'The OCR server did not answer in time.',
+      unreachable: 'The OCR server is unreachable: {reason}',
+    },
+  },
+  vault: {
+    errors: {
+      locked: 'The vault is locked.',
+      unknownVersion: 'Unknown encrypted file version.',
+      passcodeTooShort: {
+        one: 'The passcode must have at least {count} character.',
+        other: 'The passcode must have at least {count} characters.',
+      },
+      notEnabled: 'The vault is not enabled.',
+      wrongPasscode: 'Wrong passcode.',
+      noSecureRandom: 'No secure random number source is available on this device.',
+      keyLength: 'The AES key must be 32 bytes long.',
+      nonceLength: 'The GCM nonce must be 12 bytes long.',
+      corruptData: 'Corrupt encrypted data.',
+      wrongKey: 'Wrong key or corrupt data.',
+      alreadyEnabled: 'The vault is already enabled.',
+    },
+    title: 'Vault',
+    passcodeMismatch: 'The repeated passcode does not match.',
+    enableTitle: 'Turn on the vault',
+    enableWarning: 'Without the passcode the scans cannot be read or recovered. Remember it.',
+    encrypt: 'Encrypt',
+    enabled: 'History is encrypted.',
+    passcodeChanged: 'The passcode was changed and the data encrypted again.',
+    disableTitle: 'Turn off the vault',
+    disableWarning: 'Scans and images will be stored unencrypted again.',
+    decrypt: 'Decrypt',
+    disabled: 'The vault is off.',
+    enableDescription: 'Scans, text and image copies in the history will be encrypted (AES-256-GCM) with a key derived from the passcode. The app locks after inactivity; exporting from the vault always asks for confirmation.',
+    newPasscode: 'New passcode',
+    repeatPasscode: 'Repeat the passcode',
+    encryptHistory: 'Encrypt history',
+    changeTitle: 'Change passcode',
+    changeDescription: 'All data is encrypted again with the new key.',
+    currentPasscode: 'Current passcode',
+    repeatNewPasscode: 'Repeat the new passcode',
+    changePasscode: 'Change passcode',
+    disableDescription: 'To decrypt, enter the current passcode in the field above.',
+    decryptAndDisable: 'Decrypt and turn off',
+    lockNow: 'Lock now',
+    working: 'Encryption may take a while...',
+    lockedTitle: 'The vault is locked',
+    lockedDescription: 'Enter the passcode to see your scans.',
+    passcode: 'Passcode',
+    unlock: 'Unlock',
+  },
+  receipt: {
+    title: 'Receipt fields',
+    merchant: 'Merchant',
+    pib: 'Tax ID (PIB)',
+    date: 'Date',
+    total: 'Total',
+    vat: 'VAT',
+    account: 'Account',
+    invalid: 'invalid',
+    invalidCheckDigit: 'invalid check digit',
+    pibValid: 'The tax ID is valid',
+    pibInvalid: 'Invalid tax ID (check digit does not match)',
+    dateInput: 'Date (YYYY-MM-DD)',
+    time: 'Time',
+    items: 'Items',
+    itemName: 'Name',
+    quantity: 'Qty',
+    unitPrice: 'Price',
+    amount: 'Amount',
+    addItem: 'Add item',
+    ibans: 'IBAN (one per line)',
+    accounts: 'Bank accounts (one per line)',
+    valid: 'valid',
+    save: 'Save fields',
+  },
+  export: {
+    formats: {
+      csv: 'CSV',
+      json: 'JSON',
+      geojson: 'GeoJSON',
+      kml: 'KML',
+      pdf: 'PDF (searchable)',
+    },
+    documentTitle: 'OCR scans',
+    scanCount: 'Scans: {count}',
+    errors: {
+      unknownFormat: 'Unknown export format: {format}',
+    },
+    pdfImageOmitted: 'The image is not a JPEG, so this page has the recognized text only.',
+    formatTitle: 'Export format',
+  },
+  settings: {
+    scripts: {
+      Latin: 'Latin',
+      Chinese: 'Chinese',
+      Devanagari: 'Devanagari',
+      Japanese: 'Japanese',
+      Korean: 'Korean',
+    },
+    textSteps: {
+      removeLines: 'Remove lines by pattern and empty lines',
+      dehyphenate: 'Join words hyphenated at line ends',
+      reflow: 'Join the lines of a block into a paragraph',
+      digits: 'Fix O→0 and l→1 in numbers',
+      quotes: 'Normalize quotes and apostrophes',
+      whitespace: 'Normalize whitespace',
+    },
+    title: 'Settings',
+    language: 'Language',
+    systemLanguage: 'Device language',
+    scriptTitle: 'Recognition script',
+    scriptDescription: 'The script ML Kit expects in the image. Serbian Latin is recognized as Latin; Cyrillic text can be transliterated afterwards.',
+    engineTitle: 'OCR engine',
+    engineDescription: 'ML Kit runs on the device, without a network. The OCR server receives the image over HTTP (POST, JSON) and returns the recognized text.',
+    ocrServerUrl: 'OCR server address:',
+    ocrServerUrlExample: 'e.g. http://192.168.1.10:8080/ocr',
+    token: 'Token (optional, sent as Bearer):',
+    fallback: 'The other engine tries again (the server only when its address is set):',
+    textTitle: 'Text processing',
+    textDescription: 'Steps that tidy up the recognized text before it is shown and exported. The raw OCR text is always kept with the scan.',
+    textProcessing: 'Process recognized text',
+    removeLinePatterns: 'Lines to remove, one pattern per line (a word or phrase, or a /regular expression/):',
+    removeLinePatternsExample: 'e.g. Thank you for visiting\n/^page \\d+$/',
+    syncTitle: 'Sync',
+    syncDescription: 'Saved scans (image, text, location, time and device tag) are sent to the server as soon as the network is available. Unsent scans keep waiting across app restarts.',
+    syncEnabled: 'Send scans to the server',
+    syncEndpoint: 'Address (REST, multipart POST):',
+    syncEndpointExample: 'e.g. https://scans.example.com/api/scans',
+    sensitiveTitle: 'Sensitive data',
+    sensitiveDescription: 'Personal ID numbers (JMBG), card numbers, IBANs, phone numbers and email addresses in text that is shared, copied, saved or exported.',
+    redactImages: 'Black them out on images in PDF exports too',
+    vaultTitle: 'Vault',
+    vaultOff: 'History is stored unencrypted. In the vault, scans and images are encrypted with a passcode only you know.',
+    vaultOn: 'History is encrypted. Exporting and sending from the vault ask for confirmation.',
+    vaultLockMinutes: 'Lock after inactivity (minutes):',
+    enableVault: 'Turn on the vault ›',
+    manageVault: 'Manage the vault ›',
+    permissionsDescription: 'Which permissions the app has and why it needs them.',
+    openPermissions: 'View permissions ›',
+    pdfTitle: 'PDF export',
+    pdfFooter: 'Time and coordinates in the page footer',
+  },
+  batch: {
+    title: 'Batch: {finished}/{total}',
+    failedCount: '(failed: {count})',
+    status: {
+      pending: 'Waiting',
+      running: 'Processing...',
+      done: 'Done',
+      failed: 'Failed',
+      cancelled: 'Cancelled',
+    },
+    retry: 'Retry',
+    open: 'Open',
+    retryFailed: 'Retry failed ({count})',
+  },
+  document: {
+    title: { one: 'Document — {count} page', other: 'Document — {count} pages' },
+    empty: 'Take or pick photos; each one becomes a new page of the document.',
+    page: 'Page {number}',
+    pageSeparator: '--- Page {number}/{count} ---',
+    recapture: 'Retake',
+    remove: 'Remove',
+    new: 'New document',
+    save: 'Save to history',
+  },
+  editor: {
+    undo: 'Undo',
+    redo: 'Redo',
+  },
+  revisions: {
+    title: 'Text versions ({count})',
+    kinds: {
+      ocr: 'OCR',
+      edit: 'Edit',
+      raw: 'Raw OCR',
+      restore: 'Restored version',
+      redact: 'Masked',
+    },
+    current: '(current)',
+    lines: { one: '{count} line', other: '{count} lines' },
+    againstPrevious: 'Against previous',
+    againstCurrent: 'Against current',
+    first: 'First version, nothing to compare with.',
+    noChanges: 'No differences.',
+    restore: 'Restore this version',
+  },
+  contact: {
+    title: 'Contact from business card',
+    name: 'Full name',
+    organization: 'Company',
+    jobTitle: 'Title',
+    phones: 'Phones',
+    phoneTypes: {
+      cell: 'Mobile',
+      work: 'Work',
+      fax: 'Fax',
+    },
+    addPhone: 'Add phone',
+    emails: 'Email (one per line)',
+    urls: 'Websites (one per line)',
+    street: 'Street address',
+    postalCode: 'Postal code',
+    locality: 'City',
+    country: 'Country',
+    save: 'Save contact',
+    exportVCard: 'Export vCard (.vcf)',
+  },
+  history: {
+    title: 'Scan history',
+    deleteTitle: 'Delete',
+    deleteMessage: { one: 'Delete this scan?', other: 'Delete {count} scans?' },
+    sources: {
+      all: 'All',
+      camera: 'Camera',
+      gallery: 'Gallery',
+    },
+    document: { one: 'Document, {count} page', other: 'Document, {count} pages' },
+    search: 'Search text...',
+    from: 'From (YYYY-MM-DD)',
+    to: 'To (YYYY-MM-DD)',
+    selectAll: 'Select all',
+    clearSelection: 'Clear selection',
+    exportSelected: 'Export selected',
+    deleteSelected: 'Delete selected ({count})',
+    exportVisible: 'Export shown ({count})',
+    empty: 'No saved scans yet.',
+    noMatches: 'No scans match the filters.',
+  },
+  nearby: {
+    title: 'Nearby scans',
+    locationTitle: 'Location',
+    locationUnavailable: 'The current location is not available.',
+    locationFailed: 'Could not get the location: {reason}',
+    invalidPoint: 'Enter a valid latitude (-90 to 90) and longitude (-180 to 180).',
+    origins: {
+      myLocation: 'My location',
+      typedPoint: 'Chosen point',
+      place: 'Chosen place',
+    },
+    scanCount: { one: '{count} scan', other: '{count} scans' },
+    within: 'within {distance}',
+    noLocatedScans: 'No scan has a location.',
+    noneWithin: 'No scans within the chosen distance.',
+    chooseOrigin: 'Choose a starting point to measure distances.',
+    locating: 'Locating...',
+    measureFromPlace: 'Measure from the chosen place',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    setPoint: 'Set',
+    allDistances: 'All',
+    listView: 'List ({count})',
+    placesView: 'Places ({count})',
+  },
+  main: {
+    title: 'OCR app with geolocation, saving and sharing',
+    takePhoto: 'Take photo',
+    pickFromGallery: 'Pick from gallery',
+    history: 'Scan history ({count})',
+    nearby: 'Nearby',
+    documentModeOn: 'Document mode: on',
+    documentModeOff: 'Document mode: off',
+    working: 'Processing...',
+    image: 'Image:',
+    words: 'Words',
+    lines: 'Lines',
+    clearSelection: 'Clear selection ({count})',
+    selectionHint: 'Tap or drag across the boxes to select text.',
+    extractedText: 'Extracted text:',
+    edit: 'Edit',
+    revisions: 'Versions ({count})',
+    revertToRaw: 'Revert to raw OCR',
+    revertToRawQuestion: 'Replace the text with the raw OCR result? The current version stays among the versions.',
+    revert: 'Revert',
+    recognizeAgain: 'Recognize again',
+    mask: 'Mask ({count})',
+    maskedImage: 'Masked image',
+    syncStatus: 'Sync: {status}',
+    processedText: 'Processed text',
+    rawText: 'Raw OCR',
+    scripts: {
+      original: 'Original',
+      latin: 'Latin',
+      cyrillic: 'Cyrillic',
+    },
+    businessCard: 'Business card → contact (vCard)',
+    documentText: 'Document text:',
+    selectedText: 'Selected text:',
+    location: 'Location:',
+    accuracy: 'Accuracy: ±{meters} m',
+    altitude: 'Altitude: {meters} m',
+    heading: 'Heading: {degrees}°',
+    fixTime: 'Fix time: {time}',
+    locationSource: 'Source: {source}',
+    noLocation: 'Location not available.',
+    savePhoto: 'Save photo to gallery',
+    shareText: 'Share text',
+    copyText: 'Copy text',
+    saveText: 'Save text to file',
+    exportScan: 'Export scan (CSV, JSON, GeoJSON, KML, PDF)',
+    copied: 'Copied!',
+    photoSaved: 'Photo saved to gallery.',
+    photoNotSaved: 'Failed to save photo.',
+    textNotSaved: 'Failed to save text.',
+    savedText: 'Text saved to file:\n{path}',
+    savedContact: 'Contact saved to file:\n{path}',
+    savedExport: 'Export saved to file:\n{path}',
+    savedMaskedImage: 'Masked image saved to file:\n{path}',
+    cameraError: 'Camera error',
+    galleryError: 'Gallery error',
+    camera: 'Camera',
+    gallery: 'Gallery',
+    recaptureTitle: 'Recapture page',
+    recaptureMessage: 'Choose where the new image comes from.',
+    documentSaved: 'The document was saved to history.',
+    newDocumentTitle: 'New document',
+    newDocumentMessage: 'The current pages will be closed. Continue?',
+    continue: 'Continue',
+    vaultExport: {
+      title: 'Export from the vault',
+      file: 'The file will be saved unencrypted, outside the vault.',
+      photo: 'The photo will be saved to the gallery, outside the vault.',
+      ocr: 'The image will be sent to the OCR server unencrypted. Otherwise the text is recognized on the device.',
+      upload: 'The scans will be sent to the server unencrypted.',
+      confirm: 'Export',
+    },
+    errors: {
+      openVault: 'Could not open the vault: {reason}',
+      queueSync: 'Could not schedule the upload: {reason}',
+      saveSettings: 'Could not save the settings: {reason}',
+      saveText: 'Could not save the text: {reason}',
+      saveReceiptFields: 'Could not save the receipt fields: {reason}',
+      saveContact: 'Could not save the contact: {reason}',
+      exportContact: 'Could not export the contact: {reason}',
+      saveDocument: 'Could not save the document: {reason}',
+      openImage: 'Could not open the image: {reason}',
+      delete: 'Could not delete: {reason}',
+      savePhoto: 'Could not save the photo: {reason}',
+      shareText: 'Could not share the text: {reason}',
+      export: 'Export failed: {reason}',
+      maskImage: 'Could not mask the image: {reason}',
+      saveTable: 'Could not save the table: {reason}',
+      exportTable: 'Could not export the table: {reason}',
+      saveQuality: 'Could not save the photo check: {reason}',
+      adjustImage: 'Could not adjust the image: {reason}',
+      sharedImage: 'Could not receive the shared image: {reason}',
+    },
+    detectTable: 'Table → grid',
+    savedTable: 'Table saved to file:\n{path}',
+    adjustImage: 'Adjust image',
+    checkQuality: 'Check photo quality',
+    checkWholePhoto: 'Check the whole photo',
+  },
+  barcodes: {
+    title: { one: '{count} code in the image', other: '{count} codes in the image' },
+    formats: {
+      qr: 'QR code',
+      other: 'Barcode',
+    },
+    fiscalReceipt: 'Fiscal receipt',
+    invoiceNumber: 'Receipt number',
+    amount: 'Amount',
+    issuedAt: 'Time',
+    invoiceType: 'Type',
+    invoiceTypes: {
+      normal: 'Normal',
+      proforma: 'Proforma',
+      copy: 'Copy',
+      training: 'Training',
+      advance: 'Advance',
+    },
+    verify: 'Verify receipt ›',
+    ipsPayment: 'IPS payment slip',
+    recipient: 'Recipient',
+    account: 'Account',
+    purpose: 'Purpose',
+    paymentCode: 'Payment code',
+    reference: 'Reference',
+    payer: 'Payer',
+    openFailed: 'Could not open the link: {reason}',
+  },
+  table: {
+    title: 'Table',
+    notFound: 'No table was found in the image (at least two rows and two columns).',
+    merge: 'Merge with right',
+    split: 'Split',
+    removeRow: 'Delete row',
+    removeColumn: 'Delete column',
+    empty: 'The table is empty.',
+    sheetName: 'Table',
+  },
+  image: {
+    errors: {
+      notJpeg: 'The image is not a JPEG.',
+      invalidJpeg: 'Invalid JPEG file.',
+      corruptJpeg: 'Corrupt JPEG file.',
+      progressiveJpeg: 'Progressive JPEGs are not supported.',
+      unsupportedJpeg: 'This JPEG format is not supported.',
+    },
+  },
+  quality: {
+    title: 'Photo quality',
+    issues: {
+      blurry: 'The photo is blurry.',
+      dark: 'The photo is too dark.',
+      bright: 'The photo is overexposed.',
+      lowContrast: 'The text barely stands out from the background.',
+      sideways: 'The photo is probably sideways.',
+    },
+    hint: 'Recognition may suffer. Retake the photo or adjust the image.',
+    retake: 'Retake',
+    pickAgain: 'Pick another',
+    fine: 'The check found no problems with the photo.',
+    partialFine: 'The quick check of the top of the photo found no problems.',
+    unavailable: 'Only JPEG photos can be checked.',
+  },
+  adjust: {
+    title: 'Adjust image',
+    rotation: 'Rotation: {degrees}°',
+    crop: 'Crop',
+    cropNone: 'None',
+    cropText: 'Around the text',
+    cropEdges: 'Edges {percent}%',
+    grayscale: 'Grayscale',
+    contrast: 'Contrast',
+    deskew: 'Straighten ({degrees}°)',
+    deskewHint: 'The straightened image is grayscale, and photos longer than {side} px are halved.',
+    apply: 'Apply and recognize',
+    adjusted: 'Showing the adjusted image; the original is kept with the scan.',
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Serbian Cyrillic catalog: the Latin catalog run through the transliteration of
+ * src/text/transliterate.js, so the two scripts never drift apart.
+ * Placeholders, URLs, regular expressions, file extensions and Latin acronyms
+ * (OCR, PDF, IBAN, ...) stay as they are; Serbian acronyms and date patterns in
+ * CYRILLIC_TERMS are transliterated too.
+ */
+
+import { latinToCyrillic } from '../../text/transliterate';
+import srLatn from './srLatn';
+
+const KEEP_LATIN = /(\{\w+\}|https?:\/\/\S+|\/\^[^/\n]*\/|\.[a-z]{2,4}\b|\b\w*[A-Z]{2}\w*\b|\bvCard\b|\bKit\b|\bE\.164\b)/;
+
+const CYRILLIC_TERMS = ['JMBG', 'PIB', 'PDV', 'GGGG', 'MM', 'DD'];
+
+// Helper: Transliterate one message, leaving the KEEP_LATIN parts alone
+function toCyrillic(message) {
+  return message
+    .split(KEEP_LATIN)
+    .map((part, index) => (index % 2 === 1 && !CYRILLIC_TERMS.includes(part) ? part : latinToCyrillic(part)))
+    .join('');
+}
+
+function transliterateCatalog(node) {
+  if (typeof node === 'string') {return toCyrillic(node);}
+  if (Array.isArray(node)) {return node.map(transliterateCatalog);}
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, transliterateCatalog(value)]));
+}
+
+export default transliterateCatalog(srLatn);
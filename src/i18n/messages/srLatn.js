@@ -0,0 +1,584 @@
+/**
+ * Serbian Latin messages, the app's original language (see src/i18n/i18n.js).
+ * srCyrl.js is derived from this catalog; en.js has the same keys.
+ */
+
+export default {
+  common: {
+    error: 'Greška',
+    unknownError: 'Nepoznata greška',
+    cancel: 'Otkaži',
+    back: '‹ Nazad',
+    close: 'Zatvori',
+    save: 'Sačuvaj',
+    delete: 'Obriši',
+    success: 'Uspeh',
+  },
+  format: {
+    north: 'S',
+    south: 'J',
+    east: 'I',
+    west: 'Z',
+  },
+  scan: {
+    phases: {
+      idle: '',
+      acquiring: 'Čeka se slika...',
+      locating: 'Određivanje lokacije...',
+      recognizing: 'Prepoznavanje teksta...',
+      done: 'Gotovo',
+      failed: 'Neuspešno',
+    },
+    errors: {
+      cancelled: 'Skeniranje je otkazano',
+      stale: 'Skeniranje je zamenjeno novim',
+      ocrFailed: 'OCR nije uspeo',
+      saveFailed: 'Neuspešno čuvanje u istoriju',
+      unknown: 'Skeniranje nije uspelo',
+    },
+    noText: 'Nije pronađen tekst.',
+  },
+  location: {
+    sources: {
+      exif: 'EXIF podaci fotografije',
+      live: 'Trenutna lokacija uređaja',
+      cached: 'Poslednja poznata lokacija',
+      none: 'Nema lokacije',
+    },
+  },
+  sync: {
+    status: {
+      pending: 'Čeka slanje',
+      uploading: 'Šalje se...',
+      synced: 'Sinhronizovano',
+      failed: 'Slanje nije uspelo',
+      notSent: 'Nije poslato',
+    },
+    errors: {
+      timeout: 'Server nije odgovorio na vreme.',
+      unreachable: 'Server nije dostupan: {reason}',
+      rejected: 'Server je odbio skeniranje ({status}).',
+    },
+    now: 'Sinhronizuj sada',
+  },
+  permissions: {
+    kinds: {
+      camera: {
+        label: 'Kamera',
+        reason: 'Fotografisanje dokumenata za prepoznavanje teksta.',
+        denied: 'Potrebna je dozvola za kameru.',
+      },
+      mediaLocation: {
+        label: 'Lokacija fotografija',
+        reason: 'Čitanje GPS podataka iz fotografija, da bi se znalo gde su snimljene. Android je daje samo uz pristup fotografijama.',
+        denied: 'Bez ove dozvole skenovi iz galerije dobijaju trenutnu lokaciju uređaja.',
+      },
+      location: {
+        label: 'Lokacija',
+        reason: 'Označavanje skenova mestom snimanja i pretraga skenova u blizini.',
+        denied: 'Dozvola za lokaciju je potrebna za geooznačavanje skeniranja.',
+      },
+      saveToGallery: {
+        label: 'Čuvanje u galeriju',
+        reason: 'Čuvanje fotografija sa kamere u galeriju uređaja.',
+        denied: 'Potrebna je dozvola za skladištenje.',
+      },
+      exportFiles: {
+        label: 'Preuzimanja',
+        reason: 'Čuvanje teksta i izvoza u folder Preuzimanja (inače u folder aplikacije).',
+        denied: 'Fajlovi će biti sačuvani u folderu aplikacije.',
+      },
+    },
+    status: {
+      granted: 'Dozvoljeno',
+      denied: 'Nije dozvoljeno',
+      blocked: 'Trajno odbijeno',
+      notNeeded: 'Nije potrebno na ovom uređaju',
+    },
+    settingsUnavailable: 'Podešavanja aplikacije nije moguće otvoriti.',
+    blockedTitle: 'Dozvola je trajno odbijena',
+    blockedMessage: '{reason} Omogućite je u podešavanjima aplikacije.',
+    errors: {
+      unknownKind: 'Nepoznata dozvola: {kind}',
+    },
+    openSettings: 'Otvori podešavanja',
+    deniedTitle: 'Dozvola odbijena',
+    title: 'Dozvole',
+    request: 'Zatraži dozvolu',
+  },
+  privacy: {
+    types: {
+      jmbg: 'JMBG',
+      card: 'Broj kartice',
+      iban: 'IBAN',
+      account: 'Broj računa',
+      phone: 'Telefon',
+      email: 'Email',
+    },
+    policies: {
+      warn: 'Upozori',
+      redact: 'Uvek maskiraj',
+      allow: 'Dozvoli',
+    },
+    title: 'Osetljivi podaci',
+    contains: 'Sadrži: {types}.',
+    sendMasked: 'Pošalji maskirano',
+    sendUnchanged: 'Pošalji bez izmena',
+  },
+  ocr: {
+    engines: {
+      mlkit: 'ML Kit (na uređaju)',
+      http: 'OCR server',
+    },
+    engineNames: {
+      mlkit: 'ML Kit',
+      http: 'OCR server',
+    },
+    fallback: {
+      none: 'Nikad',
+      empty: 'Kad nema teksta',
+      error: 'Kad ne uspe ili nema teksta',
+    },
+    confidence: 'pouzdanost {percent}%',
+    fallbackAfterError: 'rezervni pokušaj (greška)',
+    fallbackAfterEmpty: 'rezervni pokušaj (nema teksta)',
+    errors: {
+      invalidResponse: 'Neispravan odgovor OCR servera.',
+      noServer: 'Adresa OCR servera nije podešena.',
+      serverStatus: 'OCR server je vratio grešku {status}.',
+      timeout: 'OCR server nije odgovorio na vreme.',
+      unreachable: 'OCR server nije dostupan: {reason}',
+    },
+  },
+  vault: {
+    errors: {
+      locked: 'Trezor je zaključan.',
+      unknownVersion: 'Nepoznata verzija šifrovanog fajla.',
+      passcodeTooShort: {
+        one: 'Šifra mora imati najmanje {count} znak.',
+        few: 'Šifra mora imati najmanje {count} znaka.',
+        other: 'Šifra mora imati najmanje {count} znakova.',
+      },
+      notEnabled: 'Trezor nije uključen.',
+      wrongPasscode: 'Pogrešna šifra.',
+      noSecureRandom: 'Uređaj nema siguran izvor slučajnih brojeva.',
+      keyLength: 'AES ključ mora imati 32 bajta.',
+      nonceLength: 'GCM nonce mora imati 12 bajtova.',
+      corruptData: 'Oštećeni šifrovani podaci.',
+      wrongKey: 'Pogrešan ključ ili oštećeni podaci.',
+      alreadyEnabled: 'Trezor je već uključen.',
+    },
+    title: 'Trezor',
+    passcodeMismatch: 'Ponovljena šifra se ne poklapa.',
+    enableTitle: 'Uključi trezor',
+    enableWarning: 'Bez šifre skenovi se ne mogu pročitati ni vratiti. Zapamtite je.',
+    encrypt: 'Šifruj',
+    enabled: 'Istorija je šifrovana.',
+    passcodeChanged: 'Šifra je promenjena i podaci su ponovo šifrovani.',
+    disableTitle: 'Isključi trezor',
+    disableWarning: 'Skenovi i slike će ponovo biti sačuvani nešifrovani.',
+    decrypt: 'Dešifruj',
+    disabled: 'Trezor je isključen.',
+    enableDescription: 'Skenovi, tekst i kopije slika u istoriji biće šifrovani (AES-256-GCM) ključem izvedenim iz šifre. Aplikacija se zaključava posle neaktivnosti; izvoz iz trezora uvek traži potvrdu.',
+    newPasscode: 'Nova šifra',
+    repeatPasscode: 'Ponovi šifru',
+    encryptHistory: 'Šifruj istoriju',
+    changeTitle: 'Promena šifre',
+    changeDescription: 'Svi podaci se ponovo šifruju novim ključem.',
+    currentPasscode: 'Trenutna šifra',
+    repeatNewPasscode: 'Ponovi novu šifru',
+    changePasscode: 'Promeni šifru',
+    disableDescription: 'Za dešifrovanje unesite trenutnu šifru u polje iznad.',
+    decryptAndDisable: 'Dešifruj i isključi',
+    lockNow: 'Zaključaj sada',
+    working: 'Šifrovanje može potrajati...',
+    lockedTitle: 'Trezor je zaključan',
+    lockedDescription: 'Unesite šifru da biste videli skenove.',
+    passcode: 'Šifra',
+    unlock: 'Otključaj',
+  },
+  receipt: {
+    title: 'Polja računa',
+    merchant: 'Prodavac',
+    pib: 'PIB',
+    date: 'Datum',
+    total: 'Ukupno',
+    vat: 'PDV',
+    account: 'Račun',
+    invalid: 'neispravan',
+    invalidCheckDigit: 'neispravan kontrolni broj',
+    pibValid: 'PIB je ispravan',
+    pibInvalid: 'Neispravan PIB (kontrolni broj se ne slaže)',
+    dateInput: 'Datum (GGGG-MM-DD)',
+    time: 'Vreme',
+    items: 'Stavke',
+    itemName: 'Naziv',
+    quantity: 'Kol.',
+    unitPrice: 'Cena',
+    amount: 'Iznos',
+    addItem: 'Dodaj stavku',
+    ibans: 'IBAN (jedan po redu)',
+    accounts: 'Tekući računi (jedan po redu)',
+    valid: 'ispravan',
+    save: 'Sačuvaj polja',
+  },
+  export: {
+    formats: {
+      csv: 'CSV',
+      json: 'JSON',
+      geojson: 'GeoJSON',
+      kml: 'KML',
+      pdf: 'PDF (pretraživ)',
+    },
+    documentTitle: 'OCR skeniranja',
+    scanCount: 'Broj skeniranja: {count}',
+    errors: {
+      unknownFormat: 'Nepoznat format izvoza: {format}',
+    },
+    pdfImageOmitted: 'Slika nije u JPEG formatu, pa je na ovoj strani samo prepoznati tekst.',
+    formatTitle: 'Format izvoza',
+  },
+  settings: {
+    scripts: {
+      Latin: 'Latinica',
+      Chinese: 'Kineski',
+      Devanagari: 'Devanagari',
+      Japanese: 'Japanski',
+      Korean: 'Korejski',
+    },
+    textSteps: {
+      removeLines: 'Uklanjanje redova po šablonu i praznih redova',
+      dehyphenate: 'Spajanje reči rastavljenih na kraju reda',
+      reflow: 'Spajanje redova bloka u pasus',
+      digits: 'Ispravka O→0 i l→1 u brojevima',
+      quotes: 'Ujednačavanje navodnika i apostrofa',
+      whitespace: 'Ujednačavanje razmaka',
+    },
+    title: 'Podešavanja',
+    language: 'Jezik',
+    systemLanguage: 'Jezik uređaja',
+    scriptTitle: 'Pismo za prepoznavanje',
+    scriptDescription: 'Pismo koje ML Kit očekuje na slici. Srpska latinica se prepoznaje kao Latinica; ćirilični tekst se posle može preslovljavati.',
+    engineTitle: 'OCR mašina',
+    engineDescription: 'ML Kit radi na uređaju, bez mreže. OCR server prima sliku preko HTTP-a (POST, JSON) i vraća prepoznati tekst.',
+    ocrServerUrl: 'Adresa OCR servera:',
+    ocrServerUrlExample: 'npr. http://192.168.1.10:8080/ocr',
+    token: 'Token (opciono, šalje se kao Bearer):',
+    fallback: 'Druga mašina pokušava ponovo (server samo kada je adresa podešena):',
+    textTitle: 'Obrada teksta',
+    textDescription: 'Koraci koji sređuju prepoznati tekst pre prikaza i izvoza. Sirovi OCR tekst se uvek čuva uz sken.',
+    textProcessing: 'Obrađuj prepoznati tekst',
+    removeLinePatterns: 'Redovi za uklanjanje, jedan šablon po redu (reč ili fraza, ili /regularni izraz/):',
+    removeLinePatternsExample: 'npr. Hvala na poseti\n/^str\\. \\d+$/',
+    syncTitle: 'Sinhronizacija',
+    syncDescription: 'Sačuvani skenovi (slika, tekst, lokacija, vreme i oznaka uređaja) šalju se na server čim je mreža dostupna. Neposlati skenovi čekaju i posle ponovnog pokretanja aplikacije.',
+    syncEnabled: 'Šalji skenove na server',
+    syncEndpoint: 'Adresa (REST, multipart POST):',
+    syncEndpointExample: 'npr. https://skenovi.example.com/api/scans',
+    sensitiveTitle: 'Osetljivi podaci',
+    sensitiveDescription: 'JMBG, brojevi kartica, IBAN, telefoni i email adrese u tekstu koji se deli, kopira, čuva ili izvozi.',
+    redactImages: 'Zacrni ih i na slikama u PDF izvozu',
+    vaultTitle: 'Trezor',
+    vaultOff: 'Istorija se čuva nešifrovana. U trezoru se skenovi i slike šifruju šifrom koju samo vi znate.',
+    vaultOn: 'Istorija je šifrovana. Izvoz i slanje iz trezora traže potvrdu.',
+    vaultLockMinutes: 'Zaključaj posle neaktivnosti (minuta):',
+    enableVault: 'Uključi trezor ›',
+    manageVault: 'Upravljaj trezorom ›',
+    permissionsDescription: 'Koje dozvole aplikacija ima i zašto su joj potrebne.',
+    openPermissions: 'Pregled dozvola ›',
+    pdfTitle: 'PDF izvoz',
+    pdfFooter: 'Vreme i koordinate u podnožju strane',
+  },
+  batch: {
+    title: 'Grupna obrada: {finished}/{total}',
+    failedCount: '(neuspešno: {count})',
+    status: {
+      pending: 'Na čekanju',
+      running: 'Obrada...',
+      done: 'Gotovo',
+      failed: 'Neuspešno',
+      cancelled: 'Otkazano',
+    },
+    retry: 'Ponovi',
+    open: 'Otvori',
+    retryFailed: 'Ponovi neuspele ({count})',
+  },
+  document: {
+    title: { one: 'Dokument — {count} strana', few: 'Dokument — {count} strane', other: 'Dokument — {count} strana' },
+    empty: 'Fotografišite ili izaberite slike; svaka postaje nova strana dokumenta.',
+    page: 'Strana {number}',
+    pageSeparator: '--- Strana {number}/{count} ---',
+    recapture: 'Ponovo snimi',
+    remove: 'Ukloni',
+    new: 'Novi dokument',
+    save: 'Sačuvaj u istoriju',
+  },
+  editor: {
+    undo: 'Poništi',
+    redo: 'Ponovi',
+  },
+  revisions: {
+    title: 'Verzije teksta ({count})',
+    kinds: {
+      ocr: 'OCR',
+      edit: 'Izmena',
+      raw: 'Sirovi OCR',
+      restore: 'Vraćena verzija',
+      redact: 'Maskirano',
+    },
+    current: '(trenutna)',
+    lines: { one: '{count} red', few: '{count} reda', other: '{count} redova' },
+    againstPrevious: 'Prema prethodnoj',
+    againstCurrent: 'Prema trenutnoj',
+    first: 'Prva verzija, nema sa čim da se uporedi.',
+    noChanges: 'Nema razlika.',
+    restore: 'Vrati ovu verziju',
+  },
+  contact: {
+    title: 'Kontakt sa vizitkarte',
+    name: 'Ime i prezime',
+    organization: 'Firma',
+    jobTitle: 'Zvanje',
+    phones: 'Telefoni',
+    phoneTypes: {
+      cell: 'Mobilni',
+      work: 'Posao',
+      fax: 'Faks',
+    },
+    addPhone: 'Dodaj telefon',
+    emails: 'E-pošta (jedna po redu)',
+    urls: 'Veb adrese (jedna po redu)',
+    street: 'Ulica i broj',
+    postalCode: 'Poštanski broj',
+    locality: 'Mesto',
+    country: 'Država',
+    save: 'Sačuvaj kontakt',
+    exportVCard: 'Izvezi vCard (.vcf)',
+  },
+  history: {
+    title: 'Istorija skeniranja',
+    deleteTitle: 'Brisanje',
+    deleteMessage: {
+      one: 'Obrisati {count} skeniranje?',
+      few: 'Obrisati {count} skeniranja?',
+      other: 'Obrisati {count} skeniranja?',
+    },
+    sources: {
+      all: 'Sve',
+      camera: 'Kamera',
+      gallery: 'Galerija',
+    },
+    document: { one: 'Dokument, {count} strana', few: 'Dokument, {count} strane', other: 'Dokument, {count} strana' },
+    search: 'Pretraga teksta...',
+    from: 'Od (GGGG-MM-DD)',
+    to: 'Do (GGGG-MM-DD)',
+    selectAll: 'Izaberi sve',
+    clearSelection: 'Poništi izbor',
+    exportSelected: 'Izvezi izabrane',
+    deleteSelected: 'Obriši izabrane ({count})',
+    exportVisible: 'Izvezi prikazane ({count})',
+    empty: 'Još nema sačuvanih skeniranja.',
+    noMatches: 'Nema rezultata za zadate filtere.',
+  },
+  nearby: {
+    title: 'Skenovi u blizini',
+    locationTitle: 'Lokacija',
+    locationUnavailable: 'Trenutna lokacija nije dostupna.',
+    locationFailed: 'Neuspešno određivanje lokacije: {reason}',
+    invalidPoint: 'Unesite ispravnu širinu (-90 do 90) i dužinu (-180 do 180).',
+    origins: {
+      myLocation: 'Moja lokacija',
+      typedPoint: 'Izabrana tačka',
+      place: 'Izabrano mesto',
+    },
+    scanCount: { one: '{count} skeniranje', few: '{count} skeniranja', other: '{count} skeniranja' },
+    within: 'u krugu od {distance}',
+    noLocatedScans: 'Nijedno skeniranje nema lokaciju.',
+    noneWithin: 'Nema skeniranja u zadatom krugu.',
+    chooseOrigin: 'Izaberite polaznu tačku za merenje udaljenosti.',
+    locating: 'Određivanje...',
+    measureFromPlace: 'Meri od izabranog mesta',
+    latitude: 'Širina',
+    longitude: 'Dužina',
+    setPoint: 'Postavi',
+    allDistances: 'Sve',
+    listView: 'Lista ({count})',
+    placesView: 'Mesta ({count})',
+  },
+  main: {
+    title: 'OCR aplikacija sa geolokacijom, čuvanjem i deljenjem',
+    takePhoto: 'Fotografiši',
+    pickFromGallery: 'Izaberi iz galerije',
+    history: 'Istorija skeniranja ({count})',
+    nearby: 'U blizini',
+    documentModeOn: 'Režim dokumenta: uključen',
+    documentModeOff: 'Režim dokumenta: isključen',
+    working: 'Obrada u toku...',
+    image: 'Slika:',
+    words: 'Reči',
+    lines: 'Redovi',
+    clearSelection: 'Poništi izbor ({count})',
+    selectionHint: 'Dodirnite ili prevucite preko okvira da izaberete tekst.',
+    extractedText: 'Ekstrahovani tekst:',
+    edit: 'Uredi',
+    revisions: 'Verzije ({count})',
+    revertToRaw: 'Vrati sirovi OCR',
+    revertToRawQuestion: 'Zameniti tekst sirovim OCR rezultatom? Trenutna verzija ostaje među verzijama.',
+    revert: 'Vrati',
+    recognizeAgain: 'Ponovo prepoznaj',
+    mask: 'Maskiraj ({count})',
+    maskedImage: 'Maskirana slika',
+    syncStatus: 'Sinhronizacija: {status}',
+    processedText: 'Obrađen tekst',
+    rawText: 'Sirovi OCR',
+    scripts: {
+      original: 'Original',
+      latin: 'Latinica',
+      cyrillic: 'Ћирилица',
+    },
+    businessCard: 'Vizitkarta → kontakt (vCard)',
+    documentText: 'Tekst dokumenta:',
+    selectedText: 'Izabrani tekst:',
+    location: 'Lokacija:',
+    accuracy: 'Tačnost: ±{meters} m',
+    altitude: 'Nadmorska visina: {meters} m',
+    heading: 'Pravac: {degrees}°',
+    fixTime: 'Vreme fiksa: {time}',
+    locationSource: 'Izvor: {source}',
+    noLocation: 'Lokacija nije dostupna.',
+    savePhoto: 'Sačuvaj fotografiju u galeriju',
+    shareText: 'Podeli tekst',
+    copyText: 'Kopiraj tekst',
+    saveText: 'Sačuvaj tekst u fajl',
+    exportScan: 'Izvezi sken (CSV, JSON, GeoJSON, KML, PDF)',
+    copied: 'Kopirano!',
+    photoSaved: 'Fotografija je sačuvana u galeriji.',
+    photoNotSaved: 'Neuspešno čuvanje fotografije.',
+    textNotSaved: 'Neuspešno čuvanje teksta.',
+    savedText: 'Tekst je sačuvan u fajl:\n{path}',
+    savedContact: 'Kontakt je sačuvan u fajl:\n{path}',
+    savedExport: 'Izvoz je sačuvan u fajl:\n{path}',
+    savedMaskedImage: 'Maskirana slika je sačuvana u fajl:\n{path}',
+    cameraError: 'Greška kamere',
+    galleryError: 'Greška galerije',
+    camera: 'Kamera',
+    gallery: 'Galerija',
+    recaptureTitle: 'Ponovo snimi stranu',
+    recaptureMessage: 'Izaberite izvor nove slike.',
+    documentSaved: 'Dokument je sačuvan u istoriju.',
+    newDocumentTitle: 'Novi dokument',
+    newDocumentMessage: 'Trenutne strane će biti zatvorene. Nastaviti?',
+    continue: 'Nastavi',
+    vaultExport: {
+      title: 'Izvoz iz trezora',
+      file: 'Fajl će biti sačuvan nešifrovan, van trezora.',
+      photo: 'Fotografija će biti sačuvana u galeriji, van trezora.',
+      ocr: 'Slika će biti poslata OCR serveru nešifrovana. Bez toga tekst se prepoznaje na uređaju.',
+      upload: 'Skenovi će biti poslati na server nešifrovani.',
+      confirm: 'Izvezi',
+    },
+    errors: {
+      openVault: 'Neuspešno otvaranje trezora: {reason}',
+      queueSync: 'Neuspešno zakazivanje slanja: {reason}',
+      saveSettings: 'Neuspešno čuvanje podešavanja: {reason}',
+      saveText: 'Neuspešno čuvanje teksta: {reason}',
+      saveReceiptFields: 'Neuspešno čuvanje polja računa: {reason}',
+      saveContact: 'Neuspešno čuvanje kontakta: {reason}',
+      exportContact: 'Neuspešan izvoz kontakta: {reason}',
+      saveDocument: 'Neuspešno čuvanje dokumenta: {reason}',
+      openImage: 'Neuspešno otvaranje slike: {reason}',
+      delete: 'Neuspešno brisanje: {reason}',
+      savePhoto: 'Neuspešno čuvanje fotografije: {reason}',
+      shareText: 'Neuspešno deljenje teksta: {reason}',
+      export: 'Neuspešan izvoz: {reason}',
+      maskImage: 'Neuspešno maskiranje slike: {reason}',
+      saveTable: 'Neuspešno čuvanje tabele: {reason}',
+      exportTable: 'Neuspešan izvoz tabele: {reason}',
+      saveQuality: 'Neuspešno čuvanje provere fotografije: {reason}',
+      adjustImage: 'Neuspešno podešavanje slike: {reason}',
+      sharedImage: 'Neuspešno preuzimanje deljene slike: {reason}',
+    },
+    detectTable: 'Tabela → mreža',
+    savedTable: 'Tabela je sačuvana u fajl:\n{path}',
+    adjustImage: 'Podesi sliku',
+    checkQuality: 'Proveri kvalitet fotografije',
+    checkWholePhoto: 'Proveri celu fotografiju',
+  },
+  barcodes: {
+    title: { one: '{count} kod na slici', few: '{count} koda na slici', other: '{count} kodova na slici' },
+    formats: {
+      qr: 'QR kod',
+      other: 'Bar kod',
+    },
+    fiscalReceipt: 'Fiskalni račun',
+    invoiceNumber: 'Broj računa',
+    amount: 'Iznos',
+    issuedAt: 'Vreme',
+    invoiceType: 'Vrsta',
+    invoiceTypes: {
+      normal: 'Promet',
+      proforma: 'Predračun',
+      copy: 'Kopija',
+      training: 'Obuka',
+      advance: 'Avans',
+    },
+    verify: 'Proveri račun ›',
+    ipsPayment: 'IPS uplatnica',
+    recipient: 'Primalac',
+    account: 'Račun',
+    purpose: 'Svrha',
+    paymentCode: 'Šifra plaćanja',
+    reference: 'Poziv na broj',
+    payer: 'Platilac',
+    openFailed: 'Neuspešno otvaranje linka: {reason}',
+  },
+  table: {
+    title: 'Tabela',
+    notFound: 'Na slici nije pronađena tabela (najmanje dva reda i dve kolone).',
+    merge: 'Spoji sa desnom',
+    split: 'Razdvoji',
+    removeRow: 'Obriši red',
+    removeColumn: 'Obriši kolonu',
+    empty: 'Tabela je prazna.',
+    sheetName: 'Tabela',
+  },
+  image: {
+    errors: {
+      notJpeg: 'Slika nije u JPEG formatu.',
+      invalidJpeg: 'Neispravan JPEG fajl.',
+      corruptJpeg: 'Oštećen JPEG fajl.',
+      progressiveJpeg: 'Progresivni JPEG nije podržan.',
+      unsupportedJpeg: 'Ovaj JPEG format nije podržan.',
+    },
+  },
+  quality: {
+    title: 'Kvalitet fotografije',
+    issues: {
+      blurry: 'Slika je mutna.',
+      dark: 'Slika je pretamna.',
+      bright: 'Slika je presvetla.',
+      lowContrast: 'Tekst se slabo razlikuje od pozadine.',
+      sideways: 'Slika je verovatno okrenuta bočno.',
+    },
+    hint: 'Prepoznavanje može biti lošije. Ponovite snimak ili podesite sliku.',
+    retake: 'Snimi ponovo',
+    pickAgain: 'Izaberi drugu',
+    fine: 'Provera nije našla probleme sa fotografijom.',
+    partialFine: 'Brza provera gornjeg dela fotografije nije našla probleme.',
+    unavailable: 'Proveriti se mogu samo JPEG fotografije.',
+  },
+  adjust: {
+    title: 'Podešavanje slike',
+    rotation: 'Rotacija: {degrees}°',
+    crop: 'Isecanje',
+    cropNone: 'Bez',
+    cropText: 'Oko teksta',
+    cropEdges: 'Ivice {percent}%',
+    grayscale: 'Crno-belo',
+    contrast: 'Kontrast',
+    deskew: 'Ispravi nagib ({degrees}°)',
+    deskewHint: 'Ispravljena slika je crno-bela, a fotografije duže od {side} px se smanjuju na pola.',
+    apply: 'Primeni i prepoznaj',
+    adjusted: 'Prikazana je podešena slika; original je sačuvan uz sken.',
+  },
+};
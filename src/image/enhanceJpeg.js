@@ -0,0 +1,258 @@
+/**
+ * Adjustments of a photo before OCR: crop, rotate, grayscale, contrast and deskew
+ * (the checks that suggest them are in imageQuality.js).
+ *
+ * - crop, grayscale and contrast work on the JPEG coefficients (see jpegCoefficients.js):
+ *   crops start on the MCU grid (8 or 16 pixels), so they may reach a few pixels further
+ *   up and left; grayscale drops the color components; contrast stretches the luma
+ *   between its 2nd and 98th percentile block means by scaling the coefficients
+ * - deskew turns the picture by a small angle, which needs pixels: the luma is decoded
+ *   (at half size for photos longer than MAX_DESKEW_SIDE), rotated with bilinear
+ *   sampling and encoded again as grayscale with the photo's own quantization table
+ * - quarter turns only rewrite the EXIF orientation
+ *
+ * Like redacted copies (see redactJpeg.js), the result keeps only the EXIF orientation.
+ */
+
+import { readJpegInfo } from './jpeg';
+import { ZIGZAG, decodeJpegCoefficients, encodeJpegCoefficients } from './jpegCoefficients';
+import { lumaBlocks, percentile } from './imageQuality';
+import { orientationExif, toRawFrame } from './redactJpeg';
+import { t } from '../i18n/i18n';
+
+const MARKER_APP1 = 0xe1;
+const MARKER_COM = 0xfe;
+
+// Strongest contrast stretch
+const MAX_CONTRAST = 2.5;
+// Longest side decoded at full size for deskewing
+export const MAX_DESKEW_SIDE = 2400;
+
+// EXIF orientations 1, 6, 3, 8 as clockwise quarter turns, and back
+const TURNS = { 1: 0, 6: 90, 3: 180, 8: 270 };
+const ORIENTATIONS = { 0: 1, 90: 6, 180: 3, 270: 8 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Basis of the 8-point DCT sampled at n points per block: BASIS[n][x * n + u] (n = 8 is the exact IDCT)
+const BASIS = [4, 8].reduce((tables, n) => {
+  const table = new Float64Array(n * n);
+  for (let x = 0; x < n; x += 1) {
+    for (let u = 0; u < n; u += 1) {
+      table[x * n + u] = (u === 0 ? Math.SQRT1_2 : 1) * 0.5 * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n));
+    }
+  }
+  return { ...tables, [n]: table };
+}, {});
+
+// Helper: The coefficients of the MCUs under `frame` (stored image pixels)
+function cropCoefficients(image, frame) {
+  const mcuWidth = 8 * Math.max(...image.components.map(c => c.h));
+  const mcuHeight = 8 * Math.max(...image.components.map(c => c.v));
+  const firstColumn = clamp(Math.floor(frame.left / mcuWidth), 0, image.mcusPerLine - 1);
+  const firstRow = clamp(Math.floor(frame.top / mcuHeight), 0, image.mcusPerColumn - 1);
+  const left = firstColumn * mcuWidth;
+  const top = firstRow * mcuHeight;
+  const width = clamp(Math.ceil(frame.left + frame.width), left + 1, image.width) - left;
+  const height = clamp(Math.ceil(frame.top + frame.height), top + 1, image.height) - top;
+  const mcusPerLine = Math.ceil(width / mcuWidth);
+  const mcusPerColumn = Math.ceil(height / mcuHeight);
+  const components = image.components.map(component => {
+    const blocksPerLine = mcusPerLine * component.h;
+    const blocksPerColumn = mcusPerColumn * component.v;
+    const coefficients = new Int16Array(blocksPerLine * blocksPerColumn * 64);
+    for (let row = 0; row < blocksPerColumn; row += 1) {
+      const start = ((firstRow * component.v + row) * component.blocksPerLine + firstColumn * component.h) * 64;
+      coefficients.set(component.coefficients.subarray(start, start + blocksPerLine * 64), row * blocksPerLine * 64);
+    }
+    return { ...component, blocksPerLine, blocksPerColumn, coefficients };
+  });
+  return { ...image, width, height, mcusPerLine, mcusPerColumn, components };
+}
+
+// Helper: Only the luma, as a single-component image
+function toGrayscale(image) {
+  if (image.components.length === 1) {return image;}
+  return { ...image, components: [{ ...image.components[0], h: 1, v: 1 }] };
+}
+
+// Helper: Luma stretched so its 2nd..98th percentile block means span the full range
+function stretchContrast(image) {
+  const luma = image.components[0];
+  const table = image.quantTables[luma.tq];
+  const sorted = Array.from(lumaBlocks(image).means).sort((a, b) => a - b);
+  const low = percentile(sorted, 0.02);
+  const high = percentile(sorted, 0.98);
+  if (high <= low) {return image;}
+  const gain = Math.min(MAX_CONTRAST, 255 / (high - low));
+  const center = (low + high) / 2;
+  const coefficients = new Int16Array(luma.coefficients.length);
+  for (let offset = 0; offset < coefficients.length; offset += 64) {
+    // New mean: 128 + gain * (mean - center); the DC holds 8 * (mean - 128)
+    const dc = gain * (luma.coefficients[offset] * table[0] + 8 * (128 - center));
+    coefficients[offset] = Math.round(clamp(dc, -1024, 1016) / table[0]);
+    for (let k = 1; k < 64; k += 1) {
+      coefficients[offset + k] = clamp(Math.round(luma.coefficients[offset + k] * gain), -1023, 1023);
+    }
+  }
+  return { ...image, components: [{ ...luma, coefficients }, ...image.components.slice(1)] };
+}
+
+// Helper: Luma pixels, n (8 or 4) per block side
+function decodeLuma(image, n) {
+  const luma = image.components[0];
+  const table = image.quantTables[luma.tq];
+  const basis = BASIS[n];
+  const { columns, rows } = lumaBlocks(image);
+  const maxH = Math.max(...image.components.map(c => c.h));
+  const width = Math.ceil((Math.ceil((image.width * luma.h) / maxH) * n) / 8);
+  const height = Math.ceil((image.height * n) / 8);
+  const pixels = new Uint8ClampedArray(width * height);
+  const values = new Float64Array(64);
+  const partial = new Float64Array(n * n);
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < columns; col += 1) {
+      const offset = (row * luma.blocksPerLine + col) * 64;
+      values.fill(0);
+      for (let k = 0; k < 64; k += 1) {
+        values[ZIGZAG[k]] = luma.coefficients[offset + k] * table[k];
+      }
+      // Rows of frequencies -> horizontal samples, then columns -> vertical samples
+      for (let v = 0; v < n; v += 1) {
+        for (let x = 0; x < n; x += 1) {
+          let sum = 0;
+          for (let u = 0; u < n; u += 1) {sum += basis[x * n + u] * values[v * 8 + u];}
+          partial[v * n + x] = sum;
+        }
+      }
+      for (let y = 0; y < n; y += 1) {
+        const py = row * n + y;
+        if (py >= height) {break;}
+        for (let x = 0; x < n; x += 1) {
+          const px = col * n + x;
+          if (px >= width) {break;}
+          let sum = 0;
+          for (let v = 0; v < n; v += 1) {sum += basis[y * n + v] * partial[v * n + x];}
+          pixels[py * width + px] = sum + 128;
+        }
+      }
+    }
+  }
+  return { pixels, width, height };
+}
+
+// Helper: Pixels turned clockwise by `degrees` around the center; uncovered corners get `background`
+function rotatePixels({ pixels, width, height }, degrees, background) {
+  const out = new Uint8ClampedArray(width * height);
+  const cos = Math.cos((degrees * Math.PI) / 180);
+  const sin = Math.sin((degrees * Math.PI) / 180);
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      // Source of the output pixel: turned back by the same angle
+      let sx = cx + (x - cx) * cos + (y - cy) * sin;
+      let sy = cy - (x - cx) * sin + (y - cy) * cos;
+      // Each pixel covers half a pixel around its center
+      if (sx < -0.5 || sy < -0.5 || sx > width - 0.5 || sy > height - 0.5) {
+        out[y * width + x] = background;
+        continue;
+      }
+      sx = clamp(sx, 0, width - 1);
+      sy = clamp(sy, 0, height - 1);
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      // Neighbours past the last row or column repeat it
+      const top = y0 * width;
+      const bottom = Math.min(y0 + 1, height - 1) * width;
+      const x1 = Math.min(x0 + 1, width - 1);
+      const topRow = pixels[top + x0] + (pixels[top + x1] - pixels[top + x0]) * fx;
+      const bottomRow = pixels[bottom + x0] + (pixels[bottom + x1] - pixels[bottom + x0]) * fx;
+      out[y * width + x] = topRow + (bottomRow - topRow) * fy;
+    }
+  }
+  return { pixels: out, width, height };
+}
+
+// Helper: Grayscale pixels -> single-component image with the quantization table `table`
+function encodeLuma({ pixels, width, height }, table) {
+  const basis = BASIS[8];
+  const blocksPerLine = Math.ceil(width / 8);
+  const blocksPerColumn = Math.ceil(height / 8);
+  const coefficients = new Int16Array(blocksPerLine * blocksPerColumn * 64);
+  const samples = new Float64Array(64);
+  const partial = new Float64Array(64);
+  for (let row = 0; row < blocksPerColumn; row += 1) {
+    for (let col = 0; col < blocksPerLine; col += 1) {
+      // Edge blocks repeat the last row and column
+      for (let y = 0; y < 8; y += 1) {
+        const py = Math.min(height - 1, row * 8 + y);
+        for (let x = 0; x < 8; x += 1) {
+          samples[y * 8 + x] = pixels[py * width + Math.min(width - 1, col * 8 + x)] - 128;
+        }
+      }
+      for (let y = 0; y < 8; y += 1) {
+        for (let u = 0; u < 8; u += 1) {
+          let sum = 0;
+          for (let x = 0; x < 8; x += 1) {sum += basis[x * 8 + u] * samples[y * 8 + x];}
+          partial[y * 8 + u] = sum;
+        }
+      }
+      const offset = (row * blocksPerLine + col) * 64;
+      for (let k = 0; k < 64; k += 1) {
+        const u = ZIGZAG[k] % 8;
+        const v = Math.floor(ZIGZAG[k] / 8);
+        let sum = 0;
+        for (let y = 0; y < 8; y += 1) {sum += basis[y * 8 + v] * partial[y * 8 + u];}
+        coefficients[offset + k] = clamp(Math.round(sum / table[k]), -1023, 1023);
+      }
+    }
+  }
+  return {
+    width,
+    height,
+    mcusPerLine: blocksPerLine,
+    mcusPerColumn: blocksPerColumn,
+    components: [{ id: 1, h: 1, v: 1, tq: 0, blocksPerLine, blocksPerColumn, coefficients }],
+    quantTables: [table],
+    segments: [],
+  };
+}
+
+// Helper: The luma turned by `degrees`, as a new grayscale image
+function deskew(image, degrees) {
+  const n = Math.max(image.width, image.height) > MAX_DESKEW_SIDE ? 4 : 8;
+  const decoded = decodeLuma(image, n);
+  // Uncovered corners take the paper's color
+  const background = percentile(Array.from(lumaBlocks(image).means).sort((a, b) => a - b), 0.9);
+  const encoded = encodeLuma(rotatePixels(decoded, degrees, background), image.quantTables[image.components[0].tq]);
+  return { ...encoded, segments: image.segments };
+}
+
+/**
+ * Adjusted copy of a baseline JPEG. Frames and angles are in upright image pixels and
+ * clockwise degrees, like the OCR result (see src/ocr/geometry.js).
+ * @param {Uint8Array} bytes
+ * @param {Object} options { crop: frame|null, rotation: 0|90|180|270 (turn to add), grayscale, contrast,
+ *   deskew: skew of the text to straighten (see textAngle), 0 to leave it }
+ * @returns {Uint8Array}
+ */
+export function enhanceJpeg(bytes, options) {
+  const orientation = readJpegInfo(bytes).exif.orientation || 1;
+  let image = decodeJpegCoefficients(bytes);
+  if (image.components.length !== 1 && image.components.length !== 3) {
+    throw new Error(t('image.errors.unsupportedJpeg'));
+  }
+  if (options.crop) {image = cropCoefficients(image, toRawFrame(options.crop, orientation, image.width, image.height));}
+  if (options.grayscale || options.deskew) {image = toGrayscale(image);}
+  if (options.contrast) {image = stretchContrast(image);}
+  // Quarter turns and small turns commute, so the stored pixels turn by the same angle
+  if (options.deskew) {image = deskew(image, -options.deskew);}
+
+  const turn = ((TURNS[orientation] || 0) + (options.rotation || 0)) % 360;
+  image.segments = image.segments.filter(({ marker }) => marker !== MARKER_APP1 && marker !== MARKER_COM);
+  if (turn !== 0) {image.segments.push({ marker: MARKER_APP1, data: orientationExif(ORIENTATIONS[turn]) });}
+  return encodeJpegCoefficients(image);
+}
@@ -0,0 +1,148 @@
+/**
+ * EXIF (TIFF) reader for the APP1 block of a JPEG.
+ * Reads only the tags the app uses: orientation, original capture time and GPS.
+ *
+ * Result: { orientation?, dateTimeOriginal? ('YYYY:MM:DD HH:MM:SS'), offsetTimeOriginal? ('+02:00'),
+ *   gps?: { latitude, longitude, altitude?, heading?, accuracy?, timestamp? (ISO, UTC) } }
+ */
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+const GPS_LATITUDE_REF = 0x01;
+const GPS_LATITUDE = 0x02;
+const GPS_LONGITUDE_REF = 0x03;
+const GPS_LONGITUDE = 0x04;
+const GPS_ALTITUDE_REF = 0x05;
+const GPS_ALTITUDE = 0x06;
+const GPS_TIME_STAMP = 0x07;
+const GPS_IMG_DIRECTION = 0x11;
+const GPS_DATE_STAMP = 0x1d;
+const GPS_H_POSITIONING_ERROR = 0x1f;
+
+// Byte size of one value per TIFF field type (BYTE, ASCII, SHORT, LONG, RATIONAL, ..., SRATIONAL)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Read the TIFF structure starting at `start` (right after "Exif\0\0")
+export function parseExif(bytes, start) {
+  const result = {};
+  if (start + 8 > bytes.length) {return result;}
+  const little = bytes[start] === 0x49 && bytes[start + 1] === 0x49; // "II"
+  const u16 = offset =>
+    little ? bytes[offset] + bytes[offset + 1] * 256 : bytes[offset] * 256 + bytes[offset + 1];
+  const u32 = offset =>
+    little
+      ? bytes[offset] + bytes[offset + 1] * 256 + bytes[offset + 2] * 65536 + bytes[offset + 3] * 16777216
+      : bytes[offset] * 16777216 + bytes[offset + 1] * 65536 + bytes[offset + 2] * 256 + bytes[offset + 3];
+
+  // Entries of the IFD at `ifd` (absolute), keyed by tag; each reads its values on demand
+  const readIfd = ifd => {
+    const entries = new Map();
+    if (ifd + 2 > bytes.length) {return entries;}
+    const count = u16(ifd);
+    for (let i = 0; i < count; i += 1) {
+      const entry = ifd + 2 + i * 12;
+      if (entry + 12 > bytes.length) {break;}
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      // Values of up to 4 bytes sit in the entry itself, longer ones at an offset from the TIFF start
+      const dataOffset = size <= 4 ? entry + 8 : start + u32(entry + 8);
+      if (dataOffset + size > bytes.length) {continue;}
+      entries.set(u16(entry), { type, count: valueCount, offset: dataOffset });
+    }
+    return entries;
+  };
+  const ascii = field => {
+    let text = '';
+    for (let i = 0; i < field.count; i += 1) {
+      const code = bytes[field.offset + i];
+      if (code === 0) {break;}
+      text += String.fromCharCode(code);
+    }
+    return text.trim();
+  };
+  const rationals = field => {
+    const values = [];
+    for (let i = 0; i < field.count; i += 1) {
+      const numerator = u32(field.offset + i * 8);
+      const denominator = u32(field.offset + i * 8 + 4);
+      values.push(denominator === 0 ? NaN : numerator / denominator);
+    }
+    return values;
+  };
+  const number = field => (field.type === 3 ? u16(field.offset) : field.type === 4 ? u32(field.offset) : bytes[field.offset]);
+
+  const ifd0 = readIfd(start + u32(start + 4));
+  if (ifd0.has(TAG_ORIENTATION)) {
+    result.orientation = u16(ifd0.get(TAG_ORIENTATION).offset);
+  }
+
+  if (ifd0.has(TAG_EXIF_IFD)) {
+    const exifIfd = readIfd(start + number(ifd0.get(TAG_EXIF_IFD)));
+    if (exifIfd.has(TAG_DATE_TIME_ORIGINAL)) {
+      result.dateTimeOriginal = ascii(exifIfd.get(TAG_DATE_TIME_ORIGINAL));
+    }
+    if (exifIfd.has(TAG_OFFSET_TIME_ORIGINAL)) {
+      result.offsetTimeOriginal = ascii(exifIfd.get(TAG_OFFSET_TIME_ORIGINAL));
+    }
+  }
+
+  if (ifd0.has(TAG_GPS_IFD)) {
+    const gpsIfd = readIfd(start + number(ifd0.get(TAG_GPS_IFD)));
+    const degrees = (valueTag, refTag, negativeRef) => {
+      if (!gpsIfd.has(valueTag)) {return null;}
+      const [d, m, s] = rationals(gpsIfd.get(valueTag));
+      const value = d + (m || 0) / 60 + (s || 0) / 3600;
+      const ref = gpsIfd.has(refTag) ? ascii(gpsIfd.get(refTag)) : '';
+      return isNaN(value) ? null : ref === negativeRef ? -value : value;
+    };
+    const latitude = degrees(GPS_LATITUDE, GPS_LATITUDE_REF, 'S');
+    const longitude = degrees(GPS_LONGITUDE, GPS_LONGITUDE_REF, 'W');
+    // 0/0 is what some cameras write when they had no fix
+    if (latitude !== null && longitude !== null && !(latitude === 0 && longitude === 0)) {
+      const gps = { latitude, longitude };
+      if (gpsIfd.has(GPS_ALTITUDE)) {
+        const [altitude] = rationals(gpsIfd.get(GPS_ALTITUDE));
+        const below = gpsIfd.has(GPS_ALTITUDE_REF) && bytes[gpsIfd.get(GPS_ALTITUDE_REF).offset] === 1;
+        if (!isNaN(altitude)) {gps.altitude = below ? -altitude : altitude;}
+      }
+      if (gpsIfd.has(GPS_IMG_DIRECTION)) {
+        const [heading] = rationals(gpsIfd.get(GPS_IMG_DIRECTION));
+        if (!isNaN(heading)) {gps.heading = heading;}
+      }
+      if (gpsIfd.has(GPS_H_POSITIONING_ERROR)) {
+        const [accuracy] = rationals(gpsIfd.get(GPS_H_POSITIONING_ERROR));
+        if (!isNaN(accuracy)) {gps.accuracy = accuracy;}
+      }
+      if (gpsIfd.has(GPS_DATE_STAMP) && gpsIfd.has(GPS_TIME_STAMP)) {
+        const date = /^(\d{4}):(\d{2}):(\d{2})$/.exec(ascii(gpsIfd.get(GPS_DATE_STAMP)));
+        const [h, m, s] = rationals(gpsIfd.get(GPS_TIME_STAMP));
+        if (date && !isNaN(h + m + s)) {
+          const millis = Date.UTC(Number(date[1]), Number(date[2]) - 1, Number(date[3]), h, m, 0) + s * 1000;
+          gps.timestamp = new Date(millis).toISOString();
+        }
+      }
+      result.gps = gps;
+    }
+  }
+  return result;
+}
+
+/**
+ * Capture time from EXIF DateTimeOriginal as an ISO string. Without an offset tag
+ * the camera's local time is read as the phone's local time.
+ */
+export function exifCaptureTime(exif) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec((exif && exif.dateTimeOriginal) || '');
+  if (!match) {return null;}
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const offset = /^([+-])(\d{2}):(\d{2})$/.exec(exif.offsetTimeOriginal || '');
+  const date = offset
+    ? new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${offset[0]}`)
+    : new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
@@ -0,0 +1,138 @@
+/**
+ * Quality checks on a photo, read from its quantized DCT coefficients
+ * (see jpegCoefficients.js) instead of decoded pixels:
+ *
+ * - sharpness: variance of the Laplacian over the most detailed tenth of the 8x8 luma
+ *   blocks, where the text is. Every DCT basis image is an eigenvector of the discrete
+ *   Laplacian (with mirrored block edges), so per block the variance is a weighted sum
+ *   of the squared coefficients
+ * - exposure: the block means (DC) form a 1:8 luma image; its mean, the shares of dark
+ *   and blown-out blocks and the spread between its 2nd and 98th percentile
+ * - orientation: lines of text make the row profile of that image much rougher than
+ *   its column profile; the other way round, the photo was most likely taken sideways
+ *
+ * assessJpeg(bytes, { maxBlocks }) -> { sharpness, exposure: { mean, dark, bright, range }, sideways, issues, partial }
+ * where issues lists 'blurry', 'dark', 'bright', 'lowContrast' and 'sideways' as found.
+ * With maxBlocks only the top band of a larger photo is decoded and judged (see
+ * jpegCoefficients.js), and `partial` is true.
+ */
+
+import { readJpegInfo } from './jpeg';
+import { ZIGZAG, decodeJpegCoefficients } from './jpegCoefficients';
+
+// Below / above these a photo gets a warning
+export const QUALITY_LIMITS = {
+  sharpness: 300, // Laplacian variance of the detailed blocks
+  darkMean: 70, // mean luma
+  brightShare: 0.5, // share of blocks at 250 or more
+  range: 60, // luma spread between the 2nd and 98th percentile block
+  sideways: 1.5, // one profile this many times rougher than the other
+};
+
+// Share of the blocks, the most detailed ones, the sharpness is measured on
+const DETAIL_SHARE = 0.1;
+
+// (λu + λv)² of each zigzag coefficient, λk = 2 - 2cos(πk/8) the Laplacian eigenvalues
+const LAPLACIAN_WEIGHTS = ZIGZAG.map(position => {
+  const lambda = k => 2 - 2 * Math.cos((Math.PI * k) / 8);
+  return (lambda(position % 8) + lambda(Math.floor(position / 8))) ** 2;
+});
+
+// Value at fraction `p` of the sorted values
+export function percentile(sorted, p) {
+  if (sorted.length === 0) {return 0;}
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Luma blocks of a decoded image that hold picture (not MCU padding), in the rows decoded.
+ * @returns {{ columns, rows, means: Float64Array, sharpness: Float64Array }} per block, row by row:
+ *   the mean luma and the variance of the Laplacian
+ */
+export function lumaBlocks(image) {
+  const luma = image.components[0];
+  const table = image.quantTables[luma.tq];
+  const maxH = Math.max(...image.components.map(c => c.h));
+  const maxV = Math.max(...image.components.map(c => c.v));
+  const columns = Math.ceil(Math.ceil((image.width * luma.h) / maxH) / 8);
+  const decodedRows = (image.decodedMcuRows || image.mcusPerColumn) * luma.v;
+  const rows = Math.min(decodedRows, Math.ceil(Math.ceil((image.height * luma.v) / maxV) / 8));
+  const means = new Float64Array(columns * rows);
+  const sharpness = new Float64Array(columns * rows);
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < columns; col += 1) {
+      const offset = (row * luma.blocksPerLine + col) * 64;
+      // The DC coefficient is 8 times the block mean, level-shifted by 128
+      means[row * columns + col] = (luma.coefficients[offset] * table[0]) / 8 + 128;
+      let energy = 0;
+      for (let k = 1; k < 64; k += 1) {
+        const value = luma.coefficients[offset + k];
+        if (value !== 0) {energy += LAPLACIAN_WEIGHTS[k] * (value * table[k]) ** 2;}
+      }
+      sharpness[row * columns + col] = energy / 64;
+    }
+  }
+  return { columns, rows, means, sharpness };
+}
+
+// Helper: Mean step between neighbouring values of a profile
+function roughness(profile) {
+  let sum = 0;
+  for (let i = 1; i < profile.length; i += 1) {
+    sum += Math.abs(profile[i] - profile[i - 1]);
+  }
+  return profile.length > 1 ? sum / (profile.length - 1) : 0;
+}
+
+// Helper: 'rows' or 'columns' when one profile of the block means is much rougher, else null
+function textDirection({ columns, rows, means }) {
+  const rowProfile = new Float64Array(rows);
+  const columnProfile = new Float64Array(columns);
+  means.forEach((mean, index) => {
+    rowProfile[Math.floor(index / columns)] += mean / columns;
+    columnProfile[index % columns] += mean / rows;
+  });
+  const across = roughness(rowProfile);
+  const along = roughness(columnProfile);
+  if (across > QUALITY_LIMITS.sideways * along) {return 'rows';}
+  if (along > QUALITY_LIMITS.sideways * across) {return 'columns';}
+  return null;
+}
+
+/**
+ * Quality of a baseline JPEG photo; see the top of this file.
+ * @param {Uint8Array} bytes
+ * @param {{ maxBlocks?: number }} options
+ */
+export function assessJpeg(bytes, { maxBlocks } = {}) {
+  const orientation = readJpegInfo(bytes).exif.orientation || 1;
+  const image = decodeJpegCoefficients(bytes, { maxBlocks });
+  const blocks = lumaBlocks(image);
+  const count = blocks.means.length;
+
+  const detailed = Array.from(blocks.sharpness).sort((a, b) => b - a);
+  const top = detailed.slice(0, Math.max(1, Math.floor(count * DETAIL_SHARE)));
+  const sharpness = top.reduce((sum, value) => sum + value, 0) / top.length;
+
+  const sorted = Array.from(blocks.means).sort((a, b) => a - b);
+  const exposure = {
+    mean: sorted.reduce((sum, value) => sum + value, 0) / count,
+    dark: sorted.filter(value => value < 50).length / count,
+    bright: sorted.filter(value => value >= 250).length / count,
+    range: percentile(sorted, 0.98) - percentile(sorted, 0.02),
+  };
+
+  // EXIF quarter turns swap what the stored rows and columns are on screen
+  const turned = orientation === 6 || orientation === 8;
+  const direction = textDirection(blocks);
+  const sideways = direction === (turned ? 'rows' : 'columns');
+
+  const issues = [];
+  if (sharpness < QUALITY_LIMITS.sharpness) {issues.push('blurry');}
+  if (exposure.mean < QUALITY_LIMITS.darkMean) {issues.push('dark');}
+  if (exposure.bright > QUALITY_LIMITS.brightShare) {issues.push('bright');}
+  if (exposure.range < QUALITY_LIMITS.range) {issues.push('lowContrast');}
+  if (sideways) {issues.push('sideways');}
+  const partial = image.decodedMcuRows < image.mcusPerColumn;
+  return { sharpness: Math.round(sharpness), exposure, sideways, issues, partial };
+}
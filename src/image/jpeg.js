@@ -0,0 +1,84 @@
+/**
+ * Minimal JPEG header reader: pixel size, color components and the EXIF block.
+ * Works on the raw file bytes (see src/utils/base64.js for reading them through RNFS).
+ */
+
+import { parseExif } from './exif';
+import { t } from '../i18n/i18n';
+
+// Start-of-frame markers carry the image size (C4, C8 and CC are not frames)
+function isStartOfFrame(marker) {
+  return marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+}
+
+export function isJpeg(bytes) {
+  return bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8;
+}
+
+// Helper: Is the segment at `segment` an "Exif\0\0" APP1 block?
+function isExifSegment(bytes, marker, segment) {
+  return (
+    marker === 0xe1 &&
+    bytes[segment] === 0x45 && // E
+    bytes[segment + 1] === 0x78 && // x
+    bytes[segment + 2] === 0x69 && // i
+    bytes[segment + 3] === 0x66 // f
+  );
+}
+
+// Walk the header segments until `visit(marker, segmentStart)` returns true or image data starts
+function walkSegments(bytes, visit) {
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset += 1;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (marker === 0xda || visit(marker, offset + 4)) {return;}
+    offset += 2 + bytes[offset + 2] * 256 + bytes[offset + 3];
+  }
+}
+
+/**
+ * @returns {{ width, height, components, exif }} raw (unrotated) pixel size;
+ *   exif is the parseExif() result, or an empty object
+ */
+export function readJpegInfo(bytes) {
+  if (!isJpeg(bytes)) {throw new Error(t('image.errors.notJpeg'));}
+  const info = { width: 0, height: 0, components: 3, exif: {} };
+  walkSegments(bytes, (marker, segment) => {
+    if (isExifSegment(bytes, marker, segment)) {
+      info.exif = parseExif(bytes, segment + 6);
+    } else if (isStartOfFrame(marker)) {
+      info.height = bytes[segment + 1] * 256 + bytes[segment + 2];
+      info.width = bytes[segment + 3] * 256 + bytes[segment + 4];
+      info.components = bytes[segment + 5];
+      return true;
+    }
+    return false;
+  });
+  if (!info.width) {throw new Error(t('image.errors.invalidJpeg'));}
+  return info;
+}
+
+/**
+ * EXIF of a JPEG from its first bytes only (the APP1 block precedes the image data);
+ * an empty object when there is none or the bytes are not a JPEG.
+ */
+export function readJpegExif(bytes) {
+  let exif = {};
+  if (!isJpeg(bytes)) {return exif;}
+  walkSegments(bytes, (marker, segment) => {
+    if (isExifSegment(bytes, marker, segment)) {
+      exif = parseExif(bytes, segment + 6);
+      return true;
+    }
+    return isStartOfFrame(marker);
+  });
+  return exif;
+}
@@ -0,0 +1,598 @@
+/**
+ * Baseline JPEG at the level of its quantized DCT coefficients.
+ *
+ * Decoding stops after the Huffman stage and encoding starts there, so a change
+ * to some 8x8 blocks (blacking them out, for instance) leaves every other block
+ * exactly as it was: no inverse DCT, no second round of quantization loss.
+ *
+ * decodeJpegCoefficients(bytes, { maxBlocks }) -> {
+ *   width, height, mcusPerLine, mcusPerColumn, decodedMcuRows,
+ *   components: [{ id, h, v, tq, blocksPerLine, blocksPerColumn, coefficients }],
+ *   quantTables: [Uint16Array(64)] by table id, in zigzag order,
+ *   segments: [{ marker, data }] APPn and COM segments (EXIF included), kept as they are
+ * }
+ * Block (row, col) of a component is coefficients[(row * blocksPerLine + col) * 64 ...]
+ * in zigzag order; the block grid is padded to whole MCUs. With `maxBlocks`, decoding
+ * stops after the MCU rows whose blocks fit in it (decodedMcuRows, at least one): the top band
+ * of the image, for a quick look at a large photo; coefficients hold only those rows.
+ *
+ * encodeJpegCoefficients(image) writes it back as a single-scan baseline JPEG with
+ * the standard Huffman tables (ITU T.81 Annex K). Progressive, lossless and
+ * arithmetic-coded JPEGs are rejected. Bit operations use arithmetic (see src/utils/base64.js).
+ */
+
+import { t } from '../i18n/i18n';
+
+const POW2 = Array.from({ length: 33 }, (_, i) => 2 ** i);
+
+// Row-major position in the 8x8 block of each zigzag index (T.81 Figure A.6)
+export const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+const MARKER_SOF0 = 0xc0;
+const MARKER_SOF1 = 0xc1;
+const MARKER_DHT = 0xc4;
+const MARKER_SOI = 0xd8;
+const MARKER_EOI = 0xd9;
+const MARKER_SOS = 0xda;
+const MARKER_DQT = 0xdb;
+const MARKER_DRI = 0xdd;
+const MARKER_COM = 0xfe;
+
+function isRestartMarker(marker) {
+  return marker >= 0xd0 && marker <= 0xd7;
+}
+
+function readUint16(bytes, offset) {
+  return bytes[offset] * 256 + bytes[offset + 1];
+}
+
+const LOOKUP_BITS = 9;
+
+/**
+ * Huffman table in the canonical form of T.81 F.2.2.3 (bits per length, symbols
+ * in code order), plus a lookup of the codes up to LOOKUP_BITS long:
+ * lookup[next LOOKUP_BITS bits] = length * 256 + symbol, or 0 for longer codes.
+ */
+function buildDecodeTable(counts, symbols) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valuePointer = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  const lookup = new Int32Array(POW2[LOOKUP_BITS]);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length += 1) {
+    const count = counts[length - 1];
+    valuePointer[length] = index;
+    minCode[length] = code;
+    if (count > 0) {maxCode[length] = code + count - 1;}
+    for (let i = 0; i < count && length <= LOOKUP_BITS; i += 1) {
+      const spread = POW2[LOOKUP_BITS - length];
+      lookup.fill(length * 256 + symbols[index + i], (code + i) * spread, (code + i + 1) * spread);
+    }
+    code = (code + count) * 2;
+    index += count;
+  }
+  return { maxCode, valuePointer, minCode, symbols, lookup };
+}
+
+/**
+ * Entropy-coded data reader: skips stuffed zero bytes and yields zero bits once
+ * it runs into a marker. Holds up to 24 bits in `bits` (`count` of them valid).
+ */
+function createBitReader(bytes, start) {
+  const reader = { position: start, bits: 0, count: 0 };
+
+  const fill = () => {
+    while (reader.count <= 16) {
+      let byte = 0;
+      if (reader.position < bytes.length) {
+        byte = bytes[reader.position];
+        if (byte !== 0xff) {
+          reader.position += 1;
+        } else if (bytes[reader.position + 1] === 0) {
+          reader.position += 2;
+        } else {
+          byte = 0; // marker: leave it for the caller
+        }
+      }
+      reader.bits = reader.bits * 256 + byte;
+      reader.count += 8;
+    }
+  };
+
+  const peek = length => {
+    if (reader.count < length) {fill();}
+    return Math.floor(reader.bits / POW2[reader.count - length]);
+  };
+
+  const skip = length => {
+    reader.count -= length;
+    reader.bits %= POW2[reader.count];
+  };
+
+  reader.readBits = length => {
+    if (length === 0) {return 0;}
+    const value = peek(length);
+    skip(length);
+    return value;
+  };
+
+  reader.decode = table => {
+    const entry = table.lookup[peek(LOOKUP_BITS)];
+    if (entry) {
+      skip(Math.floor(entry / 256));
+      return entry % 256;
+    }
+    for (let length = LOOKUP_BITS + 1; length <= 16; length += 1) {
+      const code = peek(length);
+      if (code <= table.maxCode[length]) {
+        skip(length);
+        return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+      }
+    }
+    throw new Error(t('image.errors.corruptJpeg'));
+  };
+
+  // Drop the buffered bits and step over the next RSTn marker
+  reader.restart = () => {
+    reader.bits = 0;
+    reader.count = 0;
+    while (reader.position + 1 < bytes.length) {
+      if (bytes[reader.position] === 0xff && isRestartMarker(bytes[reader.position + 1])) {
+        reader.position += 2;
+        return;
+      }
+      reader.position += 1;
+    }
+  };
+
+  return reader;
+}
+
+// Helper: Signed value of `size` extra bits (T.81 F.2.2.1 EXTEND)
+function receiveExtend(reader, size) {
+  const value = reader.readBits(size);
+  return value < POW2[size - 1] ? value - POW2[size] + 1 : value;
+}
+
+function decodeBlock(reader, component, out, offset) {
+  const dcSize = reader.decode(component.dcTable);
+  component.prediction += dcSize === 0 ? 0 : receiveExtend(reader, dcSize);
+  out[offset] = component.prediction;
+  for (let k = 1; k < 64; ) {
+    const symbol = reader.decode(component.acTable);
+    const run = Math.floor(symbol / 16);
+    const size = symbol % 16;
+    if (size === 0) {
+      if (run !== 15) {break;} // end of block
+      k += 16;
+      continue;
+    }
+    k += run;
+    if (k > 63) {throw new Error(t('image.errors.corruptJpeg'));}
+    out[offset + k] = receiveExtend(reader, size);
+    k += 1;
+  }
+}
+
+// Blocks of a component in a scan of its own (no MCU padding, T.81 A.2.2)
+function nonInterleavedSize(image, component) {
+  const maxH = Math.max(...image.components.map(c => c.h));
+  const maxV = Math.max(...image.components.map(c => c.v));
+  return {
+    columns: Math.ceil(Math.ceil((image.width * component.h) / maxH) / 8),
+    rows: Math.ceil(Math.ceil((image.height * component.v) / maxV) / 8),
+  };
+}
+
+// Decode one scan starting at `start`; returns the offset just past its entropy-coded data
+function decodeScan(bytes, start, image, scanComponents, restartInterval) {
+  const reader = createBitReader(bytes, start);
+  scanComponents.forEach(component => {
+    component.prediction = 0;
+  });
+  const restart = () => {
+    reader.restart();
+    scanComponents.forEach(component => {
+      component.prediction = 0;
+    });
+  };
+
+  if (scanComponents.length === 1) {
+    const component = scanComponents[0];
+    const { columns, rows } = nonInterleavedSize(image, component);
+    let count = 0;
+    for (let row = 0; row < Math.min(rows, image.decodedMcuRows * component.v); row += 1) {
+      for (let col = 0; col < columns; col += 1) {
+        if (restartInterval && count > 0 && count % restartInterval === 0) {restart();}
+        decodeBlock(reader, component, component.coefficients, (row * component.blocksPerLine + col) * 64);
+        count += 1;
+      }
+    }
+  } else {
+    let count = 0;
+    for (let mcuRow = 0; mcuRow < image.decodedMcuRows; mcuRow += 1) {
+      for (let mcuCol = 0; mcuCol < image.mcusPerLine; mcuCol += 1) {
+        if (restartInterval && count > 0 && count % restartInterval === 0) {restart();}
+        scanComponents.forEach(component => {
+          for (let y = 0; y < component.v; y += 1) {
+            for (let x = 0; x < component.h; x += 1) {
+              const row = mcuRow * component.v + y;
+              const col = mcuCol * component.h + x;
+              decodeBlock(reader, component, component.coefficients, (row * component.blocksPerLine + col) * 64);
+            }
+          }
+        });
+        count += 1;
+      }
+    }
+  }
+
+  // A decode cut short ends here
+  if (image.decodedMcuRows < image.mcusPerColumn) {return bytes.length;}
+  // Skip to the marker that ends the scan
+  let offset = reader.position;
+  while (offset + 1 < bytes.length && !(bytes[offset] === 0xff && bytes[offset + 1] !== 0 && !isRestartMarker(bytes[offset + 1]))) {
+    offset += 1;
+  }
+  return offset;
+}
+
+function readFrame(bytes, start, image, maxBlocks) {
+  image.height = readUint16(bytes, start + 1);
+  image.width = readUint16(bytes, start + 3);
+  const count = bytes[start + 5];
+  for (let i = 0; i < count; i += 1) {
+    const offset = start + 6 + i * 3;
+    image.components.push({
+      id: bytes[offset],
+      h: Math.floor(bytes[offset + 1] / 16),
+      v: bytes[offset + 1] % 16,
+      tq: bytes[offset + 2],
+    });
+  }
+  if (!image.width || !image.height) {throw new Error(t('image.errors.invalidJpeg'));}
+  const maxH = Math.max(...image.components.map(c => c.h));
+  const maxV = Math.max(...image.components.map(c => c.v));
+  image.mcusPerLine = Math.ceil(image.width / (8 * maxH));
+  image.mcusPerColumn = Math.ceil(image.height / (8 * maxV));
+  const blocksPerRow = image.mcusPerLine * image.components.reduce((sum, c) => sum + c.h * c.v, 0);
+  image.decodedMcuRows = maxBlocks
+    ? Math.min(image.mcusPerColumn, Math.max(1, Math.floor(maxBlocks / blocksPerRow)))
+    : image.mcusPerColumn;
+  image.components.forEach(component => {
+    component.blocksPerLine = image.mcusPerLine * component.h;
+    component.blocksPerColumn = image.mcusPerColumn * component.v;
+    component.coefficients = new Int16Array(component.blocksPerLine * image.decodedMcuRows * component.v * 64);
+  });
+}
+
+function readQuantTables(bytes, start, end, image) {
+  let offset = start;
+  while (offset < end) {
+    const precision = Math.floor(bytes[offset] / 16);
+    const id = bytes[offset] % 16;
+    const table = new Uint16Array(64);
+    for (let k = 0; k < 64; k += 1) {
+      table[k] = precision ? readUint16(bytes, offset + 1 + k * 2) : bytes[offset + 1 + k];
+    }
+    image.quantTables[id] = table;
+    offset += 1 + (precision ? 128 : 64);
+  }
+}
+
+function readHuffmanTables(bytes, start, end, tables) {
+  let offset = start;
+  while (offset < end) {
+    const tableClass = Math.floor(bytes[offset] / 16);
+    const id = bytes[offset] % 16;
+    const counts = Array.from(bytes.subarray(offset + 1, offset + 17));
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const symbols = bytes.subarray(offset + 17, offset + 17 + total);
+    tables[tableClass === 0 ? 'dc' : 'ac'][id] = buildDecodeTable(counts, symbols);
+    offset += 17 + total;
+  }
+}
+
+/**
+ * Decode a baseline JPEG down to its quantized coefficients.
+ * @param {Uint8Array} bytes
+ * @param {{ maxBlocks?: number }} options see the top of this file
+ */
+export function decodeJpegCoefficients(bytes, { maxBlocks } = {}) {
+  if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== MARKER_SOI) {throw new Error(t('image.errors.notJpeg'));}
+  const image = { width: 0, height: 0, components: [], quantTables: [], segments: [] };
+  const huffman = { dc: [], ac: [] };
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset + 1 < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset += 1;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    if (marker === 0xff || marker === 0x01 || isRestartMarker(marker) || marker === MARKER_SOI) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (marker === MARKER_EOI) {break;}
+    const start = offset + 4;
+    const end = offset + 2 + readUint16(bytes, offset + 2);
+
+    if (marker === MARKER_SOF0 || marker === MARKER_SOF1) {
+      readFrame(bytes, start, image, maxBlocks);
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== MARKER_DHT && marker !== 0xc8 && marker !== 0xcc) {
+      throw new Error(marker === 0xc2 ? t('image.errors.progressiveJpeg') : t('image.errors.unsupportedJpeg'));
+    } else if (marker === MARKER_DQT) {
+      readQuantTables(bytes, start, end, image);
+    } else if (marker === MARKER_DHT) {
+      readHuffmanTables(bytes, start, end, huffman);
+    } else if (marker === MARKER_DRI) {
+      restartInterval = readUint16(bytes, start);
+    } else if ((marker >= 0xe0 && marker <= 0xef) || marker === MARKER_COM) {
+      image.segments.push({ marker, data: bytes.slice(start, end) });
+    } else if (marker === MARKER_SOS) {
+      if (image.components.length === 0) {throw new Error(t('image.errors.invalidJpeg'));}
+      const count = bytes[start];
+      const scanComponents = [];
+      for (let i = 0; i < count; i += 1) {
+        const component = image.components.find(c => c.id === bytes[start + 1 + i * 2]);
+        const tables = bytes[start + 2 + i * 2];
+        if (!component) {throw new Error(t('image.errors.invalidJpeg'));}
+        component.dcTable = huffman.dc[Math.floor(tables / 16)];
+        component.acTable = huffman.ac[tables % 16];
+        if (!component.dcTable || !component.acTable) {throw new Error(t('image.errors.invalidJpeg'));}
+        scanComponents.push(component);
+      }
+      offset = decodeScan(bytes, end, image, scanComponents, restartInterval);
+      continue;
+    }
+    offset = end;
+  }
+
+  if (image.components.length === 0) {throw new Error(t('image.errors.invalidJpeg'));}
+  image.components.forEach(component => {
+    delete component.dcTable;
+    delete component.acTable;
+    delete component.prediction;
+  });
+  return image;
+}
+
+// Standard Huffman tables, ITU T.81 Annex K.3 (luminance: table 0, chrominance: table 1)
+const STANDARD_TABLES = {
+  dc: [
+    { counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+    { counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  ],
+  ac: [
+    {
+      counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+      symbols: [
+        0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+        0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+        0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+        0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+        0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+        0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+        0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+        0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+        0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+        0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa,
+      ],
+    },
+    {
+      counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+      symbols: [
+        0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+        0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+        0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+        0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+        0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+        0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+        0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+        0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+        0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+        0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa,
+      ],
+    },
+  ],
+};
+
+// Code and length per symbol for a table given as counts/symbols
+function buildEncodeTable({ counts, symbols }) {
+  const codes = new Int32Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length += 1) {
+    for (let i = 0; i < counts[length - 1]; i += 1) {
+      codes[symbols[index]] = code;
+      lengths[symbols[index]] = length;
+      code += 1;
+      index += 1;
+    }
+    code *= 2;
+  }
+  return { codes, lengths };
+}
+
+// Growable byte buffer with a bit writer that stuffs 0x00 after every 0xFF of entropy data
+function createWriter() {
+  const writer = { bytes: new Uint8Array(65536), length: 0, current: 0, count: 0 };
+
+  writer.byte = value => {
+    if (writer.length === writer.bytes.length) {
+      const grown = new Uint8Array(writer.bytes.length * 2);
+      grown.set(writer.bytes);
+      writer.bytes = grown;
+    }
+    writer.bytes[writer.length] = value;
+    writer.length += 1;
+  };
+
+  writer.array = values => values.forEach(writer.byte);
+
+  writer.uint16 = value => {
+    writer.byte(Math.floor(value / 256));
+    writer.byte(value % 256);
+  };
+
+  writer.bits = (value, length) => {
+    writer.current = writer.current * POW2[length] + value;
+    writer.count += length;
+    while (writer.count >= 8) {
+      writer.count -= 8;
+      const byte = Math.floor(writer.current / POW2[writer.count]);
+      writer.current %= POW2[writer.count];
+      writer.byte(byte);
+      if (byte === 0xff) {writer.byte(0);}
+    }
+  };
+
+  // Pad the last byte with 1 bits
+  writer.flushBits = () => {
+    if (writer.count > 0) {writer.bits(POW2[8 - writer.count] - 1, 8 - writer.count);}
+  };
+
+  writer.segment = (marker, data) => {
+    writer.byte(0xff);
+    writer.byte(marker);
+    writer.uint16(data.length + 2);
+    writer.array(data);
+  };
+
+  writer.result = () => writer.bytes.slice(0, writer.length);
+  return writer;
+}
+
+// Helper: Magnitude category (bit count) of a coefficient
+function sizeOf(value) {
+  const magnitude = Math.abs(value);
+  let size = 0;
+  while (magnitude >= POW2[size]) {size += 1;}
+  return size;
+}
+
+function writeValue(writer, value, size) {
+  if (size > 0) {writer.bits(value < 0 ? value + POW2[size] - 1 : value, size);}
+}
+
+function encodeBlock(writer, component, coefficients, offset) {
+  const diff = coefficients[offset] - component.prediction;
+  component.prediction = coefficients[offset];
+  const dcSize = sizeOf(diff);
+  if (dcSize > 11) {throw new Error(t('image.errors.unsupportedJpeg'));}
+  writer.bits(component.dc.codes[dcSize], component.dc.lengths[dcSize]);
+  writeValue(writer, diff, dcSize);
+
+  let run = 0;
+  for (let k = 1; k < 64; k += 1) {
+    const value = coefficients[offset + k];
+    if (value === 0) {
+      run += 1;
+      continue;
+    }
+    while (run > 15) {
+      writer.bits(component.ac.codes[0xf0], component.ac.lengths[0xf0]);
+      run -= 16;
+    }
+    const size = sizeOf(value);
+    if (size > 10) {throw new Error(t('image.errors.unsupportedJpeg'));}
+    const symbol = run * 16 + size;
+    writer.bits(component.ac.codes[symbol], component.ac.lengths[symbol]);
+    writeValue(writer, value, size);
+    run = 0;
+  }
+  if (run > 0) {writer.bits(component.ac.codes[0], component.ac.lengths[0]);}
+}
+
+/**
+ * Encode coefficients (as returned by decodeJpegCoefficients) into a baseline JPEG.
+ * @returns {Uint8Array}
+ */
+export function encodeJpegCoefficients(image) {
+  const writer = createWriter();
+  writer.byte(0xff);
+  writer.byte(MARKER_SOI);
+  image.segments.forEach(({ marker, data }) => writer.segment(marker, data));
+
+  const usedTables = [...new Set(image.components.map(component => component.tq))];
+  let extended = false;
+  usedTables.forEach(id => {
+    const table = image.quantTables[id];
+    if (!table) {throw new Error(t('image.errors.invalidJpeg'));}
+    const wide = table.some(value => value > 255);
+    extended = extended || wide;
+    const data = [(wide ? 16 : 0) + id];
+    table.forEach(value => (wide ? data.push(Math.floor(value / 256), value % 256) : data.push(value)));
+    writer.segment(MARKER_DQT, data);
+  });
+
+  const frame = [8, Math.floor(image.height / 256), image.height % 256, Math.floor(image.width / 256), image.width % 256];
+  frame.push(image.components.length);
+  image.components.forEach(({ id, h, v, tq }) => frame.push(id, h * 16 + v, tq));
+  writer.segment(extended ? MARKER_SOF1 : MARKER_SOF0, frame);
+
+  const tableCount = image.components.length > 1 ? 2 : 1;
+  ['dc', 'ac'].forEach((kind, tableClass) => {
+    for (let id = 0; id < tableCount; id += 1) {
+      const { counts, symbols } = STANDARD_TABLES[kind][id];
+      writer.segment(MARKER_DHT, [tableClass * 16 + id, ...counts, ...symbols]);
+    }
+  });
+
+  const scan = [image.components.length];
+  image.components.forEach(({ id }, index) => {
+    const table = index === 0 ? 0 : tableCount - 1;
+    scan.push(id, table * 16 + table);
+  });
+  scan.push(0, 63, 0);
+  writer.segment(MARKER_SOS, scan);
+
+  const encoders = image.components.map((component, index) => {
+    const table = index === 0 ? 0 : tableCount - 1;
+    return {
+      ...component,
+      dc: buildEncodeTable(STANDARD_TABLES.dc[table]),
+      ac: buildEncodeTable(STANDARD_TABLES.ac[table]),
+      prediction: 0,
+    };
+  });
+
+  if (encoders.length === 1) {
+    const component = encoders[0];
+    const { columns, rows } = nonInterleavedSize(image, component);
+    for (let row = 0; row < rows; row += 1) {
+      for (let col = 0; col < columns; col += 1) {
+        encodeBlock(writer, component, component.coefficients, (row * component.blocksPerLine + col) * 64);
+      }
+    }
+  } else {
+    for (let mcuRow = 0; mcuRow < image.mcusPerColumn; mcuRow += 1) {
+      for (let mcuCol = 0; mcuCol < image.mcusPerLine; mcuCol += 1) {
+        encoders.forEach(component => {
+          for (let y = 0; y < component.v; y += 1) {
+            for (let x = 0; x < component.h; x += 1) {
+              const row = mcuRow * component.v + y;
+              const col = mcuCol * component.h + x;
+              encodeBlock(writer, component, component.coefficients, (row * component.blocksPerLine + col) * 64);
+            }
+          }
+        });
+      }
+    }
+  }
+  writer.flushBits();
+  writer.byte(0xff);
+  writer.byte(MARKER_EOI);
+  return writer.result();
+}
@@ -0,0 +1,56 @@
+/**
+ * Preprocessing of a scan's photo: the quality check (see imageQuality.js) and adjusted
+ * copies (see enhanceJpeg.js). Both decode the JPEG in JavaScript, which takes seconds for
+ * a whole phone photo. The quick check that runs before every OCR therefore stops after
+ * QUICK_CHECK_BLOCKS 8x8 blocks, the top band of a large photo; the full check and the
+ * adjustments run when the user asks for them.
+ *
+ * Adjusted copies are written to CachesDirectoryPath/adjusted until the scan takes them over
+ * (see replaceScanImage in src/history/historyStore.js); the photo itself is never changed.
+ */
+
+import RNFS from 'react-native-fs';
+
+import { enhanceJpeg } from './enhanceJpeg';
+import { assessJpeg } from './imageQuality';
+import { readJpegInfo } from './jpeg';
+import { base64ToBytes, bytesToBase64 } from '../utils/base64';
+import { toFsPath } from '../utils/paths';
+import { readImageBase64 } from '../vault/vault';
+
+const ADJUSTED_DIR = `${RNFS.CachesDirectoryPath}/adjusted`;
+// Blocks the quick check decodes: about a second on a phone, a third of a 12 MP photo
+export const QUICK_CHECK_BLOCKS = 100000;
+
+/**
+ * Quality of the photo at `uri` (see assessJpeg), or null when it cannot be judged (not a baseline JPEG).
+ * `quick` judges only the blocks that fit in QUICK_CHECK_BLOCKS.
+ */
+export async function checkImageQuality(uri, { quick = false } = {}) {
+  try {
+    const bytes = base64ToBytes(await readImageBase64(uri));
+    return assessJpeg(bytes, { maxBlocks: quick ? QUICK_CHECK_BLOCKS : undefined });
+  } catch (err) {
+    // No warning is better than a wrong one
+    return null;
+  }
+}
+
+/**
+ * Write an adjusted copy of the JPEG at `uri` (options as for enhanceJpeg).
+ * @returns {Promise<{ uri, size }>} the copy and its upright size in pixels
+ */
+export async function writeAdjustedImage(uri, options) {
+  const adjusted = enhanceJpeg(base64ToBytes(await readImageBase64(uri)), options);
+  const { width, height, exif } = readJpegInfo(adjusted);
+  const turned = exif.orientation >= 5;
+  if (!(await RNFS.exists(ADJUSTED_DIR))) {await RNFS.mkdir(ADJUSTED_DIR);}
+  const filePath = `${ADJUSTED_DIR}/adjusted_${Date.now()}.jpg`;
+  await RNFS.writeFile(filePath, bytesToBase64(adjusted), 'base64');
+  return { uri: `file://${filePath}`, size: turned ? { width: height, height: width } : { width, height } };
+}
+
+// Remove an adjusted copy once the scan holds its own
+export function discardAdjustedImage(uri) {
+  return RNFS.unlink(toFsPath(uri)).catch(() => {});
+}
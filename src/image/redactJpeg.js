@@ -0,0 +1,88 @@
+/**
+ * Black boxes over parts of a JPEG photo without re-compressing the rest of it
+ * (see src/image/jpegCoefficients.js). Every 8x8 block a box touches becomes flat
+ * black, so boxes grow outwards to the block grid; color blocks under a box are
+ * made neutral, which can leave a gray margin around it in subsampled images.
+ *
+ * The redacted file keeps only the EXIF orientation: the original EXIF may carry
+ * an unredacted thumbnail and the GPS position.
+ */
+
+import { readJpegInfo } from './jpeg';
+import { decodeJpegCoefficients, encodeJpegCoefficients } from './jpegCoefficients';
+import { t } from '../i18n/i18n';
+
+const MARKER_APP1 = 0xe1;
+const MARKER_COM = 0xfe;
+
+/**
+ * Frame of the upright image (EXIF orientation applied, as OCR frames are) in
+ * pixels of the raw, stored image of `width` x `height`. Orientations 1, 3, 6 and 8.
+ */
+export function toRawFrame(frame, orientation, width, height) {
+  const { left, top, width: w, height: h } = frame;
+  switch (orientation) {
+    case 3:
+      return { left: width - left - w, top: height - top - h, width: w, height: h };
+    case 6:
+      return { left: top, top: height - left - w, width: h, height: w };
+    case 8:
+      return { left: width - top - h, top: left, width: h, height: w };
+    default:
+      return { left, top, width: w, height: h };
+  }
+}
+
+// "Exif" APP1 payload holding nothing but the orientation tag (big-endian TIFF)
+export function orientationExif(orientation) {
+  return new Uint8Array([
+    0x45, 0x78, 0x69, 0x66, 0, 0, // "Exif\0\0"
+    0x4d, 0x4d, 0, 0x2a, 0, 0, 0, 8, // "MM", 42, IFD0 at 8
+    0, 1, // one entry
+    0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0, // Orientation, SHORT, 1 value
+    0, 0, 0, 0, // no next IFD
+  ]);
+}
+
+/**
+ * Redact `frames` (upright image pixels, see src/ocr/geometry.js) in a JPEG.
+ * @param {Uint8Array} bytes baseline JPEG, grayscale or YCbCr
+ * @param {Array} frames [{ left, top, width, height }]
+ * @param {number} padding extra pixels around each frame
+ * @returns {Uint8Array} the redacted JPEG
+ */
+export function redactJpeg(bytes, frames, padding = 2) {
+  const orientation = readJpegInfo(bytes).exif.orientation || 1;
+  const image = decodeJpegCoefficients(bytes);
+  if (image.components.length !== 1 && image.components.length !== 3) {
+    throw new Error(t('image.errors.unsupportedJpeg'));
+  }
+  const boxes = frames.map(frame => toRawFrame(frame, orientation, image.width, image.height));
+  const maxH = Math.max(...image.components.map(c => c.h));
+  const maxV = Math.max(...image.components.map(c => c.v));
+
+  image.components.forEach((component, index) => {
+    // Block size in full-resolution pixels
+    const blockWidth = (8 * maxH) / component.h;
+    const blockHeight = (8 * maxV) / component.v;
+    // Luma DC of an all-black block (-128 after level shift, times 8); chroma stays neutral at 0
+    const dc = index === 0 ? Math.round(-1024 / image.quantTables[component.tq][0]) : 0;
+    boxes.forEach(box => {
+      const firstCol = Math.max(0, Math.floor((box.left - padding) / blockWidth));
+      const lastCol = Math.min(component.blocksPerLine - 1, Math.floor((box.left + box.width + padding) / blockWidth));
+      const firstRow = Math.max(0, Math.floor((box.top - padding) / blockHeight));
+      const lastRow = Math.min(component.blocksPerColumn - 1, Math.floor((box.top + box.height + padding) / blockHeight));
+      for (let row = firstRow; row <= lastRow; row += 1) {
+        for (let col = firstCol; col <= lastCol; col += 1) {
+          const offset = (row * component.blocksPerLine + col) * 64;
+          component.coefficients.fill(0, offset, offset + 64);
+          component.coefficients[offset] = dc;
+        }
+      }
+    });
+  });
+
+  image.segments = image.segments.filter(({ marker }) => marker !== MARKER_APP1 && marker !== MARKER_COM);
+  if (orientation !== 1) {image.segments.push({ marker: MARKER_APP1, data: orientationExif(orientation) });}
+  return encodeJpegCoefficients(image);
+}
@@ -0,0 +1,52 @@
+/**
+ * Current device position through react-native-geolocation-service.
+ * Permission handling stays with the caller.
+ *
+ * Location: { latitude, longitude, accuracy, altitude, heading, fixTime }
+ * (accuracy in meters, altitude in meters or null, heading in degrees or null, fixTime ISO)
+ */
+
+import Geolocation from 'react-native-geolocation-service';
+
+// A fix older than this when it arrives came from the platform cache
+const CACHED_AFTER_MS = 15000;
+// How old a last known position may be when no fresh fix can be had
+const LAST_KNOWN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Helper: Geolocation position -> stored location
+export function toLocation(position) {
+  const { coords } = position;
+  const optional = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+  const heading = optional(coords.heading);
+  return {
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: optional(coords.accuracy),
+    altitude: optional(coords.altitude),
+    // Negative means no bearing (Android reports -1); 0 is due north
+    heading: heading !== null && heading >= 0 ? heading : null,
+    fixTime: position.timestamp ? new Date(position.timestamp).toISOString() : null,
+  };
+}
+
+function requestPosition(options) {
+  return new Promise((resolve) => {
+    Geolocation.getCurrentPosition(resolve, () => resolve(null), options);
+  });
+}
+
+/**
+ * Resolves with { location, source } where source is 'live' for a fresh fix and
+ * 'cached' for the last known position; null when no position is available.
+ */
+export async function getCurrentLocation() {
+  const requestedAt = Date.now();
+  const fresh = await requestPosition({ enableHighAccuracy: true, timeout: 10000, maximumAge: 10000 });
+  if (fresh) {
+    const stale = fresh.timestamp && requestedAt - fresh.timestamp > CACHED_AFTER_MS;
+    return { location: toLocation(fresh), source: stale ? 'cached' : 'live' };
+  }
+  // No fresh fix in time (indoors, GPS off): fall back to the last known position
+  const lastKnown = await requestPosition({ enableHighAccuracy: false, timeout: 2000, maximumAge: LAST_KNOWN_MAX_AGE_MS });
+  return lastKnown ? { location: toLocation(lastKnown), source: 'cached' } : null;
+}
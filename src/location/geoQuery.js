@@ -0,0 +1,107 @@
+/**
+ * Geographic queries over stored scans: distances (haversine), radius search,
+ * distance sorting, clustering by place and a flat projection for drawing.
+ * Pure functions; scans are history records with an optional `location`.
+ */
+
+import { formatNumber } from '../i18n/format';
+
+// Mean Earth radius in meters
+const EARTH_RADIUS = 6371008.8;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+function hasLocation(scan) {
+  return !!scan.location && typeof scan.location.latitude === 'number' && typeof scan.location.longitude === 'number';
+}
+
+// Great-circle distance in meters between two { latitude, longitude } points
+export function haversineDistance(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Located scans with their distance from `origin`, nearest first: [{ scan, distance }]
+export function sortByDistance(scans, origin) {
+  return scans
+    .filter(hasLocation)
+    .map(scan => ({ scan, distance: haversineDistance(origin, scan.location) }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// Located scans within `radius` meters of `origin`, nearest first
+export function scansWithin(scans, origin, radius) {
+  return sortByDistance(scans, origin).filter(({ distance }) => distance <= radius);
+}
+
+/**
+ * Group located scans into places: a scan joins the first cluster whose center
+ * is within `radius` meters, and the center moves to the mean of its members.
+ * @returns [{ id, center, scans, extent }] biggest first; extent is the farthest member's distance from the center
+ */
+export function clusterScans(scans, radius = 150) {
+  const clusters = [];
+  scans.filter(hasLocation).forEach(scan => {
+    const cluster = clusters.find(candidate => haversineDistance(candidate.center, scan.location) <= radius);
+    if (!cluster) {
+      clusters.push({ center: { latitude: scan.location.latitude, longitude: scan.location.longitude }, scans: [scan] });
+      return;
+    }
+    cluster.scans.push(scan);
+    const count = cluster.scans.length;
+    cluster.center = {
+      latitude: cluster.center.latitude + (scan.location.latitude - cluster.center.latitude) / count,
+      longitude: cluster.center.longitude + (scan.location.longitude - cluster.center.longitude) / count,
+    };
+  });
+  return clusters
+    .map((cluster, index) => ({
+      id: `cluster-${index}`,
+      center: cluster.center,
+      scans: cluster.scans,
+      extent: Math.max(...cluster.scans.map(scan => haversineDistance(cluster.center, scan.location))),
+    }))
+    .sort((a, b) => b.scans.length - a.scans.length);
+}
+
+// "35 m", "850 m", "1,2 km" ("1.2 km" in English), "12 km"
+export function formatDistance(meters) {
+  if (meters < 1000) {return `${formatNumber(Math.round(meters))} m`;}
+  const km = meters / 1000;
+  return `${formatNumber(km, km < 10 ? 1 : 0)} km`;
+}
+
+/**
+ * Fit points into a width x height box (equirectangular, longitude scaled by the
+ * cosine of the mean latitude so distances look right), y growing downwards.
+ * @returns {{ points: [{ x, y }], metersPerPixel }} points in input order
+ */
+export function projectPoints(points, width, height, padding = 16) {
+  if (points.length === 0) {return { points: [], metersPerPixel: 0 };}
+  const meanLat = points.reduce((sum, p) => sum + p.latitude, 0) / points.length;
+  const metersPerDegree = (Math.PI / 180) * EARTH_RADIUS;
+  const planar = points.map(p => ({
+    x: p.longitude * Math.cos(toRadians(meanLat)) * metersPerDegree,
+    y: p.latitude * metersPerDegree,
+  }));
+  const minX = Math.min(...planar.map(p => p.x));
+  const maxX = Math.max(...planar.map(p => p.x));
+  const minY = Math.min(...planar.map(p => p.y));
+  const maxY = Math.max(...planar.map(p => p.y));
+  // A single point (or a tight group) still gets a 100 m wide view
+  const spanX = Math.max(maxX - minX, 100);
+  const spanY = Math.max(maxY - minY, 100);
+  const metersPerPixel = Math.max(spanX / (width - 2 * padding), spanY / (height - 2 * padding));
+  const offsetX = (width - (maxX - minX) / metersPerPixel) / 2;
+  const offsetY = (height - (maxY - minY) / metersPerPixel) / 2;
+  return {
+    points: planar.map(p => ({
+      x: offsetX + (p.x - minX) / metersPerPixel,
+      y: offsetY + (maxY - p.y) / metersPerPixel,
+    })),
+    metersPerPixel,
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Where a scan was made, and how we know.
+ *
+ * Gallery images prefer the GPS position and capture time from their own EXIF
+ * (the phone's current position says nothing about where an old photo was taken);
+ * everything else falls back to the device position.
+ *
+ * Resolves with { location, locationSource, capturedAt }:
+ * - locationSource: 'exif' | 'live' | 'cached' | 'none' (labels under location.sources)
+ * - capturedAt: ISO capture time from EXIF or the picker, when known
+ */
+
+import RNFS from 'react-native-fs';
+
+import { readJpegExif } from '../image/jpeg';
+import { exifCaptureTime } from '../image/exif';
+import { base64ToBytes } from '../utils/base64';
+import { toFsPath } from '../utils/paths';
+
+// The EXIF block sits in the first 64 KB of a JPEG; a little more covers JFIF/ICC blocks before it
+const EXIF_READ_BYTES = 128 * 1024;
+
+// EXIF GPS -> stored location shape (see src/location/currentLocation.js), or null
+export function exifLocation(exif) {
+  const gps = exif && exif.gps;
+  if (!gps) {return null;}
+  return {
+    latitude: gps.latitude,
+    longitude: gps.longitude,
+    accuracy: gps.accuracy === undefined ? null : gps.accuracy,
+    altitude: gps.altitude === undefined ? null : gps.altitude,
+    heading: gps.heading === undefined ? null : gps.heading,
+    fixTime: gps.timestamp || null,
+  };
+}
+
+// EXIF of an image file; empty when unreadable or not a JPEG
+export async function readImageExif(uri) {
+  try {
+    const base64 = await RNFS.read(toFsPath(uri), EXIF_READ_BYTES, 0, 'base64');
+    return readJpegExif(base64ToBytes(base64));
+  } catch (err) {
+    return {};
+  }
+}
+
+function isoOrNull(value) {
+  if (!value) {return null;}
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * @param {Object} image { uri, source ('camera'|'gallery'), pickerTimestamp? } — pickerTimestamp is
+ *   the asset timestamp launchImageLibrary reports with includeExtra
+ * @param {Function} liveLocation () => Promise<{ location, source } | null>, only called when needed
+ */
+export async function resolveScanLocation(image, liveLocation) {
+  let capturedAt = null;
+  if (image.source === 'gallery') {
+    const exif = await readImageExif(image.uri);
+    capturedAt = exifCaptureTime(exif) || isoOrNull(image.pickerTimestamp);
+    const location = exifLocation(exif);
+    if (location) {return { location, locationSource: 'exif', capturedAt };}
+  }
+  try {
+    const live = await liveLocation();
+    if (live) {return { location: live.location, locationSource: live.source, capturedAt };}
+  } catch (err) {
+    // A failed fix only means the scan has no location
+  }
+  return { location: null, locationSource: 'none', capturedAt };
+}
@@ -0,0 +1,40 @@
+/**
+ * Barcode and QR code detection on a scanned image, through ML Kit on the device.
+ * Runs next to text recognition; its results are stored on the scan as `barcodes`
+ * (see src/extract/barcodePayload.js for the parsed payloads).
+ */
+
+import BarcodeScanning, { BarcodeFormat } from '@react-native-ml-kit/barcode-scanning';
+
+import { parseBarcodePayload } from '../extract/barcodePayload';
+
+// ML Kit format ids -> the names stored with scans
+const FORMAT_NAMES = {
+  [BarcodeFormat.QR_CODE]: 'qr',
+  [BarcodeFormat.DATA_MATRIX]: 'dataMatrix',
+  [BarcodeFormat.PDF417]: 'pdf417',
+  [BarcodeFormat.AZTEC]: 'aztec',
+  [BarcodeFormat.EAN_13]: 'ean13',
+  [BarcodeFormat.EAN_8]: 'ean8',
+  [BarcodeFormat.UPC_A]: 'upcA',
+  [BarcodeFormat.UPC_E]: 'upcE',
+  [BarcodeFormat.CODE_128]: 'code128',
+  [BarcodeFormat.CODE_39]: 'code39',
+  [BarcodeFormat.CODE_93]: 'code93',
+  [BarcodeFormat.CODABAR]: 'codabar',
+  [BarcodeFormat.ITF]: 'itf',
+};
+
+/**
+ * Barcodes in the image, each once, in the order ML Kit found them.
+ * @returns {Promise<Array<{ format: string, value: string, payload: Object }>>}
+ */
+export async function scanBarcodes(uri) {
+  const found = await BarcodeScanning.scan(uri);
+  const barcodes = [];
+  (found || []).forEach(({ format, value }) => {
+    if (!value || barcodes.some(barcode => barcode.value === value)) {return;}
+    barcodes.push({ format: FORMAT_NAMES[format] || 'unknown', value, payload: parseBarcodePayload(value) });
+  });
+  return barcodes;
+}
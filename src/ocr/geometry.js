@@ -0,0 +1,210 @@
+/**
+ * Helpers for the structured ML Kit recognition result
+ * ({ text, blocks: [{ frame, cornerPoints, lines: [{ elements: [...] }] }] }).
+ *
+ * Frames are in image pixels: { left, top, width, height }.
+ * Pure functions, shared by the overlay and anything that needs word/line positions.
+ */
+
+// Helper: Bounding frame of corner points, for results that carry no frame
+function frameFromCornerPoints(points) {
+  if (!points || points.length === 0) {return null;}
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  return { left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+}
+
+// Frame of a block, line or element
+export function frameOf(node) {
+  return node.frame || frameFromCornerPoints(node.cornerPoints);
+}
+
+/**
+ * Keep only what the app needs from a recognition result, in a plain
+ * JSON-serializable shape that can be stored with the scan.
+ */
+export function toStoredResult(result) {
+  if (!result) {return null;}
+  const node = ({ text, frame, cornerPoints }) => ({
+    text: text || '',
+    frame: frame || null,
+    cornerPoints: cornerPoints ? cornerPoints.map(p => ({ x: p.x, y: p.y })) : null,
+  });
+  return {
+    text: result.text || '',
+    blocks: (result.blocks || []).map(block => ({
+      ...node(block),
+      recognizedLanguages: block.recognizedLanguages || [],
+      lines: (block.lines || []).map(line => ({
+        ...node(line),
+        recognizedLanguages: line.recognizedLanguages || [],
+        elements: (line.elements || []).map(node),
+      })),
+    })),
+  };
+}
+
+/**
+ * Flatten the result into selectable items.
+ * @param {string} level 'word' (elements) or 'line'
+ * @returns {Array} [{ key, text, frame, blockIndex, lineIndex }] in reading order
+ */
+export function selectableItems(result, level = 'word') {
+  const items = [];
+  if (!result || !result.blocks) {return items;}
+  result.blocks.forEach((block, blockIndex) => {
+    (block.lines || []).forEach((line, lineIndex) => {
+      if (level === 'line') {
+        const frame = frameOf(line);
+        if (frame) {items.push({ key: `${blockIndex}.${lineIndex}`, text: line.text, frame, blockIndex, lineIndex });}
+        return;
+      }
+      (line.elements || []).forEach((element, elementIndex) => {
+        const frame = frameOf(element);
+        if (frame) {
+          items.push({
+            key: `${blockIndex}.${lineIndex}.${elementIndex}`,
+            text: element.text,
+            frame,
+            blockIndex,
+            lineIndex,
+          });
+        }
+      });
+    });
+  });
+  return items;
+}
+
+/**
+ * Group OCR lines (or words) into visual rows, top to bottom. ML Kit often puts columns of
+ * one printed row (label left, amount right) into different blocks; rows bring them back together.
+ * @param {string} level 'line' or 'word'
+ * @returns {Array} rows, each an array of { text, frame } sorted left to right
+ */
+export function layoutRows(result, level = 'line') {
+  const lines = selectableItems(result, level)
+    .filter(item => item.text)
+    .map(({ text, frame }) => ({ text, frame }));
+  const center = frame => frame.top + frame.height / 2;
+  lines.sort((a, b) => center(a.frame) - center(b.frame));
+
+  const rows = [];
+  lines.forEach(line => {
+    const row = rows[rows.length - 1];
+    // Same row when the vertical centers are within half the smaller line height
+    if (row && Math.abs(center(line.frame) - row.center) <= Math.min(line.frame.height, row.height) / 2) {
+      row.items.push(line);
+    } else {
+      rows.push({ center: center(line.frame), height: line.frame.height, items: [line] });
+    }
+  });
+  return rows.map(row => row.items.sort((a, b) => a.frame.left - b.frame.left));
+}
+
+/**
+ * Direction of the text: the baselines of all lines (corner points 0 -> 1) added up, so long
+ * lines weigh more. Angles are in degrees, clockwise, as the image is shown.
+ * @returns {{ rotation, skew }|null} rotation: quarter turn (0, 90, 180, 270) nearest to the
+ *   text direction; skew: what remains, between -45 and 45
+ */
+export function textAngle(result) {
+  let dx = 0;
+  let dy = 0;
+  (result && result.blocks ? result.blocks : []).forEach(block => {
+    (block.lines || []).forEach(({ cornerPoints }) => {
+      if (!cornerPoints || cornerPoints.length < 2) {return;}
+      dx += cornerPoints[1].x - cornerPoints[0].x;
+      dy += cornerPoints[1].y - cornerPoints[0].y;
+    });
+  });
+  if (dx === 0 && dy === 0) {return null;}
+  const angle = (Math.atan2(dy, dx) * 180) / Math.PI;
+  const quarter = Math.round(angle / 90) * 90;
+  return { rotation: (quarter + 360) % 360, skew: angle - quarter };
+}
+
+// Frame around all recognized lines, or null
+export function textFrame(result) {
+  const frames = selectableItems(result, 'line').map(item => item.frame);
+  if (frames.length === 0) {return null;}
+  const left = Math.min(...frames.map(frame => frame.left));
+  const top = Math.min(...frames.map(frame => frame.top));
+  return {
+    left,
+    top,
+    width: Math.max(...frames.map(frame => frame.left + frame.width)) - left,
+    height: Math.max(...frames.map(frame => frame.top + frame.height)) - top,
+  };
+}
+
+/**
+ * Scale and offset of an image drawn with resizeMode="contain" inside a view.
+ * View point = image point * scale + offset.
+ */
+export function containLayout(imageWidth, imageHeight, viewWidth, viewHeight) {
+  if (!imageWidth || !imageHeight || !viewWidth || !viewHeight) {
+    return { scale: 0, offsetX: 0, offsetY: 0 };
+  }
+  const scale = Math.min(viewWidth / imageWidth, viewHeight / imageHeight);
+  return {
+    scale,
+    offsetX: (viewWidth - imageWidth * scale) / 2,
+    offsetY: (viewHeight - imageHeight * scale) / 2,
+  };
+}
+
+// Map a view point back to image pixels
+export function toImagePoint(layout, x, y) {
+  return { x: (x - layout.offsetX) / layout.scale, y: (y - layout.offsetY) / layout.scale };
+}
+
+// Item under an image point, or null
+export function hitTest(items, point) {
+  return (
+    items.find(
+      ({ frame }) =>
+        point.x >= frame.left &&
+        point.x <= frame.left + frame.width &&
+        point.y >= frame.top &&
+        point.y <= frame.top + frame.height,
+    ) || null
+  );
+}
+
+// Items whose frame intersects the rectangle spanned by two image points
+export function itemsInRect(items, a, b) {
+  const left = Math.min(a.x, b.x);
+  const right = Math.max(a.x, b.x);
+  const top = Math.min(a.y, b.y);
+  const bottom = Math.max(a.y, b.y);
+  return items.filter(
+    ({ frame }) =>
+      frame.left <= right &&
+      frame.left + frame.width >= left &&
+      frame.top <= bottom &&
+      frame.top + frame.height >= top,
+  );
+}
+
+/**
+ * Text of the selected items in reading order: items on the same line are
+ * joined with spaces, separate lines with newlines.
+ */
+export function selectionText(items, selectedKeys) {
+  const selected = new Set(selectedKeys);
+  const lines = [];
+  let currentLine = null;
+  items.forEach(item => {
+    if (!selected.has(item.key)) {return;}
+    const lineKey = `${item.blockIndex}.${item.lineIndex}`;
+    if (!currentLine || currentLine.key !== lineKey) {
+      currentLine = { key: lineKey, words: [] };
+      lines.push(currentLine);
+    }
+    currentLine.words.push(item.text);
+  });
+  return lines.map(line => line.words.join(' ')).join('\n');
+}
@@ -0,0 +1,124 @@
+/**
+ * OCR engine that sends the image to a self-hosted OCR server.
+ *
+ * Request: POST <url>, JSON body { image: <base64>, mimeType, script },
+ * with "Authorization: Bearer <token>" when a token is set.
+ *
+ * Response (JSON):
+ *   { text, confidence?, blocks?: [{ text, bbox | frame, confidence?, lines?: [{ text, bbox | frame, confidence?, words?: [...] }] }] }
+ * - bbox is [x0, y0, x1, y1], frame { left, top, width, height }, both in image pixels
+ * - confidence is 0..1 or a 0..100 percentage
+ * - without `text`, the text is rebuilt from the block lines
+ */
+
+import RNFS from 'react-native-fs';
+
+import { toEngineResult } from './ocrEngine';
+import { toFsPath } from '../utils/paths';
+import { t } from '../i18n/i18n';
+
+export const DEFAULT_HTTP_TIMEOUT = 30000;
+
+// Helper: frame from { frame } or { bbox: [x0, y0, x1, y1] }, or null
+function frameOf(node) {
+  if (node.frame && typeof node.frame.left === 'number') {
+    const { left, top, width, height } = node.frame;
+    return { left, top, width, height };
+  }
+  if (Array.isArray(node.bbox) && node.bbox.length === 4) {
+    const [x0, y0, x1, y1] = node.bbox;
+    return { left: x0, top: y0, width: x1 - x0, height: y1 - y0 };
+  }
+  return null;
+}
+
+// Helper: 0..1 confidence from a fraction or a percentage, or null
+function toConfidence(value) {
+  if (typeof value !== 'number' || isNaN(value)) {return null;}
+  const fraction = value > 1 ? value / 100 : value;
+  return Math.min(1, Math.max(0, fraction));
+}
+
+// Helper: server word/line/block -> ML Kit-like node
+function mapWord(word) {
+  return { text: word.text || '', frame: frameOf(word) };
+}
+
+function mapLine(line) {
+  return { ...mapWord(line), elements: (line.words || line.elements || []).map(mapWord) };
+}
+
+function mapBlock(block) {
+  return { ...mapWord(block), lines: (block.lines || []).map(mapLine) };
+}
+
+/**
+ * Server JSON -> { text, blocks, confidence } with ML Kit-like nodes.
+ * Page confidence is the server's own, or the mean of the line confidences.
+ */
+export function mapServerResponse(json) {
+  if (!json || typeof json !== 'object') {throw new Error(t('ocr.errors.invalidResponse'));}
+  const serverBlocks = Array.isArray(json.blocks) ? json.blocks : [];
+  const blocks = serverBlocks.map(mapBlock);
+  const text =
+    typeof json.text === 'string'
+      ? json.text
+      : blocks.map(block => block.lines.map(line => line.text).join('\n')).join('\n');
+
+  let confidence = toConfidence(json.confidence);
+  if (confidence === null) {
+    const lineConfidences = serverBlocks
+      .flatMap(block => block.lines || [])
+      .map(line => toConfidence(line.confidence))
+      .filter(value => value !== null);
+    if (lineConfidences.length > 0) {
+      confidence = lineConfidences.reduce((sum, value) => sum + value, 0) / lineConfidences.length;
+    }
+  }
+  return { text, blocks, confidence };
+}
+
+function mimeTypeOf(uri) {
+  return /\.png$/i.test(uri.split('?')[0]) ? 'image/png' : 'image/jpeg';
+}
+
+/**
+ * @param {Object} config { url, token?, timeout? (ms) }
+ */
+export function createHttpEngine({ url, token = '', timeout = DEFAULT_HTTP_TIMEOUT }) {
+  return {
+    id: 'http',
+    label: 'OCR server',
+    async recognize(uri, { script } = {}) {
+      if (!url) {throw new Error(t('ocr.errors.noServer'));}
+      const image = await RNFS.readFile(toFsPath(uri), 'base64');
+      const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+      if (token) {headers.Authorization = `Bearer ${token}`;}
+
+      // The timeout covers the whole exchange, reading the body included
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let json;
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ image, mimeType: mimeTypeOf(uri), script: script || null }),
+          signal: controller.signal,
+        });
+        if (!response.ok) {throw new Error(t('ocr.errors.serverStatus', { status: response.status }));}
+        json = await response.json().catch(() => {
+          throw new Error(t('ocr.errors.invalidResponse'));
+        });
+      } catch (err) {
+        if (controller.signal.aborted) {throw new Error(t('ocr.errors.timeout'));}
+        if (err instanceof TypeError) {throw new Error(t('ocr.errors.unreachable', { reason: err.message || t('common.unknownError') }));}
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+      const { text, blocks, confidence } = mapServerResponse(json);
+      return toEngineResult('http', { text, blocks }, confidence);
+    },
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * On-device OCR engine backed by ML Kit (the default engine).
+ */
+
+import TextRecognition from '@react-native-ml-kit/text-recognition';
+
+import { toEngineResult } from './ocrEngine';
+
+export const mlKitEngine = {
+  id: 'mlkit',
+  label: 'ML Kit',
+  // ML Kit reports no confidence through the React Native module
+  async recognize(uri, { script } = {}) {
+    const result = await TextRecognition.recognize(uri, script);
+    return toEngineResult('mlkit', result);
+  },
+};
@@ -0,0 +1,77 @@
+/**
+ * OCR engine layer.
+ *
+ * An engine is { id, label, recognize(uri, options) } where options carries the
+ * recognition `script`, and recognize resolves with the common result shape:
+ *   { engine, text, blocks, confidence }
+ * - engine: id of the engine that produced the result ('mlkit', 'http')
+ * - blocks: blocks/lines/elements in the stored shape of src/ocr/geometry.js
+ * - confidence: 0..1 for the whole page, or null when the engine reports none (ML Kit)
+ *
+ * Engines live in src/ocr/mlkitEngine.js and src/ocr/httpEngine.js;
+ * src/ocr/recognize.js picks them from the settings.
+ */
+
+import { t } from '../i18n/i18n';
+import { toStoredResult } from './geometry';
+
+// Engine ids; their names are under ocr.engines in the catalogs
+export const OCR_ENGINES = ['mlkit', 'http'];
+
+// When the other engine gets a second try (labels under ocr.fallback)
+export const FALLBACK_POLICIES = ['none', 'empty', 'error'];
+
+// Engine-specific result ({ text, blocks } with ML Kit-like nodes) -> common result shape
+export function toEngineResult(engine, result, confidence = null) {
+  const stored = toStoredResult(result) || { text: '', blocks: [] };
+  return { engine, text: stored.text, blocks: stored.blocks, confidence };
+}
+
+/**
+ * One-line description of which engine read a stored result, e.g.
+ * "OCR server · pouzdanost 87% · rezervni pokušaj (nema teksta)"; null for results stored before engines
+ */
+export function engineSummary(ocrResult) {
+  if (!ocrResult || !ocrResult.engine) {return null;}
+  const parts = [OCR_ENGINES.includes(ocrResult.engine) ? t(`ocr.engineNames.${ocrResult.engine}`) : ocrResult.engine];
+  if (typeof ocrResult.confidence === 'number') {
+    parts.push(t('ocr.confidence', { percent: Math.round(ocrResult.confidence * 100) }));
+  }
+  if (ocrResult.fallbackReason) {
+    parts.push(t(ocrResult.fallbackReason === 'error' ? 'ocr.fallbackAfterError' : 'ocr.fallbackAfterEmpty'));
+  }
+  return parts.join(' · ');
+}
+
+export function hasText(result) {
+  return !!result && !!result.text && !!result.text.trim();
+}
+
+/**
+ * Recognize with `primary`, and retry with `fallback` when the policy calls for it:
+ * - 'none': primary only
+ * - 'empty': fallback when primary finds no text (errors are thrown)
+ * - 'error': fallback when primary fails or finds no text
+ * Resolves with the engine result plus `fallbackReason` ('empty' | 'error' | null).
+ * A failing fallback keeps the primary's empty result, or rethrows the primary's error.
+ */
+export async function recognizeWithFallback(uri, { primary, fallback = null, policy = 'none' }, options = {}) {
+  const canFallBack = !!fallback && policy !== 'none' && fallback.id !== primary.id;
+  let result = null;
+  let primaryError = null;
+  try {
+    result = await primary.recognize(uri, options);
+  } catch (err) {
+    if (!canFallBack || policy !== 'error') {throw err;}
+    primaryError = err;
+  }
+  if (result && (hasText(result) || !canFallBack)) {return { ...result, fallbackReason: null };}
+
+  try {
+    const second = await fallback.recognize(uri, options);
+    return { ...second, fallbackReason: primaryError ? 'error' : 'empty' };
+  } catch (err) {
+    if (primaryError) {throw primaryError;}
+    return { ...result, fallbackReason: null };
+  }
+}
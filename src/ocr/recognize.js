@@ -0,0 +1,52 @@
+/**
+ * Single entry point for running text recognition on an image, through the
+ * configured OCR engines (see src/ocr/ocrEngine.js).
+ */
+
+import { recognizeWithFallback } from './ocrEngine';
+import { mlKitEngine } from './mlkitEngine';
+import { createHttpEngine } from './httpEngine';
+import { processText } from '../text/postProcess';
+
+/**
+ * Primary engine, fallback and policy from the settings. The fallback is the other
+ * engine; the server only counts when its address is set. Without `server` (the user
+ * kept a vault scan off the server) ML Kit runs alone.
+ */
+export function enginesFromSettings(settings, { server = true } = {}) {
+  if (!server) {return { primary: mlKitEngine };}
+  const url = (settings.ocrServerUrl || '').trim();
+  const http = createHttpEngine({ url, token: settings.ocrServerToken, timeout: settings.ocrServerTimeout });
+  if (settings.ocrEngine === 'http') {
+    return { primary: http, fallback: mlKitEngine, policy: settings.ocrFallback };
+  }
+  return { primary: mlKitEngine, fallback: url ? http : null, policy: settings.ocrFallback };
+}
+
+/**
+ * Whether recognizing with `engines` may send the image to the OCR server.
+ */
+export function usesServer({ primary, fallback = null, policy = 'none' }) {
+  return primary.id === 'http' || (!!fallback && fallback.id === 'http' && policy !== 'none');
+}
+
+/**
+ * Recognize text in an image.
+ * @param {Object|null} textOptions post-processing steps (see src/text/postProcess.js); null keeps the raw text
+ * @param {Object} engines { primary, fallback, policy } (see enginesFromSettings); ML Kit alone by default
+ * @returns {Promise<{ text: string, rawText: string, ocrResult: Object }>} text is the processed text,
+ *   rawText the text as recognized ('' when nothing was found); ocrResult is the structured result in its
+ *   stored shape, with the id of the engine that produced it, its confidence and why a fallback ran
+ */
+export async function recognizeImage(uri, script, textOptions = null, engines = { primary: mlKitEngine }) {
+  const result = await recognizeWithFallback(uri, engines, { script });
+  const rawText = result.text.trim() ? result.text : '';
+  const ocrResult = {
+    text: result.text,
+    blocks: result.blocks,
+    engine: result.engine,
+    confidence: result.confidence,
+    fallbackReason: result.fallbackReason,
+  };
+  return { text: processText(rawText, ocrResult, textOptions), rawText, ocrResult };
+}
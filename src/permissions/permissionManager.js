@@ -0,0 +1,177 @@
+/**
+ * Runtime permissions, in one place
+ *
+ * Every feature asks for a permission *kind* (camera, location, ...);
+ * the manager maps it to the Android permissions of the device's API level:
+ * - mediaLocation: on Android 10+ the media read permission (READ_MEDIA_IMAGES on
+ *   Android 13+, where READ_EXTERNAL_STORAGE is always denied, READ_EXTERNAL_STORAGE
+ *   below) followed by ACCESS_MEDIA_LOCATION, asked in one go; the system grants
+ *   media location only to an app that may read the media, so asked alone it would
+ *   come back denied, be remembered and never be asked again. Picking images goes
+ *   through the system photo picker, which needs neither
+ * - saveToGallery / exportFiles: WRITE_EXTERNAL_STORAGE only before scoped storage
+ *   (Android 10 for MediaStore inserts, Android 11 for Downloads)
+ *
+ * Outcomes are remembered in RNFS.DocumentDirectoryPath/permissions.json as
+ * { [kind]: { status, updatedAt } } (status 'granted', 'denied' or 'blocked'):
+ * - 'blocked' is Android's never_ask_again; the system no longer shows a dialog,
+ *   so the user is offered the app's settings instead
+ * - quiet requests (background needs such as tagging a scan's location) do not
+ *   prompt again once the user said no; the permissions screen can ask again
+ *
+ * iOS asks through the libraries themselves (Info.plist descriptions), so every kind
+ * counts as granted there. Each kind's label, reason and denial message are under
+ * permissions.kinds.<kind> in the catalogs.
+ */
+
+import { Alert, Linking, PermissionsAndroid, Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+
+import { t } from '../i18n/i18n';
+
+const STATE_FILE = `${RNFS.DocumentDirectoryPath}/permissions.json`;
+
+// Permission kinds in the order the permissions screen lists them
+export const PERMISSION_KINDS = ['camera', 'mediaLocation', 'location', 'saveToGallery', 'exportFiles'];
+
+// Remembered outcomes, loaded on first use
+let remembered = null;
+// Serializes read-modify-write cycles on permissions.json
+let stateQueue = Promise.resolve();
+
+/**
+ * Android permissions a kind needs on `apiLevel`; empty when none is needed.
+ */
+export function androidPermissionsFor(kind, apiLevel) {
+  const { PERMISSIONS } = PermissionsAndroid;
+  switch (kind) {
+    case 'camera':
+      return [PERMISSIONS.CAMERA];
+    case 'mediaLocation':
+      if (apiLevel < 29) {return [];}
+      return [
+        apiLevel >= 33 ? PERMISSIONS.READ_MEDIA_IMAGES : PERMISSIONS.READ_EXTERNAL_STORAGE,
+        PERMISSIONS.ACCESS_MEDIA_LOCATION,
+      ];
+    case 'location':
+      return [PERMISSIONS.ACCESS_FINE_LOCATION];
+    case 'saveToGallery':
+      return apiLevel >= 29 ? [] : [PERMISSIONS.WRITE_EXTERNAL_STORAGE];
+    case 'exportFiles':
+      return apiLevel >= 30 ? [] : [PERMISSIONS.WRITE_EXTERNAL_STORAGE];
+    default:
+      throw new Error(t('permissions.errors.unknownKind', { kind }));
+  }
+}
+
+// Helper: The kind's Android permissions on this device, or [] where the OS handles them
+function devicePermissions(kind) {
+  return Platform.OS === 'android' ? androidPermissionsFor(kind, Platform.Version) : [];
+}
+
+async function readState() {
+  if (remembered) {return remembered;}
+  try {
+    remembered = (await RNFS.exists(STATE_FILE)) ? JSON.parse(await RNFS.readFile(STATE_FILE, 'utf8')) : {};
+  } catch (err) {
+    // Forgetting past answers only means asking again
+    remembered = {};
+  }
+  return remembered;
+}
+
+function rememberStatus(kind, status) {
+  const run = stateQueue.then(async () => {
+    const state = await readState();
+    if (state[kind] && state[kind].status === status) {return;}
+    remembered = { ...state, [kind]: { status, updatedAt: new Date().toISOString() } };
+    await RNFS.writeFile(STATE_FILE, JSON.stringify(remembered), 'utf8');
+  });
+  stateQueue = run.catch(() => {});
+  return stateQueue;
+}
+
+async function allGranted(permissions) {
+  const checks = await Promise.all(permissions.map(permission => PermissionsAndroid.check(permission)));
+  return checks.every(Boolean);
+}
+
+export function openAppSettings() {
+  return Linking.openSettings().catch(() => {
+    Alert.alert(t('common.error'), t('permissions.settingsUnavailable'));
+  });
+}
+
+// Helper: Tell the user the permission is off for good and offer the app settings
+function showBlocked(kind) {
+  Alert.alert(t('permissions.blockedTitle'), t('permissions.blockedMessage', { reason: t(`permissions.kinds.${kind}.denied`) }), [
+    { text: t('common.cancel'), style: 'cancel' },
+    { text: t('permissions.openSettings'), onPress: openAppSettings },
+  ]);
+}
+
+/**
+ * Make sure `kind` is granted, asking if needed; resolves true when the feature may go on.
+ * Denials are explained in an alert unless `quiet`; quiet requests also do not ask
+ * again once the user declined.
+ */
+export async function ensurePermission(kind, { quiet = false } = {}) {
+  const permissions = devicePermissions(kind);
+  if (permissions.length === 0) {return true;}
+
+  try {
+    if (await allGranted(permissions)) {
+      await rememberStatus(kind, 'granted');
+      return true;
+    }
+    const previous = (await readState())[kind];
+    if (previous && previous.status === 'blocked') {
+      // Android would answer never_ask_again without showing anything
+      if (!quiet) {showBlocked(kind);}
+      return false;
+    }
+    if (quiet && previous && previous.status === 'denied') {return false;}
+
+    const results = await PermissionsAndroid.requestMultiple(permissions);
+    const answers = permissions.map(permission => results[permission]);
+    if (answers.every(answer => answer === PermissionsAndroid.RESULTS.GRANTED)) {
+      await rememberStatus(kind, 'granted');
+      return true;
+    }
+    const blocked = answers.includes(PermissionsAndroid.RESULTS.NEVER_ASK_AGAIN);
+    await rememberStatus(kind, blocked ? 'blocked' : 'denied');
+    if (!quiet) {
+      if (blocked) {
+        showBlocked(kind);
+      } else {
+        Alert.alert(t('permissions.deniedTitle'), t(`permissions.kinds.${kind}.denied`));
+      }
+    }
+    return false;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Status of every kind for the permissions screen:
+ * [{ kind, status, permissions }], status being
+ * 'granted', 'denied', 'blocked' or 'notNeeded'.
+ */
+export async function permissionStatuses() {
+  const state = await readState();
+  const statuses = [];
+  for (const kind of PERMISSION_KINDS) {
+    const permissions = devicePermissions(kind);
+    let status = 'notNeeded';
+    if (permissions.length > 0) {
+      if (await allGranted(permissions).catch(() => false)) {
+        status = 'granted';
+      } else {
+        status = state[kind] && state[kind].status === 'blocked' ? 'blocked' : 'denied';
+      }
+    }
+    statuses.push({ kind, status, permissions });
+  }
+  return statuses;
+}
@@ -0,0 +1,265 @@
+/**
+ * Sensitive values in scanned text: personal ID numbers (JMBG), payment card
+ * numbers, IBANs, domestic bank accounts, phone numbers and email addresses.
+ *
+ * Candidates come from patterns and are kept only when their checksum holds
+ * (JMBG mod-11, Luhn, IBAN and account mod-97), so amounts and invoice numbers stay unflagged.
+ * Matches are [{ type, start, end, value }] over the searched text, in reading order.
+ * Pure functions.
+ */
+
+import { t } from '../i18n/i18n';
+import { isValidBankAccount, isValidIban } from '../extract/serbianNumbers';
+import { EMAIL_RE, normalizePhone } from '../extract/businessCard';
+import { frameOf } from '../ocr/geometry';
+
+// Match types; their names are under privacy.types in the catalogs
+export const SENSITIVE_TYPES = ['jmbg', 'card', 'iban', 'account', 'phone', 'email'];
+
+// What happens when text that leaves the app contains sensitive values
+export const SENSITIVE_POLICIES = ['warn', 'redact', 'allow'];
+
+const MASK_CHAR = '*';
+const DATE_LIKE = /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/;
+
+// JMBG: DDMMYYY RR BBB K, K being the mod-11 control digit (10 and 11 become 0)
+export function isValidJmbg(jmbg) {
+  const digits = String(jmbg || '').replace(/\s/g, '');
+  if (!/^\d{13}$/.test(digits)) {return false;}
+  const day = Number(digits.slice(0, 2));
+  const month = Number(digits.slice(2, 4));
+  if (day < 1 || day > 31 || month < 1 || month > 12) {return false;}
+  const d = digits.split('').map(Number);
+  const sum =
+    7 * (d[0] + d[6]) + 6 * (d[1] + d[7]) + 5 * (d[2] + d[8]) + 4 * (d[3] + d[9]) + 3 * (d[4] + d[10]) + 2 * (d[5] + d[11]);
+  const control = 11 - (sum % 11);
+  return (control > 9 ? 0 : control) === d[12];
+}
+
+// Payment card number: 13 to 19 digits (spaces and dashes allowed) passing the Luhn check
+export function isLuhnValid(number) {
+  const digits = String(number || '').replace(/[\s-]/g, '');
+  if (!/^\d{13,19}$/.test(digits) || /^0+$/.test(digits)) {return false;}
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {digit -= 9;}
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isPhoneNumber(value) {
+  return !DATE_LIKE.test(value) && normalizePhone(value) !== null;
+}
+
+// Checked in this order: characters taken by an earlier type are not matched again
+const DETECTORS = [
+  { type: 'iban', re: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){10,34}\b/g, valid: isValidIban },
+  // "265-0000000012345-12", or the 18 digits of an IPS QR code
+  { type: 'account', re: /\b\d{3}-\d{1,13}-\d{2}\b|\b\d{18}\b/g, valid: isValidBankAccount },
+  { type: 'jmbg', re: /\b\d{13}\b/g, valid: isValidJmbg },
+  { type: 'card', re: /\b\d(?:[ -]?\d){12,24}\b/g, valid: isLuhnValid },
+  { type: 'phone', re: /(?:\+|\b0)\d[\d ()/-]{5,}\d\b/g, valid: isPhoneNumber },
+  { type: 'email', re: EMAIL_RE, valid: () => true },
+];
+
+// Helper: Longest run of whole groups (split on spaces/dashes) within `value` that is valid
+function bestSpan(value, valid) {
+  const groups = Array.from(value.matchAll(/[^\s-]+/g), match => ({ start: match.index, end: match.index + match[0].length }));
+  for (let length = groups.length; length > 0; length -= 1) {
+    for (let first = 0; first + length <= groups.length; first += 1) {
+      const start = groups[first].start;
+      const end = groups[first + length - 1].end;
+      if (valid(value.slice(start, end))) {return { start, end };}
+    }
+  }
+  return null;
+}
+
+/**
+ * Find sensitive values in `text`.
+ * @returns {Array} [{ type, start, end, value }] sorted by position, never overlapping
+ */
+export function findSensitive(text) {
+  const matches = [];
+  if (!text) {return matches;}
+  const isFree = (start, end) => matches.every(match => end <= match.start || start >= match.end);
+  DETECTORS.forEach(({ type, re, valid }) => {
+    for (const candidate of text.matchAll(re)) {
+      const span = bestSpan(candidate[0], valid);
+      if (!span) {continue;}
+      const start = candidate.index + span.start;
+      const end = candidate.index + span.end;
+      if (isFree(start, end)) {matches.push({ type, start, end, value: text.slice(start, end) });}
+    }
+  });
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Masked form of a value: cards, IBANs and accounts keep their last 4 characters,
+ * emails their first letter and domain, everything else is masked out
+ * (separators stay, so the value keeps its shape).
+ */
+export function maskValue(type, value) {
+  if (type === 'email') {
+    const at = value.indexOf('@');
+    return `${value[0]}${MASK_CHAR.repeat(3)}${value.slice(at)}`;
+  }
+  const keep = type === 'card' || type === 'iban' || type === 'account' ? 4 : 0;
+  let remaining = (value.match(/[A-Za-z0-9]/g) || []).length;
+  return value.replace(/[A-Za-z0-9]/g, char => {
+    remaining -= 1;
+    return remaining < keep ? char : MASK_CHAR;
+  });
+}
+
+// `text` with every match masked
+export function redactText(text, matches = findSensitive(text)) {
+  let result = '';
+  let position = 0;
+  matches.forEach(match => {
+    result += text.slice(position, match.start) + maskValue(match.type, match.value);
+    position = match.end;
+  });
+  return result + text.slice(position);
+}
+
+// "JMBG, IBAN (2)" for a warning
+export function describeSensitive(matches) {
+  const counts = new Map();
+  matches.forEach(match => counts.set(match.type, (counts.get(match.type) || 0) + 1));
+  return Array.from(counts, ([type, count]) => {
+    const name = t(`privacy.types.${type}`);
+    return count > 1 ? `${name} (${count})` : name;
+  }).join(', ');
+}
+
+// Helper: A line's words with their offsets in the line text (words joined by spaces)
+function lineWords(line) {
+  let text = '';
+  const words = (line.elements || []).map(element => {
+    const word = element.text || '';
+    const start = text ? text.length + 1 : 0;
+    text = text ? `${text} ${word}` : word;
+    return { element, start, end: start + word.length };
+  });
+  return { text, words };
+}
+
+// Helper: Words of a line that are part of a sensitive value
+function sensitiveWords(line) {
+  const { text, words } = lineWords(line);
+  const matches = findSensitive(text);
+  return words.filter(word => matches.some(match => word.start < match.end && word.end > match.start));
+}
+
+/**
+ * Image frames (see src/ocr/geometry.js) of the OCR words that make up a
+ * sensitive value. Each line is searched as its words joined by spaces; a line
+ * without words is covered whole.
+ */
+export function sensitiveFrames(result) {
+  const frames = [];
+  if (!result || !result.blocks) {return frames;}
+  result.blocks.forEach(block => {
+    (block.lines || []).forEach(line => {
+      if (!line.elements || line.elements.length === 0) {
+        const frame = frameOf(line);
+        if (frame && findSensitive(line.text).length > 0) {frames.push(frame);}
+        return;
+      }
+      sensitiveWords(line).forEach(({ element }) => {
+        const frame = frameOf(element);
+        if (frame) {frames.push(frame);}
+      });
+    });
+  });
+  return frames;
+}
+
+// A recognition result with sensitive values masked in its text at every level
+export function redactOcrResult(result) {
+  if (!result || !result.blocks) {return result;}
+  const blocks = result.blocks.map(block => {
+    const lines = (block.lines || []).map(line => {
+      const masked = new Set(sensitiveWords(line).map(word => word.element));
+      return {
+        ...line,
+        text: redactText(line.text || ''),
+        elements: (line.elements || []).map(element =>
+          masked.has(element) ? { ...element, text: element.text.replace(/[A-Za-z0-9]/g, MASK_CHAR) } : element,
+        ),
+      };
+    });
+    return { ...block, text: lines.map(line => line.text).join('\n'), lines };
+  });
+  return { ...result, text: redactText(result.text || ''), blocks };
+}
+
+// Helper: Every string in a plain value (objects, arrays) with its sensitive values masked
+function redactStrings(value) {
+  if (typeof value === 'string') {return redactText(value);}
+  if (Array.isArray(value)) {return value.map(redactStrings);}
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactStrings(item)]));
+  }
+  return value;
+}
+
+// Helper: Letters and digits masked out, for names and addresses
+function maskWords(text) {
+  return text.replace(/[\p{L}\p{N}]/gu, MASK_CHAR);
+}
+
+// Helper: Receipt fields with the bank details masked, checksum or not
+function redactReceipt(fields) {
+  if (!fields) {return fields;}
+  return {
+    ...redactStrings(fields),
+    ibans: (fields.ibans || []).map(iban => ({ ...iban, value: maskValue('iban', iban.value) })),
+    accounts: (fields.accounts || []).map(account => ({ ...account, value: maskValue('account', account.value) })),
+  };
+}
+
+// Helper: A barcode with the payer and account of an IPS payment masked, in the payload and the raw value
+function redactBarcode(barcode) {
+  const payload = barcode.payload || null;
+  if (!payload || payload.type !== 'ipsPayment') {return redactStrings(barcode);}
+  const value = String(barcode.value || '').replace(/(^|\|)(\s*[RP]\s*):([^|]*)/gi, (all, separator, tag, content) =>
+    `${separator}${tag}:${/r/i.test(tag) ? maskValue('account', content) : maskWords(content)}`,
+  );
+  return {
+    ...redactStrings(barcode),
+    value: redactText(value),
+    payload: {
+      ...redactStrings(payload),
+      account: payload.account ? maskValue('account', payload.account) : payload.account,
+      payer: payload.payer ? maskWords(payload.payer) : payload.payer,
+    },
+  };
+}
+
+/**
+ * Copy of a scan record for export with sensitive values masked in its text,
+ * recognition result, receipt fields, contact, barcodes and pages; earlier
+ * revisions are left out.
+ */
+export function redactScan(scan) {
+  const { revisions, ...rest } = scan;
+  const redacted = {
+    ...rest,
+    extractedText: redactText(scan.extractedText || ''),
+    rawText: redactText(scan.rawText || ''),
+    ocrResult: redactOcrResult(scan.ocrResult),
+  };
+  if (scan.receiptFields) {redacted.receiptFields = redactReceipt(scan.receiptFields);}
+  if (scan.contact) {redacted.contact = redactStrings(scan.contact);}
+  if (scan.barcodes) {redacted.barcodes = scan.barcodes.map(redactBarcode);}
+  if (scan.pages) {redacted.pages = scan.pages.map(redactScan);}
+  return redacted;
+}
@@ -0,0 +1,67 @@
+/**
+ * Scans requested from outside the app, as they arrive through Linking:
+ *
+ * - basicocr://scan?source=camera|gallery[&export=json] — another tool starts a scan; with
+ *   `export` the stored scan is exported in that format (any of EXPORT_FORMATS) and shared
+ * - basicocr://share?uri=<content uri>[&uri=...] — images shared into the app from other apps;
+ *   on Android MainActivity turns ACTION_SEND / ACTION_SEND_MULTIPLE intents into these links
+ *   (and drops share links it did not make). Only content:// URIs are taken, so a link cannot
+ *   point at the app's own files, and share jobs never export. Sharing into the app is Android
+ *   only: iOS would need a share extension, which the app does not have, so there any page or
+ *   app could open a share link and share links are ignored
+ *
+ * parseIncomingLink(url, platform) -> { kind: 'scan', source, exportFormat } | { kind: 'share', uris, exportFormat: null } | null
+ */
+
+import { EXPORT_FORMATS } from '../export/scanFormats';
+
+const SCHEME = 'basicocr://';
+const SOURCES = ['camera', 'gallery'];
+// Platforms whose share links come from the app itself (Platform.OS values)
+const SHARE_PLATFORMS = ['android'];
+
+// Helper: Query parameters as [name, value] pairs (repeated names kept), or null for a malformed query
+function queryPairs(query) {
+  try {
+    return query
+      .split('&')
+      .filter(Boolean)
+      .map(pair => {
+        const [name, ...rest] = pair.split('=');
+        const decode = text => decodeURIComponent(text.replace(/\+/g, ' '));
+        return [decode(name), decode(rest.join('='))];
+      });
+  } catch (err) {
+    // A stray % is not worth a crash; the link is ignored
+    return null;
+  }
+}
+
+/**
+ * The job a link asks for, or null when it is not one of ours, is incomplete or is a share link
+ * on a platform without sharing into the app.
+ * @param {string} url
+ * @param {string} platform Platform.OS of the device
+ */
+export function parseIncomingLink(url, platform) {
+  if (typeof url !== 'string' || !url.toLowerCase().startsWith(SCHEME)) {return null;}
+  const rest = url.slice(SCHEME.length).split('#')[0];
+  const queryStart = rest.indexOf('?');
+  const host = (queryStart === -1 ? rest : rest.slice(0, queryStart)).replace(/\/+$/, '').toLowerCase();
+  const pairs = queryPairs(queryStart === -1 ? '' : rest.slice(queryStart + 1));
+  if (!pairs) {return null;}
+  const values = name => pairs.filter(([key]) => key === name).map(([, value]) => value);
+
+  const [format] = values('export');
+  const exportFormat = format && EXPORT_FORMATS[format.toLowerCase()] ? format.toLowerCase() : null;
+  if (host === 'scan') {
+    const [source] = values('source');
+    return SOURCES.includes(source) ? { kind: 'scan', source, exportFormat } : null;
+  }
+  if (host === 'share') {
+    if (!SHARE_PLATFORMS.includes(platform)) {return null;}
+    const uris = values('uri').filter(uri => /^content:\/\/[^/]/i.test(uri));
+    return uris.length > 0 ? { kind: 'share', uris, exportFormat: null } : null;
+  }
+  return null;
+}
@@ -0,0 +1,113 @@
+/**
+ * Lifecycle of a single-image scan.
+ *
+ * Phases: 'idle' → 'acquiring' (camera or gallery open) → 'locating' / 'recognizing'
+ * (both run at once; the phase names what the scan is waiting for) → 'done' | 'failed'.
+ * State: { id, phase, error } where error is a ScanError once the scan failed; the
+ * phases' labels are under scan.phases in the catalogs (src/i18n/messages/).
+ *
+ * Every scan gets a ticket with its own id. Starting another scan or cancelling makes
+ * the ticket outdated: `ticket.track(promise)` then rejects with a ScanError of code
+ * 'stale' or 'cancelled' instead of handing back the late result, so a slow first
+ * scan can never overwrite the one after it. The OCR or location work itself keeps
+ * running (the native calls cannot be interrupted); only its result is discarded.
+ * `onChange(state)` receives every new state.
+ */
+
+import { t } from '../i18n/i18n';
+
+// ScanError codes (messages under scan.errors in the catalogs)
+const SCAN_ERROR_CODES = ['cancelled', 'stale', 'ocrFailed', 'saveFailed'];
+
+/**
+ * Why a scan did not finish. `code` is one of SCAN_ERROR_CODES;
+ * `cause` is the underlying error, whose message is appended to the scan's.
+ */
+export class ScanError extends Error {
+  constructor(code, cause = null) {
+    const base = t(`scan.errors.${SCAN_ERROR_CODES.includes(code) ? code : 'unknown'}`);
+    super(cause ? `${base}: ${cause.message || t('common.unknownError')}` : `${base}.`);
+    this.name = 'ScanError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+// Outcomes that end a scan silently: nobody is waiting for its result any more
+export function isScanDiscarded(err) {
+  return err instanceof ScanError && (err.code === 'cancelled' || err.code === 'stale');
+}
+
+export function isScanActive(state) {
+  return state.phase === 'acquiring' || state.phase === 'locating' || state.phase === 'recognizing';
+}
+
+export const IDLE_SCAN = { id: null, phase: 'idle', error: null };
+
+export function createScanSession(onChange) {
+  let state = IDLE_SCAN;
+  let lastId = 0;
+  // Id of the last scan the user cancelled, to tell 'cancelled' from 'stale'
+  let cancelledId = null;
+
+  const publish = next => {
+    state = next;
+    if (onChange) {onChange(state);}
+  };
+
+  // Stop waiting for the running scan, if any
+  const cancel = () => {
+    if (!isScanActive(state)) {return;}
+    cancelledId = state.id;
+    publish(IDLE_SCAN);
+  };
+
+  // Start a new scan in `phase`; any scan still running becomes stale
+  const begin = (phase = 'acquiring') => {
+    lastId += 1;
+    const id = lastId;
+    const isCurrent = () => state.id === id;
+    const ensureCurrent = () => {
+      if (!isCurrent()) {throw new ScanError(cancelledId === id ? 'cancelled' : 'stale');}
+    };
+
+    publish({ id, phase, error: null });
+    return {
+      id,
+      isCurrent,
+      setPhase: next => {
+        if (isCurrent()) {publish({ ...state, phase: next });}
+      },
+      // Resolve with the promise's result (or reject with its error) only while the scan is current
+      track: async promise => {
+        let value;
+        try {
+          value = await promise;
+        } catch (err) {
+          ensureCurrent();
+          throw err;
+        }
+        ensureCurrent();
+        return value;
+      },
+      finish: () => {
+        if (isCurrent()) {publish({ id, phase: 'done', error: null });}
+      },
+      fail: error => {
+        if (isCurrent()) {publish({ id, phase: 'failed', error });}
+      },
+      cancel: () => {
+        if (isCurrent()) {cancel();}
+      },
+    };
+  };
+
+  // Forget a finished or failed scan (e.g. when the screen is cleared)
+  const reset = () => {
+    if (state.id === null) {return;}
+    if (isScanActive(state)) {cancelledId = state.id;}
+    publish(IDLE_SCAN);
+  };
+
+  return { begin, cancel, reset, getState: () => state };
+}
@@ -0,0 +1,30 @@
+/**
+ * Images shared into the app by other apps (see incomingLinks.js).
+ *
+ * They arrive as content:// URIs whose read grant ends with the sharing intent, and which
+ * the EXIF reader and the history copy cannot open as paths; each is copied to
+ * CachesDirectoryPath/shared first and scanned from there.
+ */
+
+import RNFS from 'react-native-fs';
+
+import { base64ToBytes } from '../utils/base64';
+
+const SHARED_DIR = `${RNFS.CachesDirectoryPath}/shared`;
+
+// Helper: File extension from the first bytes of an image; the shared URI often has none
+function extensionOf(bytes) {
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {return 'png';}
+  if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46) {return 'webp';}
+  return 'jpg';
+}
+
+// Copy the shared image at `uri` into the cache; resolves with the file:// URI of the copy
+export async function importSharedImage(uri, index = 0) {
+  if (!(await RNFS.exists(SHARED_DIR))) {await RNFS.mkdir(SHARED_DIR);}
+  const temp = `${SHARED_DIR}/shared_${Date.now()}_${index}`;
+  await RNFS.copyFile(uri, temp);
+  const path = `${temp}.${extensionOf(base64ToBytes(await RNFS.read(temp, 4, 0, 'base64')))}`;
+  await RNFS.moveFile(temp, path);
+  return `file://${path}`;
+}
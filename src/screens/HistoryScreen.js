@@ -0,0 +1,364 @@
+/**
+ * Scan history screen
+ *
+ * Lists stored scans with:
+ * - full-text search over the extracted text
+ * - date range (GGGG-MM-DD) and source (camera/gallery) filters
+ * - tap to reopen a scan, long-press to select several for bulk delete
+ * - export of the selected (or all visible) scans as CSV, JSON, GeoJSON or KML
+ * - per-scan sync status and "send all" while sync is on (see src/sync/outbox.js)
+ * - a lock in place of the thumbnails while the images are encrypted (see src/vault/vault.js)
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TextInput,
+  FlatList,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+} from 'react-native';
+
+import { filterHistory, parseDateInput } from '../history/historyFilter';
+import ExportFormatPicker from '../components/ExportFormatPicker';
+import { t } from '../i18n/i18n';
+import { formatCoordinates, formatDateTime } from '../i18n/format';
+
+// Source filters; null shows every scan
+const SOURCE_FILTERS = [null, 'camera', 'gallery'];
+
+const HistoryScreen = ({ entries, onOpen, onDelete, onExport, syncStatus, onSyncAll, sealedImages, onBack }) => {
+  const [query, setQuery] = useState('');
+  const [fromInput, setFromInput] = useState('');
+  const [toInput, setToInput] = useState('');
+  const [source, setSource] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [exportTargets, setExportTargets] = useState(null); // Scans waiting for a format choice
+
+  const visibleEntries = useMemo(
+    () =>
+      filterHistory(entries, {
+        query,
+        from: parseDateInput(fromInput),
+        to: parseDateInput(toInput, true),
+        source,
+      }),
+    [entries, query, fromInput, toInput, source],
+  );
+
+  const selecting = selectedIds.length > 0;
+
+  const toggleSelected = id => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  // Ask before deleting; scans cannot be restored
+  const confirmDelete = ids => {
+    Alert.alert(
+      t('history.deleteTitle'),
+      t('history.deleteMessage', { count: ids.length }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            await onDelete(ids);
+            setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+          },
+        },
+      ],
+    );
+  };
+
+  const handleExportFormat = format => {
+    const targets = exportTargets;
+    setExportTargets(null);
+    onExport(targets, format);
+  };
+
+  const handlePressEntry = entry => {
+    if (selecting) {
+      toggleSelected(entry.id);
+    } else {
+      onOpen(entry);
+    }
+  };
+
+  const renderEntry = ({ item }) => {
+    const selected = selectedIds.includes(item.id);
+    const sync = syncStatus ? syncStatus[item.id] : null;
+    return (
+      <TouchableOpacity
+        style={[styles.entry, selected && styles.entrySelected]}
+        onPress={() => handlePressEntry(item)}
+        onLongPress={() => toggleSelected(item.id)}>
+        {item.imageUri && sealedImages ? (
+          <View style={[styles.thumbnail, styles.sealedThumbnail]}>
+            <Text style={styles.sealedThumbnailText}>🔒</Text>
+          </View>
+        ) : item.imageUri ? (
+          <Image source={{ uri: item.imageUri }} style={styles.thumbnail} resizeMode="cover" />
+        ) : (
+          <View style={styles.thumbnail} />
+        )}
+        <View style={styles.entryBody}>
+          <Text style={styles.entryMeta}>
+            {formatDateTime(item.timestamp)} · {t(`history.sources.${item.source === 'camera' ? 'camera' : 'gallery'}`)}
+            {item.pages ? ` · ${t('history.document', { count: item.pages.length })}` : ''}
+          </Text>
+          <Text style={styles.entryText} numberOfLines={2}>
+            {item.extractedText ? item.extractedText : t('scan.noText')}
+          </Text>
+          {item.location && (
+            <Text style={styles.entryMeta}>{formatCoordinates(item.location)}</Text>
+          )}
+          {syncStatus && (
+            <Text
+              style={[
+                styles.entryMeta,
+                sync && sync.status === 'synced' && styles.syncDone,
+                sync && sync.status === 'failed' && styles.syncFailed,
+              ]}>
+              {t(`sync.status.${sync ? sync.status : 'notSent'}`)}
+              {sync && sync.status !== 'synced' && sync.lastError ? ` · ${sync.lastError}` : ''}
+            </Text>
+          )}
+        </View>
+        {!selecting && (
+          <TouchableOpacity style={styles.deleteButton} onPress={() => confirmDelete([item.id])}>
+            <Text style={styles.deleteButtonText}>{t('common.delete')}</Text>
+          </TouchableOpacity>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack}>
+          <Text style={styles.link}>{t('common.back')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{t('history.title')}</Text>
+      </View>
+
+      <TextInput
+        style={styles.input}
+        value={query}
+        onChangeText={setQuery}
+        placeholder={t('history.search')}
+        autoCorrect={false}
+        clearButtonMode="while-editing"
+      />
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.dateInput]}
+          value={fromInput}
+          onChangeText={setFromInput}
+          placeholder={t('history.from')}
+          keyboardType="numbers-and-punctuation"
+        />
+        <TextInput
+          style={[styles.input, styles.dateInput]}
+          value={toInput}
+          onChangeText={setToInput}
+          placeholder={t('history.to')}
+          keyboardType="numbers-and-punctuation"
+        />
+      </View>
+      <View style={styles.row}>
+        {SOURCE_FILTERS.map(filter => (
+          <TouchableOpacity
+            key={filter || 'all'}
+            style={[styles.chip, source === filter && styles.chipActive]}
+            onPress={() => setSource(filter)}>
+            <Text style={[styles.chipText, source === filter && styles.chipTextActive]}>
+              {t(`history.sources.${filter || 'all'}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {selecting && (
+        <View style={styles.row}>
+          <TouchableOpacity
+            style={styles.chip}
+            onPress={() => setSelectedIds(visibleEntries.map(entry => entry.id))}>
+            <Text style={styles.chipText}>{t('history.selectAll')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.chip} onPress={() => setSelectedIds([])}>
+            <Text style={styles.chipText}>{t('history.clearSelection')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.chip}
+            onPress={() => setExportTargets(entries.filter(entry => selectedIds.includes(entry.id)))}>
+            <Text style={styles.chipText}>{t('history.exportSelected')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.chip, styles.chipDanger]} onPress={() => confirmDelete(selectedIds)}>
+            <Text style={styles.chipTextActive}>{t('history.deleteSelected', { count: selectedIds.length })}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      {!selecting && visibleEntries.length > 0 && (
+        <View style={styles.row}>
+          <TouchableOpacity style={styles.chip} onPress={() => setExportTargets(visibleEntries)}>
+            <Text style={styles.chipText}>{t('history.exportVisible', { count: visibleEntries.length })}</Text>
+          </TouchableOpacity>
+          {onSyncAll && (
+            <TouchableOpacity style={styles.chip} onPress={onSyncAll}>
+              <Text style={styles.chipText}>{t('sync.now')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <ExportFormatPicker
+        visible={exportTargets !== null}
+        title={t('export.formatTitle')}
+        onSelect={handleExportFormat}
+        onClose={() => setExportTargets(null)}
+      />
+
+      <FlatList
+        data={visibleEntries}
+        keyExtractor={item => item.id}
+        renderItem={renderEntry}
+        extraData={[selectedIds, syncStatus]}
+        ListEmptyComponent={
+          <Text style={styles.empty}>
+            {t(entries.length === 0 ? 'history.empty' : 'history.noMatches')}
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    backgroundColor: '#F8F8F8',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#222',
+    marginLeft: 12,
+  },
+  link: {
+    color: '#007AFF',
+    fontSize: 16,
+  },
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 8,
+    fontSize: 15,
+  },
+  dateInput: {
+    flex: 1,
+    marginHorizontal: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipDanger: {
+    backgroundColor: '#D9534F',
+    borderColor: '#D9534F',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 10,
+    marginVertical: 5,
+    elevation: 1,
+  },
+  entrySelected: {
+    backgroundColor: '#E3F0FF',
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 6,
+    backgroundColor: '#EEE',
+  },
+  sealedThumbnail: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sealedThumbnailText: {
+    fontSize: 22,
+  },
+  entryBody: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#888',
+  },
+  entryText: {
+    fontSize: 15,
+    color: '#333',
+    marginVertical: 2,
+  },
+  syncDone: {
+    color: '#3C9D5D',
+  },
+  syncFailed: {
+    color: '#D9534F',
+  },
+  deleteButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+  },
+  deleteButtonText: {
+    color: '#D9534F',
+    fontWeight: 'bold',
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#888',
+    marginTop: 24,
+  },
+});
+
+export default HistoryScreen;
@@ -0,0 +1,106 @@
+/**
+ * Shown instead of the app while the vault (see src/vault/vault.js) is locked.
+ * `onUnlock(passcode)` resolves once the vault is open and rejects on a wrong passcode.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+
+import { t } from '../i18n/i18n';
+
+const LockScreen = ({ onUnlock }) => {
+  const [passcode, setPasscode] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleUnlock = async () => {
+    if (!passcode || busy) {return;}
+    setBusy(true);
+    setError(null);
+    try {
+      await onUnlock(passcode);
+    } catch (err) {
+      setError(err.message || t('common.unknownError'));
+      setPasscode('');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.icon}>🔒</Text>
+      <Text style={styles.title}>{t('vault.lockedTitle')}</Text>
+      <Text style={styles.description}>{t('vault.lockedDescription')}</Text>
+      <TextInput
+        style={styles.input}
+        value={passcode}
+        onChangeText={setPasscode}
+        onSubmitEditing={handleUnlock}
+        placeholder={t('vault.passcode')}
+        secureTextEntry
+        autoFocus
+        autoCapitalize="none"
+        autoCorrect={false}
+        editable={!busy}
+      />
+      {error && <Text style={styles.error}>{error}</Text>}
+      <TouchableOpacity style={styles.button} onPress={handleUnlock} disabled={busy}>
+        {busy ? <ActivityIndicator color="#FFF" /> : <Text style={styles.buttonText}>{t('vault.unlock')}</Text>}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 32,
+    backgroundColor: '#F8F8F8',
+  },
+  icon: {
+    fontSize: 48,
+    textAlign: 'center',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#222',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    paddingHorizontal: 10,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  error: {
+    color: '#D9534F',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default LockScreen;
@@ -0,0 +1,360 @@
+/**
+ * Nearby scans screen
+ *
+ * Browses geotagged scans by place:
+ * - origin is the current position or a chosen point (typed coordinates or a tapped place)
+ * - radius filter, list sorted by distance with distance labels
+ * - places: scans grouped into clusters, drawn on an offline schematic (no map tiles)
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TextInput,
+  FlatList,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+} from 'react-native';
+
+import { clusterScans, formatDistance, haversineDistance, scansWithin, sortByDistance } from '../location/geoQuery';
+import ClusterSchematic from '../components/ClusterSchematic';
+import { t } from '../i18n/i18n';
+import { formatCoordinates } from '../i18n/format';
+
+// No label: every distance
+const RADIUS_FILTERS = [
+  { value: 100, label: '100 m' },
+  { value: 500, label: '500 m' },
+  { value: 1000, label: '1 km' },
+  { value: 5000, label: '5 km' },
+  { value: null, label: null },
+];
+
+// Scans closer than this count as the same place
+const CLUSTER_RADIUS = 150;
+
+// Helper: Coordinate input ("44,8125" or "44.8125") -> number, or null when out of range
+function parseCoordinate(input, limit) {
+  const value = parseFloat(input.trim().replace(',', '.'));
+  return isNaN(value) || Math.abs(value) > limit ? null : value;
+}
+
+const NearbyScreen = ({ entries, onOpen, requestLocation, sealedImages, onBack }) => {
+  const [origin, setOrigin] = useState(null); // { latitude, longitude, kind } ('myLocation', 'typedPoint' or 'place')
+  const [radius, setRadius] = useState(500);
+  const [view, setView] = useState('list'); // 'list' or 'places'
+  const [selectedClusterId, setSelectedClusterId] = useState(null);
+  const [latInput, setLatInput] = useState('');
+  const [lonInput, setLonInput] = useState('');
+  const [locating, setLocating] = useState(false);
+
+  const located = useMemo(() => entries.filter(entry => entry.location), [entries]);
+
+  // Without an origin every located scan is listed in history order (newest first)
+  const results = useMemo(() => {
+    if (!origin) {return located.map(scan => ({ scan, distance: null }));}
+    return radius === null ? sortByDistance(located, origin) : scansWithin(located, origin, radius);
+  }, [located, origin, radius]);
+
+  const clusters = useMemo(() => clusterScans(results.map(({ scan }) => scan), CLUSTER_RADIUS), [results]);
+  const selectedCluster = clusters.find(cluster => cluster.id === selectedClusterId) || null;
+  const listed = selectedCluster ? results.filter(({ scan }) => selectedCluster.scans.includes(scan)) : results;
+
+  const changeOrigin = point => {
+    setOrigin(point);
+    setSelectedClusterId(null);
+  };
+
+  const handleUseMyLocation = async () => {
+    setLocating(true);
+    try {
+      const fix = await requestLocation();
+      if (!fix) {
+        Alert.alert(t('nearby.locationTitle'), t('nearby.locationUnavailable'));
+        return;
+      }
+      changeOrigin({ ...fix.location, kind: 'myLocation' });
+    } catch (err) {
+      Alert.alert(t('common.error'), t('nearby.locationFailed', { reason: err.message || t('common.unknownError') }));
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  const handleUseTypedPoint = () => {
+    const latitude = parseCoordinate(latInput, 90);
+    const longitude = parseCoordinate(lonInput, 180);
+    if (latitude === null || longitude === null) {
+      Alert.alert(t('common.error'), t('nearby.invalidPoint'));
+      return;
+    }
+    changeOrigin({ latitude, longitude, kind: 'typedPoint' });
+  };
+
+  // Measure from the selected place instead of the current origin
+  const handleCenterOnCluster = () => {
+    changeOrigin({ ...selectedCluster.center, kind: 'place' });
+  };
+
+  const renderEntry = ({ item }) => {
+    const { scan, distance } = item;
+    return (
+      <TouchableOpacity style={styles.entry} onPress={() => onOpen(scan)}>
+        {scan.imageUri && sealedImages ? (
+          <View style={[styles.thumbnail, styles.sealedThumbnail]}>
+            <Text style={styles.sealedThumbnailText}>🔒</Text>
+          </View>
+        ) : scan.imageUri ? (
+          <Image source={{ uri: scan.imageUri }} style={styles.thumbnail} resizeMode="cover" />
+        ) : (
+          <View style={styles.thumbnail} />
+        )}
+        <View style={styles.entryBody}>
+          <Text style={styles.entryText} numberOfLines={2}>
+            {scan.extractedText ? scan.extractedText : t('scan.noText')}
+          </Text>
+          <Text style={styles.entryMeta}>{formatCoordinates(scan.location)}</Text>
+        </View>
+        {distance !== null && <Text style={styles.distance}>{formatDistance(distance)}</Text>}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderCluster = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.entry, item.id === selectedClusterId && styles.entrySelected]}
+      onPress={() => setSelectedClusterId(item.id === selectedClusterId ? null : item.id)}>
+      <View style={styles.entryBody}>
+        <Text style={styles.entryText}>
+          {t('nearby.scanCount', { count: item.scans.length })}
+          {item.extent > 0 ? ` · ${t('nearby.within', { distance: formatDistance(item.extent) })}` : ''}
+        </Text>
+        <Text style={styles.entryMeta}>{formatCoordinates(item.center)}</Text>
+      </View>
+      {origin && <Text style={styles.distance}>{formatDistance(haversineDistance(origin, item.center))}</Text>}
+    </TouchableOpacity>
+  );
+
+  const emptyText = t(located.length === 0 ? 'nearby.noLocatedScans' : 'nearby.noneWithin');
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack}>
+          <Text style={styles.link}>{t('common.back')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{t('nearby.title')}</Text>
+      </View>
+
+      <Text style={styles.originText}>
+        {origin ? `${t(`nearby.origins.${origin.kind}`)}: ${formatCoordinates(origin)}` : t('nearby.chooseOrigin')}
+      </Text>
+      <View style={styles.row}>
+        <TouchableOpacity style={styles.chip} onPress={handleUseMyLocation} disabled={locating}>
+          <Text style={styles.chipText}>{locating ? t('nearby.locating') : t('nearby.origins.myLocation')}</Text>
+        </TouchableOpacity>
+        {selectedCluster && (
+          <TouchableOpacity style={styles.chip} onPress={handleCenterOnCluster}>
+            <Text style={styles.chipText}>{t('nearby.measureFromPlace')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.coordinateInput]}
+          value={latInput}
+          onChangeText={setLatInput}
+          placeholder={t('nearby.latitude')}
+          keyboardType="numbers-and-punctuation"
+        />
+        <TextInput
+          style={[styles.input, styles.coordinateInput]}
+          value={lonInput}
+          onChangeText={setLonInput}
+          placeholder={t('nearby.longitude')}
+          keyboardType="numbers-and-punctuation"
+        />
+        <TouchableOpacity style={[styles.chip, styles.applyChip]} onPress={handleUseTypedPoint}>
+          <Text style={styles.chipText}>{t('nearby.setPoint')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {origin && (
+        <View style={styles.row}>
+          {RADIUS_FILTERS.map(filter => (
+            <TouchableOpacity
+              key={filter.value || 'all'}
+              style={[styles.chip, radius === filter.value && styles.chipActive]}
+              onPress={() => setRadius(filter.value)}>
+              <Text style={[styles.chipText, radius === filter.value && styles.chipTextActive]}>
+                {filter.label || t('nearby.allDistances')}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <ClusterSchematic
+        clusters={clusters}
+        origin={origin}
+        selectedId={selectedClusterId}
+        onSelect={setSelectedClusterId}
+      />
+
+      <View style={styles.row}>
+        {[
+          { value: 'list', label: t('nearby.listView', { count: listed.length }) },
+          { value: 'places', label: t('nearby.placesView', { count: clusters.length }) },
+        ].map(mode => (
+          <TouchableOpacity
+            key={mode.value}
+            style={[styles.chip, view === mode.value && styles.chipActive]}
+            onPress={() => setView(mode.value)}>
+            <Text style={[styles.chipText, view === mode.value && styles.chipTextActive]}>{mode.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {view === 'list' ? (
+        <FlatList
+          data={listed}
+          keyExtractor={item => item.scan.id}
+          renderItem={renderEntry}
+          ListEmptyComponent={<Text style={styles.empty}>{emptyText}</Text>}
+        />
+      ) : (
+        <FlatList
+          data={clusters}
+          keyExtractor={item => item.id}
+          renderItem={renderCluster}
+          extraData={selectedClusterId}
+          ListEmptyComponent={<Text style={styles.empty}>{emptyText}</Text>}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    backgroundColor: '#F8F8F8',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#222',
+    marginLeft: 12,
+  },
+  link: {
+    color: '#007AFF',
+    fontSize: 16,
+  },
+  originText: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 8,
+    fontSize: 15,
+  },
+  coordinateInput: {
+    flex: 1,
+    marginRight: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  chip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  applyChip: {
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 10,
+    marginVertical: 5,
+    elevation: 1,
+  },
+  entrySelected: {
+    backgroundColor: '#E3F0FF',
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 6,
+    backgroundColor: '#EEE',
+  },
+  sealedThumbnail: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sealedThumbnailText: {
+    fontSize: 22,
+  },
+  entryBody: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#888',
+  },
+  entryText: {
+    fontSize: 15,
+    color: '#333',
+    marginVertical: 2,
+  },
+  distance: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#888',
+    marginTop: 24,
+  },
+});
+
+export default NearbyScreen;
@@ -0,0 +1,146 @@
+/**
+ * Permissions screen
+ *
+ * Lists every permission kind (see src/permissions/permissionManager.js) with why
+ * the app needs it and whether it is granted; denied ones can be asked for again,
+ * permanently denied ones open the app's system settings. The list refreshes when
+ * the user comes back from the settings.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, Text, ScrollView, StyleSheet, TouchableOpacity, AppState } from 'react-native';
+
+import { ensurePermission, openAppSettings, permissionStatuses } from '../permissions/permissionManager';
+import { t } from '../i18n/i18n';
+
+const STATUS_COLORS = {
+  granted: '#2E7D32',
+  denied: '#D9534F',
+  blocked: '#D9534F',
+  notNeeded: '#888',
+};
+
+const PermissionsScreen = ({ onBack }) => {
+  const [statuses, setStatuses] = useState([]);
+
+  const refresh = useCallback(() => {
+    permissionStatuses().then(setStatuses).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {refresh();}
+    });
+    return () => subscription.remove();
+  }, [refresh]);
+
+  const handleRequest = async kind => {
+    await ensurePermission(kind);
+    refresh();
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack}>
+          <Text style={styles.link}>{t('common.back')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{t('permissions.title')}</Text>
+      </View>
+
+      {statuses.map(item => (
+        <View key={item.kind} style={styles.section}>
+          <View style={styles.titleRow}>
+            <Text style={styles.sectionTitle}>{t(`permissions.kinds.${item.kind}.label`)}</Text>
+            <Text style={[styles.status, { color: STATUS_COLORS[item.status] }]}>
+              {t(`permissions.status.${item.status}`)}
+            </Text>
+          </View>
+          <Text style={styles.description}>{t(`permissions.kinds.${item.kind}.reason`)}</Text>
+          {item.permissions.length > 0 && (
+            <Text style={styles.permissionNames}>{item.permissions.map(name => name.split('.').pop()).join(', ')}</Text>
+          )}
+          {item.status === 'denied' && (
+            <TouchableOpacity style={styles.chip} onPress={() => handleRequest(item.kind)}>
+              <Text style={styles.chipText}>{t('permissions.request')}</Text>
+            </TouchableOpacity>
+          )}
+          {item.status === 'blocked' && (
+            <TouchableOpacity style={styles.chip} onPress={openAppSettings}>
+              <Text style={styles.chipText}>{t('permissions.openSettings')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 20,
+    backgroundColor: '#F8F8F8',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#222',
+    marginLeft: 12,
+  },
+  link: {
+    color: '#007AFF',
+    fontSize: 16,
+  },
+  section: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    marginBottom: 4,
+    color: '#007AFF',
+  },
+  status: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 6,
+  },
+  permissionNames: {
+    fontSize: 11,
+    color: '#999',
+    marginBottom: 6,
+  },
+  chip: {
+    alignSelf: 'flex-start',
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+});
+
+export default PermissionsScreen;
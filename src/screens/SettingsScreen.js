@@ -0,0 +1,341 @@
+/**
+ * Settings screen
+ *
+ * Each section edits one or more keys of the settings object
+ * (see src/settings/settingsStore.js) through `onChange(patch)`.
+ */
+
+import React from 'react';
+import { View, Text, TextInput, ScrollView, StyleSheet, Switch, TouchableOpacity } from 'react-native';
+
+import { RECOGNITION_SCRIPTS } from '../settings/settingsStore';
+import { FALLBACK_POLICIES, OCR_ENGINES } from '../ocr/ocrEngine';
+import { TEXT_STEPS } from '../text/postProcess';
+import { SENSITIVE_POLICIES } from '../privacy/sensitiveData';
+import { VAULT_LOCK_OPTIONS } from '../vault/vault';
+import { LOCALES, LOCALE_NAMES, t } from '../i18n/i18n';
+
+// 'system' follows the device locale
+const LANGUAGE_OPTIONS = ['system', ...LOCALES];
+
+const SettingsScreen = ({ settings, onChange, vaultState, onOpenVault, onOpenPermissions, onBack }) => {
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack}>
+          <Text style={styles.link}>{t('common.back')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{t('settings.title')}</Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.language')}</Text>
+        <View style={styles.row}>
+          {LANGUAGE_OPTIONS.map(language => {
+            const active = settings.language === language;
+            return (
+              <TouchableOpacity
+                key={language}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => onChange({ language })}>
+                <Text style={active ? styles.chipTextActive : styles.chipText}>
+                  {language === 'system' ? t('settings.systemLanguage') : LOCALE_NAMES[language]}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.scriptTitle')}</Text>
+        <Text style={styles.description}>{t('settings.scriptDescription')}</Text>
+        <View style={styles.row}>
+          {RECOGNITION_SCRIPTS.map(script => {
+            const active = settings.recognitionScript === script;
+            return (
+              <TouchableOpacity
+                key={script}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => onChange({ recognitionScript: script })}>
+                <Text style={active ? styles.chipTextActive : styles.chipText}>{t(`settings.scripts.${script}`)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.engineTitle')}</Text>
+        <Text style={styles.description}>{t('settings.engineDescription')}</Text>
+        <View style={styles.row}>
+          {OCR_ENGINES.map(engine => {
+            const active = settings.ocrEngine === engine;
+            return (
+              <TouchableOpacity
+                key={engine}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => onChange({ ocrEngine: engine })}>
+                <Text style={active ? styles.chipTextActive : styles.chipText}>{t(`ocr.engines.${engine}`)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <Text style={[styles.description, styles.fieldLabel]}>{t('settings.ocrServerUrl')}</Text>
+        <TextInput
+          style={[styles.input, styles.singleLineInput]}
+          value={settings.ocrServerUrl}
+          onChangeText={text => onChange({ ocrServerUrl: text })}
+          placeholder={t('settings.ocrServerUrlExample')}
+          keyboardType="url"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <Text style={[styles.description, styles.fieldLabel]}>{t('settings.token')}</Text>
+        <TextInput
+          style={[styles.input, styles.singleLineInput]}
+          value={settings.ocrServerToken}
+          onChangeText={text => onChange({ ocrServerToken: text })}
+          autoCapitalize="none"
+          autoCorrect={false}
+          secureTextEntry
+        />
+        <Text style={[styles.description, styles.fieldLabel]}>{t('settings.fallback')}</Text>
+        <View style={styles.row}>
+          {FALLBACK_POLICIES.map(policy => {
+            const active = settings.ocrFallback === policy;
+            return (
+              <TouchableOpacity
+                key={policy}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => onChange({ ocrFallback: policy })}>
+                <Text style={active ? styles.chipTextActive : styles.chipText}>{t(`ocr.fallback.${policy}`)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.textTitle')}</Text>
+        <Text style={styles.description}>{t('settings.textDescription')}</Text>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>{t('settings.textProcessing')}</Text>
+          <Switch value={settings.textProcessing} onValueChange={value => onChange({ textProcessing: value })} />
+        </View>
+        {TEXT_STEPS.map(step => (
+          <View key={step} style={styles.switchRow}>
+            <Text style={[styles.switchLabel, !settings.textProcessing && styles.disabled]}>
+              {t(`settings.textSteps.${step}`)}
+            </Text>
+            <Switch
+              value={!!settings.textSteps[step]}
+              disabled={!settings.textProcessing}
+              onValueChange={value => onChange({ textSteps: { ...settings.textSteps, [step]: value } })}
+            />
+          </View>
+        ))}
+        <Text style={[styles.description, styles.fieldLabel]}>{t('settings.removeLinePatterns')}</Text>
+        <TextInput
+          style={styles.input}
+          value={settings.removeLinePatterns.join('\n')}
+          onChangeText={text => onChange({ removeLinePatterns: text.split('\n') })}
+          editable={settings.textProcessing && settings.textSteps.removeLines}
+          placeholder={t('settings.removeLinePatternsExample')}
+          multiline
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.syncTitle')}</Text>
+        <Text style={styles.description}>{t('settings.syncDescription')}</Text>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>{t('settings.syncEnabled')}</Text>
+          <Switch value={settings.syncEnabled} onValueChange={value => onChange({ syncEnabled: value })} />
+        </View>
+        <Text style={[styles.description, styles.fieldLabel]}>{t('settings.syncEndpoint')}</Text>
+        <TextInput
+          style={[styles.input, styles.singleLineInput]}
+          value={settings.syncEndpoint}
+          onChangeText={text => onChange({ syncEndpoint: text })}
+          placeholder={t('settings.syncEndpointExample')}
+          keyboardType="url"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <Text style={[styles.description, styles.fieldLabel]}>{t('settings.token')}</Text>
+        <TextInput
+          style={[styles.input, styles.singleLineInput]}
+          value={settings.syncToken}
+          onChangeText={text => onChange({ syncToken: text })}
+          autoCapitalize="none"
+          autoCorrect={false}
+          secureTextEntry
+        />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.sensitiveTitle')}</Text>
+        <Text style={styles.description}>{t('settings.sensitiveDescription')}</Text>
+        <View style={styles.row}>
+          {SENSITIVE_POLICIES.map(policy => {
+            const active = settings.sensitivePolicy === policy;
+            return (
+              <TouchableOpacity
+                key={policy}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => onChange({ sensitivePolicy: policy })}>
+                <Text style={active ? styles.chipTextActive : styles.chipText}>{t(`privacy.policies.${policy}`)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>{t('settings.redactImages')}</Text>
+          <Switch value={settings.redactImages} onValueChange={value => onChange({ redactImages: value })} />
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.vaultTitle')}</Text>
+        <Text style={styles.description}>
+          {t(vaultState === 'off' ? 'settings.vaultOff' : 'settings.vaultOn')}
+        </Text>
+        <Text style={[styles.description, styles.fieldLabel]}>{t('settings.vaultLockMinutes')}</Text>
+        <View style={styles.row}>
+          {VAULT_LOCK_OPTIONS.map(minutes => {
+            const active = settings.vaultLockMinutes === minutes;
+            return (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => onChange({ vaultLockMinutes: minutes })}>
+                <Text style={active ? styles.chipTextActive : styles.chipText}>{minutes}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <TouchableOpacity onPress={onOpenVault}>
+          <Text style={styles.link}>{t(vaultState === 'off' ? 'settings.enableVault' : 'settings.manageVault')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('permissions.title')}</Text>
+        <Text style={styles.description}>{t('settings.permissionsDescription')}</Text>
+        <TouchableOpacity onPress={onOpenPermissions}>
+          <Text style={styles.link}>{t('settings.openPermissions')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('settings.pdfTitle')}</Text>
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>{t('settings.pdfFooter')}</Text>
+          <Switch value={settings.pdfFooter} onValueChange={value => onChange({ pdfFooter: value })} />
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 20,
+    backgroundColor: '#F8F8F8',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#222',
+    marginLeft: 12,
+  },
+  link: {
+    color: '#007AFF',
+    fontSize: 16,
+  },
+  section: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    marginBottom: 4,
+    color: '#007AFF',
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+    marginRight: 8,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  fieldLabel: {
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    minHeight: 60,
+    fontSize: 15,
+    textAlignVertical: 'top',
+  },
+  singleLineInput: {
+    minHeight: 0,
+    marginBottom: 4,
+  },
+  chip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
+  chipTextActive: {
+    color: '#FFF',
+    fontSize: 14,
+  },
+});
+
+export default SettingsScreen;
@@ -0,0 +1,219 @@
+/**
+ * Vault screen: turn the encrypted vault (see src/vault/vault.js) on or off,
+ * change its passcode, or lock it now.
+ *
+ * The actions come from App as async props, since they rewrite the whole
+ * history; each one resolves when done and rejects with a readable error.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, ScrollView, StyleSheet, Alert, TouchableOpacity, ActivityIndicator } from 'react-native';
+
+import { MIN_PASSCODE_LENGTH } from '../vault/vault';
+import { t } from '../i18n/i18n';
+
+const VaultScreen = ({ vaultState, onEnable, onChangePasscode, onDisable, onLock, onBack }) => {
+  const [passcode, setPasscode] = useState('');
+  const [nextPasscode, setNextPasscode] = useState('');
+  const [repeated, setRepeated] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const clearInputs = () => {
+    setPasscode('');
+    setNextPasscode('');
+    setRepeated('');
+  };
+
+  // Helper: Run a vault action with the busy indicator; errors are shown, inputs cleared on success
+  const run = async (action, done) => {
+    setBusy(true);
+    try {
+      await action();
+      clearInputs();
+      Alert.alert(t('vault.title'), done);
+    } catch (err) {
+      Alert.alert(t('common.error'), err.message || t('common.unknownError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The new passcode typed twice the same
+  const newPasscodeOk = value => {
+    if (value.length < MIN_PASSCODE_LENGTH) {
+      Alert.alert(t('common.error'), t('vault.errors.passcodeTooShort', { count: MIN_PASSCODE_LENGTH }));
+      return false;
+    }
+    if (value !== repeated) {
+      Alert.alert(t('common.error'), t('vault.passcodeMismatch'));
+      return false;
+    }
+    return true;
+  };
+
+  const handleEnable = () => {
+    if (!newPasscodeOk(nextPasscode)) {return;}
+    Alert.alert(
+      t('vault.enableTitle'),
+      t('vault.enableWarning'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('vault.encrypt'), onPress: () => run(() => onEnable(nextPasscode), t('vault.enabled')) },
+      ],
+    );
+  };
+
+  const handleChange = () => {
+    if (!newPasscodeOk(nextPasscode)) {return;}
+    run(() => onChangePasscode(passcode, nextPasscode), t('vault.passcodeChanged'));
+  };
+
+  const handleDisable = () => {
+    Alert.alert(
+      t('vault.disableTitle'),
+      t('vault.disableWarning'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('vault.decrypt'), style: 'destructive', onPress: () => run(() => onDisable(passcode), t('vault.disabled')) },
+      ],
+    );
+  };
+
+  const passcodeInput = (value, onChangeText, placeholder) => (
+    <TextInput
+      style={styles.input}
+      value={value}
+      onChangeText={onChangeText}
+      placeholder={placeholder}
+      secureTextEntry
+      autoCapitalize="none"
+      autoCorrect={false}
+      editable={!busy}
+    />
+  );
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} disabled={busy}>
+          <Text style={styles.link}>{t('common.back')}</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{t('vault.title')}</Text>
+      </View>
+
+      {vaultState === 'off' ? (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('vault.enableTitle')}</Text>
+          <Text style={styles.description}>{t('vault.enableDescription')}</Text>
+          {passcodeInput(nextPasscode, setNextPasscode, t('vault.newPasscode'))}
+          {passcodeInput(repeated, setRepeated, t('vault.repeatPasscode'))}
+          <TouchableOpacity style={styles.button} onPress={handleEnable} disabled={busy}>
+            <Text style={styles.buttonText}>{t('vault.encryptHistory')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('vault.changeTitle')}</Text>
+            <Text style={styles.description}>{t('vault.changeDescription')}</Text>
+            {passcodeInput(passcode, setPasscode, t('vault.currentPasscode'))}
+            {passcodeInput(nextPasscode, setNextPasscode, t('vault.newPasscode'))}
+            {passcodeInput(repeated, setRepeated, t('vault.repeatNewPasscode'))}
+            <TouchableOpacity style={styles.button} onPress={handleChange} disabled={busy}>
+              <Text style={styles.buttonText}>{t('vault.changePasscode')}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('vault.disableTitle')}</Text>
+            <Text style={styles.description}>{t('vault.disableDescription')}</Text>
+            <TouchableOpacity style={[styles.button, styles.buttonDanger]} onPress={handleDisable} disabled={busy}>
+              <Text style={styles.buttonText}>{t('vault.decryptAndDisable')}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity style={styles.button} onPress={onLock} disabled={busy}>
+            <Text style={styles.buttonText}>{t('vault.lockNow')}</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      {busy && (
+        <View style={styles.busy}>
+          <ActivityIndicator size="large" color="#007AFF" />
+          <Text style={styles.description}>{t('vault.working')}</Text>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: 20,
+    backgroundColor: '#F8F8F8',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#222',
+    marginLeft: 12,
+  },
+  link: {
+    color: '#007AFF',
+    fontSize: 16,
+  },
+  section: {
+    marginVertical: 10,
+    backgroundColor: '#FFF',
+    borderRadius: 8,
+    padding: 12,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontWeight: 'bold',
+    marginBottom: 4,
+    color: '#007AFF',
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#DDD',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  buttonDanger: {
+    backgroundColor: '#D9534F',
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+  busy: {
+    alignItems: 'center',
+    marginTop: 16,
+  },
+});
+
+export default VaultScreen;
@@ -0,0 +1,60 @@
+/**
+ * App settings, persisted as JSON in RNFS.DocumentDirectoryPath/settings.json.
+ * Unknown or missing keys fall back to DEFAULT_SETTINGS.
+ */
+
+import RNFS from 'react-native-fs';
+
+import { DEFAULT_HTTP_TIMEOUT } from '../ocr/httpEngine';
+import { DEFAULT_TEXT_STEPS } from '../text/postProcess';
+
+const SETTINGS_FILE = `${RNFS.DocumentDirectoryPath}/settings.json`;
+
+// Scripts supported by @react-native-ml-kit/text-recognition (TextRecognitionScript values);
+// their names are under settings.scripts in the catalogs
+export const RECOGNITION_SCRIPTS = ['Latin', 'Chinese', 'Devanagari', 'Japanese', 'Korean'];
+
+export const DEFAULT_SETTINGS = {
+  // 'system' (the device locale) or one of the locales in src/i18n/i18n.js
+  language: 'system',
+  recognitionScript: 'Latin',
+  // OCR engine ('mlkit' or 'http', see src/ocr/ocrEngine.js) and when the other one gets a second try
+  ocrEngine: 'mlkit',
+  ocrFallback: 'empty',
+  // Self-hosted OCR server for the 'http' engine; the fallback to it needs the address
+  ocrServerUrl: '',
+  ocrServerToken: '',
+  ocrServerTimeout: DEFAULT_HTTP_TIMEOUT,
+  // Upload of stored scans to the team's REST endpoint (see src/sync/outbox.js)
+  syncEnabled: false,
+  syncEndpoint: '',
+  syncToken: '',
+  // Sensitive values in outbound text: 'warn', 'redact' or 'allow' (see src/privacy/sensitiveData.js),
+  // and whether PDF exports black them out in the photos too
+  sensitivePolicy: 'warn',
+  redactImages: false,
+  // Minutes of inactivity before the vault locks again (see src/vault/vault.js)
+  vaultLockMinutes: 5,
+  // Print timestamp and coordinates under each PDF page
+  pdfFooter: true,
+  // Clean up recognized text (see src/text/postProcess.js); raw text is kept either way
+  textProcessing: true,
+  textSteps: DEFAULT_TEXT_STEPS,
+  // Lines containing one of these phrases (or matching "/regex/") are dropped
+  removeLinePatterns: [],
+};
+
+export async function loadSettings() {
+  try {
+    if (!(await RNFS.exists(SETTINGS_FILE))) {return { ...DEFAULT_SETTINGS };}
+    const stored = JSON.parse(await RNFS.readFile(SETTINGS_FILE, 'utf8'));
+    // Steps added in later versions start from their defaults
+    return { ...DEFAULT_SETTINGS, ...stored, textSteps: { ...DEFAULT_TEXT_STEPS, ...stored.textSteps } };
+  } catch (err) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export async function saveSettings(settings) {
+  await RNFS.writeFile(SETTINGS_FILE, JSON.stringify(settings), 'utf8');
+}
@@ -0,0 +1,49 @@
+/**
+ * multipart/form-data bodies built in JS, so uploads carry the image bytes
+ * read through RNFS and behave the same on the device and under Node.
+ *
+ * Part: { name, value } for a text field, or { name, fileName, contentType, bytes } for a file.
+ */
+
+import { utf8Bytes } from '../utils/utf8';
+
+const CRLF = '\r\n';
+
+// Quotes in header parameters are escaped the way browsers do it
+function quoted(value) {
+  return `"${String(value).replace(/"/g, '%22').replace(/\r?\n/g, ' ')}"`;
+}
+
+export function createBoundary() {
+  let random = '';
+  for (let i = 0; i < 24; i += 1) {random += Math.floor(Math.random() * 36).toString(36);}
+  return `----basicocr${random}`;
+}
+
+/**
+ * @returns {Uint8Array} the encoded body; send it with
+ *   Content-Type: multipart/form-data; boundary=<boundary>
+ */
+export function buildMultipart(parts, boundary) {
+  const chunks = [];
+  parts.forEach(part => {
+    let head = `--${boundary}${CRLF}Content-Disposition: form-data; name=${quoted(part.name)}`;
+    if (part.bytes) {
+      head += `; filename=${quoted(part.fileName || 'file')}${CRLF}`;
+      head += `Content-Type: ${part.contentType || 'application/octet-stream'}${CRLF}${CRLF}`;
+      chunks.push(utf8Bytes(head), part.bytes, utf8Bytes(CRLF));
+    } else {
+      head += `${CRLF}${CRLF}`;
+      chunks.push(utf8Bytes(head + String(part.value) + CRLF));
+    }
+  });
+  chunks.push(utf8Bytes(`--${boundary}--${CRLF}`));
+
+  const body = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return body;
+}
@@ -0,0 +1,187 @@
+/**
+ * Offline-first sync outbox
+ *
+ * RNFS.DocumentDirectoryPath/sync/outbox.json maps scan ids to their sync state,
+ * so queued uploads survive restarts:
+ *   { scanId, status, attempts, lastError, enqueuedAt, nextAttemptAt, syncedAt }
+ * - status: 'pending' | 'synced' | 'failed' ('uploading' is only reported while a pass runs);
+ *   labels under sync.status in the catalogs
+ * - pending scans are retried with exponential backoff until the server accepts them;
+ *   'failed' means the server rejected the request itself and waits for a manual retry
+ * - an edited scan is queued again; the server replaces it by its client-generated id
+ *
+ * sync/device.json keeps the random device id sent with every upload.
+ */
+
+import RNFS from 'react-native-fs';
+
+import { createScanId } from '../history/historyStore';
+import { uploadScan } from './uploadScan';
+import { t } from '../i18n/i18n';
+
+const SYNC_DIR = `${RNFS.DocumentDirectoryPath}/sync`;
+const OUTBOX_FILE = `${SYNC_DIR}/outbox.json`;
+const DEVICE_FILE = `${SYNC_DIR}/device.json`;
+
+// First retry after 30 s, doubling up to an hour between attempts
+const BACKOFF_BASE = 30 * 1000;
+const BACKOFF_MAX = 60 * 60 * 1000;
+
+// Serializes read-modify-write cycles on outbox.json
+let outboxQueue = Promise.resolve();
+// The sync pass in progress, shared by concurrent callers
+let running = null;
+
+const iso = ms => new Date(ms).toISOString();
+
+/**
+ * Delay before retry number `attempts` (1 = first retry): exponential, capped,
+ * with ±20% jitter so phones that lost the network together do not retry in step.
+ */
+export function backoffDelay(attempts, random = Math.random) {
+  const delay = Math.min(BACKOFF_BASE * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX);
+  return Math.round(delay * (0.8 + 0.4 * random()));
+}
+
+async function ensureSyncDir() {
+  if (!(await RNFS.exists(SYNC_DIR))) {
+    await RNFS.mkdir(SYNC_DIR);
+  }
+}
+
+async function readOutbox() {
+  try {
+    if (!(await RNFS.exists(OUTBOX_FILE))) {return {};}
+    const parsed = JSON.parse(await RNFS.readFile(OUTBOX_FILE, 'utf8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    // Losing the queue only means scans have to be sent again
+    return {};
+  }
+}
+
+// Run `mutate(outbox)` against the stored outbox and persist its result
+function updateOutbox(mutate) {
+  const run = outboxQueue.then(async () => {
+    await ensureSyncDir();
+    const outbox = mutate(await readOutbox());
+    await RNFS.writeFile(OUTBOX_FILE, JSON.stringify(outbox), 'utf8');
+    return outbox;
+  });
+  // Keep the queue alive even if this update fails
+  outboxQueue = run.catch(() => {});
+  return run;
+}
+
+export async function loadOutbox() {
+  await outboxQueue;
+  return readOutbox();
+}
+
+// Random id of this installation, created on first use
+export async function getDeviceId() {
+  try {
+    if (await RNFS.exists(DEVICE_FILE)) {
+      const { deviceId } = JSON.parse(await RNFS.readFile(DEVICE_FILE, 'utf8'));
+      if (deviceId) {return deviceId;}
+    }
+  } catch (err) {
+    // Unreadable: start over with a new id
+  }
+  const deviceId = createScanId();
+  await ensureSyncDir();
+  await RNFS.writeFile(DEVICE_FILE, JSON.stringify({ deviceId }), 'utf8');
+  return deviceId;
+}
+
+// Queue scans for upload (again), due immediately; failed scans are retried this way too
+export function enqueueScans(ids, now = Date.now()) {
+  return updateOutbox(outbox => {
+    const next = { ...outbox };
+    ids.forEach(scanId => {
+      next[scanId] = {
+        scanId,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        enqueuedAt: iso(now),
+        nextAttemptAt: iso(now),
+        syncedAt: outbox[scanId] ? outbox[scanId].syncedAt : null,
+      };
+    });
+    return next;
+  });
+}
+
+// Forget deleted scans; the server keeps what it already received
+export function removeFromOutbox(ids) {
+  return updateOutbox(outbox => {
+    const next = { ...outbox };
+    ids.forEach(id => delete next[id]);
+    return next;
+  });
+}
+
+// Milliseconds until the next pending upload is due (0 if one is overdue), or null
+export function nextSyncDelay(outbox, now = Date.now()) {
+  const due = Object.values(outbox)
+    .filter(entry => entry.status === 'pending')
+    .map(entry => Date.parse(entry.nextAttemptAt) - now);
+  return due.length === 0 ? null : Math.max(0, Math.min(...due));
+}
+
+async function syncDue(config, { loadScans, upload, now, random, onChange }) {
+  let outbox = await loadOutbox();
+  const due = Object.values(outbox)
+    .filter(entry => entry.status === 'pending' && Date.parse(entry.nextAttemptAt) <= now())
+    .sort((a, b) => a.enqueuedAt.localeCompare(b.enqueuedAt));
+  if (due.length === 0) {return outbox;}
+
+  const scans = new Map((await loadScans()).map(scan => [scan.id, scan]));
+  const deviceId = await getDeviceId();
+  for (const entry of due) {
+    const scan = scans.get(entry.scanId);
+    if (!scan) {
+      outbox = await removeFromOutbox([entry.scanId]);
+      continue;
+    }
+    if (onChange) {onChange({ ...outbox, [entry.scanId]: { ...entry, status: 'uploading' } });}
+
+    const attempts = entry.attempts + 1;
+    let patch;
+    try {
+      await upload(scan, { ...config, deviceId });
+      patch = { status: 'synced', attempts, lastError: null, syncedAt: iso(now()) };
+    } catch (err) {
+      const lastError = err.message || t('common.unknownError');
+      patch =
+        err.retryable === false
+          ? { status: 'failed', attempts, lastError }
+          : { status: 'pending', attempts, lastError, nextAttemptAt: iso(now() + backoffDelay(attempts, random)) };
+    }
+    // A scan edited or deleted during the upload keeps its newer state
+    outbox = await updateOutbox(current => {
+      const stored = current[entry.scanId];
+      if (!stored || stored.enqueuedAt !== entry.enqueuedAt) {return current;}
+      return { ...current, [entry.scanId]: { ...stored, ...patch } };
+    });
+    if (onChange) {onChange(outbox);}
+  }
+  return outbox;
+}
+
+/**
+ * Upload every pending scan that is due, one at a time, and persist the outcome.
+ * Calls made while a pass runs share it.
+ * @param {Object} config { endpoint, token?, timeout? } (see src/sync/uploadScan.js)
+ * @param {Object} options { loadScans: () => Promise<scans>, onChange?(outbox), upload?, now?, random? }
+ * @returns {Promise<Object>} the outbox after the pass
+ */
+export function runSync(config, { loadScans, onChange, upload = uploadScan, now = Date.now, random = Math.random }) {
+  if (!running) {
+    running = syncDue(config, { loadScans, upload, now, random, onChange }).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
@@ -0,0 +1,116 @@
+/**
+ * Upload of one scan to the team's REST endpoint.
+ *
+ * POST <endpoint> as multipart/form-data with the fields
+ *   scan_id, device_id, timestamp, captured_at, source, text, raw_text,
+ *   latitude, longitude, accuracy, location_source, location (JSON),
+ *   receipt (JSON), contact (JSON), barcodes (JSON)
+ * and one `image` file part per image (documents send their pages in order); a scan whose
+ * photo was adjusted before OCR also sends the photo as taken as `original_image`.
+ *
+ * scan_id is generated on the phone and also sent as the Idempotency-Key header:
+ * the server should treat it as the key, so a repeated upload (a retry, or an
+ * edited scan) replaces the earlier one instead of creating a duplicate.
+ * 2xx and 409 (already stored) count as success.
+ *
+ * Failures carry `retryable`: network errors, timeouts, 408, 429 and 5xx are
+ * worth retrying; other 4xx answers mean the request itself is wrong.
+ */
+
+import { buildMultipart, createBoundary } from './multipart';
+import { base64ToBytes } from '../utils/base64';
+import { baseName } from '../utils/paths';
+import { readImageBase64 } from '../vault/vault';
+import { t } from '../i18n/i18n';
+
+export const DEFAULT_SYNC_TIMEOUT = 60000;
+
+// Sync settings -> upload config, or null while sync is off or has no endpoint
+export function syncConfigFromSettings(settings) {
+  const endpoint = (settings.syncEndpoint || '').trim();
+  if (!settings.syncEnabled || !endpoint) {return null;}
+  return { endpoint, token: settings.syncToken || '', timeout: settings.syncTimeout || DEFAULT_SYNC_TIMEOUT };
+}
+
+function syncError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+function contentTypeOf(fileName) {
+  if (/\.png$/i.test(fileName)) {return 'image/png';}
+  if (/\.webp$/i.test(fileName)) {return 'image/webp';}
+  if (/\.hei[cf]$/i.test(fileName)) {return 'image/heic';}
+  return 'image/jpeg';
+}
+
+// Image file parts of a scan; images that can no longer be read are left out
+async function imageParts(scan) {
+  const images = (scan.pages ? scan.pages.map(page => page.imageUri) : [scan.imageUri]).map(uri => ({ name: 'image', uri }));
+  if (!scan.pages && scan.originalImageUri) {images.push({ name: 'original_image', uri: scan.originalImageUri });}
+  const parts = [];
+  for (const { name, uri } of images.filter(image => image.uri)) {
+    try {
+      const bytes = base64ToBytes(await readImageBase64(uri));
+      const fileName = baseName(uri) || `${scan.id}.jpg`;
+      parts.push({ name, fileName, contentType: contentTypeOf(fileName), bytes });
+    } catch (err) {
+      // The text and location are still worth sending
+    }
+  }
+  return parts;
+}
+
+// Text fields of the multipart body
+export function scanFields(scan, deviceId) {
+  const location = scan.location || null;
+  const fields = {
+    scan_id: scan.id,
+    device_id: deviceId,
+    timestamp: scan.timestamp,
+    captured_at: scan.capturedAt || '',
+    source: scan.source || '',
+    text: scan.extractedText || '',
+    raw_text: scan.rawText || '',
+    latitude: location ? location.latitude : '',
+    longitude: location ? location.longitude : '',
+    accuracy: location && location.accuracy !== null && location.accuracy !== undefined ? location.accuracy : '',
+    location_source: scan.locationSource || 'none',
+    location: location ? JSON.stringify(location) : '',
+  };
+  if (scan.receiptFields) {fields.receipt = JSON.stringify(scan.receiptFields);}
+  if (scan.contact) {fields.contact = JSON.stringify(scan.contact);}
+  if (scan.barcodes && scan.barcodes.length > 0) {fields.barcodes = JSON.stringify(scan.barcodes);}
+  return Object.keys(fields).map(name => ({ name, value: fields[name] }));
+}
+
+/**
+ * @param {Object} config { endpoint, token?, timeout?, deviceId }
+ * @returns {Promise<number>} the HTTP status of the accepted upload
+ */
+export async function uploadScan(scan, { endpoint, token = '', timeout = DEFAULT_SYNC_TIMEOUT, deviceId }) {
+  const boundary = createBoundary();
+  const body = buildMultipart([...scanFields(scan, deviceId), ...(await imageParts(scan))], boundary);
+  const headers = {
+    'Content-Type': `multipart/form-data; boundary=${boundary}`,
+    'Idempotency-Key': scan.id,
+  };
+  if (token) {headers.Authorization = `Bearer ${token}`;}
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let response;
+  try {
+    response = await fetch(endpoint, { method: 'POST', headers, body, signal: controller.signal });
+  } catch (err) {
+    if (controller.signal.aborted) {throw syncError(t('sync.errors.timeout'), true);}
+    throw syncError(t('sync.errors.unreachable', { reason: err.message || t('common.unknownError') }), true);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (response.ok || response.status === 409) {return response.status;}
+  const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+  throw syncError(t('sync.errors.rejected', { status: response.status }), retryable);
+}
@@ -0,0 +1,14 @@
+/**
+ * Text folding for matching: lowercase, Serbian Cyrillic read as Latin,
+ * diacritics stripped ("Укупан износ" and "Ukupan iznos" both become "ukupan iznos").
+ */
+
+import { cyrillicToLatin } from './transliterate';
+
+export function foldText(text) {
+  return cyrillicToLatin(text || '')
+    .toLowerCase()
+    .replace(/đ/g, 'dj')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
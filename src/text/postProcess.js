@@ -0,0 +1,124 @@
+/**
+ * Optional clean-up steps between ML Kit recognition and the displayed text.
+ *
+ * Steps (each can be switched on or off, see TEXT_STEPS):
+ * - removeLines: drop lines matching user patterns, and lines with no letters or digits
+ * - dehyphenate: join words split across lines ("ana-" + "liza" -> "analiza")
+ * - reflow: join the lines of each OCR block into one paragraph
+ * - digits: O -> 0 and l/I -> 1 inside numbers ("1O5,5O" -> "105,50")
+ * - quotes: typographic quotes and apostrophes to " and '
+ * - whitespace: collapse repeated spaces, trim lines, no space before punctuation
+ *
+ * The raw text is never modified; callers keep both.
+ */
+
+import { foldText } from './normalize';
+
+// Step keys in pipeline order; their descriptions are under settings.textSteps in the catalogs
+export const TEXT_STEPS = ['removeLines', 'dehyphenate', 'reflow', 'digits', 'quotes', 'whitespace'];
+
+export const DEFAULT_TEXT_STEPS = {
+  removeLines: true,
+  dehyphenate: true,
+  // Off by default: receipts and business cards read better line by line
+  reflow: false,
+  digits: true,
+  quotes: true,
+  whitespace: true,
+};
+
+const HYPHENS = '\\-\\u00ad\\u2010\\u2011';
+const HYPHEN_END = new RegExp(`(\\p{L})[${HYPHENS}]$`, 'u');
+const NUMBER_TOKEN = /(?<![\p{L}\d])[\dOolI|][\dOolI|.,:/-]*[\dOolI|](?![\p{L}\d])/gu;
+
+// Pipeline options from the app settings, or null when post-processing is off
+export function pipelineFromSettings(settings) {
+  if (!settings.textProcessing) {return null;}
+  return { ...DEFAULT_TEXT_STEPS, ...settings.textSteps, removeLinePatterns: settings.removeLinePatterns || [] };
+}
+
+// Helper: Line filter for the user's patterns; "/.../" is a regular expression, anything else a plain phrase
+function lineMatcher(patterns) {
+  const tests = patterns
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+    .map(pattern => {
+      const regex = /^\/(.+)\/$/.exec(pattern);
+      if (regex) {
+        try {
+          const compiled = new RegExp(regex[1], 'iu');
+          return line => compiled.test(line);
+        } catch (err) {
+          // An invalid expression is matched literally
+        }
+      }
+      const phrase = foldText(pattern);
+      return line => foldText(line).includes(phrase);
+    });
+  return line => !/[\p{L}\p{N}]/u.test(line) || tests.some(test => test(line));
+}
+
+// Join a word hyphenated at the end of `lines[i]` with the start of the next line
+function dehyphenate(lines) {
+  const out = [...lines];
+  for (let i = 0; i < out.length - 1; i += 1) {
+    const next = out[i + 1];
+    if (!HYPHEN_END.test(out[i].trimEnd()) || !/^\p{Ll}/u.test(next.trimStart())) {continue;}
+    const [fragment, ...rest] = next.trimStart().split(/\s+/);
+    out[i] = out[i].trimEnd().slice(0, -1) + fragment;
+    out[i + 1] = rest.join(' ');
+  }
+  return out;
+}
+
+// Fix letters read instead of digits, only in tokens that already contain a digit
+export function fixDigitConfusions(text) {
+  return text.replace(NUMBER_TOKEN, token =>
+    /\d/.test(token) ? token.replace(/[Oo]/g, '0').replace(/[lI|]/g, '1') : token,
+  );
+}
+
+export function normalizeQuotes(text) {
+  return text.replace(/[\u201c\u201d\u201e\u201f\u00ab\u00bb\u2033]/g, '"').replace(/[\u2018\u2019\u201a\u201b\u2039\u203a\u2032`\u00b4]/g, "'");
+}
+
+export function normalizeWhitespace(text) {
+  return text
+    .replace(/[\t\u00a0\u2000-\u200a\u202f]/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/ {2,}/g, ' ').replace(/ +([,.;:!?)])/g, '$1').replace(/([(]) +/g, '$1').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Run the enabled steps.
+ * @param {string} rawText text as recognized
+ * @param {Object|null} ocrResult stored OCR result; its blocks are the paragraphs for reflow
+ * @param {Object|null} options step flags plus removeLinePatterns; null returns rawText unchanged
+ */
+export function processText(rawText, ocrResult, options) {
+  if (!options || !rawText) {return rawText || '';}
+  const blocks =
+    ocrResult && ocrResult.blocks && ocrResult.blocks.length > 0
+      ? ocrResult.blocks.map(block => (block.lines && block.lines.length > 0 ? block.lines.map(line => line.text) : block.text.split('\n')))
+      : rawText.split(/\n{2,}/).map(paragraph => paragraph.split('\n'));
+
+  const removeLine = options.removeLines ? lineMatcher(options.removeLinePatterns || []) : null;
+  const paragraphs = blocks
+    .map(lines => {
+      let kept = removeLine ? lines.filter(line => !removeLine(line)) : lines;
+      if (options.dehyphenate) {kept = dehyphenate(kept).filter(line => line.trim() !== '');}
+      return kept;
+    })
+    .filter(lines => lines.length > 0);
+
+  let text = options.reflow
+    ? paragraphs.map(lines => lines.map(line => line.trim()).join(' ')).join('\n\n')
+    : paragraphs.map(lines => lines.join('\n')).join('\n');
+  if (options.digits) {text = fixDigitConfusions(text);}
+  if (options.quotes) {text = normalizeQuotes(text);}
+  if (options.whitespace) {text = normalizeWhitespace(text);}
+  return text;
+}
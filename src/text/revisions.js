@@ -0,0 +1,99 @@
+/**
+ * Revisions of a scan's text and undo/redo while editing it.
+ *
+ * A scan keeps `revisions`: [{ kind, text, savedAt }], oldest first, the last one
+ * being the current extractedText. kind is
+ * - 'ocr': text from a recognition run (the first revision, and every re-OCR)
+ * - 'edit': saved by the user
+ * - 'raw': reverted to the raw OCR output
+ * - 'restore': an earlier revision made current again
+ * - 'redact': sensitive values masked (see src/privacy/sensitiveData.js)
+ * Scans stored before revisions existed start with their extractedText as the OCR revision.
+ *
+ * Pure functions; the edit history is a plain { past, present, future } value.
+ */
+
+export const REVISION_KINDS = ['ocr', 'edit', 'raw', 'restore', 'redact'];
+
+// Keystrokes closer together than this are undone as one step
+const COALESCE_MS = 1000;
+const MAX_UNDO_STEPS = 100;
+
+export function scanRevisions(scan) {
+  if (scan.revisions && scan.revisions.length > 0) {return scan.revisions;}
+  return [{ kind: 'ocr', text: scan.extractedText || '', savedAt: scan.timestamp || null }];
+}
+
+// Append a revision; unchanged text adds nothing
+export function addRevision(revisions, text, kind, savedAt = new Date().toISOString()) {
+  const latest = revisions[revisions.length - 1];
+  if (latest && latest.text === text) {return revisions;}
+  return [...revisions, { kind, text, savedAt }];
+}
+
+/**
+ * Line-level diff (longest common subsequence).
+ * @returns {Array} [{ type: 'same' | 'added' | 'removed', text }] in reading order
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // lcs[i][j]: common lines of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i] });
+      i += 1;
+    } else {
+      diff.push({ type: 'added', text: b[j] });
+      j += 1;
+    }
+  }
+  a.slice(i).forEach(text => diff.push({ type: 'removed', text }));
+  b.slice(j).forEach(text => diff.push({ type: 'added', text }));
+  return diff;
+}
+
+export function createEditHistory(text) {
+  return { past: [], present: text, future: [], lastEditAt: 0 };
+}
+
+// Record a change of the edited text; quick successive keystrokes share one undo step
+export function applyEdit(history, text, now = Date.now()) {
+  if (text === history.present) {return history;}
+  const coalesce = history.past.length > 0 && now - history.lastEditAt < COALESCE_MS;
+  const past = coalesce ? history.past : [...history.past, history.present].slice(-MAX_UNDO_STEPS);
+  return { past, present: text, future: [], lastEditAt: now };
+}
+
+export function undoEdit(history) {
+  if (history.past.length === 0) {return history;}
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastEditAt: 0,
+  };
+}
+
+export function redoEdit(history) {
+  if (history.future.length === 0) {return history;}
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastEditAt: 0,
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Deterministic Serbian Cyrillic <-> Latin transliteration.
+ *
+ * Follows the standard one-to-one mapping of the Serbian alphabets, including
+ * the digraphs Lj/Nj/Dž <-> Љ/Њ/Џ. Characters outside the alphabets are kept.
+ * Latin -> Cyrillic always reads "lj", "nj" and "dž" as digraphs, so rare
+ * compounds such as "nadživeti" come out as Џ and need a manual fix.
+ */
+
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', ђ: 'đ', е: 'e', ж: 'ž', з: 'z', и: 'i',
+  ј: 'j', к: 'k', л: 'l', љ: 'lj', м: 'm', н: 'n', њ: 'nj', о: 'o', п: 'p', р: 'r',
+  с: 's', т: 't', ћ: 'ć', у: 'u', ф: 'f', х: 'h', ц: 'c', ч: 'č', џ: 'dž', ш: 'š',
+};
+
+const LATIN_TO_CYRILLIC = Object.keys(CYRILLIC_TO_LATIN).reduce((map, cyr) => {
+  map[CYRILLIC_TO_LATIN[cyr]] = cyr;
+  return map;
+}, {});
+
+const LATIN_DIGRAPHS = ['lj', 'nj', 'dž'];
+
+// Helper: Is the character an uppercase letter?
+function isUpper(char) {
+  return !!char && char !== char.toLowerCase() && char === char.toUpperCase();
+}
+
+function isLetter(char) {
+  return !!char && char.toLowerCase() !== char.toUpperCase();
+}
+
+// Transliterate Serbian Cyrillic text to Latin
+export function cyrillicToLatin(text) {
+  const chars = Array.from(text || '');
+  return chars
+    .map((char, i) => {
+      const lower = char.toLowerCase();
+      const latin = CYRILLIC_TO_LATIN[lower];
+      if (latin === undefined) {return char;}
+      if (!isUpper(char)) {return latin;}
+      // Љ -> "LJ" inside an all-caps word, "Lj" otherwise
+      if (latin.length > 1) {
+        const next = chars[i + 1];
+        const allCaps = isLetter(next) ? isUpper(next) : isUpper(chars[i - 1]);
+        return allCaps ? latin.toUpperCase() : latin[0].toUpperCase() + latin.slice(1);
+      }
+      return latin.toUpperCase();
+    })
+    .join('');
+}
+
+// Transliterate Serbian Latin text to Cyrillic
+export function latinToCyrillic(text) {
+  const source = text || '';
+  let out = '';
+  let i = 0;
+  while (i < source.length) {
+    const pair = source.slice(i, i + 2);
+    if (LATIN_DIGRAPHS.includes(pair.toLowerCase())) {
+      const cyr = LATIN_TO_CYRILLIC[pair.toLowerCase()];
+      out += isUpper(pair[0]) ? cyr.toUpperCase() : cyr;
+      i += 2;
+      continue;
+    }
+    const char = source[i];
+    const cyr = LATIN_TO_CYRILLIC[char.toLowerCase()];
+    out += cyr === undefined ? char : isUpper(char) ? cyr.toUpperCase() : cyr;
+    i += 1;
+  }
+  return out;
+}
+
+/**
+ * Apply a script mode to text.
+ * @param {string} mode 'original', 'latin' or 'cyrillic'
+ */
+export function transliterate(text, mode) {
+  if (mode === 'latin') {return cyrillicToLatin(text);}
+  if (mode === 'cyrillic') {return latinToCyrillic(text);}
+  return text;
+}
@@ -0,0 +1,41 @@
+/**
+ * Base64 <-> bytes without relying on atob/btoa, which not every
+ * JS engine the app runs on provides. RNFS reads and writes binary as base64.
+ */
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const LOOKUP = {};
+for (let i = 0; i < ALPHABET.length; i += 1) {
+  LOOKUP[ALPHABET[i]] = i;
+}
+
+export function bytesToBase64(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const a = bytes[i];
+    const b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const c = i + 2 < bytes.length ? bytes[i + 2] : 0;
+    const triple = a * 65536 + b * 256 + c;
+    out += ALPHABET[Math.floor(triple / 262144) % 64];
+    out += ALPHABET[Math.floor(triple / 4096) % 64];
+    out += i + 1 < bytes.length ? ALPHABET[Math.floor(triple / 64) % 64] : '=';
+    out += i + 2 < bytes.length ? ALPHABET[triple % 64] : '=';
+  }
+  return out;
+}
+
+export function base64ToBytes(base64) {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let length = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const chunk = clean.slice(i, i + 4);
+    const values = Array.from(chunk).map(char => LOOKUP[char]);
+    while (values.length < 4) {values.push(0);}
+    const triple = values[0] * 262144 + values[1] * 4096 + values[2] * 64 + values[3];
+    bytes[length++] = Math.floor(triple / 65536) % 256;
+    if (chunk.length > 2) {bytes[length++] = Math.floor(triple / 256) % 256;}
+    if (chunk.length > 3) {bytes[length++] = triple % 256;}
+  }
+  return bytes.subarray(0, length);
+}
@@ -0,0 +1,14 @@
+/**
+ * File path helpers.
+ */
+
+// Strip the file:// scheme RNFS does not expect
+export function toFsPath(uri) {
+  return uri.startsWith('file://') ? uri.slice(7) : uri;
+}
+
+// Last path segment of a URI or path
+export function baseName(uri) {
+  if (!uri) {return '';}
+  return decodeURIComponent(uri.split('?')[0].split('/').pop());
+}
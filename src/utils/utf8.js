@@ -0,0 +1,62 @@
+/**
+ * UTF-8 <-> string without relying on TextEncoder/TextDecoder, which not every
+ * JS engine the app runs on provides.
+ */
+
+// UTF-8 bytes of a string
+export function utf8Bytes(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 + Math.floor(code / 64), 0x80 + (code % 64));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 + Math.floor(code / 4096), 0x80 + (Math.floor(code / 64) % 64), 0x80 + (code % 64));
+    } else {
+      bytes.push(
+        0xf0 + Math.floor(code / 262144),
+        0x80 + (Math.floor(code / 4096) % 64),
+        0x80 + (Math.floor(code / 64) % 64),
+        0x80 + (code % 64),
+      );
+    }
+  }
+  return bytes;
+}
+
+// String from UTF-8 bytes; malformed sequences become U+FFFD
+export function utf8String(bytes) {
+  let text = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let length = 0;
+    let code = byte;
+    if (byte >= 0xf0 && byte < 0xf8) {
+      length = 3;
+      code = byte - 0xf0;
+    } else if (byte >= 0xe0) {
+      length = 2;
+      code = byte - 0xe0;
+    } else if (byte >= 0xc0) {
+      length = 1;
+      code = byte - 0xc0;
+    } else if (byte >= 0x80) {
+      code = 0xfffd;
+    }
+    for (let k = 1; k <= length; k += 1) {
+      const next = bytes[i + k];
+      if (next === undefined || next < 0x80 || next >= 0xc0) {
+        code = 0xfffd;
+        length = k - 1;
+        break;
+      }
+      code = code * 64 + (next - 0x80);
+    }
+    text += String.fromCodePoint(code > 0x10ffff ? 0xfffd : code);
+    i += length + 1;
+  }
+  return text;
+}
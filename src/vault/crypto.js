@@ -0,0 +1,459 @@
+/**
+ * SHA-256, HMAC, PBKDF2 and AES-256-GCM in plain JS for the vault (see vault.js).
+ *
+ * React Native ships no WebCrypto, so these follow FIPS 180-4, RFC 2104,
+ * RFC 8018 and FIPS 197 / SP 800-38D directly. They work on Uint8Arrays and
+ * 32-bit words in Int32Arrays, which wrap what is stored in them: bytes are packed
+ * and unpacked with arithmetic like the rest of the app, and the tables and keys are
+ * set up with it. Only the per-block rounds use bit operators, line by line.
+ */
+
+import { t } from '../i18n/i18n';
+
+// PBKDF2 rounds run between two yields to the event loop
+export const PBKDF2_CHUNK = 500;
+
+const POW2 = [1, 0x100, 0x10000, 0x1000000];
+
+// Helper: Big-endian word of the 4 bytes at `at` (unsigned; Int32Arrays store it wrapped)
+function readWord(bytes, at) {
+  return bytes[at] * POW2[3] + bytes[at + 1] * POW2[2] + bytes[at + 2] * POW2[1] + bytes[at + 3];
+}
+
+// Helper: XOR of two bytes in arithmetic, for the tables and key schedules built outside the rounds
+function xorByte(a, b) {
+  let out = 0;
+  for (let bit = 1; bit < 0x100; bit *= 2) {
+    if (Math.floor(a / bit) % 2 !== Math.floor(b / bit) % 2) {out += bit;}
+  }
+  return out;
+}
+
+// ---- SHA-256 ----
+
+// Round constants and initial state: fractional parts of the cube / square roots of the first primes
+const K = new Int32Array(64);
+const H0 = new Int32Array(8);
+(() => {
+  const fraction = value => (value - Math.floor(value)) * 0x100000000;
+  let found = 0;
+  for (let candidate = 2; found < 64; candidate += 1) {
+    let prime = true;
+    for (let divisor = 2; divisor * divisor <= candidate; divisor += 1) {
+      if (candidate % divisor === 0) {prime = false;}
+    }
+    if (!prime) {continue;}
+    if (found < 8) {H0[found] = fraction(Math.sqrt(candidate));}
+    K[found] = fraction(Math.cbrt(candidate));
+    found += 1;
+  }
+})();
+
+// One compression round; `w` holds the 16 message words and is used as the schedule
+function compress(state, w) {
+  for (let i = 16; i < 64; i += 1) {
+    const x = w[i - 15];
+    const y = w[i - 2];
+    // eslint-disable-next-line no-bitwise -- σ0 of FIPS 180-4: two rotations and a shift
+    const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+    // eslint-disable-next-line no-bitwise -- σ1 of FIPS 180-4: two rotations and a shift
+    const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+    w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+  }
+  let a = state[0];
+  let b = state[1];
+  let c = state[2];
+  let d = state[3];
+  let e = state[4];
+  let f = state[5];
+  let g = state[6];
+  let h = state[7];
+  for (let i = 0; i < 64; i += 1) {
+    // eslint-disable-next-line no-bitwise -- Σ1 of FIPS 180-4: three rotations
+    const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+    // eslint-disable-next-line no-bitwise -- Ch(e, f, g) and the sum modulo 2^32
+    const t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+    // eslint-disable-next-line no-bitwise -- Σ0 of FIPS 180-4: three rotations
+    const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+    // eslint-disable-next-line no-bitwise -- Maj(a, b, c) and the sum modulo 2^32
+    const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+    h = g;
+    g = f;
+    f = e;
+    // eslint-disable-next-line no-bitwise -- sum modulo 2^32
+    e = (d + t1) | 0;
+    d = c;
+    c = b;
+    b = a;
+    // eslint-disable-next-line no-bitwise -- sum modulo 2^32
+    a = (t1 + t2) | 0;
+  }
+  state[0] += a;
+  state[1] += b;
+  state[2] += c;
+  state[3] += d;
+  state[4] += e;
+  state[5] += f;
+  state[6] += g;
+  state[7] += h;
+}
+
+// Hash `bytes` on top of `state`, which has already absorbed `prefixLength` bytes (whole blocks)
+function finish(state, bytes, prefixLength) {
+  const total = prefixLength + bytes.length;
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const end = padded.length;
+  // Length in bits as two words; the Uint8Array keeps the low byte of each quotient
+  const high = Math.floor(total / 0x20000000);
+  const low = (total * 8) % 0x100000000;
+  for (let i = 0; i < 4; i += 1) {
+    padded[end - 8 + i] = Math.floor(high / POW2[3 - i]);
+    padded[end - 4 + i] = Math.floor(low / POW2[3 - i]);
+  }
+  const w = new Int32Array(64);
+  for (let offset = 0; offset < end; offset += 64) {
+    for (let i = 0; i < 16; i += 1) {w[i] = readWord(padded, offset + i * 4);}
+    compress(state, w);
+  }
+  return state;
+}
+
+// Big-endian bytes of the words; negative words come out as their two's complement
+function wordsToBytes(words, out = new Uint8Array(words.length * 4), offset = 0) {
+  words.forEach((word, i) => {
+    for (let j = 0; j < 4; j += 1) {out[offset + i * 4 + j] = Math.floor(word / POW2[3 - j]);}
+  });
+  return out;
+}
+
+export function sha256(bytes) {
+  return wordsToBytes(finish(H0.slice(), bytes, 0));
+}
+
+// Inner and outer hash states after the padded HMAC key block
+function hmacStates(key) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha256(key) : key);
+  const inner = H0.slice();
+  const outer = H0.slice();
+  const w = new Int32Array(64);
+  [
+    [inner, 0x36],
+    [outer, 0x5c],
+  ].forEach(([state, pad]) => {
+    const padded = block.map(byte => xorByte(byte, pad));
+    for (let i = 0; i < 16; i += 1) {w[i] = readWord(padded, i * 4);}
+    compress(state, w);
+  });
+  return { inner, outer };
+}
+
+function hmacWords(states, message) {
+  const inner = finish(states.inner.slice(), message, 64);
+  return finish(states.outer.slice(), wordsToBytes(inner), 64);
+}
+
+export function hmacSha256(key, message) {
+  return wordsToBytes(hmacWords(hmacStates(key), message));
+}
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * PBKDF2-HMAC-SHA256 (RFC 8018). Iterations hash a single 32-byte value, so
+ * each one is two compressions on precomputed key states. Hundreds of thousands
+ * of them take seconds on a phone, so the loop yields to the event loop every
+ * PBKDF2_CHUNK rounds (and before the first) to keep the UI responsive.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function pbkdf2Sha256(password, salt, iterations, length) {
+  const states = hmacStates(password);
+  const out = new Uint8Array(length);
+  const w = new Int32Array(64);
+  const state = new Int32Array(8);
+  for (let index = 1; (index - 1) * 32 < length; index += 1) {
+    const message = new Uint8Array(salt.length + 4);
+    message.set(salt);
+    message.set(wordsToBytes([index]), salt.length);
+    const u = hmacWords(states, message);
+    const sum = u.slice();
+    for (let i = 1; i < iterations; i += 1) {
+      if ((i - 1) % PBKDF2_CHUNK === 0) {await nextTick();}
+      // HMAC of the previous 32-byte u: one padded block each for the inner and outer hash
+      [states.inner, states.outer].forEach(start => {
+        w.set(u);
+        w[8] = 0x80000000;
+        w.fill(0, 9, 15);
+        w[15] = (64 + 32) * 8;
+        state.set(start);
+        compress(state, w);
+        u.set(state);
+      });
+      // eslint-disable-next-line no-bitwise -- U1 xor U2 xor ... of RFC 8018
+      for (let k = 0; k < 8; k += 1) {sum[k] ^= u[k];}
+    }
+    const block = wordsToBytes(sum);
+    out.set(block.subarray(0, Math.min(32, length - (index - 1) * 32)), (index - 1) * 32);
+  }
+  return out;
+}
+
+// ---- AES-256 ----
+
+const SBOX = new Uint8Array(256);
+const T0 = new Int32Array(256);
+const T1 = new Int32Array(256);
+const T2 = new Int32Array(256);
+const T3 = new Int32Array(256);
+
+// Helper: b * 2 in GF(2^8)
+const xtime = b => xorByte((b * 2) % 0x100, b >= 0x80 ? 0x1b : 0);
+
+(() => {
+  const rotl8 = (x, shift) => ((x * 2 ** shift) % 0x100) + Math.floor(x / 2 ** (8 - shift));
+  let p = 1;
+  let q = 1;
+  do {
+    // p * 3 and q / 3 in GF(2^8): q is the inverse of p
+    p = xorByte(p, xtime(p));
+    q = xorByte(q, (q * 2) % 0x100);
+    q = xorByte(q, (q * 4) % 0x100);
+    q = xorByte(q, (q * 16) % 0x100);
+    if (q >= 0x80) {q = xorByte(q, 0x09);}
+    SBOX[p] = [1, 2, 3, 4].reduce((value, shift) => xorByte(value, rotl8(q, shift)), xorByte(q, 0x63));
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+  // Each table is the MixColumns column of S(x), rotated by one byte more
+  for (let x = 0; x < 256; x += 1) {
+    const s = SBOX[x];
+    const s2 = xtime(s);
+    const s3 = xorByte(s2, s);
+    const column = [s2, s, s, s3, s2, s, s];
+    [T0, T3, T2, T1].forEach((table, shift) => {
+      table[x] = readWord(column, shift);
+    });
+  }
+})();
+
+// 60 round-key words of a 32-byte key (the schedule works on bytes)
+function expandKey(key) {
+  if (key.length !== 32) {throw new Error(t('vault.errors.keyLength'));}
+  const bytes = new Uint8Array(240);
+  bytes.set(key);
+  let rcon = 1;
+  for (let i = 32; i < 240; i += 4) {
+    let temp = Array.from(bytes.subarray(i - 4, i));
+    if (i % 32 === 0) {
+      temp = [xorByte(SBOX[temp[1]], rcon), SBOX[temp[2]], SBOX[temp[3]], SBOX[temp[0]]];
+      rcon = xtime(rcon);
+    } else if (i % 32 === 16) {
+      temp = temp.map(byte => SBOX[byte]);
+    }
+    temp.forEach((byte, j) => {
+      bytes[i + j] = xorByte(bytes[i - 32 + j], byte);
+    });
+  }
+  const w = new Int32Array(60);
+  for (let i = 0; i < 60; i += 1) {w[i] = readWord(bytes, i * 4);}
+  return w;
+}
+
+// Encrypt the block in `block` (4 words) into `out`
+function encryptBlock(w, block, out) {
+  // eslint-disable-next-line no-bitwise -- AddRoundKey
+  let s0 = block[0] ^ w[0];
+  // eslint-disable-next-line no-bitwise -- AddRoundKey
+  let s1 = block[1] ^ w[1];
+  // eslint-disable-next-line no-bitwise -- AddRoundKey
+  let s2 = block[2] ^ w[2];
+  // eslint-disable-next-line no-bitwise -- AddRoundKey
+  let s3 = block[3] ^ w[3];
+  for (let round = 1; round < 14; round += 1) {
+    const k = round * 4;
+    // eslint-disable-next-line no-bitwise -- one T-table round (SubBytes, ShiftRows, MixColumns, AddRoundKey)
+    const t0 = T0[s0 >>> 24] ^ T1[(s1 >>> 16) & 0xff] ^ T2[(s2 >>> 8) & 0xff] ^ T3[s3 & 0xff] ^ w[k];
+    // eslint-disable-next-line no-bitwise -- one T-table round
+    const t1 = T0[s1 >>> 24] ^ T1[(s2 >>> 16) & 0xff] ^ T2[(s3 >>> 8) & 0xff] ^ T3[s0 & 0xff] ^ w[k + 1];
+    // eslint-disable-next-line no-bitwise -- one T-table round
+    const t2 = T0[s2 >>> 24] ^ T1[(s3 >>> 16) & 0xff] ^ T2[(s0 >>> 8) & 0xff] ^ T3[s1 & 0xff] ^ w[k + 2];
+    // eslint-disable-next-line no-bitwise -- one T-table round
+    const t3 = T0[s3 >>> 24] ^ T1[(s0 >>> 16) & 0xff] ^ T2[(s1 >>> 8) & 0xff] ^ T3[s2 & 0xff] ^ w[k + 3];
+    s0 = t0;
+    s1 = t1;
+    s2 = t2;
+    s3 = t3;
+  }
+  const last = (a, b, c, d, k) =>
+    // eslint-disable-next-line no-bitwise -- final round without MixColumns
+    ((SBOX[a >>> 24] << 24) | (SBOX[(b >>> 16) & 0xff] << 16) | (SBOX[(c >>> 8) & 0xff] << 8) | SBOX[d & 0xff]) ^ w[k];
+  out[0] = last(s0, s1, s2, s3, 56);
+  out[1] = last(s1, s2, s3, s0, 57);
+  out[2] = last(s2, s3, s0, s1, 58);
+  out[3] = last(s3, s0, s1, s2, 59);
+  return out;
+}
+
+// ---- GCM ----
+
+// Reduction of the 4 bits shifted out per step (x^128 + x^7 + x^2 + x + 1), as in Shoup's method
+const LAST4 = [0x0000, 0x1c20, 0x3840, 0x2460, 0x7080, 0x6ca0, 0x48c0, 0x54e0, 0xe100, 0xfd20, 0xd940, 0xc560, 0x9180, 0x8da0, 0xa9c0, 0xb5e0];
+
+// Multiples of H (16 bytes) by every 4-bit value (16 x 4 words)
+function ghashTable(h) {
+  const rows = Array.from({ length: 16 }, () => new Uint8Array(16));
+  rows[8].set(h);
+  // H * x^(8/i): one bit to the right, reduced when a bit falls off
+  for (let i = 4; i >= 1; i /= 2) {
+    const previous = rows[i * 2];
+    for (let k = 0; k < 16; k += 1) {
+      rows[i][k] = Math.floor(previous[k] / 2) + (k > 0 ? (previous[k - 1] % 2) * 0x80 : 0);
+    }
+    if (previous[15] % 2 === 1) {rows[i][0] = xorByte(rows[i][0], 0xe1);}
+  }
+  for (let i = 2; i <= 8; i *= 2) {
+    for (let j = 1; j < i; j += 1) {
+      rows[i + j] = rows[i].map((byte, k) => xorByte(byte, rows[j][k]));
+    }
+  }
+  const table = new Int32Array(64);
+  rows.forEach((row, i) => {
+    for (let k = 0; k < 4; k += 1) {table[i * 4 + k] = readWord(row, k * 4);}
+  });
+  return table;
+}
+
+// x = x * H in GF(2^128), x being 4 words
+function ghashMultiply(table, x) {
+  let a = 0;
+  let b = 0;
+  let c = 0;
+  let d = 0;
+  for (let i = 15; i >= 0; i -= 1) {
+    // eslint-disable-next-line no-bitwise -- byte i of the 128-bit value
+    const byte = (x[i >>> 2] >>> ((3 - (i & 3)) * 8)) & 0xff;
+    [byte % 16, Math.floor(byte / 16)].forEach((nibble, step) => {
+      if (i !== 15 || step === 1) {
+        // Shift the 128-bit value right by 4 bits and reduce the bits shifted out
+        const rem = d - Math.floor(d / 16) * 16;
+        // eslint-disable-next-line no-bitwise -- 128-bit shift
+        d = (d >>> 4) | (c << 28);
+        // eslint-disable-next-line no-bitwise -- 128-bit shift
+        c = (c >>> 4) | (b << 28);
+        // eslint-disable-next-line no-bitwise -- 128-bit shift
+        b = (b >>> 4) | (a << 28);
+        // eslint-disable-next-line no-bitwise -- 128-bit shift and reduction
+        a = (a >>> 4) ^ (LAST4[rem] << 16);
+      }
+      // Add (XOR) nibble * H
+      const at = nibble * 4;
+      // eslint-disable-next-line no-bitwise -- GF(2^128) addition
+      a ^= table[at];
+      // eslint-disable-next-line no-bitwise -- GF(2^128) addition
+      b ^= table[at + 1];
+      // eslint-disable-next-line no-bitwise -- GF(2^128) addition
+      c ^= table[at + 2];
+      // eslint-disable-next-line no-bitwise -- GF(2^128) addition
+      d ^= table[at + 3];
+    });
+  }
+  x[0] = a;
+  x[1] = b;
+  x[2] = c;
+  x[3] = d;
+}
+
+// Helper: Absorb `bytes` (zero-padded to whole blocks) into the GHASH state
+function ghashUpdate(table, x, bytes) {
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    let block = bytes;
+    let at = offset;
+    if (offset + 16 > bytes.length) {
+      block = new Uint8Array(16);
+      block.set(bytes.subarray(offset));
+      at = 0;
+    }
+    // eslint-disable-next-line no-bitwise -- GHASH adds each block by XOR
+    for (let k = 0; k < 4; k += 1) {x[k] ^= readWord(block, at + k * 4);}
+    ghashMultiply(table, x);
+  }
+}
+
+// CTR keystream from counter block `counter` (4 words, last one incremented) over `input`
+function ctr(w, counter, input, out) {
+  const block = new Int32Array(4);
+  for (let offset = 0; offset < input.length; offset += 16) {
+    counter[3] += 1;
+    encryptBlock(w, counter, block);
+    const end = Math.min(16, input.length - offset);
+    for (let i = 0; i < end; i += 1) {
+      // eslint-disable-next-line no-bitwise -- XOR with byte i of the keystream block (the Uint8Array drops the rest)
+      out[offset + i] = input[offset + i] ^ (block[i >>> 2] >>> ((3 - (i & 3)) * 8));
+    }
+  }
+}
+
+// Tag over the additional data and the ciphertext
+function gcmTag(w, table, j0, aad, ciphertext) {
+  const x = new Int32Array(4);
+  ghashUpdate(table, x, aad);
+  ghashUpdate(table, x, ciphertext);
+  const bits = length => [Math.floor(length / 0x20000000), (length * 8) % 0x100000000];
+  const lengths = [...bits(aad.length), ...bits(ciphertext.length)];
+  // eslint-disable-next-line no-bitwise -- GHASH adds the length block by XOR
+  for (let k = 0; k < 4; k += 1) {x[k] ^= lengths[k];}
+  ghashMultiply(table, x);
+  const mask = encryptBlock(w, j0, new Int32Array(4));
+  // eslint-disable-next-line no-bitwise -- the tag is GHASH XOR E(K, J0)
+  return wordsToBytes(x.map((word, k) => word ^ mask[k]));
+}
+
+function gcmSetup(key, iv) {
+  if (iv.length !== 12) {throw new Error(t('vault.errors.nonceLength'));}
+  const w = expandKey(key);
+  const table = ghashTable(wordsToBytes(encryptBlock(w, new Int32Array(4), new Int32Array(4))));
+  const j0 = new Int32Array([readWord(iv, 0), readWord(iv, 4), readWord(iv, 8), 1]);
+  return { w, table, j0 };
+}
+
+/**
+ * AES-256-GCM encryption.
+ * @returns {Uint8Array} ciphertext followed by the 16-byte tag
+ */
+export function aesGcmEncrypt(key, iv, plaintext, aad = new Uint8Array(0)) {
+  const { w, table, j0 } = gcmSetup(key, iv);
+  const out = new Uint8Array(plaintext.length + 16);
+  ctr(w, j0.slice(), plaintext, out);
+  out.set(gcmTag(w, table, j0, aad, out.subarray(0, plaintext.length)), plaintext.length);
+  return out;
+}
+
+// Decrypt ciphertext+tag; throws when the key is wrong or the data was altered
+export function aesGcmDecrypt(key, iv, data, aad = new Uint8Array(0)) {
+  if (data.length < 16) {throw new Error(t('vault.errors.corruptData'));}
+  const { w, table, j0 } = gcmSetup(key, iv);
+  const ciphertext = data.subarray(0, data.length - 16);
+  const tag = gcmTag(w, table, j0, aad, ciphertext);
+  let difference = 0;
+  // eslint-disable-next-line no-bitwise -- compare every byte, without stopping at the first difference
+  for (let i = 0; i < 16; i += 1) {difference |= tag[i] ^ data[ciphertext.length + i];}
+  if (difference !== 0) {throw new Error(t('vault.errors.wrongKey'));}
+  const out = new Uint8Array(ciphertext.length);
+  ctr(w, j0.slice(), ciphertext, out);
+  return out;
+}
+
+/**
+ * Random bytes for key ids, salts and nonces from crypto.getRandomValues, which
+ * Hermes lacks: index.js installs react-native-get-random-values to back it with the
+ * platform's secure generator. Throws rather than fall back to a predictable one.
+ */
+export function randomBytes(length) {
+  if (typeof global.crypto !== 'object' || typeof global.crypto.getRandomValues !== 'function') {
+    throw new Error(t('vault.errors.noSecureRandom'));
+  }
+  const bytes = new Uint8Array(length);
+  global.crypto.getRandomValues(bytes);
+  return bytes;
+}
@@ -0,0 +1,362 @@
+/**
+ * Encrypted vault for the scan history
+ *
+ * Optional: once enabled, every file in the history folder (index.json with the scan
+ * records and the image copies) is stored encrypted with AES-256-GCM under a key derived
+ * from the user's passcode (PBKDF2-SHA256, see crypto.js). The key is kept in memory only
+ * while the vault is unlocked; the app locks it again after inactivity.
+ *
+ * RNFS.DocumentDirectoryPath/vault.json holds what is needed to derive and check the key:
+ *   { keyId, salt, iterations, check, pending? }
+ * (check is a sealed marker; while a passcode change re-encrypts the files, pending holds the
+ * new key's parameters plus each key sealed under the other, so either passcode finishes it)
+ *
+ * Sealed file: 'OCRV' | version | key id (8) | nonce (12) | ciphertext | tag (16), the header
+ * authenticated along. Readers tell sealed from plain files by the magic, so a migration that
+ * stopped half-way leaves a readable folder, and the next unlock completes it. Files are
+ * rewritten through a temporary copy that loadVault() settles after a crash.
+ * Decrypted images for display go to CachesDirectoryPath/vault_view and are removed on lock.
+ */
+
+import RNFS from 'react-native-fs';
+
+import { aesGcmDecrypt, aesGcmEncrypt, pbkdf2Sha256, randomBytes } from './crypto';
+import { t } from '../i18n/i18n';
+import { base64ToBytes, bytesToBase64 } from '../utils/base64';
+import { baseName, toFsPath } from '../utils/paths';
+import { utf8Bytes, utf8String } from '../utils/utf8';
+
+const VAULT_FILE = `${RNFS.DocumentDirectoryPath}/vault.json`;
+// The folder under protection (HISTORY_DIR of src/history/historyStore.js)
+const PROTECTED_DIR = `${RNFS.DocumentDirectoryPath}/history`;
+const VIEW_DIR = `${RNFS.CachesDirectoryPath}/vault_view`;
+const TEMP_SUFFIX = '.vtmp';
+
+const MAGIC = [0x4f, 0x43, 0x52, 0x56]; // 'OCRV'
+const MAGIC_BASE64 = 'T0NS'; // Base64 of the first three magic bytes
+const VERSION = 1;
+const HEADER_LENGTH = 4 + 1 + 8 + 12;
+const CHECK_TEXT = 'ocr-vault';
+// PBKDF2 rounds for new keys, a few seconds in the plain JS of crypto.js on a phone; stored
+// with each key, so vaults made with other counts still open
+export const ITERATIONS = 100000;
+export const MIN_PASSCODE_LENGTH = 6;
+
+// Auto-lock choices for the settings screen (minutes of inactivity)
+export const VAULT_LOCK_OPTIONS = [1, 5, 15, 60];
+
+
+let config = null; // Parsed vault.json, null while the vault is off
+let session = null; // { keys: { [keyId]: key }, keyId } while unlocked; keyId is the one new files use
+let lastActivity = Date.now();
+const listeners = new Set();
+
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const fromHex = hex => Uint8Array.from(hex.match(/../g), pair => parseInt(pair, 16));
+
+function notify() {
+  const state = vaultState();
+  listeners.forEach(listener => listener(state));
+}
+
+export function vaultState() {
+  if (!config) {return 'off';}
+  return session ? 'unlocked' : 'locked';
+}
+
+// Call `listener(state)` on every lock, unlock, enable and disable; returns the unsubscribe function
+export function subscribeVault(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function assertVaultOpen() {
+  if (vaultState() === 'locked') {throw new Error(t('vault.errors.locked'));}
+}
+
+// ---- Sealed data ----
+
+function seal(key, keyId, plaintext) {
+  const header = new Uint8Array(HEADER_LENGTH);
+  header.set(MAGIC);
+  header[4] = VERSION;
+  header.set(fromHex(keyId), 5);
+  header.set(randomBytes(12), 13);
+  const body = aesGcmEncrypt(key, header.subarray(13), plaintext, header);
+  const out = new Uint8Array(HEADER_LENGTH + body.length);
+  out.set(header);
+  out.set(body, HEADER_LENGTH);
+  return out;
+}
+
+export function isSealed(bytes) {
+  return bytes.length >= HEADER_LENGTH + 16 && MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+const sealedKeyId = bytes => toHex(bytes.subarray(5, 13));
+
+function unseal(keys, bytes) {
+  if (bytes[4] !== VERSION) {throw new Error(t('vault.errors.unknownVersion'));}
+  const key = keys[sealedKeyId(bytes)];
+  if (!key) {throw new Error(t('vault.errors.locked'));}
+  const header = bytes.subarray(0, HEADER_LENGTH);
+  return aesGcmDecrypt(key, header.subarray(13), bytes.subarray(HEADER_LENGTH), header);
+}
+
+const textBytes = text => Uint8Array.from(utf8Bytes(text));
+
+function sealWithSession(plaintext) {
+  if (!session) {throw new Error(t('vault.errors.locked'));}
+  return seal(session.keys[session.keyId], session.keyId, plaintext);
+}
+
+// ---- Keys ----
+
+// Resolves the key; the derivation yields to the event loop as it goes (see crypto.js)
+function deriveKey(passcode, params) {
+  return pbkdf2Sha256(textBytes(passcode), base64ToBytes(params.salt), params.iterations, 32);
+}
+
+// The key of `params` if `passcode` is right, else null
+async function tryPasscode(params, passcode) {
+  const key = await deriveKey(passcode, params);
+  try {
+    const check = unseal({ [params.keyId]: key }, base64ToBytes(params.check));
+    return utf8String(check) === CHECK_TEXT ? key : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function createKey(passcode) {
+  if (!passcode || passcode.length < MIN_PASSCODE_LENGTH) {
+    throw new Error(t('vault.errors.passcodeTooShort', { count: MIN_PASSCODE_LENGTH }));
+  }
+  const keyId = toHex(randomBytes(8));
+  const params = { keyId, salt: bytesToBase64(randomBytes(16)), iterations: ITERATIONS };
+  const key = await deriveKey(passcode, params);
+  params.check = bytesToBase64(seal(key, keyId, textBytes(CHECK_TEXT)));
+  return { params, key };
+}
+
+// ---- Files ----
+
+// Replace `path` through a temporary copy, so a crash leaves the old or the new content
+async function replaceFile(path, content, encoding) {
+  const temp = path + TEMP_SUFFIX;
+  await RNFS.writeFile(temp, content, encoding);
+  if (await RNFS.exists(path)) {await RNFS.unlink(path);}
+  await RNFS.moveFile(temp, path);
+}
+
+// Settle a replacement a crash interrupted: a complete temporary copy only exists without the original
+async function settleReplacement(path) {
+  const temp = path + TEMP_SUFFIX;
+  if (!(await RNFS.exists(temp))) {return;}
+  if (await RNFS.exists(path)) {
+    await RNFS.unlink(temp);
+  } else {
+    await RNFS.moveFile(temp, path);
+  }
+}
+
+async function protectedFiles() {
+  if (!(await RNFS.exists(PROTECTED_DIR))) {return [];}
+  return (await RNFS.readDir(PROTECTED_DIR)).filter(item => item.isFile());
+}
+
+// Rewrite every protected file through `transform(bytes)`; it returns the new bytes or null to skip
+async function rewriteProtected(transform) {
+  for (const item of await protectedFiles()) {
+    if (item.name.endsWith(TEMP_SUFFIX)) {continue;}
+    const next = transform(base64ToBytes(await RNFS.readFile(item.path, 'base64')));
+    if (next) {await replaceFile(item.path, bytesToBase64(next), 'base64');}
+  }
+}
+
+// Seal every file not yet sealed under the current key
+function resealAll() {
+  return rewriteProtected(bytes => {
+    if (isSealed(bytes) && sealedKeyId(bytes) === session.keyId) {return null;}
+    return sealWithSession(isSealed(bytes) ? unseal(session.keys, bytes) : bytes);
+  });
+}
+
+async function clearViewCopies() {
+  if (await RNFS.exists(VIEW_DIR)) {await RNFS.unlink(VIEW_DIR);}
+}
+
+async function writeConfig(next) {
+  await replaceFile(VAULT_FILE, JSON.stringify(next), 'utf8');
+  config = next;
+}
+
+// ---- Lifecycle ----
+
+// Read vault.json and settle interrupted file replacements; call once on start
+export async function loadVault() {
+  await settleReplacement(VAULT_FILE);
+  for (const item of await protectedFiles()) {
+    if (item.name.endsWith(TEMP_SUFFIX)) {await settleReplacement(item.path.slice(0, -TEMP_SUFFIX.length));}
+  }
+  // An unreadable vault.json must not pass for "vault off": the files stay sealed
+  config = (await RNFS.exists(VAULT_FILE)) ? JSON.parse(await RNFS.readFile(VAULT_FILE, 'utf8')) : null;
+  session = null;
+  await clearViewCopies();
+  notify();
+  return vaultState();
+}
+
+// Finish re-encrypting for a new passcode; the session holds both keys
+async function completePasscodeChange() {
+  const { wrappedKey, previousKey, ...params } = config.pending;
+  session = { ...session, keyId: params.keyId };
+  await resealAll();
+  await writeConfig(params);
+  session = { keys: { [params.keyId]: session.keys[params.keyId] }, keyId: params.keyId };
+}
+
+export async function unlockVault(passcode) {
+  if (!config) {throw new Error(t('vault.errors.notEnabled'));}
+  const { pending } = config;
+  let keys = null;
+  const key = await tryPasscode(config, passcode);
+  if (key) {
+    keys = { [config.keyId]: key };
+    if (pending) {keys[pending.keyId] = unseal(keys, base64ToBytes(pending.wrappedKey));}
+  } else if (pending) {
+    // A passcode change was interrupted after the new passcode was set
+    const next = await tryPasscode(pending, passcode);
+    if (next) {
+      keys = { [pending.keyId]: next };
+      keys[config.keyId] = unseal(keys, base64ToBytes(pending.previousKey));
+    }
+  }
+  if (!keys) {throw new Error(t('vault.errors.wrongPasscode'));}
+
+  session = { keys, keyId: config.keyId };
+  lastActivity = Date.now();
+  if (pending) {
+    await completePasscodeChange();
+  } else {
+    // Completes an enable that was interrupted
+    await resealAll();
+  }
+  notify();
+}
+
+export async function lockVault() {
+  if (!config) {return;}
+  session = null;
+  await clearViewCopies();
+  notify();
+}
+
+// Encrypt the history under a new passcode; the vault starts unlocked
+export async function enableVault(passcode) {
+  if (config) {throw new Error(t('vault.errors.alreadyEnabled'));}
+  const { params, key } = await createKey(passcode);
+  await writeConfig(params);
+  session = { keys: { [params.keyId]: key }, keyId: params.keyId };
+  lastActivity = Date.now();
+  await resealAll();
+  notify();
+}
+
+// Re-encrypt everything under a key derived from `next`
+export async function changeVaultPasscode(current, next) {
+  assertVaultOpen();
+  const oldKey = await tryPasscode(config, current);
+  if (!oldKey) {throw new Error(t('vault.errors.wrongPasscode'));}
+  const { params, key } = await createKey(next);
+  await writeConfig({
+    ...config,
+    pending: {
+      ...params,
+      wrappedKey: bytesToBase64(seal(oldKey, config.keyId, key)),
+      previousKey: bytesToBase64(seal(key, params.keyId, oldKey)),
+    },
+  });
+  session = { keys: { [config.keyId]: oldKey, [params.keyId]: key }, keyId: config.keyId };
+  await completePasscodeChange();
+  notify();
+}
+
+// Decrypt the history back to plain files and turn the vault off
+export async function disableVault(passcode) {
+  assertVaultOpen();
+  if (!(await tryPasscode(config, passcode))) {throw new Error(t('vault.errors.wrongPasscode'));}
+  await rewriteProtected(bytes => (isSealed(bytes) ? unseal(session.keys, bytes) : null));
+  await RNFS.unlink(VAULT_FILE);
+  config = null;
+  session = null;
+  await clearViewCopies();
+  notify();
+}
+
+// Record user activity for the auto-lock
+export function touchVault(now = Date.now()) {
+  lastActivity = now;
+}
+
+// Lock when nothing happened for `minutes`; resolves true if it locked
+export async function lockIfIdle(minutes, now = Date.now()) {
+  if (!session || now - lastActivity < minutes * 60 * 1000) {return false;}
+  await lockVault();
+  return true;
+}
+
+// ---- Protected file access (plain files while the vault is off) ----
+
+export async function readProtectedText(path) {
+  if (!config) {return RNFS.readFile(path, 'utf8');}
+  const bytes = base64ToBytes(await RNFS.readFile(path, 'base64'));
+  if (!isSealed(bytes)) {return utf8String(bytes);}
+  if (!session) {throw new Error(t('vault.errors.locked'));}
+  return utf8String(unseal(session.keys, bytes));
+}
+
+export async function writeProtectedText(path, text) {
+  if (!config) {
+    await RNFS.writeFile(path, text, 'utf8');
+    return;
+  }
+  await RNFS.writeFile(path, bytesToBase64(sealWithSession(textBytes(text))), 'base64');
+}
+
+// Copy the image at `uri` to `path`, sealed while the vault is on
+export async function copyIntoVault(uri, path) {
+  if (!config) {
+    await RNFS.copyFile(toFsPath(uri), path);
+    return;
+  }
+  const bytes = base64ToBytes(await RNFS.readFile(toFsPath(uri), 'base64'));
+  await RNFS.writeFile(path, bytesToBase64(sealWithSession(bytes)), 'base64');
+}
+
+// Base64 content of the image at `uri`, decrypted if it is sealed
+export async function readImageBase64(uri) {
+  const content = await RNFS.readFile(toFsPath(uri), 'base64');
+  if (!config || !content.startsWith(MAGIC_BASE64)) {return content;}
+  const bytes = base64ToBytes(content);
+  if (!isSealed(bytes)) {return content;}
+  if (!session) {throw new Error(t('vault.errors.locked'));}
+  return bytesToBase64(unseal(session.keys, bytes));
+}
+
+/**
+ * URI an <Image> or the OCR engines can read: sealed images are decrypted to a
+ * cache copy that lives until the vault locks; anything else is returned as is.
+ */
+export async function viewableImageUri(uri) {
+  if (!uri || !config) {return uri;}
+  const content = await RNFS.readFile(toFsPath(uri), 'base64');
+  if (!content.startsWith(MAGIC_BASE64)) {return uri;}
+  const bytes = base64ToBytes(content);
+  if (!isSealed(bytes)) {return uri;}
+  if (!session) {throw new Error(t('vault.errors.locked'));}
+  const path = `${VIEW_DIR}/${baseName(uri)}`;
+  if (!(await RNFS.exists(VIEW_DIR))) {await RNFS.mkdir(VIEW_DIR);}
+  await RNFS.writeFile(path, bytesToBase64(unseal(session.keys, bytes)), 'base64');
+  return `file://${path}`;
+}